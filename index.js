@@ -1,8 +1,19 @@
+require('dotenv').config();
 const express = require('express');
+const session = require('express-session');
 const multer = require('multer');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const os = require('os');
+const zlib = require('zlib');
+const { execFile, spawnSync } = require('child_process');
+const sharp = require('sharp');
+const { pipeline, Transform } = require('stream');
+const { once } = require('events');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -12,52 +23,389 @@ const PORT = process.env.PORT || 3000;
 const uploadDir = 'uploads';
 const maxFileSize = 200 * 1024 * 1024; // Increased to 200MB
 const maxFiles = 20; // Increased to 20 files per upload
-const allowedFileTypes = /jpeg|jpg|png|gif|pdf|doc|docx|xls|xlsx|txt|csv|json|md|js|html|css|zip|tar|gz|rar|mp3|mp4|mov|avi|webm/; // More comprehensive list
-const retentionDays = 30; // Files older than this will be marked for potential cleanup
+const allowedExtensions = ['jpeg', 'jpg', 'png', 'gif', 'pdf', 'doc', 'docx', 'xls', 'xlsx', 'txt', 'csv', 'json', 'md', 'css', 'zip', 'tar', 'gz', 'rar', 'mp3', 'mp4', 'mov', 'avi', 'webm']; // Folder upload rules can narrow this further
+const optInExtensions = ['html', 'js']; // Pages and scripts are only accepted in folders whose upload rules allow them
+const retentionRunInterval = (parseFloat(process.env.RETENTION_INTERVAL_HOURS) || 24) * 60 * 60 * 1000; // How often retention policies are applied
+const trashRetentionDays = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30; // Deleted files are purged from the trash after this many days
+const resumableThreshold = 50 * 1024 * 1024; // The dashboard uploads files above 50MB in resumable chunks
+const resumableChunkSize = 8 * 1024 * 1024; // Chunk size suggested to resumable upload clients
+const maxResumableFileSize = 5 * 1024 * 1024 * 1024; // Resumable uploads may be up to 5GB
+const resumableUploadTtl = 24 * 60 * 60 * 1000; // Unfinished resumable uploads are discarded after 24 hours
+const visibilities = ['private', 'team', 'public']; // private: owner only, team: any signed-in user, public: anyone with the link
+const defaultVisibility = 'private';
+const sessionSecret = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'); // Set SESSION_SECRET to keep sessions valid across restarts
+const sessionMaxAge = 8 * 60 * 60 * 1000; // Sessions expire after 8 hours
+// OpenID Connect login is enabled when the issuer and client credentials are all set
+const oidcConfig = {
+  issuer: (process.env.OIDC_ISSUER || '').replace(/\/$/, ''), // e.g. https://login.example.com/realms/acme
+  clientId: process.env.CLIENT_ID,
+  clientSecret: process.env.CLIENT_SECRET,
+  redirectUri: process.env.REDIRECT_URI,
+  scope: process.env.OIDC_SCOPE || 'openid profile email',
+  autoProvision: process.env.OIDC_AUTO_PROVISION !== 'false', // Create a local user on first sign-in
+  defaultRole: process.env.OIDC_DEFAULT_ROLE || 'viewer' // Role given to auto-provisioned users
+};
+const oidcEnabled = Boolean(oidcConfig.issuer && oidcConfig.clientId && oidcConfig.clientSecret && oidcConfig.redirectUri);
+const oidcCallbackPath = oidcEnabled ? new URL(oidcConfig.redirectUri).pathname : null;
+// S3-compatible API keys: S3_ACCESS_KEYS="accessKeyId:secretAccessKey:username,..." -- each key acts as that local user
+const s3AccessKeys = new Map((process.env.S3_ACCESS_KEYS || '')
+  .split(',')
+  .map(item => item.trim().split(':'))
+  .filter(parts => parts.length === 3 && parts.every(Boolean))
+  .map(([accessKeyId, secretAccessKey, username]) => [accessKeyId, { secretAccessKey, username }]));
 
-// Create upload directory if not exists
-if (!fs.existsSync(uploadDir)) {
-  fs.mkdirSync(uploadDir, { recursive: true });
-}
+// Uploads are written to incomingDir first, then moved into the content-addressed blobDir
+const incomingDir = path.join(uploadDir, 'incoming');
+const blobDir = path.join(uploadDir, 'blobs');
+// Generated thumbnails are a cache and stay on local disk whatever the storage driver
+const thumbnailDir = path.join(uploadDir, 'thumbnails');
+
+// Create upload directories if not exists
+[uploadDir, incomingDir, blobDir, thumbnailDir].forEach(dir => {
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+});
 
 // ======================
 // Storage Configuration
 // ======================
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
-    cb(null, uploadDir);
+    cb(null, incomingDir);
   },
   filename: (req, file, cb) => {
-    // Generate a unique ID for the file to store in metadata
-    const fileId = crypto.randomBytes(16).toString('hex');
-    const uniqueSuffix = Date.now();
-    // Sanitize the original filename to prevent path traversal and other issues
-    const sanitizedName = file.originalname.replace(/[^a-zA-Z0-9._-]/g, '_');
-    // Store metadata in the filename itself for simplicity, or in a separate database
-    cb(null, `${uniqueSuffix}-${fileId}-${sanitizedName}`);
+    cb(null, generateStoredFilename(file.originalname));
   }
 });
 
+// Stored filenames follow the "timestamp-fileId-sanitizedName" scheme understood by parseFilename
+function sanitizeFilename(name) {
+  return name.replace(/[^a-zA-Z0-9._-]/g, '_');
+}
+
+function generateStoredFilename(originalname) {
+  // Generate a unique ID for the file to store in metadata
+  const fileId = crypto.randomBytes(16).toString('hex');
+  const uniqueSuffix = Date.now();
+  // Sanitize the original filename to prevent path traversal and other issues
+  const sanitizedName = sanitizeFilename(originalname);
+  // Store metadata in the filename itself for simplicity, or in a separate database
+  return `${uniqueSuffix}-${fileId}-${sanitizedName}`;
+}
+
+// The client-supplied MIME type is not trusted; the content itself is checked by validateUpload once received
 const upload = multer({
   storage,
   limits: { fileSize: maxFileSize, files: maxFiles },
+  // The target folder may not be known yet, so only extensions that no folder accepts are refused here
   fileFilter: (req, file, cb) => {
-    const extname = allowedFileTypes.test(path.extname(file.originalname).toLowerCase());
-    const mimetype = allowedFileTypes.test(file.mimetype);
-
-    if (extname && mimetype) {
-      return cb(null, true);
-    } else {
-      cb(new Error(`File type not allowed: ${file.originalname}. Allowed types: ${allowedFileTypes.source}`));
+    if (!optInExtensions.includes(fileExtension(file.originalname))) {
+      const rejection = checkUploadName(file.originalname);
+      if (rejection) {
+        return cb(uploadRejectedError(rejection));
+      }
     }
+    cb(null, true);
   }
 });
 
-// In-memory store for file metadata and history (consider a persistent store like SQLite for production)
-let fileMetadata = {}; // { fileId: { name, size, type, uploaded, path, originalName, downloads, lastAccessed } }
-let fileHistory = []; // { action, filename, timestamp, ip, userId (if authentication is added) }
+// ======================
+// Upload Validation
+// ======================
+// The extension decides how a file is previewed and served, so every upload path checks that
+//   1. the extension is in allowedExtensions, or in optInExtensions and the target folder's allow list,
+//   2. the target folder's upload rules permit it: deny lists apply to the folder and everything below it, and the
+//      nearest folder with an allow list limits uploads to that list, and
+//   3. the first bytes of the content match what the extension promises (a .pdf must start with %PDF-, a .json
+//      must be text, executables are never accepted).
+const sniffLength = 512; // Covers every signature below, including tar's "ustar" at offset 257
+const contentSignatures = [
+  { kind: 'jpeg', magic: [0xff, 0xd8, 0xff] },
+  { kind: 'png', magic: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { kind: 'gif', magic: 'GIF8' },
+  { kind: 'pdf', magic: '%PDF-' },
+  { kind: 'zip', magic: 'PK\x03\x04' },
+  { kind: 'zip', magic: 'PK\x05\x06' }, // An empty archive
+  { kind: 'ole', magic: [0xd0, 0xcf, 0x11, 0xe0, 0xa1, 0xb1, 0x1a, 0xe1] }, // Legacy Office documents
+  { kind: 'gzip', magic: [0x1f, 0x8b] },
+  { kind: 'rar', magic: 'Rar!\x1a\x07' },
+  { kind: 'tar', magic: 'ustar', offset: 257 },
+  { kind: 'mp3', magic: 'ID3' },
+  { kind: 'mp3', match: head => head[0] === 0xff && (head[1] & 0xe0) === 0xe0 }, // MPEG audio frame sync
+  { kind: 'mp4', magic: 'ftyp', offset: 4 },
+  { kind: 'quicktime', match: head => ['moov', 'mdat', 'wide', 'free', 'skip'].includes(head.toString('latin1', 4, 8)) },
+  { kind: 'avi', match: head => head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'AVI ' },
+  { kind: 'webm', magic: [0x1a, 0x45, 0xdf, 0xa3] },
+  { kind: 'executable', magic: 'MZ' },
+  { kind: 'executable', magic: '\x7fELF' },
+  { kind: 'executable', match: head => head.length >= 4 && [0xfeedface, 0xfeedfacf, 0xcefaedfe, 0xcffaedfe, 0xcafebabe].includes(head.readUInt32BE(0)) } // Mach-O
+];
+const contentKindLabels = {
+  jpeg: 'a JPEG image', png: 'a PNG image', gif: 'a GIF image', pdf: 'a PDF document', zip: 'a ZIP archive',
+  ole: 'a legacy Office document', gzip: 'a gzip archive', rar: 'a RAR archive', tar: 'a tar archive',
+  mp3: 'MP3 audio', mp4: 'an MP4 video', quicktime: 'a QuickTime video', avi: 'an AVI video', webm: 'a WebM video',
+  executable: 'an executable program', html: 'an HTML page', text: 'text', binary: 'binary data'
+};
+// The content kinds each extension may hold (.docx and .xlsx are ZIP containers)
+const expectedContentKinds = {
+  jpeg: ['jpeg'], jpg: ['jpeg'], png: ['png'], gif: ['gif'], pdf: ['pdf'],
+  doc: ['ole'], xls: ['ole'], docx: ['zip'], xlsx: ['zip'], zip: ['zip'], tar: ['tar'], gz: ['gzip'], rar: ['rar'],
+  mp3: ['mp3'], mp4: ['mp4'], mov: ['mp4', 'quicktime'], avi: ['avi'], webm: ['webm'],
+  html: ['html'], txt: ['text'], csv: ['text'], json: ['text'], md: ['text'], js: ['text'], css: ['text']
+};
+
+function uploadRejectedError(message) {
+  return Object.assign(new Error(message), { code: 'UPLOAD_REJECTED' });
+}
+
+function fileExtension(name) {
+  return path.extname(name).toLowerCase().slice(1);
+}
+
+// Parses a comma or space separated extension list as typed by an admin (".PDF, docx" -> ['pdf', 'docx'])
+function parseExtensionList(value) {
+  return [...new Set(String(value || '').toLowerCase().split(/[\s,]+/).map(ext => ext.replace(/^\./, '')).filter(Boolean))];
+}
+
+// The rules that apply to uploads into a folder, combined from the folder and its ancestors
+function uploadRulesFor(folderPath) {
+  const rules = { allow: null, allowFrom: null, deny: [] };
+  for (let current = folderPath || ''; current; current = parentFolder(current)) {
+    const folderRules = folders[current] && folders[current].uploadRules;
+    if (!folderRules) continue;
+    if (!rules.allow && folderRules.allow.length) {
+      rules.allow = folderRules.allow;
+      rules.allowFrom = current;
+    }
+    rules.deny.push(...folderRules.deny.filter(ext => !rules.deny.includes(ext)));
+  }
+  return rules;
+}
+
+// Why a file with this name may not be stored in the folder, or null if it may
+function checkUploadName(name, folder = '') {
+  const ext = fileExtension(name);
+  if (optInExtensions.includes(ext)) {
+    const { allow } = uploadRulesFor(folder);
+    if (!allow || !allow.includes(ext)) {
+      return `${name}: .${ext} files are only accepted in folders whose upload rules allow them.`;
+    }
+  } else if (!allowedExtensions.includes(ext)) {
+    return `${name}: ${ext ? `.${ext} files are` : 'files without an extension are'} not allowed. Allowed types: ${allowedExtensions.join(', ')}.`;
+  }
+  return checkFolderRules(name, folder);
+}
+
+// Only the folder's rules, for files that are moved rather than uploaded
+function checkFolderRules(name, folder) {
+  const ext = fileExtension(name);
+  const rules = uploadRulesFor(folder);
+  if (rules.deny.includes(ext)) {
+    return `${name}: .${ext} files may not be uploaded to /${folder}.`;
+  }
+  if (rules.allow && !rules.allow.includes(ext)) {
+    return `${name}: /${rules.allowFrom} only accepts ${rules.allow.map(allowed => `.${allowed}`).join(', ')} files.`;
+  }
+  return null;
+}
+
+// What the first bytes of a file look like: a kind from contentSignatures, or html, text or binary
+function sniffContentKind(head) {
+  const signature = contentSignatures.find(({ magic, offset = 0, match }) => {
+    if (match) return match(head);
+    const bytes = Buffer.from(magic, typeof magic === 'string' ? 'latin1' : undefined);
+    return head.length >= offset + bytes.length && head.subarray(offset, offset + bytes.length).equals(bytes);
+  });
+  if (signature) return signature.kind;
+
+  // UTF-16 text starts with a byte order mark; anything else with NUL bytes is binary
+  if ((head[0] === 0xff && head[1] === 0xfe) || (head[0] === 0xfe && head[1] === 0xff)) return 'text';
+  if (head.includes(0)) return 'binary';
+  return /^(\ufeff)?\s*<(!doctype\s+html|html|head|body|script|iframe|svg)[\s>/]/i.test(head.toString('utf8')) ? 'html' : 'text';
+}
+
+async function readFileHead(filePath) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(sniffLength), 0, sniffLength, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+// Why content starting with these bytes may not be stored under this name, or null if it may
+function checkUploadContent(name, head) {
+  const ext = fileExtension(name);
+  const kind = sniffContentKind(head);
+  if (!(expectedContentKinds[ext] || []).includes(kind)) {
+    return `${name}: the content is ${contentKindLabels[kind]}, which does not match the .${ext} extension.`;
+  }
+  return null;
+}
+
+// Why the received file at filePath may not be stored under this name in the folder, or null if it may
+async function validateUpload(name, filePath, folder) {
+  return checkUploadName(name, folder) || checkUploadContent(name, await readFileHead(filePath));
+}
+
+// Why a stored file may not be renamed to newName in the folder, or null if it may. Keeping the extension only
+// needs the folder's rules; a new extension must be accepted like an upload (see checkRenamedContent for the content).
+function checkRenameName(entry, newName, folder) {
+  if (fileExtension(newName) === fileExtension(entry.originalName)) return checkFolderRules(newName, folder);
+  return checkUploadName(newName, folder);
+}
+
+// Why the stored content does not fit the extension of newName, or null if it does (or the extension is unchanged)
+async function checkRenamedContent(entry, newName) {
+  if (fileExtension(newName) === fileExtension(entry.originalName)) return null;
+  return checkUploadContent(newName, await readContentHead(entry));
+}
+
+// Validates a batch of multer uploads. If any file is rejected the whole batch is removed and the reasons returned.
+async function rejectedUploads(files, folder) {
+  const rejections = (await Promise.all(files.map(file => validateUpload(file.originalname, file.path, folder)))).filter(Boolean);
+  if (rejections.length > 0) {
+    files.forEach(file => fs.unlink(file.path, () => {}));
+  }
+  return rejections;
+}
+
+// ======================
+// Persistence
+// ======================
+const dataDir = process.env.DATA_DIR || 'data';
+const persistenceDriver = process.env.PERSISTENCE_DRIVER || 'journal'; // 'journal' (durable) or 'memory' (lost on restart)
+const snapshotInterval = 5 * 60 * 1000; // Fold the journal into a fresh snapshot every 5 minutes
+const maxHistoryEntries = 1000;
+
+// A store holds named collections: keyed maps (e.g. fileMetadata) and newest-first lists (e.g. fileHistory).
+// Every driver implements the same interface:
+//   load()                      -> { collectionName: map | list }
+//   set(collection, key, value) / remove(collection, key) / append(collection, value)
+//   flush(collections)          -> persist a full snapshot of the current state
+function createMemoryStore() {
+  return {
+    load: () => ({}),
+    set: () => {},
+    remove: () => {},
+    append: () => {},
+    flush: () => {}
+  };
+}
+
+// Append-only JSON journal: every change is written as one JSON line to journal.log, and
+// flush() periodically rewrites snapshot.json and truncates the journal. On startup the
+// snapshot is loaded and the journal replayed on top of it.
+function createJournalStore(dir) {
+  const snapshotPath = path.join(dir, 'snapshot.json');
+  const journalPath = path.join(dir, 'journal.log');
+
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  function writeEntry(entry) {
+    try {
+      fs.appendFileSync(journalPath, JSON.stringify(entry) + '\n');
+    } catch (e) {
+      console.error('Journal write error:', e);
+    }
+  }
+
+  return {
+    load() {
+      let collections = {};
+      if (fs.existsSync(snapshotPath)) {
+        try {
+          collections = JSON.parse(fs.readFileSync(snapshotPath, 'utf-8')).collections || {};
+        } catch (e) {
+          console.error('Snapshot read error, starting from the journal only:', e);
+        }
+      }
+
+      if (fs.existsSync(journalPath)) {
+        const lines = fs.readFileSync(journalPath, 'utf-8').split('\n').filter(Boolean);
+        lines.forEach((line, index) => {
+          let entry;
+          try {
+            entry = JSON.parse(line);
+          } catch (e) {
+            // A crash in the middle of an append leaves a truncated last line; skip it
+            console.warn(`Skipping unreadable journal entry on line ${index + 1}`);
+            return;
+          }
+          if (entry.op === 'set') {
+            collections[entry.collection] = collections[entry.collection] || {};
+            collections[entry.collection][entry.key] = entry.value;
+          } else if (entry.op === 'remove') {
+            if (collections[entry.collection]) delete collections[entry.collection][entry.key];
+          } else if (entry.op === 'append') {
+            collections[entry.collection] = collections[entry.collection] || [];
+            collections[entry.collection].unshift(entry.value);
+          }
+        });
+      }
+
+      return collections;
+    },
+    set(collection, key, value) {
+      writeEntry({ op: 'set', collection, key, value });
+    },
+    remove(collection, key) {
+      writeEntry({ op: 'remove', collection, key });
+    },
+    append(collection, value) {
+      writeEntry({ op: 'append', collection, value });
+    },
+    flush(collections) {
+      // Write to a temp file and rename so a crash never leaves a half-written snapshot
+      const tmpPath = `${snapshotPath}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify({ savedAt: new Date().toISOString(), collections }));
+      fs.renameSync(tmpPath, snapshotPath);
+      fs.writeFileSync(journalPath, '');
+    }
+  };
+}
+
+const storeDrivers = {
+  journal: () => createJournalStore(dataDir),
+  memory: () => createMemoryStore()
+};
+
+if (!storeDrivers[persistenceDriver]) {
+  throw new Error(`Unknown PERSISTENCE_DRIVER "${persistenceDriver}". Available drivers: ${Object.keys(storeDrivers).join(', ')}`);
+}
+
+const store = storeDrivers[persistenceDriver]();
+const persisted = store.load();
+
+let fileMetadata = persisted.fileMetadata || {}; // { fileId: { name, size, type, uploaded, path, originalName, downloads, lastAccessed, owner, visibility, folder, blob, version, versions, legalHold } }
+let blobs = persisted.blobs || {}; // { sha256: { hash, size, refs, createdAt, storageKey, encryption } } -- storageKey and encryption only for encrypted blobs
+let fileHistory = (persisted.fileHistory || []).slice(0, maxHistoryEntries); // { action, filename, timestamp, ip, userAgent, userId, username, tokenName }
+let users = persisted.users || {}; // { userId: { id, username, passwordHash, role, createdAt, lastLogin } }
+let folders = persisted.folders || {}; // { 'a/b': { path, createdBy, createdAt } } -- virtual folders, bytes live in the blob store
+let resumableUploads = persisted.resumableUploads || {}; // { uploadId: { id, name, type, size, offset, owner, folder, visibility, createdAt, updatedAt } }
+let shares = persisted.shares || {}; // { token: { token, fileId, filename, createdBy, createdAt, expiresAt, maxDownloads, downloads, passwordHash, revokedAt } }
+let retentionPolicies = persisted.retentionPolicies || {}; // { policyId: { id, name, folder, fileType, criterion, threshold, enabled, createdBy, createdAt } }
+let apiTokens = persisted.apiTokens || {}; // { tokenId: { id, name, userId, scope, tokenHash, createdAt, expiresAt, lastUsedAt, revokedAt } }
+let multipartUploads = persisted.multipartUploads || {}; // { uploadId: { id, bucket, key, folder, name, owner, parts: { partNumber: { etag, size } }, createdAt, updatedAt } }
+let trash = persisted.trash || {}; // { fileId: { ...fileMetadata entry, deletedAt, deletedBy } } -- blobs stay referenced until purged
+let quarantine = persisted.quarantine || {}; // { fileId: { ...fileMetadata entry, quarantinedAt } } -- infected files, only admins can release or delete them
 let activeConnections = 0;
 
+// Write the current state as a snapshot (also compacts the journal)
+function flushStore() {
+  try {
+    store.flush({ fileMetadata, fileHistory, users, folders, resumableUploads, shares, blobs, trash, quarantine, retentionPolicies, apiTokens, multipartUploads });
+  } catch (e) {
+    console.error('Persistence flush error:', e);
+  }
+}
+
+setInterval(flushStore, snapshotInterval).unref();
+
 // ======================
 // Helper Functions
 // ======================
@@ -69,6 +417,63 @@ function formatBytes(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
+// More ranges than this in one request are answered with the whole content rather than a part per range
+const maxByteRanges = 32;
+
+// A "bytes=" Range header as satisfiable { start, end } ranges, sorted with overlapping and adjacent ranges merged;
+// null to send everything (no, malformed or overlong header) or false if no range can be satisfied.
+function parseByteRanges(header, size) {
+  const match = /^bytes=(.+)$/.exec(String(header || '').trim());
+  if (!match) return null;
+  const specs = match[1].split(',').map(spec => spec.trim()).filter(Boolean);
+  if (!specs.length || specs.length > maxByteRanges) return null;
+
+  const ranges = [];
+  for (const spec of specs) {
+    const parts = /^(\d*)-(\d*)$/.exec(spec);
+    if (!parts || (!parts[1] && !parts[2])) return null;
+    if (!parts[1]) {
+      const suffixLength = parseInt(parts[2], 10);
+      if (suffixLength > 0 && size > 0) ranges.push({ start: Math.max(0, size - suffixLength), end: size - 1 });
+      continue;
+    }
+    const start = parseInt(parts[1], 10);
+    const end = parts[2] ? parseInt(parts[2], 10) : Infinity;
+    if (end < start) return null;
+    if (start < size) ranges.push({ start, end: Math.min(end, size - 1) });
+  }
+  if (!ranges.length) return false;
+
+  ranges.sort((a, b) => a.start - b.start);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end + 1) last.end = Math.max(last.end, range.end);
+    else merged.push(range);
+    return merged;
+  }, []);
+}
+
+// A single byte range as { start, end }, null to send everything, or false if it cannot be satisfied.
+// Requests for several separate ranges are answered with the whole content (the S3 API does the same).
+function parseByteRange(header, size) {
+  const ranges = parseByteRanges(header, size);
+  return ranges && ranges.length > 1 ? null : ranges && ranges[0];
+}
+
+// Reads a small text request body (WebDAV LOCK, S3 multipart completion); those routes skip the app-wide parsers
+function readRequestBody(req, limit = 64 * 1024) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+      body += chunk;
+      if (body.length > limit) reject(new Error('Request body too large'));
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
+}
+
 function getFileType(filename) {
   const ext = path.extname(filename).toLowerCase().slice(1);
   const typeMap = {
@@ -101,28 +506,268 @@ function getFileIcon(fileType) {
   return iconMap[fileType] || 'fas fa-file';
 }
 
+// Scheduled jobs pass a null req and are logged as the 'system' user
 function logActivity(action, filename, req, fileId = 'N/A') {
-  fileHistory.unshift({
+  const entry = {
     action,
     filename,
     fileId,
     timestamp: new Date().toISOString(),
-    ip: req.ip || 'unknown',
-    userAgent: req.headers['user-agent'] || 'unknown',
-    // userId: req.user ? req.user.id : 'guest' // Uncomment if authentication is implemented
-  });
+    ip: req ? req.ip || 'unknown' : 'system',
+    userAgent: (req && req.headers && req.headers['user-agent']) || 'unknown',
+    userId: req ? (req.user ? req.user.id : 'guest') : 'system',
+    username: req ? (req.user ? req.user.username : 'guest') : 'system',
+    tokenName: req && req.user && req.user.token ? req.user.token.name : null // Set when the request used an API token
+  };
+  fileHistory.unshift(entry);
+  store.append('fileHistory', entry);
 
   // Keep history to last 1000 entries (or more, depending on needs)
-  if (fileHistory.length > 1000) {
+  if (fileHistory.length > maxHistoryEntries) {
     fileHistory.pop();
   }
 }
 
+// Function to create or replace a file metadata entry. Each entry holds one reference to its blob.
+function setFileMetadata(fileId, entry) {
+  const previous = fileMetadata[fileId];
+  const contentChanged = Boolean(entry.blob) && (!previous || previous.blob !== entry.blob);
+  if (contentChanged) {
+    retainBlob(entry.blob, entry.size);
+  }
+  if (contentChanged && malwareScanner) {
+    entry = { ...entry, scan: { status: 'pending' } }; // Held back until queueScan reports it clean
+  }
+  fileMetadata[fileId] = entry;
+  store.set('fileMetadata', fileId, entry);
+  if (previous && previous.blob && previous.blob !== entry.blob) {
+    releaseBlob(previous.blob);
+  }
+  if (!previous || searchableFields.some(field => JSON.stringify(previous[field]) !== JSON.stringify(entry[field]))) {
+    scheduleIndexing(fileId);
+  }
+  if (contentChanged) {
+    queueScan(fileId);
+    queueThumbnails(entry);
+  }
+}
+
 // Function to update file metadata (e.g., download count, last accessed)
 function updateFileMetadata(fileId, updates) {
   if (fileMetadata[fileId]) {
-    fileMetadata[fileId] = { ...fileMetadata[fileId], ...updates };
+    setFileMetadata(fileId, { ...fileMetadata[fileId], ...updates });
+  }
+}
+
+// Drops the blob references held by a file and its versions
+function releaseFileContent(entry) {
+  if (!entry.blob) {
+    fs.rmSync(entry.path, { force: true }); // Legacy file that was never moved into the blob store
+    return;
+  }
+  releaseBlob(entry.blob);
+  (entry.versions || []).forEach(version => releaseBlob(version.blob));
+}
+
+// Deleting moves a file into the trash; its content is only released when the trash entry is purged
+function trashFile(fileId, user) {
+  const entry = fileMetadata[fileId];
+  delete fileMetadata[fileId];
+  store.remove('fileMetadata', fileId);
+  removeSearchDocument(fileId);
+  trash[fileId] = { ...entry, deletedAt: new Date().toISOString(), deletedBy: user ? user.id : null };
+  store.set('trash', fileId, trash[fileId]);
+}
+
+function restoreTrashedFile(fileId, user) {
+  const { deletedAt, deletedBy, ...entry } = trash[fileId];
+  delete trash[fileId];
+  store.remove('trash', fileId);
+  if (!folderExists(entry.folder || '')) {
+    createFolder(entry.folder, user); // The folder was deleted while the file was in the trash
+  }
+  // Assigned directly: the entry still holds its blob references from before it was trashed
+  fileMetadata[fileId] = entry;
+  store.set('fileMetadata', fileId, entry);
+  scheduleIndexing(fileId);
+  if (entry.scan && entry.scan.status !== 'clean') {
+    queueScan(fileId); // Trashed before its scan finished
+  }
+}
+
+// Permanently deletes a trashed file: its blob is removed once no other file references the same content
+function purgeTrashedFile(fileId) {
+  const entry = trash[fileId];
+  delete trash[fileId];
+  store.remove('trash', fileId);
+  releaseFileContent(entry);
+}
+
+// The name a file is addressed by in URLs ("timestamp-fileId-name")
+function storedFilename(entry) {
+  return path.basename(entry.path);
+}
+
+// Renames a file. The name is part of its URL filename, so share links are moved to the new filename.
+function renameFile(fileId, newName) {
+  const entry = fileMetadata[fileId];
+  const sanitizedName = sanitizeFilename(newName);
+  const uploadedTimestamp = storedFilename(entry).split('-')[0];
+  const filename = `${uploadedTimestamp}-${fileId}-${sanitizedName}`;
+
+  updateFileMetadata(fileId, {
+    name: sanitizedName,
+    originalName: sanitizedName,
+    path: path.join(uploadDir, filename),
+    type: getFileType(filename)
+  });
+  Object.values(shares)
+    .filter(share => share.fileId === fileId)
+    .forEach(share => saveShare({ ...share, filename }));
+  return fileMetadata[fileId];
+}
+
+// User-editable details: tags (stored lowercase), a free-text description and string key/value properties
+const maxFileTags = 20;
+const maxTagLength = 40;
+const maxDescriptionLength = 2000;
+const maxFileProperties = 50;
+const maxPropertyValueLength = 500;
+const propertyKeyPattern = /^[A-Za-z0-9][A-Za-z0-9_.-]{0,63}$/;
+
+// Owners and editors may change a file's details
+function canEditFileDetails(user, entry) {
+  return canManageFile(user, entry) || hasPermission(user, 'files:edit');
+}
+
+// Normalizes the given { tags, description, properties } fields; returns { details } or { error }
+function validateFileDetails({ tags, description, properties }) {
+  const details = {};
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) || tags.some(tag => typeof tag !== 'string')) {
+      return { error: 'Tags must be a list of strings.' };
+    }
+    details.tags = [...new Set(tags.map(tag => tag.trim().replace(/\s+/g, ' ').toLowerCase()).filter(Boolean))];
+    if (details.tags.length > maxFileTags) {
+      return { error: `A file can have at most ${maxFileTags} tags.` };
+    }
+    const invalidTag = details.tags.find(tag => tag.length > maxTagLength || /[,\x00-\x1f]/.test(tag));
+    if (invalidTag) {
+      return { error: `Invalid tag "${invalidTag}": tags are at most ${maxTagLength} characters and cannot contain commas.` };
+    }
+  }
+  if (description !== undefined) {
+    if (typeof description !== 'string' || description.trim().length > maxDescriptionLength) {
+      return { error: `The description must be text of at most ${maxDescriptionLength} characters.` };
+    }
+    details.description = description.trim();
+  }
+  if (properties !== undefined) {
+    if (!properties || typeof properties !== 'object' || Array.isArray(properties)) {
+      return { error: 'Properties must be an object of key/value pairs.' };
+    }
+    const entries = Object.entries(properties);
+    if (entries.length > maxFileProperties) {
+      return { error: `A file can have at most ${maxFileProperties} properties.` };
+    }
+    const invalidKey = entries.find(([key]) => !propertyKeyPattern.test(key));
+    if (invalidKey) {
+      return { error: `Invalid property name "${invalidKey[0]}": use up to 64 letters, digits, _ . or -.` };
+    }
+    const invalidValue = entries.find(([, value]) => !['string', 'number', 'boolean'].includes(typeof value) || String(value).length > maxPropertyValueLength);
+    if (invalidValue) {
+      return { error: `Invalid value for property "${invalidValue[0]}": use text of at most ${maxPropertyValueLength} characters.` };
+    }
+    details.properties = Object.fromEntries(entries.map(([key, value]) => [key, String(value).trim()]));
+  }
+  return { details };
+}
+
+// Tags and how many of the given files carry each, most used first
+function tagUsage(entries) {
+  const counts = {};
+  entries.forEach(entry => (entry.tags || []).forEach(tag => {
+    counts[tag] = (counts[tag] || 0) + 1;
+  }));
+  return Object.entries(counts)
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+// The file a URL filename refers to, or null (a renamed file's old filename no longer refers to it)
+function fileForFilename(filename) {
+  const parsed = parseFilename(filename);
+  const entry = parsed ? fileMetadata[parsed.fileId] : null;
+  return entry && storedFilename(entry) === filename ? entry : null;
+}
+
+// The file that an upload of `name` into `folder` adds a version to, or null if the upload creates a new file
+function findUploadTarget(folder, name, user) {
+  return Object.values(fileMetadata)
+    .filter(entry => entry.originalName === sanitizeFilename(name) && (entry.folder || '') === folder)
+    .filter(entry => canViewFile(user, entry) && (canManageFile(user, entry) || hasPermission(user, 'files:edit')))
+    .sort((a, b) => new Date(b.uploaded) - new Date(a.uploaded))[0] || null;
+}
+
+// Returns why each received file may not be stored because it would add a version to a file under legal hold.
+// If any is refused, all received files are removed, as with rejectedUploads.
+function legalHoldUploadConflicts(files, folder, user) {
+  const conflicts = files.map(file => legalHoldConflict(findUploadTarget(folder, file.originalname, user))).filter(Boolean);
+  if (conflicts.length > 0) {
+    files.forEach(file => fs.unlink(file.path, () => {}));
+  }
+  return conflicts;
+}
+
+// Moves the uploaded bytes at sourcePath into the blob store and adds the file to fileMetadata and the activity log
+async function registerUploadedFile(filename, sourcePath, req, { visibility, folder }) {
+  const parsed = parseFilename(filename);
+  if (!parsed) {
+    fs.rmSync(sourcePath, { force: true });
+    return null;
+  }
+
+  const { hash, size, deduplicated } = await storeBlobFromFile(sourcePath);
+  const { fileId, originalName } = parsed;
+
+  // Uploading a name that already exists in the folder adds a new version of that file
+  const existing = findUploadTarget(folder, originalName, req.user);
+
+  if (existing) {
+    replaceFileContent(existing.id, { hash, size }, req.user, 'upload');
+    logActivity('upload-version', `${originalName} (v${fileMetadata[existing.id].version})`, req, existing.id);
+    return fileMetadata[existing.id];
   }
+
+  addFileEntry(filename, { hash, size }, req.user, { visibility, folder });
+  logActivity(deduplicated ? 'upload-dedup' : 'upload', originalName, req, fileId);
+  return fileMetadata[fileId];
+}
+
+// Adds a new file entry for content that is already in the blob store
+function addFileEntry(filename, { hash, size }, user, { visibility, folder }) {
+  const { fileId, originalName, uploadedTimestamp } = parseFilename(filename);
+  setFileMetadata(fileId, {
+    id: fileId,
+    name: originalName,
+    size,
+    blob: hash,
+    uploaded: new Date(uploadedTimestamp).toISOString(),
+    type: getFileType(filename),
+    path: path.join(uploadDir, filename),
+    originalName: originalName,
+    downloads: 0,
+    lastAccessed: null,
+    lastModified: new Date().toISOString(),
+    owner: user.id,
+    visibility,
+    folder,
+    version: 1,
+    modifiedBy: user.id,
+    lastAction: 'upload',
+    versions: []
+  });
+  return fileMetadata[fileId];
 }
 
 // Function to get metadata from filename
@@ -139,393 +784,5674 @@ function parseFilename(filename) {
   return { uploadedTimestamp, fileId, originalName };
 }
 
-// Schedule a cleanup task (e.g., daily) - DANGER: Implement carefully in production
-// This is a basic example, a more robust solution would involve user confirmation or strict policies
-// setInterval(() => {
-//     console.log('Running scheduled cleanup...');
-//     const cutoffDate = Date.now() - (retentionDays * 24 * 60 * 60 * 1000);
-//     fs.readdir(uploadDir, (err, files) => {
-//         if (err) {
-//             console.error('Cleanup directory read error:', err);
-//             return;
-//         }
-//         files.forEach(file => {
-//             const filePath = path.join(uploadDir, file);
-//             try {
-//                 const stats = fs.statSync(filePath);
-//                 const { uploadedTimestamp } = parseFilename(file);
-//                 if (uploadedTimestamp && uploadedTimestamp < cutoffDate) {
-//                     console.log(`Deleting old file: ${file}`);
-//                     fs.unlinkSync(filePath);
-//                     delete fileMetadata[parseFilename(file).fileId]; // Remove from metadata
-//                     logActivity('cleanup', parseFilename(file).originalName, { ip: 'system' });
-//                 }
-//             } catch (e) {
-//                 console.error(`Cleanup file processing error for ${file}:`, e);
-//             }
-//         });
-//     });
-// }, 24 * 60 * 60 * 1000); // Run once every 24 hours (86400000 ms)
+// Passwords are stored as "scrypt$<salt>$<hash>" so the algorithm can be changed later
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, passwordHash) {
+  const [algorithm, salt, hash] = (passwordHash || '').split('$');
+  if (algorithm !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function findUserByUsername(username) {
+  return Object.values(users).find(user => user.username.toLowerCase() === String(username).toLowerCase()) || null;
+}
+
+function saveUser(user) {
+  users[user.id] = user;
+  store.set('users', user.id, user);
+}
+
+function createUser(username, password, role = 'viewer') {
+  const user = {
+    id: crypto.randomBytes(8).toString('hex'),
+    username,
+    passwordHash: hashPassword(password),
+    role,
+    createdAt: new Date().toISOString(),
+    lastLogin: null
+  };
+  saveUser(user);
+  return user;
+}
+
+// Seed the initial account from ADMIN_USERNAME/ADMIN_PASSWORD in .env (only if it does not exist yet).
+// USERNAME/PASSWORD are still read as a fallback, but USERNAME is often the OS login and dotenv does not override it.
+const initialAdmin = {
+  username: process.env.ADMIN_USERNAME || process.env.USERNAME,
+  password: process.env.ADMIN_PASSWORD || process.env.PASSWORD
+};
+if (initialAdmin.username && initialAdmin.password && !findUserByUsername(initialAdmin.username)) {
+  createUser(initialAdmin.username, initialAdmin.password, 'admin');
+  console.log(`Created initial user account "${initialAdmin.username}" from environment.`);
+}
 
 // ======================
-// Middleware
+// Roles & Permissions
 // ======================
-app.use(express.urlencoded({ extended: true }));
-app.use(express.json());
-// Serve static files from the 'public' directory
-app.use(express.static('public'));
+// Each role includes every permission of the roles listed before it
+const viewerPermissions = ['files:read'];
+const uploaderPermissions = [...viewerPermissions, 'files:upload', 'files:share'];
+const editorPermissions = [...uploaderPermissions, 'files:edit', 'files:delete', 'history:read'];
+const adminPermissions = [...editorPermissions, 'admin'];
 
-// Security middleware - more robust headers
-app.use((req, res, next) => {
-  res.setHeader('X-Content-Type-Options', 'nosniff');
-  res.setHeader('X-Frame-Options', 'DENY');
-  res.setHeader('X-XSS-Protection', '1; mode=block');
-  res.setHeader('Strict-Transport-Security', 'max-age=31536000; includeSubDomains; preload');
-  res.setHeader('Content-Security-Policy', "default-src 'self'; img-src 'self' data:; media-src 'self'; script-src 'self' https://cdn.tailwindcss.com https://cdnjs.cloudflare.com; style-src 'self' https://cdn.tailwindcss.com https://cdnjs.cloudflare.com; font-src 'self' https://cdnjs.cloudflare.com;"); // Example CSP, adjust as needed
-  activeConnections++;
-  res.on('finish', () => {
-    activeConnections--;
-  });
-  next();
+const rolePermissions = {
+  viewer: viewerPermissions,
+  uploader: uploaderPermissions,
+  editor: editorPermissions,
+  admin: adminPermissions
+};
+const roles = Object.keys(rolePermissions);
+
+// Accounts created before roles existed: the seeded account becomes admin, everyone else a viewer
+Object.values(users).filter(user => !rolePermissions[user.role]).forEach(user => {
+  saveUser({ ...user, role: initialAdmin.username && user.username === initialAdmin.username ? 'admin' : 'viewer' });
 });
 
-// Basic authentication middleware (example - use proper auth in production)
-// This is a very simple example and should NOT be used for real authentication.
-// For production, integrate with OAuth, JWT, session management, etc.
-const authenticate = (req, res, next) => {
-  // if (req.headers.authorization === 'Bearer YOUR_SECRET_TOKEN') {
-  //   req.user = { id: 'admin', username: 'admin' }; // Dummy user
-  //   next();
-  // } else {
-  //   res.status(401).send(renderError('Unauthorized: Please provide a valid token.'));
-  // }
-  next(); // For now, allowing all access
-};
-app.use(authenticate); // Apply authentication to all routes (adjust as needed)
+// Requests made with an API token are limited to the permissions of the token's scope as well as the role
+function hasPermission(user, permission) {
+  return Boolean(user && rolePermissions[user.role] && rolePermissions[user.role].includes(permission) &&
+    (!user.token || tokenScopes[user.token.scope].permissions.includes(permission)));
+}
+
+// The subset of a user record that is attached to req.user
+function toRequestUser(user) {
+  return { id: user.id, username: user.username, role: user.role };
+}
+
+// Files without an owner (uploaded before ownership existed) are treated as team files
+function canViewFile(user, entry) {
+  const visibility = entry && entry.visibility ? entry.visibility : 'team';
+  if (visibility === 'public') return true;
+  if (!user) return false;
+  if (hasPermission(user, 'admin') || (entry && entry.owner === user.id)) return true;
+  return visibility === 'team' && hasPermission(user, 'files:read');
+}
+
+// Only the owner (or an admin) may change who can see a file
+function canManageFile(user, entry) {
+  return Boolean(user && entry && (hasPermission(user, 'admin') || (entry.owner && entry.owner === user.id)));
+}
 
 // ======================
-// Routes
+// API Tokens
 // ======================
-app.get('/ping', (req, res) => res.send('pong'));
+// Personal access tokens let scripts authenticate with "Authorization: Bearer <token>".
+// Tokens look like fst_<id>_<secret>; only a SHA-256 hash of the whole token is stored.
+// A scope can only be granted to users whose role has the scope's required permission.
+const tokenScopes = {
+  read: { label: 'Read files and history', requires: 'files:read', permissions: ['files:read', 'history:read'] },
+  write: { label: 'Read, upload, edit, share and delete files', requires: 'files:upload', permissions: [...editorPermissions] },
+  admin: { label: 'Full access, including administration', requires: 'admin', permissions: [...adminPermissions] }
+};
+const tokenLastUsedInterval = 60 * 1000; // Record token use at most once a minute
 
-app.get('/', (req, res) => {
-  fs.readdir(uploadDir, (err, files) => {
-    if (err) {
-      console.error('Directory read error:', err);
-      return res.status(500).send(renderError('Server error: Could not list files.'));
-    }
+function saveApiToken(token) {
+  apiTokens[token.id] = token;
+  store.set('apiTokens', token.id, token);
+}
 
-    const fileList = files.map(file => {
-      try {
-        const filePath = path.join(uploadDir, file);
-        const stats = fs.statSync(filePath);
-        const parsed = parseFilename(file);
+function hashApiToken(rawToken) {
+  return crypto.createHash('sha256').update(rawToken).digest('hex');
+}
 
-        if (!parsed) {
-          console.warn(`Skipping malformed filename: ${file}`);
-          return null;
-        }
+// Returns the token record and the raw token, which is shown to the user once and never stored
+function createApiToken(user, { name, scope, expiresInDays }) {
+  const id = crypto.randomBytes(8).toString('hex');
+  const rawToken = `fst_${id}_${crypto.randomBytes(32).toString('base64url')}`;
+  const token = {
+    id,
+    name,
+    userId: user.id,
+    scope,
+    tokenHash: hashApiToken(rawToken),
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null,
+    lastUsedAt: null,
+    revokedAt: null
+  };
+  saveApiToken(token);
+  return { token, rawToken };
+}
 
-        const { uploadedTimestamp, fileId, originalName } = parsed;
-
-        // Populate fileMetadata if not already present
-        if (!fileMetadata[fileId]) {
-          fileMetadata[fileId] = {
-            id: fileId,
-            name: originalName,
-            size: stats.size,
-            uploaded: new Date(uploadedTimestamp).toISOString(),
-            type: getFileType(file),
-            path: filePath,
-            originalName: originalName,
-            downloads: 0,
-            lastAccessed: null,
-            lastModified: new Date(stats.mtime).toISOString()
-          };
-        } else {
-          // Update stats if already exists (e.g., after an edit)
-          fileMetadata[fileId].size = stats.size;
-          fileMetadata[fileId].lastModified = new Date(stats.mtime).toISOString();
-        }
+function isApiTokenActive(token) {
+  return !token.revokedAt && (!token.expiresAt || new Date(token.expiresAt) > new Date()) && Boolean(users[token.userId]);
+}
 
-        const fileEntry = fileMetadata[fileId];
-
-        return {
-          id: file, // Full filename for operations
-          fileId: fileId, // Unique ID for metadata lookup
-          name: originalName,
-          size: formatBytes(fileEntry.size),
-          uploaded: new Date(fileEntry.uploaded).toLocaleString(),
-          lastModified: new Date(fileEntry.lastModified).toLocaleString(),
-          type: fileEntry.type,
-          icon: getFileIcon(fileEntry.type),
-          downloadUrl: `/download/${file}`,
-          previewUrl: `/preview/${file}`,
-          editUrl: fileEntry.type === 'text' || fileEntry.type === 'code' ? `/edit/${file}` : null,
-          downloads: fileEntry.downloads,
-          lastAccessed: fileEntry.lastAccessed ? new Date(fileEntry.lastAccessed).toLocaleString() : 'Never'
-        };
-      } catch (e) {
-        console.error(`File processing error for ${file}:`, e);
-        return null;
-      }
-    }).filter(file => file !== null).sort((a, b) => new Date(b.uploaded) - new Date(a.uploaded)); // Sort by most recent upload
+// Resolves a raw bearer token to its active token record, or null
+function findApiToken(rawToken) {
+  const match = /^fst_([a-f0-9]{16})_[A-Za-z0-9_-]+$/.exec(rawToken);
+  const token = match && Object.hasOwn(apiTokens, match[1]) ? apiTokens[match[1]] : null;
+  if (!token || !isApiTokenActive(token)) return null;
 
-    res.send(renderDashboard(fileList));
-  });
-});
+  const expected = Buffer.from(token.tokenHash, 'hex');
+  const actual = Buffer.from(hashApiToken(rawToken), 'hex');
+  return crypto.timingSafeEqual(expected, actual) ? token : null;
+}
 
-app.post('/upload', upload.array('files', maxFiles), (req, res) => {
-  if (!req.files || req.files.length === 0) {
-    return res.status(400).send(renderError('No files uploaded. Please select one or more files.'));
-  }
+function allowedTokenScopes(user) {
+  return Object.keys(tokenScopes).filter(scope => hasPermission(user, tokenScopes[scope].requires));
+}
 
-  req.files.forEach(file => {
-    const parsed = parseFilename(file.filename);
-    if (parsed) {
-      const { fileId, originalName, uploadedTimestamp } = parsed;
-      fileMetadata[fileId] = {
-        id: fileId,
-        name: originalName,
-        size: file.size,
-        uploaded: new Date(uploadedTimestamp).toISOString(),
-        type: getFileType(file.filename),
-        path: file.path,
-        originalName: originalName,
-        downloads: 0,
-        lastAccessed: null,
-        lastModified: new Date().toISOString()
-      };
-      logActivity('upload', originalName, req, fileId);
-    }
-  });
+function canManageApiToken(user, token) {
+  return Boolean(user && token && (hasPermission(user, 'admin') || token.userId === user.id));
+}
 
-  res.redirect('/');
-});
+// ======================
+// Storage Drivers
+// ======================
+// Where blob contents live. Uploads are always received into incomingDir first and then handed to the driver.
+// Every driver implements the same interface, keyed by the blob's storage key (its hash, or a random key if encrypted):
+//   has(key)                           -> Promise<boolean>
+//   putFile(key, sourcePath)           -> Promise, moves the local file into storage
+//   putBuffer(key, buffer)             -> Promise
+//   openReadStream(key, { start, end }) -> Promise<Readable>, the range is optional and inclusive
+//   remove(key)                        -> Promise, succeeds if the key does not exist
+const storageDriver = process.env.STORAGE_DRIVER || 'local'; // 'local' (blobDir on disk) or 's3' (an S3-compatible bucket)
+const s3StorageConfig = {
+  endpoint: process.env.STORAGE_S3_ENDPOINT, // e.g. https://s3.eu-west-1.amazonaws.com or http://localhost:9000
+  bucket: process.env.STORAGE_S3_BUCKET,
+  region: process.env.STORAGE_S3_REGION || 'us-east-1',
+  accessKeyId: process.env.STORAGE_S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.STORAGE_S3_SECRET_ACCESS_KEY,
+  prefix: process.env.STORAGE_S3_PREFIX || 'blobs/' // Object keys are <prefix><first two hex chars>/<hash>
+};
 
-app.get('/preview/:filename', (req, res) => {
-  const filePath = path.join(uploadDir, req.params.filename);
-  const parsed = parseFilename(req.params.filename);
+const emptyPayloadHash = crypto.createHash('sha256').update('').digest('hex'); // SHA-256 of an empty body, used in S3 signatures
 
-  if (!parsed || !fs.existsSync(filePath)) {
-    return res.status(404).send(renderError('File not found or invalid filename.'));
+// Moves a file, copying if source and target are on different devices
+function moveFile(sourcePath, targetPath) {
+  try {
+    fs.renameSync(sourcePath, targetPath);
+  } catch (e) {
+    if (e.code !== 'EXDEV') throw e;
+    fs.copyFileSync(sourcePath, targetPath);
+    fs.unlinkSync(sourcePath);
   }
+}
 
-  const { fileId, originalName } = parsed;
-  updateFileMetadata(fileId, { lastAccessed: new Date().toISOString() });
-  logActivity('preview', originalName, req, fileId);
-
-  try {
-    const fileType = getFileType(req.params.filename);
+// Blobs under dir/<first two hex chars>/<hash>
+function createLocalStorageDriver(dir) {
+  const filePath = key => path.join(dir, key.slice(0, 2), key);
 
-    if (fileType === 'image') {
-      return res.send(renderImagePreview(req.params.filename, originalName));
-    } else if (fileType === 'pdf') {
-      return res.send(renderPDFPreview(req.params.filename, originalName));
-    } else if (fileType === 'text' || fileType === 'code') {
-      const content = fs.readFileSync(filePath, 'utf-8');
-      return res.send(renderTextViewer(req.params.filename, originalName, content));
-    } else if (fileType === 'audio') {
-      return res.send(renderAudioPlayer(req.params.filename, originalName));
-    } else if (fileType === 'video') {
-      return res.send(renderVideoPlayer(req.params.filename, originalName));
-    } else {
+  return {
+    description: path.resolve(dir),
+    has: async key => fs.existsSync(filePath(key)),
+    async putFile(key, sourcePath) {
+      fs.mkdirSync(path.dirname(filePath(key)), { recursive: true });
+      moveFile(sourcePath, filePath(key));
+    },
+    async putBuffer(key, buffer) {
+      await fs.promises.mkdir(path.dirname(filePath(key)), { recursive: true });
+      await fs.promises.writeFile(filePath(key), buffer);
+    },
+    openReadStream(key, range = {}) {
+      return new Promise((resolve, reject) => {
+        const stream = fs.createReadStream(filePath(key), range);
+        stream.once('open', () => resolve(stream)).once('error', reject);
+      });
+    },
+    remove: key => fs.promises.rm(filePath(key), { force: true })
+  };
+}
+
+// Blobs as objects in an S3-compatible bucket (AWS S3, MinIO, ...), addressed path-style and signed with
+// Signature Version 4, including the payload hash of every upload.
+function createS3StorageDriver({ endpoint, bucket, region, accessKeyId, secretAccessKey, prefix }) {
+  const base = new URL(endpoint);
+  const transport = base.protocol === 'https:' ? https : http;
+
+  function send(method, key, { payloadHash = emptyPayloadHash, headers = {}, body = null } = {}) {
+    const objectPath = `${base.pathname.replace(/\/$/, '')}/${s3UriEncode(bucket)}/${s3UriEncode(`${prefix}${key.slice(0, 2)}/${key}`, true)}`;
+    const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const scope = `${amzDate.slice(0, 8)}/${region}/s3/aws4_request`;
+    const signedHeaders = { host: base.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+    const names = Object.keys(signedHeaders).sort();
+    const canonicalRequest = [method, objectPath, '', names.map(name => `${name}:${signedHeaders[name]}\n`).join(''), names.join(';'), payloadHash].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, crypto.createHash('sha256').update(canonicalRequest).digest('hex')].join('\n');
+    const signature = crypto.createHmac('sha256', s3SigningKey(secretAccessKey, amzDate.slice(0, 8), region)).update(stringToSign).digest('hex');
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request({
+        protocol: base.protocol,
+        hostname: base.hostname,
+        port: base.port,
+        method,
+        path: objectPath,
+        headers: {
+          ...headers,
+          ...signedHeaders,
+          authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`
+        }
+      }, resolve);
+      request.on('error', reject);
+      if (body && typeof body.pipe === 'function') {
+        body.on('error', err => request.destroy(err)).pipe(request);
+      } else {
+        request.end(body);
+      }
+    });
+  }
+
+  // Resolves with the response if it succeeded; a 404 becomes an ENOENT error like a missing local file
+  async function call(method, key, options) {
+    const response = await send(method, key, options);
+    if (response.statusCode >= 200 && response.statusCode < 300) return response;
+
+    let text = '';
+    response.setEncoding('utf8');
+    for await (const chunk of response) text += chunk;
+    const code = (/<Code>([^<]*)<\/Code>/.exec(text) || [])[1] || `HTTP ${response.statusCode}`;
+    throw Object.assign(new Error(`S3 storage ${method} ${key} failed: ${code}`), { code: response.statusCode === 404 ? 'ENOENT' : code });
+  }
+
+  return {
+    description: `s3://${bucket}/${prefix} at ${base.origin}${base.pathname.replace(/\/$/, '')}`,
+    async has(key) {
+      const response = await send('HEAD', key);
+      response.resume();
+      if (response.statusCode === 404) return false;
+      if (response.statusCode >= 200 && response.statusCode < 300) return true;
+      throw new Error(`S3 storage HEAD ${key} failed: HTTP ${response.statusCode}`);
+    },
+    async putFile(key, sourcePath) {
+      const { size } = await fs.promises.stat(sourcePath);
+      const payloadHash = await hashFile(sourcePath);
+      const response = await call('PUT', key, { payloadHash, headers: { 'content-length': size }, body: fs.createReadStream(sourcePath) });
+      response.resume();
+      await fs.promises.rm(sourcePath, { force: true });
+    },
+    async putBuffer(key, buffer) {
+      const payloadHash = crypto.createHash('sha256').update(buffer).digest('hex');
+      const response = await call('PUT', key, { payloadHash, headers: { 'content-length': buffer.length }, body: buffer });
+      response.resume();
+    },
+    openReadStream(key, { start, end } = {}) {
+      return call('GET', key, start === undefined ? {} : { headers: { range: `bytes=${start}-${end}` } });
+    },
+    async remove(key) {
+      try {
+        (await call('DELETE', key)).resume();
+      } catch (e) {
+        if (e.code !== 'ENOENT') throw e;
+      }
+    }
+  };
+}
+
+const storageDrivers = {
+  local: () => createLocalStorageDriver(blobDir),
+  s3: () => {
+    const missing = ['endpoint', 'bucket', 'accessKeyId', 'secretAccessKey'].filter(name => !s3StorageConfig[name]);
+    if (missing.length) {
+      throw new Error(`The s3 storage driver needs STORAGE_S3_ENDPOINT, STORAGE_S3_BUCKET, STORAGE_S3_ACCESS_KEY_ID and STORAGE_S3_SECRET_ACCESS_KEY (missing: ${missing.join(', ')})`);
+    }
+    return createS3StorageDriver(s3StorageConfig);
+  }
+};
+
+if (!storageDrivers[storageDriver]) {
+  throw new Error(`Unknown STORAGE_DRIVER "${storageDriver}" (expected one of: ${Object.keys(storageDrivers).join(', ')})`);
+}
+const blobStorage = storageDrivers[storageDriver]();
+
+// ======================
+// Encryption at Rest
+// ======================
+// Optional: set ENCRYPTION_KEY to a base64-encoded 32-byte master key (e.g. `openssl rand -base64 32`).
+// Every new blob is then encrypted with its own random data key, which is stored wrapped (AES-256-GCM)
+// by the master key in the blob's record, and the blob is stored under a random storage key instead of its hash.
+// Content is encrypted in segments of encryptionSegmentSize bytes, each with its own GCM tag, so ranges can be
+// read without decrypting the whole file. The nonce holds the segment index and a final-segment flag, so
+// reordered or truncated segments fail authentication.
+// To rotate: set the new key as ENCRYPTION_KEY, move the old one to ENCRYPTION_OLD_KEYS (comma-separated),
+// stop the server and run `npm run rotate-keys`. Only the data keys are re-wrapped; the contents are untouched.
+// Blobs stored before encryption was enabled stay readable as they are.
+const encryptionSegmentSize = 64 * 1024;
+const gcmTagLength = 16;
+const encryptionKeys = new Map(); // keyId -> 32-byte master key; keyId is a fingerprint, so it never reveals the key
+
+function addEncryptionKey(encoded, variable) {
+  const key = Buffer.from(encoded.trim(), 'base64');
+  if (key.length !== 32) {
+    throw new Error(`${variable} must be a base64-encoded 32-byte key (generate one with: openssl rand -base64 32)`);
+  }
+  const keyId = crypto.createHash('sha256').update(key).digest('hex').slice(0, 16);
+  encryptionKeys.set(keyId, key);
+  return keyId;
+}
+
+const currentEncryptionKeyId = process.env.ENCRYPTION_KEY ? addEncryptionKey(process.env.ENCRYPTION_KEY, 'ENCRYPTION_KEY') : null;
+(process.env.ENCRYPTION_OLD_KEYS || '').split(',').filter(key => key.trim()).forEach(key => addEncryptionKey(key, 'ENCRYPTION_OLD_KEYS'));
+
+function wrapDataKey(dataKey) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKeys.get(currentEncryptionKeyId), iv);
+  const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+  return { keyId: currentEncryptionKeyId, wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), wrapped]).toString('base64') };
+}
+
+function unwrapDataKey({ keyId, wrappedKey }) {
+  const masterKey = encryptionKeys.get(keyId);
+  if (!masterKey) {
+    throw new Error(`Encryption key ${keyId} is not configured; add it to ENCRYPTION_OLD_KEYS`);
+  }
+  const raw = Buffer.from(wrappedKey, 'base64');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, raw.subarray(0, 12));
+  decipher.setAuthTag(raw.subarray(12, 12 + gcmTagLength));
+  return Buffer.concat([decipher.update(raw.subarray(12 + gcmTagLength)), decipher.final()]);
+}
+
+// A fresh data key and nonce prefix for a new blob: { dataKey, encryption } where encryption is stored in the blob record
+function createBlobEncryption() {
+  const dataKey = crypto.randomBytes(32);
+  return {
+    dataKey,
+    encryption: { algorithm: 'aes-256-gcm', segmentSize: encryptionSegmentSize, noncePrefix: crypto.randomBytes(7).toString('base64'), ...wrapDataKey(dataKey) }
+  };
+}
+
+// 12-byte nonce: 7-byte per-blob prefix, 4-byte segment index, 1-byte final-segment flag
+function segmentNonce(noncePrefix, index, final) {
+  const nonce = Buffer.alloc(12);
+  Buffer.from(noncePrefix, 'base64').copy(nonce, 0);
+  nonce.writeUInt32BE(index, 7);
+  nonce[11] = final ? 1 : 0;
+  return nonce;
+}
+
+function encryptSegment(dataKey, encryption, index, final, plaintext) {
+  const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, segmentNonce(encryption.noncePrefix, index, final));
+  return Buffer.concat([cipher.update(plaintext), cipher.final(), cipher.getAuthTag()]);
+}
+
+function decryptSegment(dataKey, encryption, index, final, segment) {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, segmentNonce(encryption.noncePrefix, index, final));
+  decipher.setAuthTag(segment.subarray(segment.length - gcmTagLength));
+  return Buffer.concat([decipher.update(segment.subarray(0, segment.length - gcmTagLength)), decipher.final()]);
+}
+
+// Every segment but the last is full, so a segment is only written once more data (or the end) follows
+function createEncryptStream(dataKey, encryption) {
+  let buffered = Buffer.alloc(0);
+  let index = 0;
+  return new Transform({
+    transform(data, encoding, callback) {
+      buffered = Buffer.concat([buffered, data]);
+      while (buffered.length > encryption.segmentSize) {
+        this.push(encryptSegment(dataKey, encryption, index++, false, buffered.subarray(0, encryption.segmentSize)));
+        buffered = buffered.subarray(encryption.segmentSize);
+      }
+      callback();
+    },
+    flush(callback) {
+      this.push(encryptSegment(dataKey, encryption, index, true, buffered));
+      callback();
+    }
+  });
+}
+
+function encryptBuffer(dataKey, encryption, buffer) {
+  const segments = [];
+  for (let offset = 0, index = 0; offset < buffer.length || index === 0; offset += encryption.segmentSize, index++) {
+    const final = offset + encryption.segmentSize >= buffer.length;
+    segments.push(encryptSegment(dataKey, encryption, index, final, buffer.subarray(offset, offset + encryption.segmentSize)));
+    if (final) break;
+  }
+  return Buffer.concat(segments);
+}
+
+// Reads the plaintext bytes start..end (inclusive) of an encrypted blob: fetches only the segments that
+// cover the range, decrypts them and trims the first and last one
+async function openDecryptedStream(blob, range) {
+  const { size, encryption } = blob;
+  const dataKey = unwrapDataKey(encryption);
+  const segmentSize = encryption.segmentSize;
+  const storedSegmentSize = segmentSize + gcmTagLength;
+  const finalIndex = Math.max(0, Math.ceil(size / segmentSize) - 1);
+  const start = range ? range.start : 0;
+  const end = range ? range.end : size - 1;
+  const firstIndex = Math.floor(start / segmentSize);
+  const lastIndex = size ? Math.floor(end / segmentSize) : 0;
+
+  const source = await blobStorage.openReadStream(blob.storageKey, {
+    start: firstIndex * storedSegmentSize,
+    end: Math.min((lastIndex + 1) * storedSegmentSize, size + (finalIndex + 1) * gcmTagLength) - 1
+  });
+
+  let buffered = Buffer.alloc(0);
+  let index = firstIndex;
+  let skip = start - firstIndex * segmentSize;
+  let remaining = end - start + 1;
+  const emit = (stream, segment) => {
+    let plaintext = decryptSegment(dataKey, encryption, index, index === finalIndex, segment);
+    plaintext = plaintext.subarray(skip, skip + remaining);
+    skip = 0;
+    remaining -= plaintext.length;
+    index++;
+    if (plaintext.length) stream.push(plaintext);
+  };
+  const decrypt = new Transform({
+    transform(data, encoding, callback) {
+      buffered = Buffer.concat([buffered, data]);
+      try {
+        while (buffered.length >= storedSegmentSize && index < finalIndex) {
+          emit(this, buffered.subarray(0, storedSegmentSize));
+          buffered = buffered.subarray(storedSegmentSize);
+        }
+      } catch (e) {
+        return callback(new Error(`Could not decrypt blob ${blob.hash}: it is corrupt or was tampered with`));
+      }
+      callback();
+    },
+    flush(callback) {
+      try {
+        if (index <= lastIndex) emit(this, buffered);
+      } catch (e) {
+        return callback(new Error(`Could not decrypt blob ${blob.hash}: it is corrupt or was tampered with`));
+      }
+      callback(remaining > 0 ? new Error(`Encrypted blob ${blob.hash} is truncated`) : null);
+    }
+  });
+  return pipeline(source, decrypt, () => {});
+}
+
+// Re-wraps every data key that is not wrapped by the current master key; the encrypted contents are untouched
+function rotateEncryptionKeys() {
+  const result = { rewrapped: 0, failed: 0 };
+  Object.values(blobs)
+    .filter(blob => blob.encryption && blob.encryption.keyId !== currentEncryptionKeyId)
+    .forEach(blob => {
+      try {
+        saveBlob({ ...blob, encryption: { ...blob.encryption, ...wrapDataKey(unwrapDataKey(blob.encryption)) } });
+        result.rewrapped++;
+      } catch (e) {
+        console.error(`Could not re-wrap the data key of blob ${blob.hash}:`, e.message);
+        result.failed++;
+      }
+    });
+  return result;
+}
+
+const missingKeyIds = new Set(Object.values(blobs)
+  .filter(blob => blob.encryption && !encryptionKeys.has(blob.encryption.keyId))
+  .map(blob => blob.encryption.keyId));
+if (missingKeyIds.size) {
+  console.warn(`Some files are encrypted with keys that are not configured (${[...missingKeyIds].join(', ')}); add them to ENCRYPTION_OLD_KEYS to read those files.`);
+}
+
+function encryptionStatus() {
+  const all = Object.values(blobs);
+  return {
+    enabled: Boolean(currentEncryptionKeyId),
+    keyId: currentEncryptionKeyId,
+    encrypted: all.filter(blob => blob.encryption).length,
+    unencrypted: all.filter(blob => !blob.encryption).length,
+    staleKeys: all.filter(blob => blob.encryption && blob.encryption.keyId !== currentEncryptionKeyId).length
+  };
+}
+
+// ======================
+// Blob Store
+// ======================
+// File contents are stored once per SHA-256 hash through the storage driver (encrypted if ENCRYPTION_KEY is set).
+// fileMetadata entries point at a blob and `refs` counts how many entries do; the bytes
+// are deleted when the last reference is released.
+
+function hashFile(filePath) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+function saveBlob(blob) {
+  blobs[blob.hash] = blob;
+  store.set('blobs', blob.hash, blob);
+}
+
+// Whether the content is already stored. Encrypted blobs are only found through their record.
+async function isBlobStored(hash) {
+  return Boolean(blobs[hash]) || (!currentEncryptionKeyId && blobStorage.has(hash));
+}
+
+// Moves the file at sourcePath into the blob store (or drops it if the content is already stored)
+async function storeBlobFromFile(sourcePath) {
+  const hash = await hashFile(sourcePath);
+  const size = fs.statSync(sourcePath).size;
+  const deduplicated = await isBlobStored(hash);
+
+  if (deduplicated) {
+    fs.unlinkSync(sourcePath);
+  } else if (currentEncryptionKeyId) {
+    const { dataKey, encryption } = createBlobEncryption();
+    const storageKey = crypto.randomBytes(32).toString('hex');
+    const encryptedPath = `${sourcePath}.enc`;
+    await new Promise((resolve, reject) => {
+      pipeline(fs.createReadStream(sourcePath), createEncryptStream(dataKey, encryption), fs.createWriteStream(encryptedPath), err => (err ? reject(err) : resolve()));
+    }).finally(() => fs.rmSync(sourcePath, { force: true }));
+    await blobStorage.putFile(storageKey, encryptedPath);
+    // The same content may have been stored while this copy was encrypted. Its record may already be referenced,
+    // so it is kept and this ciphertext dropped instead of overwriting the reference count.
+    if (blobs[hash]) {
+      await blobStorage.remove(storageKey);
+      return { hash, size, deduplicated: true };
+    }
+    // Recorded before any file references it, so retainBlob keeps the key
+    saveBlob({ hash, size, refs: 0, createdAt: new Date().toISOString(), storageKey, encryption });
+  } else {
+    await blobStorage.putFile(hash, sourcePath);
+  }
+  return { hash, size, deduplicated };
+}
+
+async function storeBlobFromBuffer(buffer) {
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex');
+  if (await isBlobStored(hash)) {
+    return { hash, size: buffer.length };
+  }
+
+  if (currentEncryptionKeyId) {
+    const { dataKey, encryption } = createBlobEncryption();
+    const storageKey = crypto.randomBytes(32).toString('hex');
+    await blobStorage.putBuffer(storageKey, encryptBuffer(dataKey, encryption, buffer));
+    if (blobs[hash]) {
+      await blobStorage.remove(storageKey); // Stored concurrently, see storeBlobFromFile
+      return { hash, size: buffer.length };
+    }
+    saveBlob({ hash, size: buffer.length, refs: 0, createdAt: new Date().toISOString(), storageKey, encryption });
+  } else {
+    await blobStorage.putBuffer(hash, buffer);
+  }
+  return { hash, size: buffer.length };
+}
+
+function retainBlob(hash, size) {
+  const blob = blobs[hash] || { hash, size, refs: 0, createdAt: new Date().toISOString() };
+  saveBlob({ ...blob, refs: blob.refs + 1 });
+}
+
+function releaseBlob(hash) {
+  const blob = blobs[hash];
+  if (!blob) return;
+
+  if (blob.refs > 1) {
+    saveBlob({ ...blob, refs: blob.refs - 1 });
+  } else {
+    delete blobs[hash];
+    store.remove('blobs', hash);
+    blobStorage.remove(blob.storageKey || hash).catch(err => console.error(`Error deleting blob ${hash}:`, err));
+    removeThumbnails(hash);
+  }
+}
+
+// Logical bytes are what users uploaded; physical bytes are what the blob store actually holds
+function storageUsage() {
+  const logical = Object.values(fileMetadata).reduce((sum, f) => sum + f.size, 0);
+  const trashed = Object.values(trash).reduce((sum, f) => sum + f.size, 0);
+  const quarantined = Object.values(quarantine).reduce((sum, f) => sum + f.size, 0);
+  const physical = Object.values(blobs).reduce((sum, b) => sum + b.size, 0);
+  return { logical, trashed, quarantined, physical, saved: Math.max(0, logical + trashed + quarantined - physical) };
+}
+
+// Opens the (decrypted) content of a file entry or version; legacy entries without a blob are read from uploadDir
+function openContentStream(content, range) {
+  const blob = content.blob ? blobs[content.blob] : null;
+  if (blob && blob.encryption) return openDecryptedStream(blob, range);
+  if (content.blob) return blobStorage.openReadStream(content.blob, range);
+  return new Promise((resolve, reject) => {
+    const stream = fs.createReadStream(content.path, range);
+    stream.once('open', () => resolve(stream)).once('error', reject);
+  });
+}
+
+// The first bytes of stored content, for sniffing its kind
+async function readContentHead(content) {
+  if (content.size === 0) return Buffer.alloc(0);
+  const chunks = [];
+  for await (const chunk of await openContentStream(content, { start: 0, end: Math.min(content.size, sniffLength) - 1 })) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+async function readFileContent(content) {
+  const chunks = [];
+  for await (const chunk of await openContentStream(content)) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+// Whether an If-Range validator still matches: a strong ETag, or the exact Last-Modified date
+function ifRangeMatches(req, res) {
+  const validator = req.get('If-Range');
+  if (!validator) return true;
+  if (/^(W\/)?"/.test(validator)) return validator === res.get('ETag');
+  return Date.parse(validator) === Date.parse(res.get('Last-Modified'));
+}
+
+// Streams one byte range of each part after its multipart/byteranges header, then the closing boundary
+async function sendByteRangeParts(res, content, parts, trailer) {
+  try {
+    for (const { range, header } of parts) {
+      if (res.destroyed) return;
+      res.write(header);
+      const stream = await openContentStream(content, range);
+      await new Promise((resolve, reject) => {
+        const abort = () => stream.destroy();
+        res.once('close', abort);
+        stream.once('error', reject).once('close', () => {
+          res.off('close', abort);
+          resolve();
+        });
+        stream.pipe(res, { end: false });
+      });
+    }
+    if (!res.destroyed) res.end(trailer);
+  } catch (err) {
+    // The status line is already out, so a truncated body is the only way to report the failure
+    res.destroy();
+    throw err;
+  }
+}
+
+// The only types shown in the browser. Anything else (HTML, scripts, documents) is sent as an attachment wherever
+// content is served inline, so an uploaded page can never run on the app's own origin.
+const inlineFileTypes = ['image', 'audio', 'video', 'pdf'];
+
+function canServeInline(name) {
+  return inlineFileTypes.includes(getFileType(name));
+}
+
+// Streams a file entry or version to the response as `name`, with a strong ETag (the content hash), conditional
+// requests (If-None-Match, If-Modified-Since, If-Range) and byte ranges, several at once as multipart/byteranges.
+// onDownload runs when a download starts - a full response or a range from byte 0 - and not for the follow-up
+// ranges of seeking media players and resumed downloads, nor for HEAD and 304 responses.
+async function sendFileContent(req, res, content, { name, attachment = false, onDownload = null }) {
+  res.type(name).set({
+    'Accept-Ranges': 'bytes',
+    'Last-Modified': new Date(content.lastModified || content.savedAt || content.uploaded).toUTCString()
+  });
+  if (content.blob) res.set('ETag', `"${content.blob}"`);
+  if (attachment) res.attachment(name);
+
+  // req.fresh compares If-None-Match and If-Modified-Since against the ETag and Last-Modified just set
+  if (req.fresh) return res.status(304).end();
+
+  const ranges = ifRangeMatches(req, res) ? parseByteRanges(req.get('Range'), content.size) : null;
+  if (ranges === false) {
+    return res.status(416).set('Content-Range', `bytes */${content.size}`).end();
+  }
+
+  if (!ranges || ranges.length === 1) {
+    const range = ranges && ranges[0];
+    const stream = req.method === 'HEAD' ? null : await openContentStream(content, range || undefined);
+    res.status(range ? 206 : 200).set('Content-Length', String(range ? range.end - range.start + 1 : content.size));
+    if (range) res.set('Content-Range', `bytes ${range.start}-${range.end}/${content.size}`);
+    if (!stream) return res.end();
+
+    if (onDownload && (!range || range.start === 0)) onDownload();
+    return pipeline(stream, res, err => {
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error(`Error sending ${name}:`, err);
+    });
+  }
+
+  const boundary = crypto.randomBytes(16).toString('hex');
+  const parts = ranges.map(range => ({
+    range,
+    header: `\r\n--${boundary}\r\nContent-Type: ${res.get('Content-Type')}\r\nContent-Range: bytes ${range.start}-${range.end}/${content.size}\r\n\r\n`
+  }));
+  const trailer = `\r\n--${boundary}--\r\n`;
+  const length = parts.reduce((sum, { range, header }) => sum + Buffer.byteLength(header) + range.end - range.start + 1, Buffer.byteLength(trailer));
+  res.status(206).set({ 'Content-Type': `multipart/byteranges; boundary=${boundary}`, 'Content-Length': String(length) });
+  if (req.method === 'HEAD') return res.end();
+
+  if (onDownload && ranges[0].start === 0) onDownload();
+  await sendByteRangeParts(res, content, parts, trailer);
+}
+
+// Moves files stored flat in uploadDir by earlier versions into the blob store
+async function migrateLegacyFiles() {
+  const legacyFiles = fs.readdirSync(uploadDir).filter(file => {
+    const filePath = path.join(uploadDir, file);
+    return parseFilename(file) && fs.statSync(filePath).isFile();
+  });
+
+  for (const file of legacyFiles) {
+    const filePath = path.join(uploadDir, file);
+    const { uploadedTimestamp, fileId, originalName } = parseFilename(file);
+    try {
       const stats = fs.statSync(filePath);
-      return res.send(renderDefaultPreview(req.params.filename, originalName, stats.size, fileType));
+      const { hash, size } = await storeBlobFromFile(filePath);
+      setFileMetadata(fileId, {
+        id: fileId,
+        name: originalName,
+        uploaded: new Date(uploadedTimestamp).toISOString(),
+        type: getFileType(file),
+        path: filePath,
+        originalName: originalName,
+        downloads: 0,
+        lastAccessed: null,
+        owner: null,
+        visibility: 'team',
+        folder: '',
+        ...fileMetadata[fileId],
+        lastModified: new Date(stats.mtime).toISOString(),
+        size,
+        blob: hash
+      });
+      console.log(`Moved ${file} into the blob store`);
+    } catch (e) {
+      console.error(`Blob migration error for ${file}:`, e);
+    }
+  }
+}
+
+migrateLegacyFiles().catch(e => console.error('Blob migration failed:', e));
+
+// ======================
+// Versions
+// ======================
+// Saves, re-uploads and restores never overwrite content: the replaced content is archived in
+// entry.versions (newest first) and keeps its own blob reference until the version is pruned.
+const maxVersionsPerFile = 50;
+const maxDiffBytes = 1024 * 1024; // Only diff versions up to 1MB
+const maxDiffCells = 4 * 1000 * 1000; // Upper bound for the changed-lines LCS table
+
+// A file under legal hold keeps its content: saves, uploads of the same name and restores are refused until the
+// hold is released. Returns the reason a change is refused, or null.
+function legalHoldConflict(entry) {
+  return entry && entry.legalHold ? `${entry.originalName} is under legal hold and cannot be changed.` : null;
+}
+
+function replaceFileContent(fileId, { hash, size }, user, action) {
+  const entry = fileMetadata[fileId];
+  const now = new Date().toISOString();
+
+  if (entry.blob === hash) {
+    // Same content as the current version: nothing to archive
+    updateFileMetadata(fileId, { lastModified: now });
+    return;
+  }
+
+  let versions = entry.versions || [];
+  if (entry.blob) {
+    const archived = {
+      version: entry.version || 1,
+      blob: entry.blob,
+      size: entry.size,
+      savedAt: entry.lastModified || entry.uploaded,
+      savedBy: entry.modifiedBy || entry.owner || null,
+      action: entry.lastAction || 'upload'
+    };
+    retainBlob(archived.blob, archived.size);
+    versions = [archived, ...versions];
+    // Held files keep every version, however many there are
+    if (!entry.legalHold) {
+      versions.slice(maxVersionsPerFile).forEach(version => releaseBlob(version.blob));
+      versions = versions.slice(0, maxVersionsPerFile);
+    }
+  }
+
+  updateFileMetadata(fileId, {
+    blob: hash,
+    size,
+    version: (entry.version || 1) + 1,
+    versions,
+    lastModified: now,
+    modifiedBy: user ? user.id : null,
+    lastAction: action
+  });
+}
+
+// All versions of a file, current first, in the same shape as archived versions
+function listFileVersions(entry) {
+  const current = {
+    version: entry.version || 1,
+    blob: entry.blob,
+    size: entry.size,
+    savedAt: entry.lastModified || entry.uploaded,
+    savedBy: entry.modifiedBy || entry.owner || null,
+    action: entry.lastAction || 'upload',
+    current: true
+  };
+  return [current, ...(entry.versions || [])];
+}
+
+function findFileVersion(entry, versionNumber) {
+  return listFileVersions(entry).find(version => version.version === versionNumber) || null;
+}
+
+// Line-based diff: returns [{ type: 'equal' | 'add' | 'remove', text }], or null if the change is too large
+function diffLines(oldText, newText) {
+  const a = oldText.split('\n');
+  const b = newText.split('\n');
+
+  // The common prefix and suffix are unchanged; only the middle needs the LCS table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  if ((midA.length + 1) * (midB.length + 1) > maxDiffCells) return null;
+
+  const cols = midB.length + 1;
+  const lcs = new Uint32Array((midA.length + 1) * cols);
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lcs[i * cols + j] = midA[i] === midB[j]
+        ? lcs[(i + 1) * cols + j + 1] + 1
+        : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+    }
+  }
+
+  const ops = a.slice(0, start).map(text => ({ type: 'equal', text }));
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      ops.push({ type: 'equal', text: midA[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+      ops.push({ type: 'remove', text: midA[i++] });
+    } else {
+      ops.push({ type: 'add', text: midB[j++] });
+    }
+  }
+  while (i < midA.length) ops.push({ type: 'remove', text: midA[i++] });
+  while (j < midB.length) ops.push({ type: 'add', text: midB[j++] });
+  a.slice(endA).forEach(text => ops.push({ type: 'equal', text }));
+
+  return ops;
+}
+
+// ======================
+// Folders
+// ======================
+// Folders are virtual: a file's folder is stored in its metadata ('' is the root) and the bytes stay
+// in the blob store, so folder names never reach the filesystem. Paths are still normalized strictly.
+const maxFolderDepth = 20;
+
+// Returns the normalized "a/b/c" form of a folder path, or null if it is invalid
+function normalizeFolderPath(input) {
+  if (input === undefined || input === null) return '';
+  const segments = String(input).split('/').filter(segment => segment !== '');
+  if (segments.length > maxFolderDepth) return null;
+  const valid = segments.every(segment =>
+    segment !== '.' && segment !== '..' && segment.length <= 100 && !/[\\:*?"<>|\x00-\x1f]/.test(segment)
+  );
+  return valid ? segments.join('/') : null;
+}
+
+function folderExists(folderPath) {
+  return folderPath === '' || Boolean(folders[folderPath]);
+}
+
+function parentFolder(folderPath) {
+  return folderPath.includes('/') ? folderPath.slice(0, folderPath.lastIndexOf('/')) : '';
+}
+
+function isInFolder(folderPath, ancestor) {
+  return folderPath === ancestor || folderPath.startsWith(`${ancestor}/`);
+}
+
+// Creates the folder and any missing parents
+function createFolder(folderPath, user) {
+  const segments = folderPath.split('/');
+  segments.forEach((segment, index) => {
+    const current = segments.slice(0, index + 1).join('/');
+    if (!folders[current]) {
+      folders[current] = { path: current, createdBy: user.id, createdAt: new Date().toISOString() };
+      store.set('folders', current, folders[current]);
+    }
+  });
+}
+
+function listSubfolders(folderPath) {
+  return Object.keys(folders)
+    .filter(candidate => candidate !== folderPath && parentFolder(candidate) === folderPath)
+    .sort((a, b) => a.localeCompare(b));
+}
+
+function filesInFolder(folderPath, recursive = false) {
+  return Object.values(fileMetadata).filter(entry =>
+    recursive ? folderPath === '' || isInFolder(entry.folder || '', folderPath) : (entry.folder || '') === folderPath
+  );
+}
+
+// The newest visible file with this (sanitized) name in the folder, like re-uploads in registerUploadedFile
+function findFileInFolder(folder, name, user) {
+  return Object.values(fileMetadata)
+    .filter(entry => (entry.folder || '') === folder && entry.originalName === sanitizeFilename(name) && canViewFile(user, entry))
+    .sort((a, b) => new Date(b.uploaded) - new Date(a.uploaded))[0] || null;
+}
+
+// Moves a folder, its subfolders and all files inside them to a new path
+function renameFolder(fromPath, toPath) {
+  Object.keys(folders).filter(candidate => isInFolder(candidate, fromPath)).forEach(candidate => {
+    const renamed = toPath + candidate.slice(fromPath.length);
+    folders[renamed] = { ...folders[candidate], path: renamed };
+    store.set('folders', renamed, folders[renamed]);
+    delete folders[candidate];
+    store.remove('folders', candidate);
+  });
+  filesInFolder(fromPath, true).forEach(entry => {
+    updateFileMetadata(entry.id, { folder: toPath + (entry.folder || '').slice(fromPath.length) });
+  });
+  // Trashed files follow the rename so they are restored into the renamed folder
+  Object.values(trash).filter(entry => isInFolder(entry.folder || '', fromPath)).forEach(entry => {
+    trash[entry.id] = { ...entry, folder: toPath + entry.folder.slice(fromPath.length) };
+    store.set('trash', entry.id, trash[entry.id]);
+  });
+}
+
+function deleteFolder(folderPath) {
+  delete folders[folderPath];
+  store.remove('folders', folderPath);
+}
+
+// Sets the folder's upload rules (see Upload Validation); empty lists remove them
+function setFolderUploadRules(folderPath, { allow, deny }) {
+  const { uploadRules, ...folder } = folders[folderPath];
+  folders[folderPath] = allow.length || deny.length ? { ...folder, uploadRules: { allow, deny } } : folder;
+  store.set('folders', folderPath, folders[folderPath]);
+}
+
+// Dashboard URL for a folder
+function folderUrl(folderPath) {
+  return folderPath ? `/?folder=${encodeURIComponent(folderPath)}` : '/';
+}
+
+// ======================
+// ZIP Archives
+// ======================
+// Archives are streamed as they are written: each entry is deflated straight from the blob store, its CRC and
+// sizes follow the data in a data descriptor, and the central directory comes after the last entry. Without
+// ZIP64 extensions an archive holds at most 65535 entries and 4 GiB; the content limit leaves room for overhead.
+const maxZipEntries = 0xffff;
+const maxZipContentSize = 2 * 1024 * 1024 * 1024;
+// Already compressed types are stored in deflate's uncompressed blocks instead of being compressed again
+const storedZipTypes = ['image', 'audio', 'video', 'archive'];
+
+const crc32Table = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buffer, crc = 0) {
+  let c = crc ^ 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) c = crc32Table[(c ^ buffer[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// MS-DOS date and time fields, in server local time, as unzip tools expect
+function zipDateTime(value) {
+  const date = new Date(value);
+  const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+// Makes archive paths unique (case-insensitively, for Windows and macOS) by numbering repeats: "a.txt", "a (2).txt"
+function uniqueZipNames(names) {
+  const taken = new Set();
+  return names.map(name => {
+    const ext = path.extname(name);
+    const base = name.slice(0, name.length - ext.length);
+    let candidate = name;
+    for (let n = 2; taken.has(candidate.toLowerCase()); n++) candidate = `${base} (${n})${ext}`;
+    taken.add(candidate.toLowerCase());
+    return candidate;
+  });
+}
+
+function responseClosedError() {
+  return Object.assign(new Error('Client closed the connection'), { code: 'ERR_STREAM_PREMATURE_CLOSE' });
+}
+
+// Writes to the response, waiting while its buffer is full; rejects if the client goes away meanwhile
+function writeToResponse(res, chunk) {
+  if (res.destroyed) return Promise.reject(responseClosedError());
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      res.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      res.off('drain', onDrain);
+      reject(responseClosedError());
+    };
+    res.once('drain', onDrain).once('close', onClose);
+  });
+}
+
+function zipLocalHeader(name, modified) {
+  const header = Buffer.alloc(30);
+  header.writeUInt32LE(0x04034b50, 0);
+  header.writeUInt16LE(20, 4); // version needed: deflate
+  header.writeUInt16LE(0x0808, 6); // UTF-8 name, CRC and sizes in the data descriptor
+  header.writeUInt16LE(8, 8); // deflate
+  header.writeUInt16LE(modified.time, 10);
+  header.writeUInt16LE(modified.date, 12);
+  header.writeUInt16LE(name.length, 26);
+  return Buffer.concat([header, name]);
+}
+
+function zipDataDescriptor({ crc, compressedSize, size }) {
+  const descriptor = Buffer.alloc(16);
+  descriptor.writeUInt32LE(0x08074b50, 0);
+  descriptor.writeUInt32LE(crc, 4);
+  descriptor.writeUInt32LE(compressedSize, 8);
+  descriptor.writeUInt32LE(size, 12);
+  return descriptor;
+}
+
+function zipCentralDirectory(records, offset) {
+  const headers = records.map(record => {
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(20, 4); // made by
+    header.writeUInt16LE(20, 6); // needed
+    header.writeUInt16LE(0x0808, 8);
+    header.writeUInt16LE(8, 10);
+    header.writeUInt16LE(record.modified.time, 12);
+    header.writeUInt16LE(record.modified.date, 14);
+    header.writeUInt32LE(record.crc, 16);
+    header.writeUInt32LE(record.compressedSize, 20);
+    header.writeUInt32LE(record.size, 24);
+    header.writeUInt16LE(record.name.length, 28);
+    header.writeUInt32LE(record.offset, 42);
+    return Buffer.concat([header, record.name]);
+  });
+  const directory = Buffer.concat(headers);
+
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(records.length, 8);
+  end.writeUInt16LE(records.length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([directory, end]);
+}
+
+// Streams a ZIP of [{ name, content, modified }] to the response. onEntry runs as each entry starts.
+// Failures after the first byte can only be reported by cutting the response short.
+async function sendZipArchive(res, entries, onEntry) {
+  const records = [];
+  let offset = 0;
+
+  try {
+    for (const entry of entries) {
+      const name = Buffer.from(entry.name, 'utf8');
+      const modified = zipDateTime(entry.modified);
+      const header = zipLocalHeader(name, modified);
+      const record = { name, modified, offset, crc: 0, size: 0, compressedSize: 0 };
+
+      const source = await openContentStream(entry.content);
+      const deflate = zlib.createDeflateRaw({ level: storedZipTypes.includes(getFileType(entry.name)) ? 0 : zlib.constants.Z_DEFAULT_COMPRESSION });
+      try {
+        await writeToResponse(res, header);
+        onEntry(entry);
+        source.on('data', chunk => {
+          record.crc = crc32(chunk, record.crc);
+          record.size += chunk.length;
+        });
+        source.once('error', err => deflate.destroy(err));
+        source.pipe(deflate);
+        for await (const chunk of deflate) {
+          record.compressedSize += chunk.length;
+          await writeToResponse(res, chunk);
+        }
+      } finally {
+        source.destroy();
+      }
+
+      await writeToResponse(res, zipDataDescriptor(record));
+      offset += header.length + record.compressedSize + 16;
+      records.push(record);
+    }
+    res.end(zipCentralDirectory(records, offset));
+  } catch (err) {
+    if (res.headersSent) res.destroy();
+    throw err;
+  }
+}
+
+// ======================
+// Search
+// ======================
+// An in-memory inverted index over file names, details and extracted text. It is built in the background at startup
+// and kept current by setFileMetadata, trashFile and restoreTrashedFile. Text comes from text and code files and
+// from PDFs whose page text is stored uncompressed or Flate-compressed; other files are found by name and tags.
+const maxIndexedFileSize = 20 * 1024 * 1024;
+const maxIndexedTextLength = 1024 * 1024;
+const searchableFields = ['blob', 'originalName', 'tags', 'description', 'properties'];
+const searchFieldWeights = { name: 5, tags: 3, details: 2, content: 1 };
+const searchSnippetLength = 160;
+const searchDocuments = new Map(); // fileId -> { blob, text, terms: Map of term -> weighted count, length }
+const searchPostings = new Map(); // term -> Set of fileIds
+let searchTotalLength = 0;
+
+function tokenize(text) {
+  return (String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(term => term.length <= 64);
+}
+
+function decodePdfLiteral(literal) {
+  const escapes = { n: '\n', r: '\r', t: '\t', b: '\b', f: '\f' };
+  return literal.slice(1, -1).replace(/\\([0-7]{1,3}|\r?\n|[^])/g, (_, escaped) => {
+    if (/^[0-7]/.test(escaped)) return String.fromCharCode(parseInt(escaped, 8));
+    if (escaped.endsWith('\n')) return ''; // line continuation
+    return escapes[escaped] || escaped;
+  });
+}
+
+// Text drawn by the Tj, TJ, ' and " operators of a content stream. Fonts with custom encodings come out garbled.
+function pdfContentText(content) {
+  const literal = String.raw`\((?:\\[^]|[^\\)])*\)`;
+  const operators = new RegExp(String.raw`\[((?:${literal}|[^\]])*)\]\s*TJ|(${literal})\s*(?:Tj|'|")`, 'g');
+  const text = [];
+  for (const [, array, single] of content.matchAll(operators)) {
+    if (single) {
+      text.push(decodePdfLiteral(single));
+      continue;
+    }
+    // Inside TJ arrays, large negative offsets between strings are word gaps
+    text.push(array.split(new RegExp(`(${literal})`)).map((part, index) =>
+      index % 2 ? decodePdfLiteral(part) : (parseFloat(part) < -200 ? ' ' : '')
+    ).join(''));
+  }
+  return text.join(' ');
+}
+
+async function extractPdfText(buffer) {
+  const pdf = buffer.toString('latin1');
+  const streamStart = /<<((?:[^<>]|<<[^]*?>>|<[^<>]*>)*)>>\s*stream\r?\n/g;
+  const text = [];
+  let match;
+  while ((match = streamStart.exec(pdf))) {
+    const start = match.index + match[0].length;
+    const end = pdf.indexOf('endstream', start);
+    if (end === -1) break;
+    streamStart.lastIndex = end;
+
+    const filter = /\/Filter\s*(\/\w+|\[[^\]]*\])/.exec(match[1]);
+    let data = buffer.subarray(start, end);
+    if (filter && filter[1].replace(/[[\]\s]/g, '') === '/FlateDecode') {
+      data = await new Promise(resolve => zlib.inflate(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH }, (err, inflated) => resolve(err ? null : inflated)));
+      if (!data) continue;
+    } else if (filter) {
+      continue; // Images and other encodings do not hold page text
+    }
+    text.push(pdfContentText(data.toString('latin1')));
+  }
+  return text.filter(Boolean).join('\n');
+}
+
+async function extractSearchText(entry) {
+  const type = getFileType(entry.originalName);
+  if (entry.size > maxIndexedFileSize || !['text', 'code', 'pdf'].includes(type)) return '';
+  const content = await readFileContent(entry);
+  const text = type === 'pdf' ? await extractPdfText(content) : content.toString('utf8');
+  return text.slice(0, maxIndexedTextLength);
+}
+
+function removeSearchDocument(fileId) {
+  const document = searchDocuments.get(fileId);
+  if (!document) return;
+  document.terms.forEach((_, term) => {
+    const postings = searchPostings.get(term);
+    postings.delete(fileId);
+    if (postings.size === 0) searchPostings.delete(term);
+  });
+  searchTotalLength -= document.length;
+  searchDocuments.delete(fileId);
+}
+
+function setSearchDocument(fileId, entry, text) {
+  removeSearchDocument(fileId);
+  const terms = new Map();
+  const addTerms = (value, weight) => tokenize(value).forEach(term => terms.set(term, (terms.get(term) || 0) + weight));
+  addTerms(entry.originalName, searchFieldWeights.name);
+  addTerms((entry.tags || []).join(' '), searchFieldWeights.tags);
+  addTerms([entry.description || '', ...Object.entries(entry.properties || {}).flat()].join(' '), searchFieldWeights.details);
+  addTerms(text, searchFieldWeights.content);
+
+  let length = 0;
+  terms.forEach((count, term) => {
+    length += count;
+    if (!searchPostings.has(term)) searchPostings.set(term, new Set());
+    searchPostings.get(term).add(fileId);
+  });
+  searchDocuments.set(fileId, { blob: entry.blob, text, terms, length });
+  searchTotalLength += length;
+}
+
+// (Re)indexes a file. Its content is only extracted again when the blob changed.
+async function indexFile(fileId) {
+  const entry = fileMetadata[fileId];
+  if (!entry) return;
+  const previous = searchDocuments.get(fileId);
+  const text = previous && previous.blob === entry.blob ? previous.text : await extractSearchText(entry);
+
+  // The name or details may have changed while the text was extracted, so index the current entry
+  const current = fileMetadata[fileId];
+  if (current && current.blob === entry.blob) setSearchDocument(fileId, current, text);
+}
+
+function scheduleIndexing(fileId) {
+  indexFile(fileId).catch(err => console.error(`Could not index file ${fileId}:`, err.message));
+}
+
+async function buildSearchIndex() {
+  for (const fileId of Object.keys(fileMetadata)) {
+    if (!searchDocuments.has(fileId)) await indexFile(fileId).catch(err => console.error(`Could not index file ${fileId}:`, err.message));
+  }
+  return searchDocuments.size;
+}
+
+// Matches any of the (lowercase) terms as whole words, in any case
+function searchTermPattern(terms) {
+  const alternatives = [...terms].sort((a, b) => b.length - a.length).join('|');
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${alternatives})(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+function highlightRanges(text, terms) {
+  return [...text.matchAll(searchTermPattern(terms))].map(match => [match.index, match.index + match[0].length]);
+}
+
+// A window of the text around the first match, with the [start, end) offsets of the matches in it
+function searchSnippet(text, terms) {
+  const first = searchTermPattern(terms).exec(text);
+  if (!first) return null;
+
+  let start = Math.max(0, first.index - searchSnippetLength / 4);
+  const wordStart = text.slice(start, first.index).search(/\s/);
+  if (start > 0 && wordStart !== -1) start += wordStart + 1;
+  let snippet = text.slice(start, start + searchSnippetLength).replace(/\s+/g, ' ').trim();
+  if (start > 0) snippet = `…${snippet}`;
+  if (start + searchSnippetLength < text.length) snippet = `${snippet}…`;
+  return { text: snippet, highlights: highlightRanges(snippet, terms) };
+}
+
+// Files the user can see that match every query word, ranked by BM25 over the weighted name, detail and content terms.
+// Each word also matches longer words starting with it, at half weight, so results appear while a word is typed.
+function searchFiles(query, user) {
+  const queryTerms = [...new Set(tokenize(query))];
+  if (queryTerms.length === 0 || searchDocuments.size === 0) return [];
+
+  const expansions = queryTerms.map(queryTerm => {
+    const matches = new Map();
+    if (searchPostings.has(queryTerm)) matches.set(queryTerm, 1);
+    if (queryTerm.length >= 2) {
+      for (const term of searchPostings.keys()) {
+        if (term !== queryTerm && term.startsWith(queryTerm)) matches.set(term, 0.5);
+      }
+    }
+    return matches;
+  });
+
+  let candidates = null;
+  for (const matches of expansions) {
+    const fileIds = new Set();
+    matches.forEach((_, term) => searchPostings.get(term).forEach(fileId => fileIds.add(fileId)));
+    candidates = candidates ? new Set([...candidates].filter(fileId => fileIds.has(fileId))) : fileIds;
+  }
+
+  const k1 = 1.2;
+  const b = 0.75;
+  const averageLength = searchTotalLength / searchDocuments.size;
+  return [...candidates]
+    .filter(fileId => fileMetadata[fileId] && canViewFile(user, fileMetadata[fileId]))
+    .map(fileId => {
+      const document = searchDocuments.get(fileId);
+      const matchedTerms = new Set();
+      let score = 0;
+      expansions.forEach(matches => matches.forEach((weight, term) => {
+        const frequency = document.terms.get(term);
+        if (!frequency) return;
+        matchedTerms.add(term);
+        const documentFrequency = searchPostings.get(term).size;
+        const idf = Math.log(1 + (searchDocuments.size - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        score += weight * idf * frequency * (k1 + 1) / (frequency + k1 * (1 - b + b * document.length / averageLength));
+      }));
+      const entry = fileMetadata[fileId];
+      return {
+        entry,
+        score,
+        nameHighlights: highlightRanges(entry.originalName, matchedTerms),
+        snippet: searchSnippet(document.text, matchedTerms)
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+}
+
+// ======================
+// Thumbnails
+// ======================
+// Small WebP previews, generated one at a time in the background after uploads and saves, and at startup for files
+// that have none. Images are resized in-process; PDFs (first page, with pdftoppm) and videos (a representative
+// frame, with ffmpeg) only get thumbnails when those tools are installed. Thumbnails are keyed by content hash,
+// removed with their blob, and sealed with the master key when encryption at rest is on.
+const thumbnailSizes = { small: 320, large: 1600 };
+const thumbnailToolTimeout = 60 * 1000;
+const thumbnailTools = {
+  pdf: { command: process.env.PDFTOPPM_PATH || 'pdftoppm', versionArgs: ['-v'] },
+  video: { command: process.env.FFMPEG_PATH || 'ffmpeg', versionArgs: ['-version'] }
+};
+Object.values(thumbnailTools).forEach(tool => {
+  tool.available = !spawnSync(tool.command, tool.versionArgs, { stdio: 'ignore' }).error;
+});
+const thumbnailJobs = new Map(); // content hash -> Promise of the running or queued generation
+const failedThumbnails = new Set(); // content hashes that could not be rendered; not retried until restart
+let thumbnailQueue = Promise.resolve();
+
+function thumbnailPath(hash, size) {
+  return path.join(thumbnailDir, `${hash}-${size}.webp`);
+}
+
+function canThumbnail(entry) {
+  const type = getFileType(entry.originalName);
+  return Boolean(entry.blob) && !failedThumbnails.has(entry.blob) && !scanHold(entry) && (type === 'image' || Boolean(thumbnailTools[type] && thumbnailTools[type].available));
+}
+
+// Sealed thumbnails are keyId (8 bytes) | IV (12) | GCM tag (16) | ciphertext
+function sealThumbnail(image) {
+  if (!currentEncryptionKeyId) return image;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKeys.get(currentEncryptionKeyId), iv);
+  const sealed = Buffer.concat([cipher.update(image), cipher.final()]);
+  return Buffer.concat([Buffer.from(currentEncryptionKeyId, 'hex'), iv, cipher.getAuthTag(), sealed]);
+}
+
+function openThumbnail(data) {
+  if (data.subarray(0, 4).toString('latin1') === 'RIFF') return data; // Written while encryption was off
+  const masterKey = encryptionKeys.get(data.subarray(0, 8).toString('hex'));
+  if (!masterKey) throw new Error('The thumbnail was sealed with a key that is not configured');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, data.subarray(8, 20));
+  decipher.setAuthTag(data.subarray(20, 20 + gcmTagLength));
+  return Buffer.concat([decipher.update(data.subarray(20 + gcmTagLength)), decipher.final()]);
+}
+
+// The thumbnail image, or null if it does not exist or can no longer be opened (it is then removed to be made again)
+async function readThumbnail(hash, size) {
+  try {
+    return openThumbnail(await fs.promises.readFile(thumbnailPath(hash, size)));
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      console.warn(`Discarding unreadable thumbnail of ${hash}: ${err.message}`);
+      removeThumbnails(hash);
+    }
+    return null;
+  }
+}
+
+function removeThumbnails(hash) {
+  Object.keys(thumbnailSizes).forEach(size => fs.rm(thumbnailPath(hash, size), { force: true }, () => {}));
+}
+
+function runThumbnailTool(tool, args) {
+  return new Promise((resolve, reject) => {
+    execFile(tool.command, args, { timeout: thumbnailToolTimeout }, (err, stdout, stderr) => {
+      if (err) reject(new Error(`${path.basename(tool.command)} failed: ${(stderr || err.message).trim()}`));
+      else resolve();
+    });
+  });
+}
+
+// The still image thumbnails are made from: the image itself, the first page of a PDF or a frame of a video
+async function thumbnailSource(entry) {
+  const type = getFileType(entry.originalName);
+  if (type === 'image') return readFileContent(entry);
+
+  // The tools need a seekable file, so the (decrypted) content goes to a private temporary directory first
+  const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'thumbnail-'));
+  try {
+    const input = path.join(workDir, `input${path.extname(entry.originalName)}`);
+    const source = await openContentStream(entry);
+    await new Promise((resolve, reject) => pipeline(source, fs.createWriteStream(input), err => (err ? reject(err) : resolve())));
+
+    const output = path.join(workDir, 'frame.png');
+    if (type === 'pdf') {
+      await runThumbnailTool(thumbnailTools.pdf, ['-f', '1', '-l', '1', '-png', '-singlefile', '-scale-to', String(thumbnailSizes.large), input, path.join(workDir, 'frame')]);
+    } else {
+      await runThumbnailTool(thumbnailTools.video, ['-v', 'error', '-i', input, '-vf', 'thumbnail', '-frames:v', '1', '-y', output]);
+    }
+    return await fs.promises.readFile(output);
+  } finally {
+    fs.rm(workDir, { recursive: true, force: true }, () => {});
+  }
+}
+
+// Makes the thumbnails of a file's content unless they exist. Resolves to whether they are available.
+function queueThumbnails(entry) {
+  if (!canThumbnail(entry)) return Promise.resolve(false);
+  const hash = entry.blob;
+  if (thumbnailJobs.has(hash)) return thumbnailJobs.get(hash);
+  if (fs.existsSync(thumbnailPath(hash, 'large'))) return Promise.resolve(true); // Written last
+
+  const job = thumbnailQueue.then(async () => {
+    if (!blobs[hash]) return false; // Deleted while queued
+    const source = await thumbnailSource(entry);
+    for (const [size, pixels] of Object.entries(thumbnailSizes)) {
+      const image = await sharp(source)
+        .rotate() // Apply EXIF orientation
+        .resize(pixels, pixels, { fit: 'inside', withoutEnlargement: true })
+        .webp({ quality: 75 })
+        .toBuffer();
+      await fs.promises.writeFile(thumbnailPath(hash, size), sealThumbnail(image));
+    }
+    return true;
+  }).catch(err => {
+    console.error(`Could not create a thumbnail for ${entry.originalName}:`, err.message);
+    failedThumbnails.add(hash);
+    removeThumbnails(hash);
+    return false;
+  }).finally(() => thumbnailJobs.delete(hash));
+
+  thumbnailJobs.set(hash, job);
+  thumbnailQueue = job;
+  return job;
+}
+
+// ======================
+// Malware Scanning
+// ======================
+// With a scanner configured, every new file content is scanned in the background after it is stored (uploads, edits
+// and restored versions alike). Until the scanner reports it clean the file is listed as pending but its content is
+// not served; infected files are moved to the quarantine, where only admins can release or delete them. Content that
+// could not be scanned (e.g. clamd is down) stays held back and is scanned again later.
+// Every scanner implements the same interface:
+//   scan(stream) -> Promise<{ infected, signature }>, rejects if the content could not be scanned
+const malwareScannerName = process.env.MALWARE_SCANNER || ''; // 'clamav', 'fake' (for tests) or empty to disable scanning
+const scanRetryDelay = 5 * 60 * 1000;
+const clamavConfig = {
+  socket: process.env.CLAMAV_SOCKET, // e.g. /var/run/clamav/clamd.ctl; used instead of the host and port when set
+  host: process.env.CLAMAV_HOST || '127.0.0.1',
+  port: parseInt(process.env.CLAMAV_PORT, 10) || 3310,
+  timeout: 2 * 60 * 1000
+};
+const eicarTestString = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+// clamd's INSTREAM command: the content is sent as length-prefixed chunks ending with a zero length, and clamd
+// answers "stream: OK" or "stream: <signature> FOUND"
+function createClamavScanner({ socket, host, port, timeout }) {
+  return {
+    description: `ClamAV (${socket || `${host}:${port}`})`,
+    scan: stream => new Promise((resolve, reject) => {
+      const connection = socket ? net.createConnection(socket) : net.createConnection(port, host);
+      let reply = '';
+      const fail = err => {
+        stream.destroy();
+        connection.destroy();
+        reject(err);
+      };
+
+      connection.setTimeout(timeout, () => fail(new Error('clamd did not answer in time')));
+      connection.on('error', err => fail(new Error(`clamd is not reachable: ${err.message}`)));
+      connection.on('data', data => { reply += data.toString('utf-8'); });
+      connection.on('end', () => {
+        stream.destroy(); // clamd may answer (e.g. with a size limit error) before all chunks are sent
+        connection.end();
+        const answer = reply.replace(/\0/g, '').trim();
+        const found = /^stream: (.+) FOUND$/.exec(answer);
+        if (found) resolve({ infected: true, signature: found[1] });
+        else if (answer === 'stream: OK') resolve({ infected: false, signature: null });
+        else reject(new Error(`clamd answered: ${answer || 'nothing'}`));
+      });
+      connection.on('connect', async () => {
+        try {
+          connection.write('zINSTREAM\0');
+          for await (const chunk of stream) {
+            const length = Buffer.alloc(4);
+            length.writeUInt32BE(chunk.length);
+            if (!connection.write(Buffer.concat([length, chunk]))) await once(connection, 'drain');
+          }
+          connection.write(Buffer.alloc(4));
+        } catch (err) {
+          fail(err);
+        }
+      });
+    })
+  };
+}
+
+// For tests and development: content containing the EICAR test string is infected. FAKE_SCANNER_DELAY_MS keeps
+// files pending for a while, like a real scanner on large files.
+function createFakeScanner(delay) {
+  return {
+    description: `Fake (flags the EICAR test string${delay ? `, ${delay} ms per file` : ''})`,
+    async scan(stream) {
+      let infected = false;
+      let tail = '';
+      for await (const chunk of stream) {
+        const text = tail + chunk.toString('latin1');
+        infected = infected || text.includes(eicarTestString);
+        tail = text.slice(-eicarTestString.length);
+      }
+      await new Promise(resolve => setTimeout(resolve, delay));
+      return { infected, signature: infected ? 'Eicar-Test-Signature' : null };
+    }
+  };
+}
+
+const scannerDrivers = {
+  clamav: () => createClamavScanner(clamavConfig),
+  fake: () => createFakeScanner(parseInt(process.env.FAKE_SCANNER_DELAY_MS, 10) || 0)
+};
+
+if (malwareScannerName && !scannerDrivers[malwareScannerName]) {
+  throw new Error(`Unknown MALWARE_SCANNER "${malwareScannerName}" (expected one of: ${Object.keys(scannerDrivers).join(', ')})`);
+}
+const malwareScanner = malwareScannerName ? scannerDrivers[malwareScannerName]() : null;
+let scanQueue = Promise.resolve();
+
+// Why the file's content may not be served yet, or null if it may. Without a scanner nothing is held back.
+function scanHold(entry) {
+  const status = malwareScanner && entry.scan ? entry.scan.status : 'clean';
+  if (status === 'clean') return null;
+  return status === 'failed'
+    ? `${entry.originalName} could not be scanned for malware yet and is not available. It will be scanned again shortly.`
+    : `${entry.originalName} is being scanned for malware and will be available once it is found clean.`;
+}
+
+// 'pending' or 'failed' while held back, 'clean' once scanned, 'unscanned' if stored without a scanner
+function scanStatus(entry) {
+  if (scanHold(entry)) return entry.scan.status;
+  return entry.scan && entry.scan.status === 'clean' ? 'clean' : 'unscanned';
+}
+
+// Scans the file's current content, one file at a time, and records the result
+function queueScan(fileId) {
+  const job = scanQueue.then(async () => {
+    const entry = fileMetadata[fileId];
+    if (!entry || !scanHold(entry)) return; // Deleted, quarantined or already clean
+    const hash = entry.blob;
+
+    let result;
+    try {
+      result = await malwareScanner.scan(await openContentStream(entry));
+    } catch (err) {
+      console.error(`Could not scan ${entry.originalName}:`, err.message);
+      if (fileMetadata[fileId] && fileMetadata[fileId].blob === hash) {
+        updateFileMetadata(fileId, { scan: { status: 'failed', error: err.message, scannedAt: new Date().toISOString() } });
+        setTimeout(() => queueScan(fileId), scanRetryDelay).unref();
+      }
+      return;
+    }
+
+    // The content was replaced while it was scanned; the new content has its own scan queued
+    if (!fileMetadata[fileId] || fileMetadata[fileId].blob !== hash) return;
+
+    const scan = { status: result.infected ? 'infected' : 'clean', signature: result.signature, scannedAt: new Date().toISOString() };
+    if (result.infected) {
+      quarantineFile(fileId, scan);
+      logActivity('quarantine', `${entry.originalName} (${result.signature})`, null, fileId);
+    } else {
+      updateFileMetadata(fileId, { scan });
+      queueThumbnails(fileMetadata[fileId]);
+    }
+  });
+  scanQueue = job.catch(err => console.error('Malware scan error:', err));
+  return job;
+}
+
+// Moves an infected file out of the file list. Its blobs stay referenced so an admin can still release it.
+function quarantineFile(fileId, scan) {
+  const entry = fileMetadata[fileId];
+  delete fileMetadata[fileId];
+  store.remove('fileMetadata', fileId);
+  removeSearchDocument(fileId);
+  quarantine[fileId] = { ...entry, scan, quarantinedAt: new Date().toISOString() };
+  store.set('quarantine', fileId, quarantine[fileId]);
+}
+
+// Releases a false positive: the file returns to its folder, marked clean by the admin
+function releaseQuarantinedFile(fileId, user) {
+  const { quarantinedAt, ...entry } = quarantine[fileId];
+  delete quarantine[fileId];
+  store.remove('quarantine', fileId);
+  if (!folderExists(entry.folder || '')) {
+    createFolder(entry.folder, user);
+  }
+  const released = { ...entry, scan: { ...entry.scan, status: 'clean', releasedBy: user.id, releasedAt: new Date().toISOString() } };
+  // Assigned directly like restoreTrashedFile: the entry still holds its blob references
+  fileMetadata[fileId] = released;
+  store.set('fileMetadata', fileId, released);
+  scheduleIndexing(fileId);
+  queueThumbnails(released);
+}
+
+function purgeQuarantinedFile(fileId) {
+  const entry = quarantine[fileId];
+  delete quarantine[fileId];
+  store.remove('quarantine', fileId);
+  releaseFileContent(entry);
+}
+
+// ======================
+// Resumable Uploads
+// ======================
+// Chunk protocol for large files (every request needs the files:upload permission and only
+// the user who started an upload can continue it):
+//   POST   /upload/resumable               JSON { name, size, type, folder, visibility }
+//                                          -> 201 { id, offset, size, chunkSize }
+//   GET    /upload/resumable/:id           -> { id, name, size, offset, chunkSize }
+//   PATCH  /upload/resumable/:id           raw bytes, Content-Type: application/offset+octet-stream,
+//                                          Upload-Offset: <current offset> -> 204, Upload-Offset: <new offset>
+//   POST   /upload/resumable/:id/finalize  -> 201 { filename, downloadUrl, previewUrl }
+//   DELETE /upload/resumable/:id           -> 204, discards the partial data
+// A chunk sent with a stale Upload-Offset gets 409 and the real offset, so clients can always resume.
+const resumableDir = path.join(dataDir, 'resumable');
+const activeChunkWrites = new Set(); // Upload ids with a PATCH in progress
+
+if (!fs.existsSync(resumableDir)) {
+  fs.mkdirSync(resumableDir, { recursive: true });
+}
+
+function resumablePartPath(uploadId) {
+  return path.join(resumableDir, uploadId);
+}
+
+// The bytes on disk are the source of truth, so a crash mid-chunk never corrupts the offset
+function resumableOffset(uploadId) {
+  try {
+    return fs.statSync(resumablePartPath(uploadId)).size;
+  } catch (e) {
+    return 0;
+  }
+}
+
+function saveResumableUpload(pending) {
+  resumableUploads[pending.id] = pending;
+  store.set('resumableUploads', pending.id, pending);
+}
+
+function discardResumableUpload(uploadId) {
+  fs.rm(resumablePartPath(uploadId), { force: true }, () => {});
+  delete resumableUploads[uploadId];
+  store.remove('resumableUploads', uploadId);
+}
+
+function toResumableStatus(pending) {
+  return { id: pending.id, name: pending.name, size: pending.size, offset: resumableOffset(pending.id), chunkSize: resumableChunkSize };
+}
+
+// Discard uploads that have not received a chunk within the TTL
+setInterval(() => {
+  const cutoff = Date.now() - resumableUploadTtl;
+  Object.values(resumableUploads)
+    .filter(pending => new Date(pending.updatedAt).getTime() < cutoff && !activeChunkWrites.has(pending.id))
+    .forEach(pending => {
+      console.log(`Discarding abandoned resumable upload ${pending.id} (${pending.name})`);
+      discardResumableUpload(pending.id);
+    });
+}, 60 * 60 * 1000).unref();
+
+// Permanently delete files that have been in the trash longer than the retention period
+setInterval(() => {
+  const cutoff = Date.now() - trashRetentionDays * 24 * 60 * 60 * 1000;
+  Object.values(trash)
+    .filter(entry => new Date(entry.deletedAt).getTime() < cutoff)
+    .forEach(entry => {
+      console.log(`Purging ${entry.originalName} from the trash`);
+      purgeTrashedFile(entry.id);
+      logActivity('auto-purge', entry.originalName, null, entry.id);
+    });
+}, 60 * 60 * 1000).unref();
+
+// ======================
+// Share Links
+// ======================
+function saveShare(share) {
+  shares[share.token] = share;
+  store.set('shares', share.token, share);
+}
+
+function createShare(filename, fileId, user, { expiresInHours, maxDownloads, password }) {
+  const share = {
+    token: crypto.randomBytes(24).toString('base64url'),
+    fileId,
+    filename,
+    createdBy: user.id,
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresInHours ? new Date(Date.now() + expiresInHours * 60 * 60 * 1000).toISOString() : null,
+    maxDownloads: maxDownloads || null,
+    downloads: 0,
+    passwordHash: password ? hashPassword(password) : null,
+    revokedAt: null
+  };
+  saveShare(share);
+  return share;
+}
+
+// Returns the reason a share can no longer be used, or null if it is still valid
+function shareUnavailableReason(share) {
+  if (!share) return 'This share link does not exist.';
+  if (share.revokedAt) return 'This share link has been revoked.';
+  if (share.expiresAt && new Date(share.expiresAt) <= new Date()) return 'This share link has expired.';
+  if (share.maxDownloads && share.downloads >= share.maxDownloads) return 'This share link has reached its download limit.';
+  if (!fileMetadata[share.fileId] || !fileForFilename(share.filename)) return 'The shared file is no longer available.';
+  return null;
+}
+
+function activeShares(filter = () => true) {
+  return Object.values(shares)
+    .filter(share => !shareUnavailableReason(share) && filter(share))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+function canRevokeShare(user, share) {
+  return Boolean(user && share && (hasPermission(user, 'admin') || share.createdBy === user.id));
+}
+
+// ======================
+// OpenID Connect
+// ======================
+let oidcDiscoveryCache = null; // { document, fetchedAt }
+let oidcJwksCache = null; // { keys, fetchedAt }
+const oidcCacheTtl = 60 * 60 * 1000;
+
+function base64UrlEncode(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function base64UrlDecode(text) {
+  return Buffer.from(text.replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+async function fetchJson(url, options = {}) {
+  const response = await fetch(url, options);
+  const body = await response.text();
+  if (!response.ok) {
+    throw new Error(`Request to ${url} failed with ${response.status}: ${body.slice(0, 200)}`);
+  }
+  return JSON.parse(body);
+}
+
+async function getOidcDiscovery() {
+  if (!oidcDiscoveryCache || Date.now() - oidcDiscoveryCache.fetchedAt > oidcCacheTtl) {
+    const document = await fetchJson(`${oidcConfig.issuer}/.well-known/openid-configuration`);
+    if (document.issuer.replace(/\/$/, '') !== oidcConfig.issuer) {
+      throw new Error(`Issuer mismatch in discovery document: ${document.issuer}`);
+    }
+    oidcDiscoveryCache = { document, fetchedAt: Date.now() };
+  }
+  return oidcDiscoveryCache.document;
+}
+
+async function getOidcSigningKey(kid) {
+  const findKey = () => oidcJwksCache.keys.find(key => !kid || key.kid === kid);
+  if (!oidcJwksCache || Date.now() - oidcJwksCache.fetchedAt > oidcCacheTtl || !findKey()) {
+    // Refetch on an unknown kid as well, since the provider may have rotated its keys
+    const discovery = await getOidcDiscovery();
+    const jwks = await fetchJson(discovery.jwks_uri);
+    oidcJwksCache = { keys: jwks.keys || [], fetchedAt: Date.now() };
+  }
+  const jwk = findKey();
+  if (!jwk) {
+    throw new Error(`No signing key found for kid "${kid}"`);
+  }
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+}
+
+// Verifies the ID token signature (RS256/PS256/ES256 via JWKS, HS256 via the client secret) and its claims.
+// The algorithm named in the token header is only trusted if the provider announces it in its discovery document
+// (RS256 when it announces none), so a token cannot pick HS256 and be signed with the client secret instead.
+async function verifyIdToken(idToken, expectedNonce) {
+  const [encodedHeader, encodedPayload, encodedSignature] = String(idToken).split('.');
+  if (!encodedHeader || !encodedPayload || !encodedSignature) {
+    throw new Error('Malformed ID token');
+  }
+
+  const header = JSON.parse(base64UrlDecode(encodedHeader).toString('utf-8'));
+  const claims = JSON.parse(base64UrlDecode(encodedPayload).toString('utf-8'));
+  const signedData = Buffer.from(`${encodedHeader}.${encodedPayload}`);
+  const signature = base64UrlDecode(encodedSignature);
+
+  const discovery = await getOidcDiscovery();
+  const allowedAlgorithms = discovery.id_token_signing_alg_values_supported || ['RS256'];
+  if (!allowedAlgorithms.includes(header.alg)) {
+    throw new Error(`ID token algorithm ${header.alg} is not allowed by the provider`);
+  }
+
+  let valid;
+  if (header.alg === 'HS256') {
+    const expected = crypto.createHmac('sha256', oidcConfig.clientSecret).update(signedData).digest();
+    valid = expected.length === signature.length && crypto.timingSafeEqual(expected, signature);
+  } else if (header.alg === 'RS256') {
+    valid = crypto.verify('sha256', signedData, await getOidcSigningKey(header.kid), signature);
+  } else if (header.alg === 'PS256') {
+    const key = await getOidcSigningKey(header.kid);
+    valid = crypto.verify('sha256', signedData, { key, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: 32 }, signature);
+  } else if (header.alg === 'ES256') {
+    const key = await getOidcSigningKey(header.kid);
+    valid = crypto.verify('sha256', signedData, { key, dsaEncoding: 'ieee-p1363' }, signature);
+  } else {
+    throw new Error(`Unsupported ID token algorithm: ${header.alg}`);
+  }
+
+  if (!valid) throw new Error('Invalid ID token signature');
+
+  const now = Math.floor(Date.now() / 1000);
+  const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (String(claims.iss).replace(/\/$/, '') !== oidcConfig.issuer) throw new Error('ID token issuer mismatch');
+  if (!audiences.includes(oidcConfig.clientId)) throw new Error('ID token audience mismatch');
+  if (!claims.exp || claims.exp + 60 < now) throw new Error('ID token has expired');
+  if (claims.nonce !== expectedNonce) throw new Error('ID token nonce mismatch');
+  if (!claims.sub) throw new Error('ID token has no subject');
+
+  return claims;
+}
+
+// Maps the provider's subject to a local user, creating one on first sign-in if allowed
+function findOrCreateOidcUser(claims) {
+  const subject = `${oidcConfig.issuer}|${claims.sub}`;
+  const existing = Object.values(users).find(user => user.oidcSubject === subject);
+  if (existing) return existing;
+
+  if (!oidcConfig.autoProvision) return null;
+
+  // Pick a readable username that does not clash with an existing local account
+  const baseName = String(claims.preferred_username || claims.email || claims.sub).replace(/[^a-zA-Z0-9._@-]/g, '_');
+  let username = baseName;
+  for (let i = 2; findUserByUsername(username); i++) {
+    username = `${baseName}-${i}`;
+  }
+
+  const user = {
+    id: crypto.randomBytes(8).toString('hex'),
+    username,
+    passwordHash: null, // Identity provider accounts cannot sign in with a local password
+    oidcSubject: subject,
+    email: claims.email || null,
+    role: rolePermissions[oidcConfig.defaultRole] ? oidcConfig.defaultRole : 'viewer',
+    createdAt: new Date().toISOString(),
+    lastLogin: null
+  };
+  saveUser(user);
+  return user;
+}
+
+// ======================
+// Retention
+// ======================
+// Retention policies are explicit: nothing is removed until an admin adds and enables a policy.
+// A policy applies to a folder (including subfolders) and/or a file type, and matches files by one
+// criterion. Matching files are moved to the trash, so a removal can still be undone until the
+// trash is purged. Files under legal hold are never removed, by a policy or by hand.
+const retentionFileTypes = ['image', 'pdf', 'document', 'spreadsheet', 'presentation', 'text', 'code', 'archive', 'audio', 'video', 'other'];
+const dayMs = 24 * 60 * 60 * 1000;
+
+const retentionCriteria = {
+  uploaded: {
+    label: 'days since upload',
+    matches: (entry, threshold, now) => now - new Date(entry.uploaded).getTime() > threshold * dayMs
+  },
+  accessed: {
+    label: 'days since last access',
+    matches: (entry, threshold, now) => now - new Date(entry.lastAccessed || entry.uploaded).getTime() > threshold * dayMs
+  },
+  downloads: {
+    label: 'downloads',
+    matches: (entry, threshold) => (entry.downloads || 0) >= threshold
+  }
+};
+
+function saveRetentionPolicy(policy) {
+  retentionPolicies[policy.id] = policy;
+  store.set('retentionPolicies', policy.id, policy);
+}
+
+function removeRetentionPolicy(policyId) {
+  delete retentionPolicies[policyId];
+  store.remove('retentionPolicies', policyId);
+}
+
+function describeRetentionPolicy(policy) {
+  const scope = [policy.folder ? `/${policy.folder}` : 'all folders', policy.fileType ? `${policy.fileType} files` : 'all types'].join(', ');
+  return `${scope}: ${policy.threshold} ${retentionCriteria[policy.criterion].label}`;
+}
+
+function retentionPolicyApplies(policy, entry) {
+  return (!policy.folder || isInFolder(entry.folder || '', policy.folder)) &&
+    (!policy.fileType || entry.type === policy.fileType);
+}
+
+// What the enabled policies would remove right now, and which matching files are exempt because of a legal hold
+function evaluateRetention(now = Date.now()) {
+  const enabled = Object.values(retentionPolicies).filter(policy => policy.enabled);
+  const candidates = [];
+  const held = [];
+
+  Object.values(fileMetadata).forEach(entry => {
+    const policy = enabled.find(candidate =>
+      retentionPolicyApplies(candidate, entry) && retentionCriteria[candidate.criterion].matches(entry, candidate.threshold, now)
+    );
+    if (policy) {
+      (entry.legalHold ? held : candidates).push({ entry, policy });
+    }
+  });
+
+  return { candidates, held };
+}
+
+// Applies the enabled policies. req is null for the scheduled run, which is logged as the system user.
+function runRetention(req) {
+  const { candidates } = evaluateRetention();
+  candidates.forEach(({ entry, policy }) => {
+    trashFile(entry.id, req ? req.user : null);
+    logActivity('retention', `${entry.originalName} (policy: ${policy.name})`, req, entry.id);
+  });
+  return candidates.length;
+}
+
+setInterval(() => {
+  try {
+    const removed = runRetention(null);
+    if (removed > 0) {
+      console.log(`Retention: moved ${removed} file(s) to the trash`);
+    }
+  } catch (e) {
+    console.error('Retention run error:', e);
+  }
+}, retentionRunInterval).unref();
+
+// ======================
+// Middleware
+// ======================
+// WebDAV and S3 bodies are file content or XML and are read by their handlers themselves
+const skipForRawBodies = parser => (req, res, next) => (isDavRequest(req) || isS3Request(req) ? next() : parser(req, res, next));
+app.use(skipForRawBodies(express.urlencoded({ extended: true })));
+app.use(skipForRawBodies(express.json()));
+app.use(session({
+  name: 'fileserver.sid',
+  secret: sessionSecret,
+  resave: false,
+  saveUninitialized: false,
+  cookie: { httpOnly: true, sameSite: 'lax', maxAge: sessionMaxAge }
+}));
+// Serve static files from the 'public' directory
+app.use(express.static('public'));
+
+// Security middleware - more robust headers
+app.use((req, res, next) => {
+  res.setHeader('X-Content-Type-Options', 'nosniff');
+  res.setHeader('X-Frame-Options', 'DENY');
+  res.setHeader('X-XSS-Protection', '1; mode=block');
+  res.setHeader('Strict-Transport-Security', 'max-age=31536000; includeSubDomains; preload');
+  res.setHeader('Content-Security-Policy', "default-src 'self'; img-src 'self' data:; media-src 'self'; script-src 'self' https://cdn.tailwindcss.com https://cdnjs.cloudflare.com; style-src 'self' https://cdn.tailwindcss.com https://cdnjs.cloudflare.com; font-src 'self' https://cdnjs.cloudflare.com;"); // Example CSP, adjust as needed
+  activeConnections++;
+  res.on('finish', () => {
+    activeConnections--;
+  });
+  next();
+});
+
+// Routes reachable without signing in
+const publicPaths = ['/ping', '/login', '/login/oidc', '/api/v1/openapi.json'];
+const publicFileRoutes = /^\/(preview|download|stream|thumb|s)\/[^/]+$/; // Guests may open public files and share links
+if (oidcCallbackPath) {
+  publicPaths.push(oidcCallbackPath);
+}
+
+// Authentication: populates req.user from an API bearer token, WebDAV Basic credentials or the session cookie.
+// S3 requests are always signed with an access key. Browsers are redirected to the login page; other clients get a 401.
+const authenticate = (req, res, next) => {
+  if (isS3Request(req)) {
+    return authenticateS3(req, res, next);
+  }
+  const authorization = req.get('authorization') || '';
+  if (/^bearer /i.test(authorization)) {
+    return authenticateApiToken(req, res, next, authorization.slice(7).trim());
+  }
+  if (/^basic /i.test(authorization) && isDavRequest(req)) {
+    return authenticateDavBasic(req, res, next, authorization);
+  }
+
+  const user = req.session && req.session.userId ? users[req.session.userId] : null;
+  if (user) {
+    req.user = toRequestUser(user);
+    return next();
+  }
+
+  if (publicPaths.includes(req.path) || publicFileRoutes.test(req.path)) {
+    return next();
+  }
+
+  if (isDavRequest(req)) {
+    return requestDavCredentials(res);
+  }
+  if (req.path.startsWith('/api/')) {
+    return sendApiError(res, 401, 'unauthorized', 'Sign in or send an API token (Authorization: Bearer) to use the API.');
+  }
+  if (req.method === 'GET' && req.accepts('html')) {
+    return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+  res.status(401).send(renderError('Unauthorized: Please sign in to continue.'));
+};
+app.use(authenticate); // Apply authentication to all routes except publicPaths
+
+// Bearer token authentication for scripts. Read-only tokens may only make safe (GET/HEAD) requests.
+function authenticateApiToken(req, res, next, rawToken) {
+  const token = findApiToken(rawToken);
+  const fail = (status, code, message) => (req.path.startsWith('/api/')
+    ? sendApiError(res, status, code, message)
+    : res.status(status).send(renderError(message)));
+
+  if (!token) {
+    return fail(401, 'invalid_token', 'The API token is invalid, expired or revoked.');
+  }
+  if (token.scope === 'read' && !['GET', 'HEAD'].includes(req.method)) {
+    return fail(403, 'insufficient_scope', `The token "${token.name}" is read-only.`);
+  }
+
+  req.user = { ...toRequestUser(users[token.userId]), token: { id: token.id, name: token.name, scope: token.scope } };
+  if (!token.lastUsedAt || Date.now() - new Date(token.lastUsedAt).getTime() > tokenLastUsedInterval) {
+    saveApiToken({ ...token, lastUsedAt: new Date().toISOString() });
+  }
+  next();
+}
+
+// Role-based access control: rejects signed-in users whose role lacks the permission
+const requirePermission = (permission) => (req, res, next) => {
+  if (hasPermission(req.user, permission)) {
+    return next();
+  }
+  if (req.originalUrl.startsWith('/api/')) {
+    return sendApiError(res, 403, 'forbidden', `Your role (${req.user ? req.user.role : 'guest'}) does not allow this action.`);
+  }
+  res.status(403).send(renderError(`Forbidden: your role (${req.user ? req.user.role : 'guest'}) does not allow this action.`));
+};
+
+// Signs the user in and redirects. A fresh session id is issued to prevent session fixation.
+function startUserSession(req, res, user, next) {
+  req.session.regenerate(err => {
+    if (err) {
+      console.error('Session error:', err);
+      return res.status(500).send(renderError('Could not start a session. Please try again.'));
+    }
+    req.session.userId = user.id;
+    req.user = toRequestUser(user);
+    saveUser({ ...user, lastLogin: new Date().toISOString() });
+    logActivity('login', user.username, req);
+    res.redirect(next);
+  });
+}
+
+// Hidden files get the same response as missing ones so their existence is not revealed
+function denyFileAccess(req, res) {
+  if (!req.user) {
+    return res.redirect(`/login?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+  res.status(404).send(renderError('File not found or invalid filename.'));
+}
+
+// Only allow redirects back into this site after login. Browsers read "/\host" like "//host" and drop tabs and
+// newlines, so the target is resolved the way a browser would and must stay on this origin.
+function safeRedirectTarget(target) {
+  if (typeof target !== 'string' || !target.startsWith('/') || target.includes('\\')) return '/';
+  const base = 'http://redirect.invalid';
+  const url = new URL(target, base);
+  return url.origin === base ? `${url.pathname}${url.search}${url.hash}` : '/';
+}
+
+// ======================
+// Client Scripts
+// ======================
+// The Content-Security-Policy only runs scripts from this origin (script-src 'self'), so inline <script> blocks and
+// on* attributes would be blocked. Page behaviour lives in these scripts, served from /assets/<name>, and pages pass
+// values to them in data- attributes.
+const clientScripts = {
+  // Shared by every page:
+  //   form[data-confirm], button[data-confirm]  ask for confirmation before submitting
+  //   input[data-select-on-click]               selects its text when clicked (tokens, links)
+  //   [data-copy="<id>"]                        copies the value of the field with that id
+  //   [data-click-target="<id>"]                forwards clicks to the element with that id (hidden file pickers)
+  'app.js': `document.addEventListener('DOMContentLoaded', () => {
+  document.querySelectorAll('form[data-confirm]').forEach(form => form.addEventListener('submit', (e) => {
+    if (!confirm(form.dataset.confirm)) e.preventDefault();
+  }));
+  document.querySelectorAll('button[data-confirm]').forEach(button => button.addEventListener('click', (e) => {
+    if (!confirm(button.dataset.confirm)) e.preventDefault();
+  }));
+
+  document.querySelectorAll('input[data-select-on-click]').forEach(input => input.addEventListener('click', () => input.select()));
+
+  document.querySelectorAll('[data-copy]').forEach(button => button.addEventListener('click', () => {
+    const input = document.getElementById(button.dataset.copy);
+    input.select();
+    document.execCommand('copy');
+    alert('Copied to clipboard!');
+  }));
+
+  document.querySelectorAll('[data-click-target]').forEach(element => element.addEventListener('click', () => {
+    document.getElementById(element.dataset.clickTarget).click();
+  }));
+});
+`,
+
+  // The dashboard: bulk actions, filtering, drag and drop and resumable uploads
+  'dashboard.js': `document.addEventListener('DOMContentLoaded', () => {
+  // Bulk delete functionality (the button is only rendered for roles that may delete)
+  const deleteSelected = document.getElementById('delete-selected');
+  if (deleteSelected) deleteSelected.addEventListener('click', () => {
+    const selectedFiles = Array.from(document.querySelectorAll('.file-checkbox:checked'))
+      .map(checkbox => checkbox.value);
+
+    if (selectedFiles.length === 0) {
+      alert('Please select files to delete');
+      return;
+    }
+
+    if (confirm('Are you sure you want to delete ' + selectedFiles.length + ' selected files? They will be moved to the trash.')) {
+      fetch('/delete-multiple', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ files: selectedFiles })
+      }).then(response => {
+        if (response.ok) {
+          window.location.reload();
+        } else {
+          response.text().then(text => alert('Failed to delete files: ' + text));
+        }
+      }).catch(error => alert('Network error: ' + error.message));
+    }
+  });
+
+  // Bulk download: a regular form submission so the browser streams the ZIP straight to disk
+  document.getElementById('download-selected').addEventListener('click', () => {
+    const selectedFiles = Array.from(document.querySelectorAll('.file-checkbox:checked'))
+      .map(checkbox => checkbox.value);
+
+    if (selectedFiles.length === 0) {
+      alert('Please select files to download');
+      return;
+    }
+
+    const form = document.createElement('form');
+    form.method = 'POST';
+    form.action = '/download-zip';
+    selectedFiles.forEach(filename => {
+      const input = document.createElement('input');
+      input.type = 'hidden';
+      input.name = 'files';
+      input.value = filename;
+      form.appendChild(input);
+    });
+    document.body.appendChild(form);
+    form.submit();
+    form.remove();
+  });
+
+  // Bulk move functionality
+  const moveSelected = document.getElementById('move-selected');
+  if (moveSelected) moveSelected.addEventListener('click', () => {
+    const selectedFiles = Array.from(document.querySelectorAll('.file-checkbox:checked'))
+      .map(checkbox => checkbox.value);
+    const folder = document.getElementById('move-target').value;
+
+    if (selectedFiles.length === 0) {
+      alert('Please select files to move');
+      return;
+    }
+
+    fetch('/move', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({ files: selectedFiles, folder })
+    }).then(response => {
+      if (response.ok) {
+        window.location.href = response.url;
+      } else {
+        response.text().then(text => alert('Failed to move files: ' + text));
+      }
+    }).catch(error => alert('Network error: ' + error.message));
+  });
+
+  // Select all checkbox
+  document.getElementById('select-all').addEventListener('change', (e) => {
+    document.querySelectorAll('.file-checkbox').forEach(checkbox => {
+      checkbox.checked = e.target.checked;
+    });
+  });
+
+  // Filters the rows on this page as you type; submitting the form searches names, tags and contents server-side
+  document.getElementById('search-input').addEventListener('input', (e) => {
+    const searchTerm = e.target.value.toLowerCase();
+    document.querySelectorAll('#file-list > *').forEach(row => {
+      const nameCell = row.querySelector('.file-name');
+      if (!nameCell) return;
+      const fileName = nameCell.textContent.toLowerCase();
+      row.style.display = fileName.includes(searchTerm) ? '' : 'none';
+    });
+  });
+
+  // Drag and Drop for Upload Area
+  const dropArea = document.getElementById('drop-area');
+  const fileInput = document.getElementById('file-input');
+  if (!dropArea) return; // Upload form is hidden for read-only roles
+
+  dropArea.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    dropArea.classList.add('border-blue-500', 'bg-blue-50');
+  });
+
+  dropArea.addEventListener('dragleave', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    dropArea.classList.remove('border-blue-500', 'bg-blue-50');
+  });
+
+  dropArea.addEventListener('drop', (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    dropArea.classList.remove('border-blue-500', 'bg-blue-50');
+
+    if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
+      fileInput.files = e.dataTransfer.files;
+      // Optionally, submit the form automatically or indicate files are ready
+      // document.getElementById('upload-form').submit();
+      alert('Files ready for upload. Click "Upload Files" to proceed.');
+    }
+  });
+
+  // Files above the threshold go through the resumable chunk API, so a dropped
+  // connection continues from the last received byte instead of starting over
+  const uploadForm = document.getElementById('upload-form');
+  const resumableThreshold = Number(uploadForm.dataset.resumableThreshold);
+
+  async function resumableUpload(file, folder, visibility, onProgress) {
+    const storageKey = 'resumable:' + [file.name, file.size, file.lastModified, folder].join(':');
+    let upload = null;
+
+    const savedId = localStorage.getItem(storageKey);
+    if (savedId) {
+      const response = await fetch('/upload/resumable/' + savedId);
+      if (response.ok) upload = await response.json();
+    }
+    if (!upload) {
+      const response = await fetch('/upload/resumable', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name: file.name, size: file.size, type: file.type, folder, visibility })
+      });
+      if (!response.ok) throw new Error((await response.json()).error);
+      upload = await response.json();
+      localStorage.setItem(storageKey, upload.id);
+    }
+
+    let offset = upload.offset;
+    let retries = 0;
+    while (offset < file.size) {
+      let response;
+      try {
+        response = await fetch('/upload/resumable/' + upload.id, {
+          method: 'PATCH',
+          headers: { 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': String(offset) },
+          body: file.slice(offset, offset + upload.chunkSize)
+        });
+      } catch (error) {
+        // Network error: wait and retry; the server reports the real offset on the next attempt
+        if (++retries > 5) throw error;
+        await new Promise(resolve => setTimeout(resolve, 1000 * retries));
+        continue;
+      }
+      if (response.status === 409 || response.ok) {
+        offset = parseInt(response.headers.get('Upload-Offset'), 10);
+        if (response.ok) retries = 0;
+        else await new Promise(resolve => setTimeout(resolve, 500)); // Another tab may still be writing
+        onProgress(offset / file.size);
+        continue;
+      }
+      throw new Error((await response.json()).error);
+    }
+
+    const response = await fetch('/upload/resumable/' + upload.id + '/finalize', { method: 'POST' });
+    if (!response.ok) throw new Error((await response.json()).error);
+    localStorage.removeItem(storageKey);
+  }
+
+  uploadForm.addEventListener('submit', async (e) => {
+    const selected = Array.from(fileInput.files);
+    const large = selected.filter(file => file.size > resumableThreshold);
+    if (large.length === 0) return; // Small files use the regular form upload
+
+    e.preventDefault();
+    const progress = document.getElementById('upload-progress');
+    try {
+      for (const file of large) {
+        await resumableUpload(file, uploadForm.elements.folder.value, uploadForm.elements.visibility.value, fraction => {
+          progress.textContent = 'Uploading ' + file.name + ': ' + Math.floor(fraction * 100) + '%';
+        });
+      }
+    } catch (error) {
+      progress.textContent = '';
+      alert('Upload failed: ' + error.message + '. Click "Upload Files" again to resume.');
+      return;
+    }
+
+    const small = selected.filter(file => file.size <= resumableThreshold);
+    if (small.length > 0) {
+      const transfer = new DataTransfer();
+      small.forEach(file => transfer.items.add(file));
+      fileInput.files = transfer.files;
+      uploadForm.submit();
+    } else {
+      window.location.reload();
+    }
+  });
+});
+`
+};
+
+// ======================
+// Routes
+// ======================
+app.get('/ping', (req, res) => res.send('pong'));
+
+app.get('/assets/:name', (req, res) => {
+  if (!Object.hasOwn(clientScripts, req.params.name)) {
+    return res.status(404).send(renderError('Not found.'));
+  }
+  res.type('application/javascript').set('Cache-Control', 'no-cache').send(clientScripts[req.params.name]);
+});
+
+app.get('/login', (req, res) => {
+  if (req.user) {
+    return res.redirect(safeRedirectTarget(req.query.next));
+  }
+  res.send(renderLogin(safeRedirectTarget(req.query.next)));
+});
+
+// Starts the OpenID Connect authorization code flow (with PKCE, state and nonce)
+app.get('/login/oidc', async (req, res) => {
+  if (!oidcEnabled) {
+    return res.status(404).send(renderError('Single sign-on is not configured on this server.'));
+  }
+
+  try {
+    const discovery = await getOidcDiscovery();
+    const state = base64UrlEncode(crypto.randomBytes(32));
+    const nonce = base64UrlEncode(crypto.randomBytes(32));
+    const codeVerifier = base64UrlEncode(crypto.randomBytes(32));
+    const codeChallenge = base64UrlEncode(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    req.session.oidc = { state, nonce, codeVerifier, next: safeRedirectTarget(req.query.next) };
+
+    const authorizationUrl = new URL(discovery.authorization_endpoint);
+    authorizationUrl.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: oidcConfig.clientId,
+      redirect_uri: oidcConfig.redirectUri,
+      scope: oidcConfig.scope,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    }).toString();
+
+    req.session.save(() => res.redirect(authorizationUrl.toString()));
+  } catch (e) {
+    console.error('OIDC login error:', e);
+    res.status(502).send(renderError('Could not reach the identity provider. Please try again later.'));
+  }
+});
+
+if (oidcEnabled) {
+  app.get(oidcCallbackPath, async (req, res) => {
+    const pending = req.session.oidc;
+    delete req.session.oidc; // The state is single-use
+
+    if (req.query.error) {
+      return res.status(401).send(renderError(`Sign-in was rejected by the identity provider: ${req.query.error_description || req.query.error}`));
+    }
+
+    if (!pending || !req.query.state || req.query.state !== pending.state) {
+      logActivity('login-failed', 'oidc', req);
+      return res.status(400).send(renderError('Invalid or expired sign-in attempt. Please try again.'));
+    }
+
+    try {
+      const discovery = await getOidcDiscovery();
+      const tokens = await fetchJson(discovery.token_endpoint, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/x-www-form-urlencoded',
+          Accept: 'application/json',
+          Authorization: `Basic ${Buffer.from(`${encodeURIComponent(oidcConfig.clientId)}:${encodeURIComponent(oidcConfig.clientSecret)}`).toString('base64')}`
+        },
+        body: new URLSearchParams({
+          grant_type: 'authorization_code',
+          code: String(req.query.code || ''),
+          redirect_uri: oidcConfig.redirectUri,
+          code_verifier: pending.codeVerifier
+        }).toString()
+      });
+
+      const claims = await verifyIdToken(tokens.id_token, pending.nonce);
+      const user = findOrCreateOidcUser(claims);
+      if (!user) {
+        logActivity('login-failed', String(claims.preferred_username || claims.sub), req);
+        return res.status(403).send(renderError('Your account is not registered on this server. Ask an administrator for access.'));
+      }
+
+      startUserSession(req, res, user, pending.next);
+    } catch (e) {
+      console.error('OIDC callback error:', e);
+      logActivity('login-failed', 'oidc', req);
+      res.status(401).send(renderError('Sign-in with the identity provider failed. Please try again.'));
+    }
+  });
+}
+
+app.post('/login', (req, res) => {
+  const { username, password } = req.body;
+  const next = safeRedirectTarget(req.body.next);
+  const user = username && password ? findUserByUsername(username) : null;
+
+  if (!user || !verifyPassword(password, user.passwordHash)) {
+    logActivity('login-failed', String(username || ''), req);
+    return res.status(401).send(renderLogin(next, 'Invalid username or password.'));
+  }
+
+  startUserSession(req, res, user, next);
+});
+
+app.post('/logout', (req, res) => {
+  if (req.user) {
+    logActivity('logout', req.user.username, req);
+  }
+  req.session.destroy(() => {
+    res.clearCookie('fileserver.sid');
+    res.redirect('/login');
+  });
+});
+
+app.get('/', requirePermission('files:read'), (req, res) => {
+  const currentFolder = normalizeFolderPath(req.query.folder);
+  if (currentFolder === null || !folderExists(currentFolder)) {
+    return res.status(404).send(renderError('Folder not found or invalid folder path.'));
+  }
+  // Filtering by tag lists the tagged files from every folder
+  const tagFilter = req.query.tag ? String(req.query.tag).toLowerCase() : null;
+  // The list or grid choice is remembered for the session
+  if (req.query.view) req.session.dashboardView = req.query.view === 'grid' ? 'grid' : 'list';
+
+  const visibleFiles = Object.values(fileMetadata).filter(fileEntry => canViewFile(req.user, fileEntry));
+  const fileList = visibleFiles
+    .filter(fileEntry => tagFilter ? (fileEntry.tags || []).includes(tagFilter) : (fileEntry.folder || '') === currentFolder)
+    .sort((a, b) => new Date(b.uploaded) - new Date(a.uploaded)) // Sort by most recent upload
+    .map(fileEntry => {
+      const file = storedFilename(fileEntry);
+      return {
+        id: file, // Full filename for operations
+        fileId: fileEntry.id, // Unique ID for metadata lookup
+        name: fileEntry.originalName,
+        size: formatBytes(fileEntry.size),
+        uploaded: new Date(fileEntry.uploaded).toLocaleString(),
+        lastModified: new Date(fileEntry.lastModified).toLocaleString(),
+        type: fileEntry.type,
+        icon: getFileIcon(fileEntry.type),
+        downloadUrl: `/download/${file}`,
+        previewUrl: `/preview/${file}`,
+        editUrl: fileEntry.type === 'text' || fileEntry.type === 'code' ? `/edit/${file}` : null,
+        thumbnailUrl: canThumbnail(fileEntry) ? `/thumb/${file}` : null,
+        scanStatus: scanStatus(fileEntry),
+        downloads: fileEntry.downloads,
+        lastAccessed: fileEntry.lastAccessed ? new Date(fileEntry.lastAccessed).toLocaleString() : 'Never',
+        owner: fileEntry.owner && users[fileEntry.owner] ? users[fileEntry.owner].username : 'Unassigned',
+        visibility: fileEntry.visibility || 'team',
+        version: fileEntry.version || 1,
+        legalHold: fileEntry.legalHold || null,
+        canManage: canManageFile(req.user, fileEntry),
+        folder: fileEntry.folder || '',
+        tags: fileEntry.tags || []
+      };
+    });
+
+  const subfolders = tagFilter ? [] : listSubfolders(currentFolder).map(folderPath => ({
+    path: folderPath,
+    name: folderPath.split('/').pop(),
+    url: folderUrl(folderPath),
+    fileCount: filesInFolder(folderPath, true).filter(entry => canViewFile(req.user, entry)).length
+  }));
+
+  res.send(renderDashboard(fileList, req.user, currentFolder, subfolders, { tagFilter, tags: tagUsage(visibleFiles), view: req.session.dashboardView || 'list' }));
+});
+
+app.post('/upload', requirePermission('files:upload'), upload.array('files', maxFiles), (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).send(renderError('No files uploaded. Please select one or more files.'));
+  }
+
+  const visibility = visibilities.includes(req.body.visibility) ? req.body.visibility : defaultVisibility;
+  const folder = normalizeFolderPath(req.body.folder);
+
+  if (folder === null || !folderExists(folder)) {
+    // Multer has already written the files; remove them so nothing lands outside a valid folder
+    req.files.forEach(file => fs.unlink(file.path, () => {}));
+    return res.status(400).send(renderError('Upload failed: the target folder does not exist.'));
+  }
+
+  const held = legalHoldUploadConflicts(req.files, folder, req.user);
+  if (held.length > 0) {
+    return res.status(403).send(renderError(`Upload rejected, no files were stored. ${held.join(' ')}`));
+  }
+
+  rejectedUploads(req.files, folder)
+    .then(async rejections => {
+      if (rejections.length > 0) {
+        return res.status(415).send(renderError(`Upload rejected, no files were stored. ${rejections.join(' ')}`));
+      }
+      await Promise.all(req.files.map(file => registerUploadedFile(file.filename, file.path, req, { visibility, folder })));
+      res.redirect(folderUrl(folder));
+    })
+    .catch(e => {
+      console.error('Error storing uploaded files:', e);
+      res.status(500).send(renderError('Upload failed: the files could not be stored.'));
+    });
+});
+
+// Multer stops reading at the first file with a disallowed name or over the size limit; explain why
+app.use('/upload', (err, req, res, next) => {
+  if (req.path !== '/') return next(err);
+  if (err.code === 'UPLOAD_REJECTED') {
+    return res.status(415).send(renderError(`Upload rejected, no files were stored. ${err.message}`));
+  }
+  if (err instanceof multer.MulterError) {
+    return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).send(renderError(`Upload failed: ${err.message}.`));
+  }
+  next(err);
+});
+
+// Resumable chunk API (see the protocol description in the Resumable Uploads section)
+function findResumableUpload(req, res) {
+  const pending = resumableUploads[req.params.id];
+  if (!pending || pending.owner !== req.user.id) {
+    res.status(404).json({ error: 'Upload not found' });
+    return null;
+  }
+  return pending;
+}
+
+app.post('/upload/resumable', requirePermission('files:upload'), (req, res) => {
+  const name = String(req.body.name || '');
+  const size = Number(req.body.size);
+  const type = String(req.body.type || '');
+  const folder = normalizeFolderPath(req.body.folder);
+  const visibility = visibilities.includes(req.body.visibility) ? req.body.visibility : defaultVisibility;
+
+  if (!name || !Number.isInteger(size) || size <= 0) {
+    return res.status(400).json({ error: 'A file name and a positive integer size are required' });
+  }
+  if (size > maxResumableFileSize) {
+    return res.status(413).json({ error: `File is too large. The limit is ${formatBytes(maxResumableFileSize)}` });
+  }
+  if (folder === null || !folderExists(folder)) {
+    return res.status(400).json({ error: 'The target folder does not exist' });
+  }
+  const rejection = checkUploadName(name, folder);
+  if (rejection) {
+    return res.status(415).json({ error: `Upload rejected: ${rejection}` });
+  }
+
+  const pending = {
+    id: crypto.randomBytes(16).toString('hex'),
+    name,
+    type,
+    size,
+    owner: req.user.id,
+    folder,
+    visibility,
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+  fs.writeFileSync(resumablePartPath(pending.id), '');
+  saveResumableUpload(pending);
+  res.status(201).json(toResumableStatus(pending));
+});
+
+app.get('/upload/resumable/:id', requirePermission('files:upload'), (req, res) => {
+  const pending = findResumableUpload(req, res);
+  if (!pending) return;
+  res.set('Upload-Offset', String(resumableOffset(pending.id)));
+  res.set('Upload-Length', String(pending.size));
+  res.json(toResumableStatus(pending));
+});
+
+app.patch('/upload/resumable/:id', requirePermission('files:upload'), (req, res) => {
+  const pending = findResumableUpload(req, res);
+  if (!pending) return;
+
+  const currentOffset = resumableOffset(pending.id);
+  const offset = parseInt(req.get('Upload-Offset'), 10);
+
+  if (activeChunkWrites.has(pending.id)) {
+    return res.status(409).set('Upload-Offset', String(currentOffset)).json({ error: 'Another chunk for this upload is still being written', offset: currentOffset });
+  }
+  if (offset !== currentOffset) {
+    return res.status(409).set('Upload-Offset', String(currentOffset)).json({ error: 'Upload-Offset does not match the received data', offset: currentOffset });
+  }
+
+  const remaining = pending.size - currentOffset;
+  let received = 0;
+  let tooLarge = false;
+  const limiter = new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      if (received > remaining) {
+        tooLarge = true;
+        return callback(new Error('Chunk exceeds the declared upload size'));
+      }
+      callback(null, chunk);
+    }
+  });
+
+  activeChunkWrites.add(pending.id);
+  pipeline(req, limiter, fs.createWriteStream(resumablePartPath(pending.id), { flags: 'a' }), (err) => {
+    activeChunkWrites.delete(pending.id);
+
+    if (tooLarge) {
+      // Drop the partial chunk so the upload can continue from the last good offset
+      fs.truncateSync(resumablePartPath(pending.id), currentOffset);
+      return res.status(413).json({ error: 'Chunk exceeds the declared upload size', offset: currentOffset });
+    }
+
+    // An interrupted chunk keeps the bytes that arrived; the client resumes from the new offset
+    const newOffset = resumableOffset(pending.id);
+    saveResumableUpload({ ...pending, updatedAt: new Date().toISOString() });
+    if (err) {
+      console.warn(`Resumable upload ${pending.id} chunk interrupted at offset ${newOffset}:`, err.message);
+      if (!res.headersSent && !req.socket.destroyed) {
+        res.status(400).set('Upload-Offset', String(newOffset)).json({ error: 'Chunk was interrupted', offset: newOffset });
+      }
+      return;
+    }
+    res.status(204).set('Upload-Offset', String(newOffset)).end();
+  });
+});
+
+app.post('/upload/resumable/:id/finalize', requirePermission('files:upload'), async (req, res) => {
+  const pending = findResumableUpload(req, res);
+  if (!pending) return;
+
+  const offset = resumableOffset(pending.id);
+  if (activeChunkWrites.has(pending.id) || offset !== pending.size) {
+    return res.status(409).json({ error: `Upload is incomplete: received ${offset} of ${pending.size} bytes`, offset });
+  }
+  if (!folderExists(pending.folder)) {
+    return res.status(409).json({ error: 'The target folder no longer exists' });
+  }
+  const held = legalHoldConflict(findUploadTarget(pending.folder, pending.name, req.user));
+  if (held) {
+    return res.status(409).json({ error: held });
+  }
+
+  try {
+    const filename = generateStoredFilename(pending.name);
+    activeChunkWrites.add(pending.id); // Block further chunks while the data is hashed and moved
+    const rejection = await validateUpload(pending.name, resumablePartPath(pending.id), pending.folder);
+    if (rejection) {
+      activeChunkWrites.delete(pending.id);
+      discardResumableUpload(pending.id);
+      return res.status(415).json({ error: `Upload rejected: ${rejection}` });
+    }
+    await registerUploadedFile(filename, resumablePartPath(pending.id), req, { visibility: pending.visibility, folder: pending.folder });
+    activeChunkWrites.delete(pending.id);
+    discardResumableUpload(pending.id);
+    res.status(201).json({ filename, downloadUrl: `/download/${filename}`, previewUrl: `/preview/${filename}` });
+  } catch (e) {
+    activeChunkWrites.delete(pending.id);
+    console.error('Error finalizing resumable upload:', e);
+    res.status(500).json({ error: 'Could not store the uploaded file' });
+  }
+});
+
+app.delete('/upload/resumable/:id', requirePermission('files:upload'), (req, res) => {
+  const pending = findResumableUpload(req, res);
+  if (!pending) return;
+  discardResumableUpload(pending.id);
+  res.status(204).end();
+});
+
+// Preview and download are also reachable without signing in; canViewFile only lets guests see public files
+app.get('/preview/:filename', async (req, res) => {
+  const entry = fileForFilename(req.params.filename);
+  const parsed = parseFilename(req.params.filename);
+
+  if (!entry) {
+    return res.status(404).send(renderError('File not found or invalid filename.'));
+  }
+
+  if (!canViewFile(req.user, fileMetadata[parsed.fileId])) {
+    return denyFileAccess(req, res);
+  }
+
+  const hold = scanHold(entry);
+  if (hold) {
+    return res.status(423).send(renderError(hold));
+  }
+
+  const { fileId, originalName } = parsed;
+  updateFileMetadata(fileId, { lastAccessed: new Date().toISOString() });
+  logActivity('preview', originalName, req, fileId);
+
+  try {
+    const fileType = getFileType(req.params.filename);
+    const details = renderFileDetails(req.params.filename, fileMetadata[fileId], canEditFileDetails(req.user, fileMetadata[fileId]));
+
+    if (fileType === 'image') {
+      return res.send(renderImagePreview(req.params.filename, originalName, details, canThumbnail(entry)));
+    } else if (fileType === 'pdf') {
+      return res.send(renderPDFPreview(req.params.filename, originalName, details));
+    } else if (fileType === 'text' || fileType === 'code') {
+      const content = (await readFileContent(entry)).toString('utf-8');
+      return res.send(renderTextViewer(req.params.filename, originalName, content, hasPermission(req.user, 'files:edit'), details));
+    } else if (fileType === 'audio') {
+      return res.send(renderAudioPlayer(req.params.filename, originalName, details));
+    } else if (fileType === 'video') {
+      return res.send(renderVideoPlayer(req.params.filename, originalName, details, canThumbnail(entry)));
+    } else {
+      return res.send(renderDefaultPreview(req.params.filename, originalName, entry.size, fileType, details));
+    }
+  } catch (e) {
+    console.error('Preview error:', e);
+    res.status(500).send(renderError(`Error generating preview for ${originalName}.`));
+  }
+});
+
+app.get('/download/:filename', (req, res) => {
+  const entry = fileForFilename(req.params.filename);
+  const parsed = parseFilename(req.params.filename);
+
+  if (!entry) {
+    return res.status(404).send(renderError('File not found or invalid filename.'));
+  }
+
+  if (!canViewFile(req.user, fileMetadata[parsed.fileId])) {
+    return denyFileAccess(req, res);
+  }
+
+  const hold = scanHold(entry);
+  if (hold) {
+    return res.status(423).send(renderError(hold));
+  }
+
+  const { fileId, originalName } = parsed;
+
+  const onDownload = () => {
+    updateFileMetadata(fileId, { downloads: ((fileMetadata[fileId] || {}).downloads || 0) + 1, lastAccessed: new Date().toISOString() });
+    logActivity('download', originalName, req, fileId);
+  };
+
+  sendFileContent(req, res, entry, { name: originalName, attachment: true, onDownload }).catch(err => {
+    console.error(`Download error for ${originalName}:`, err);
+    // Check if headers have already been sent before sending a new response
+    if (!res.headersSent) {
+      res.status(500).send(renderError(`Could not download file ${originalName}.`));
+    }
+  });
+});
+
+// Inline source for the image, audio, video and PDF previews; other types are sent as attachments. Players fetch
+// many ranges while seeking, so streaming is not counted or logged as a download; it only marks the file as accessed.
+app.get('/stream/:filename', (req, res) => {
+  const entry = fileForFilename(req.params.filename);
+  const parsed = parseFilename(req.params.filename);
+
+  if (!entry) {
+    return res.status(404).send(renderError('File not found or invalid filename.'));
+  }
+
+  if (!canViewFile(req.user, fileMetadata[parsed.fileId])) {
+    return denyFileAccess(req, res);
+  }
+
+  const hold = scanHold(entry);
+  if (hold) {
+    return res.status(423).send(renderError(hold));
+  }
+
+  const { fileId, originalName } = parsed;
+  const onDownload = () => updateFileMetadata(fileId, { lastAccessed: new Date().toISOString() });
+
+  sendFileContent(req, res, entry, { name: originalName, attachment: !canServeInline(originalName), onDownload }).catch(err => {
+    console.error(`Streaming error for ${originalName}:`, err);
+    if (!res.headersSent) {
+      res.status(500).send(renderError(`Could not stream file ${originalName}.`));
+    }
+  });
+});
+
+// Thumbnails for the dashboard grid (?size=small, the default) and the image, PDF and video previews (?size=large).
+// A thumbnail that is not ready yet is made on request.
+app.get('/thumb/:filename', async (req, res) => {
+  const entry = fileForFilename(req.params.filename);
+  const parsed = parseFilename(req.params.filename);
+
+  if (!entry) {
+    return res.status(404).send(renderError('File not found or invalid filename.'));
+  }
+
+  if (!canViewFile(req.user, fileMetadata[parsed.fileId])) {
+    return denyFileAccess(req, res);
+  }
+
+  const hold = scanHold(entry);
+  if (hold) {
+    return res.status(423).send(renderError(hold));
+  }
+
+  const size = req.query.size === 'large' ? 'large' : 'small';
+  try {
+    let image = await readThumbnail(entry.blob, size);
+    if (!image && await queueThumbnails(entry)) {
+      image = await readThumbnail(entry.blob, size);
+    }
+    if (!image) {
+      return res.status(404).send(renderError(`No thumbnail is available for ${parsed.originalName}.`));
+    }
+    // The content hash identifies the thumbnail, so browsers may keep it; res.send answers 304 when it still matches
+    res.set({ 'Cache-Control': 'private, max-age=86400', ETag: `"${entry.blob}-${size}"` }).type('image/webp').send(image);
+  } catch (e) {
+    console.error(`Thumbnail error for ${parsed.originalName}:`, e);
+    res.status(500).send(renderError(`Could not load the thumbnail of ${parsed.originalName}.`));
+  }
+});
+
+// Streams the selected files (`files`, as stored filenames) or a whole folder (`folder`, including subfolders) as
+// one ZIP. Files the user cannot see are left out; each included file counts as a download.
+function downloadZip(req, res) {
+  const params = req.method === 'POST' ? req.body : req.query;
+  const folder = params.folder === undefined ? null : normalizeFolderPath(params.folder);
+  if (folder === null && params.folder !== undefined) {
+    return res.status(400).send(renderError('Invalid folder path.'));
+  }
+  if (folder !== null && !folderExists(folder)) {
+    return res.status(404).send(renderError('Folder not found.'));
+  }
+
+  let selected;
+  if (folder !== null) {
+    selected = filesInFolder(folder, true)
+      .sort((a, b) => (a.folder || '').localeCompare(b.folder || '') || a.originalName.localeCompare(b.originalName))
+      .map(entry => {
+        const relativeFolder = (entry.folder || '').slice(folder.length).replace(/^\//, '');
+        return { entry, name: relativeFolder ? `${relativeFolder}/${entry.originalName}` : entry.originalName };
+      });
+  } else {
+    const filenames = [].concat(params.files || []).map(String);
+    selected = [...new Set(filenames)]
+      .map(filename => fileForFilename(filename) && fileMetadata[parseFilename(filename).fileId])
+      .filter(Boolean)
+      .map(entry => ({ entry, name: entry.originalName }));
+  }
+  selected = selected.filter(({ entry }) => canViewFile(req.user, entry));
+
+  if (selected.length === 0) {
+    return res.status(404).send(renderError('No files to download.'));
+  }
+  const held = selected.filter(({ entry }) => scanHold(entry));
+  if (held.length > 0) {
+    return res.status(423).send(renderError(`These files have not been found clean by the malware scanner yet: ${held.map(({ name }) => name).join(', ')}. Try again once they are scanned.`));
+  }
+  if (selected.length > maxZipEntries) {
+    return res.status(413).send(renderError(`A ZIP download can include at most ${maxZipEntries} files.`));
+  }
+  if (selected.reduce((sum, { entry }) => sum + entry.size, 0) > maxZipContentSize) {
+    return res.status(413).send(renderError(`A ZIP download can include at most ${formatBytes(maxZipContentSize)} of files.`));
+  }
+
+  const names = uniqueZipNames(selected.map(({ name }) => name));
+  const entries = selected.map(({ entry }, index) => ({ name: names[index], content: entry, modified: entry.lastModified || entry.uploaded }));
+  const archiveName = `${folder ? folder.split('/').pop() : 'files'}.zip`;
+
+  res.status(200).type('application/zip').attachment(archiveName);
+  sendZipArchive(res, entries, ({ content }) => {
+    updateFileMetadata(content.id, { downloads: (content.downloads || 0) + 1, lastAccessed: new Date().toISOString() });
+    logActivity('download', content.originalName, req, content.id);
+  }).catch(err => {
+    if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error(`ZIP download error for ${archiveName}:`, err);
+    if (!res.headersSent) {
+      res.removeHeader('Content-Disposition');
+      res.status(500).type('html').send(renderError(`Could not create ${archiveName}.`));
+    }
+  });
+}
+
+app.get('/download-zip', requirePermission('files:read'), downloadZip);
+app.post('/download-zip', requirePermission('files:read'), downloadZip);
+
+app.get('/edit/:filename', requirePermission('files:edit'), async (req, res) => {
+  const entry = fileForFilename(req.params.filename);
+  const parsed = parseFilename(req.params.filename);
+
+  if (!entry) {
+    return res.status(404).send(renderError('File not found or invalid filename.'));
+  }
+
+  if (!canViewFile(req.user, fileMetadata[parsed.fileId])) {
+    return denyFileAccess(req, res);
+  }
+
+  const hold = scanHold(entry);
+  if (hold) {
+    return res.status(423).send(renderError(hold));
+  }
+
+  const { fileId, originalName } = parsed;
+  const fileType = getFileType(req.params.filename);
+
+  if (fileType !== 'text' && fileType !== 'code') {
+    return res.status(400).send(renderError(`Editing is only supported for text and code files. This is a ${fileType} file.`));
+  }
+
+  try {
+    const content = (await readFileContent(entry)).toString('utf-8');
+    updateFileMetadata(fileId, { lastAccessed: new Date().toISOString() });
+    res.send(renderFileEditor(req.params.filename, originalName, content));
+  } catch (e) {
+    console.error('Error reading file for edit:', e);
+    res.status(500).send(renderError(`Error reading file ${originalName} for editing.`));
+  }
+});
+
+app.post('/save/:filename', requirePermission('files:edit'), async (req, res) => {
+  const parsed = parseFilename(req.params.filename);
+
+  if (!fileForFilename(req.params.filename)) {
+    return res.status(404).send(renderError('File not found or invalid filename.'));
+  }
+
+  if (!canViewFile(req.user, fileMetadata[parsed.fileId])) {
+    return denyFileAccess(req, res);
+  }
+
+  const { fileId, originalName } = parsed;
+  const fileType = getFileType(req.params.filename);
+
+  if (fileType !== 'text' && fileType !== 'code') {
+    return res.status(400).send(renderError(`Saving is only supported for text and code files. This is a ${fileType} file.`));
+  }
+
+  const held = legalHoldConflict(fileMetadata[fileId]);
+  if (held) {
+    return res.status(403).send(renderError(held));
+  }
+
+  try {
+    // Blobs are shared and immutable, so saving stores the new content as its own blob
+    // and keeps the previous content as a version
+    replaceFileContent(fileId, await storeBlobFromBuffer(Buffer.from(String(req.body.content || ''))), req.user, 'edit');
+    updateFileMetadata(fileId, { lastAccessed: new Date().toISOString() });
+    logActivity('edit', originalName, req, fileId);
+    res.redirect('/');
+  } catch (e) {
+    console.error('Error saving file:', e);
+    res.status(500).send(renderError(`Error saving changes to ${originalName}.`));
+  }
+});
+
+// Shared lookup for the version routes; sends the error response and returns null if the file is not accessible
+function findVersionedFile(req, res) {
+  const parsed = parseFilename(req.params.filename);
+  const entry = parsed && fileMetadata[parsed.fileId];
+
+  if (!entry || !entry.blob) {
+    res.status(404).send(renderError('File not found or invalid filename.'));
+    return null;
+  }
+
+  if (!canViewFile(req.user, entry)) {
+    denyFileAccess(req, res);
+    return null;
+  }
+
+  return { ...parsed, entry };
+}
+
+app.get('/versions/:filename', requirePermission('files:read'), (req, res) => {
+  const file = findVersionedFile(req, res);
+  if (!file) return;
+
+  const fileType = getFileType(req.params.filename);
+  res.send(renderVersions(req.params.filename, file.originalName, listFileVersions(file.entry), fileType === 'text' || fileType === 'code', req.user));
+});
+
+app.get('/versions/:filename/diff', requirePermission('files:read'), async (req, res) => {
+  const file = findVersionedFile(req, res);
+  if (!file) return;
+
+  const fileType = getFileType(req.params.filename);
+  if (fileType !== 'text' && fileType !== 'code') {
+    return res.status(400).send(renderError(`Diffs are only supported for text and code files. This is a ${fileType} file.`));
+  }
+
+  const from = findFileVersion(file.entry, parseInt(req.query.from, 10));
+  const to = findFileVersion(file.entry, parseInt(req.query.to, 10));
+  if (!from || !to) {
+    return res.status(404).send(renderError('Version not found.'));
+  }
+
+  // Earlier versions were scanned while they were current; only the current content can still be held back
+  const hold = (from.current || to.current) && scanHold(file.entry);
+  if (hold) {
+    return res.status(423).send(renderError(hold));
+  }
+
+  if (from.size > maxDiffBytes || to.size > maxDiffBytes) {
+    return res.status(413).send(renderError(`Diffs are limited to files up to ${formatBytes(maxDiffBytes)}.`));
+  }
+
+  try {
+    const ops = diffLines((await readFileContent(from)).toString('utf-8'), (await readFileContent(to)).toString('utf-8'));
+    if (!ops) {
+      return res.status(413).send(renderError('These versions differ too much to display a diff.'));
+    }
+    res.send(renderVersionDiff(req.params.filename, file.originalName, from, to, ops));
+  } catch (e) {
+    console.error('Diff error:', e);
+    res.status(500).send(renderError(`Error comparing versions of ${file.originalName}.`));
+  }
+});
+
+app.get('/versions/:filename/:version/download', requirePermission('files:read'), (req, res) => {
+  const file = findVersionedFile(req, res);
+  if (!file) return;
+
+  const version = findFileVersion(file.entry, parseInt(req.params.version, 10));
+  if (!version) {
+    return res.status(404).send(renderError('Version not found.'));
+  }
+
+  const hold = version.current && scanHold(file.entry);
+  if (hold) {
+    return res.status(423).send(renderError(hold));
+  }
+
+  const ext = path.extname(file.originalName);
+  const downloadName = `${path.basename(file.originalName, ext)}.v${version.version}${ext}`;
+  const onDownload = () => logActivity('download-version', `${file.originalName} (v${version.version})`, req, file.fileId);
+  sendFileContent(req, res, version, { name: downloadName, attachment: true, onDownload }).catch(err => {
+    console.error(`Download error for ${downloadName}:`, err);
+    if (!res.headersSent) {
+      res.status(500).send(renderError(`Could not download version ${version.version} of ${file.originalName}.`));
+    }
+  });
+});
+
+app.post('/versions/:filename/:version/restore', requirePermission('files:edit'), (req, res) => {
+  const file = findVersionedFile(req, res);
+  if (!file) return;
+
+  const version = findFileVersion(file.entry, parseInt(req.params.version, 10));
+  if (!version || version.current) {
+    return res.status(404).send(renderError('Version not found or already current.'));
+  }
+
+  const held = legalHoldConflict(file.entry);
+  if (held) {
+    return res.status(403).send(renderError(held));
+  }
+
+  // Restoring adds a new version with the old content, so the restore itself can be undone
+  replaceFileContent(file.fileId, { hash: version.blob, size: version.size }, req.user, 'restore');
+  logActivity('restore', `${file.originalName} (v${version.version})`, req, file.fileId);
+  res.redirect(`/versions/${req.params.filename}`);
+});
+
+app.post('/delete/:filename', requirePermission('files:delete'), (req, res) => {
+  const parsed = parseFilename(req.params.filename);
+
+  if (!fileForFilename(req.params.filename)) {
+    return res.status(404).send(renderError('File not found or invalid filename.'));
+  }
+
+  if (!canViewFile(req.user, fileMetadata[parsed.fileId])) {
+    return denyFileAccess(req, res);
+  }
+
+  const { fileId, originalName } = parsed;
+
+  if (fileMetadata[fileId].legalHold) {
+    return res.status(403).send(renderError(`${originalName} is under legal hold and cannot be deleted.`));
+  }
+
+  try {
+    trashFile(fileId, req.user);
+    logActivity('delete', originalName, req, fileId);
+    res.redirect('/');
+  } catch (e) {
+    console.error('Error deleting file:', e);
+    res.status(500).send(renderError(`Error deleting file ${originalName}.`));
+  }
+});
+
+app.post('/delete-multiple', requirePermission('files:delete'), (req, res) => {
+  const filesToDelete = Array.isArray(req.body.files) ? req.body.files : [];
+  let deletedCount = 0;
+  let errorCount = 0;
+
+  filesToDelete.forEach(filename => {
+    const parsed = parseFilename(filename);
+
+    if (fileForFilename(filename) && canViewFile(req.user, fileMetadata[parsed.fileId]) && !fileMetadata[parsed.fileId].legalHold) {
+      const { fileId, originalName } = parsed;
+      try {
+        trashFile(fileId, req.user);
+        logActivity('delete', originalName, req, fileId);
+        deletedCount++;
+      } catch (e) {
+        console.error(`Error deleting file ${filename}:`, e);
+        errorCount++;
+      }
+    } else {
+      console.warn(`Attempted to delete non-existent or malformed file: ${filename}`);
+      errorCount++;
+    }
+  });
+
+  if (errorCount > 0) {
+    res.status(500).send(renderError(`Successfully deleted ${deletedCount} files, but encountered errors with ${errorCount} files.`));
+  } else {
+    res.redirect('/');
+  }
+});
+
+// Trashed files are visible to admins, their owner and whoever deleted them
+function canAccessTrashedFile(user, entry) {
+  return canManageFile(user, entry) || entry.deletedBy === user.id;
+}
+
+function findTrashedFile(req, res) {
+  const entry = Object.hasOwn(trash, req.params.fileId) ? trash[req.params.fileId] : null;
+  if (!entry || !canAccessTrashedFile(req.user, entry)) {
+    res.status(404).send(renderError('File not found in the trash.'));
+    return null;
+  }
+  return entry;
+}
+
+app.get('/search', requirePermission('files:read'), (req, res) => {
+  const query = String(req.query.q || '').trim();
+  const results = query ? paginate(searchFiles(query, req.user), req.query) : null;
+  res.send(renderSearch(query, results));
+});
+
+app.get('/trash', requirePermission('files:delete'), (req, res) => {
+  const trashedFiles = Object.values(trash)
+    .filter(entry => canAccessTrashedFile(req.user, entry))
+    .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+  res.send(renderTrash(trashedFiles));
+});
+
+app.post('/trash/empty', requirePermission('files:delete'), (req, res) => {
+  Object.values(trash)
+    .filter(entry => canAccessTrashedFile(req.user, entry))
+    .forEach(entry => {
+      purgeTrashedFile(entry.id);
+      logActivity('purge', entry.originalName, req, entry.id);
+    });
+  res.redirect('/trash');
+});
+
+app.post('/trash/:fileId/restore', requirePermission('files:delete'), (req, res) => {
+  const entry = findTrashedFile(req, res);
+  if (!entry) return;
+
+  restoreTrashedFile(entry.id, req.user);
+  logActivity('restore-deleted', entry.originalName, req, entry.id);
+  res.redirect('/trash');
+});
+
+app.post('/trash/:fileId/purge', requirePermission('files:delete'), (req, res) => {
+  const entry = findTrashedFile(req, res);
+  if (!entry) return;
+
+  purgeTrashedFile(entry.id);
+  logActivity('purge', entry.originalName, req, entry.id);
+  res.redirect('/trash');
+});
+
+app.post('/folders', requirePermission('files:upload'), (req, res) => {
+  const parent = normalizeFolderPath(req.body.parent);
+  const name = normalizeFolderPath(req.body.name);
+
+  if (parent === null || !folderExists(parent) || !name || name.includes('/')) {
+    return res.status(400).send(renderError('Invalid folder name. Names cannot contain / \\ : * ? " < > | or be "." or "..".'));
+  }
+
+  const folderPath = parent ? `${parent}/${name}` : name;
+  if (folderExists(folderPath)) {
+    return res.status(409).send(renderError(`A folder named ${name} already exists here.`));
+  }
+
+  createFolder(folderPath, req.user);
+  logActivity('folder-create', folderPath, req);
+  res.redirect(folderUrl(parent));
+});
+
+app.post('/folders/rename', requirePermission('files:edit'), (req, res) => {
+  const folderPath = normalizeFolderPath(req.body.path);
+  const name = normalizeFolderPath(req.body.name);
+
+  if (!folderPath || !folderExists(folderPath)) {
+    return res.status(404).send(renderError('Folder not found.'));
+  }
+  if (!name || name.includes('/')) {
+    return res.status(400).send(renderError('Invalid folder name. Names cannot contain / \\ : * ? " < > | or be "." or "..".'));
+  }
+
+  const parent = parentFolder(folderPath);
+  const newPath = parent ? `${parent}/${name}` : name;
+  if (newPath === folderPath) {
+    return res.redirect(folderUrl(parent));
+  }
+  if (folderExists(newPath)) {
+    return res.status(409).send(renderError(`A folder named ${name} already exists here.`));
+  }
+
+  renameFolder(folderPath, newPath);
+  logActivity('folder-rename', `${folderPath} → ${newPath}`, req);
+  res.redirect(folderUrl(parent));
+});
+
+app.post('/folders/delete', requirePermission('files:delete'), (req, res) => {
+  const folderPath = normalizeFolderPath(req.body.path);
+
+  if (!folderPath || !folderExists(folderPath)) {
+    return res.status(404).send(renderError('Folder not found.'));
+  }
+  if (listSubfolders(folderPath).length > 0 || filesInFolder(folderPath).length > 0) {
+    return res.status(400).send(renderError(`Folder ${folderPath} is not empty. Move or delete its contents first.`));
+  }
+
+  deleteFolder(folderPath);
+  logActivity('folder-delete', folderPath, req);
+  res.redirect(folderUrl(parentFolder(folderPath)));
+});
+
+// Moves files (by stored filename) into another folder
+app.post('/move', requirePermission('files:edit'), (req, res) => {
+  const filesToMove = Array.isArray(req.body.files) ? req.body.files : [req.body.files].filter(Boolean);
+  const target = normalizeFolderPath(req.body.folder);
+
+  if (target === null || !folderExists(target)) {
+    return res.status(400).send(renderError('The target folder does not exist.'));
+  }
+
+  let movedCount = 0;
+  let errorCount = 0;
+  const rejections = [];
+
+  filesToMove.forEach(filename => {
+    const parsed = parseFilename(String(filename));
+    const entry = parsed ? fileMetadata[parsed.fileId] : null;
+    const rejection = entry && canViewFile(req.user, entry) && checkFolderRules(entry.originalName, target);
+
+    if (rejection) {
+      rejections.push(rejection);
+    } else if (entry && canViewFile(req.user, entry)) {
+      updateFileMetadata(parsed.fileId, { folder: target });
+      logActivity('move', `${parsed.originalName} → /${target}`, req, parsed.fileId);
+      movedCount++;
+    } else {
+      console.warn(`Attempted to move non-existent or hidden file: ${filename}`);
+      errorCount++;
+    }
+  });
+
+  if (rejections.length > 0) {
+    res.status(415).send(renderError(`Moved ${movedCount} files. These are not allowed in the target folder: ${rejections.join(' ')}`));
+  } else if (errorCount > 0) {
+    res.status(400).send(renderError(`Moved ${movedCount} files, but ${errorCount} files could not be found.`));
+  } else {
+    res.redirect(folderUrl(target));
+  }
+});
+
+app.post('/visibility/:filename', (req, res) => {
+  const parsed = parseFilename(req.params.filename);
+  const entry = parsed ? fileMetadata[parsed.fileId] : null;
+
+  if (!entry || !canViewFile(req.user, entry)) {
+    return res.status(404).send(renderError('File not found or invalid filename.'));
+  }
+  if (!canManageFile(req.user, entry)) {
+    return res.status(403).send(renderError('Only the owner of a file or an administrator can change its visibility.'));
+  }
+  if (!visibilities.includes(req.body.visibility)) {
+    return res.status(400).send(renderError(`Unknown visibility: ${req.body.visibility}. Use one of: ${visibilities.join(', ')}`));
+  }
+
+  updateFileMetadata(parsed.fileId, { visibility: req.body.visibility });
+  logActivity(`visibility-${req.body.visibility}`, parsed.originalName, req, parsed.fileId);
+  res.redirect('/');
+});
+
+// Saves the details form on the preview pages: comma-separated tags and "key: value" property lines
+app.post('/details/:filename', (req, res) => {
+  const parsed = parseFilename(req.params.filename);
+  const entry = parsed ? fileMetadata[parsed.fileId] : null;
+
+  if (!entry || !canViewFile(req.user, entry)) {
+    return res.status(404).send(renderError('File not found or invalid filename.'));
+  }
+  if (!canEditFileDetails(req.user, entry)) {
+    return res.status(403).send(renderError('Only the owner of a file or an editor can change its details.'));
+  }
+
+  const propertyLines = String(req.body.properties || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (propertyLines.some(line => !line.includes(':'))) {
+    return res.status(400).send(renderError('Write properties as "key: value", one per line.'));
+  }
+  const { details, error } = validateFileDetails({
+    tags: String(req.body.tags || '').split(','),
+    description: String(req.body.description || ''),
+    properties: Object.fromEntries(propertyLines.map(line => [line.slice(0, line.indexOf(':')).trim(), line.slice(line.indexOf(':') + 1)]))
+  });
+  if (error) {
+    return res.status(400).send(renderError(error));
+  }
+
+  updateFileMetadata(parsed.fileId, details);
+  logActivity('details', parsed.originalName, req, parsed.fileId);
+  res.redirect(`/preview/${storedFilename(fileMetadata[parsed.fileId])}`);
+});
+
+// Share page: lists the caller's active share links for the file (every link for admins) and creates new ones
+app.get('/share/:filename', requirePermission('files:share'), (req, res) => {
+  const parsed = parseFilename(req.params.filename);
+
+  if (!fileForFilename(req.params.filename) || !canViewFile(req.user, fileMetadata[parsed.fileId])) {
+    return res.status(404).send(renderError('File not found for sharing.'));
+  }
+
+  const fileShares = activeShares(share => share.fileId === parsed.fileId && canRevokeShare(req.user, share));
+  res.send(renderShareLink(req.params.filename, parsed.originalName, fileShares, `${req.protocol}://${req.get('host')}`, req.user));
+});
+
+app.post('/share/:filename', requirePermission('files:share'), (req, res) => {
+  const parsed = parseFilename(req.params.filename);
+
+  if (!fileForFilename(req.params.filename) || !canViewFile(req.user, fileMetadata[parsed.fileId])) {
+    return res.status(404).send(renderError('File not found for sharing.'));
+  }
+
+  const expiresInHours = req.body.expiresInHours ? parseFloat(req.body.expiresInHours) : null;
+  const maxDownloads = req.body.maxDownloads ? parseInt(req.body.maxDownloads, 10) : null;
+
+  if ((expiresInHours !== null && !(expiresInHours > 0)) || (maxDownloads !== null && !(maxDownloads > 0))) {
+    return res.status(400).send(renderError('Expiry and download limit must be positive numbers (leave blank for no limit).'));
+  }
+
+  const { fileId, originalName } = parsed;
+  const share = createShare(req.params.filename, fileId, req.user, { expiresInHours, maxDownloads, password: req.body.password });
+  logActivity('share', originalName, req, fileId);
+
+  const fileShares = activeShares(s => s.fileId === fileId && canRevokeShare(req.user, s));
+  res.send(renderShareLink(req.params.filename, originalName, fileShares, `${req.protocol}://${req.get('host')}`, req.user, share.token));
+});
+
+app.post('/shares/:token/revoke', (req, res) => {
+  const share = shares[req.params.token];
+
+  if (!share || share.revokedAt) {
+    return res.status(404).send(renderError('Share link not found.'));
+  }
+  if (!canRevokeShare(req.user, share)) {
+    return res.status(403).send(renderError('Only the creator of a share link or an administrator can revoke it.'));
+  }
+
+  saveShare({ ...share, revokedAt: new Date().toISOString() });
+  const parsed = parseFilename(share.filename);
+  logActivity('share-revoke', parsed ? parsed.originalName : share.filename, req, share.fileId);
+  res.redirect(safeRedirectTarget(req.body.returnTo));
+});
+
+// Public share links: anyone with the token can download until it expires, runs out or is revoked
+function sendSharedFile(req, res, share) {
+  const { originalName } = parseFilename(share.filename);
+  const hold = scanHold(fileMetadata[share.fileId]);
+  if (hold) {
+    return res.status(423).send(renderError(hold));
+  }
+
+  // Resumed downloads do not use up another of the share's downloads
+  const onDownload = () => {
+    saveShare({ ...share, downloads: share.downloads + 1 });
+    updateFileMetadata(share.fileId, { downloads: (fileMetadata[share.fileId].downloads || 0) + 1, lastAccessed: new Date().toISOString() });
+    logActivity('share-download', originalName, req, share.fileId);
+  };
+
+  sendFileContent(req, res, fileMetadata[share.fileId], { name: originalName, attachment: true, onDownload }).catch(err => {
+    console.error(`Shared download error for ${originalName}:`, err);
+    if (!res.headersSent) {
+      res.status(500).send(renderError(`Could not download file ${originalName}.`));
+    }
+  });
+}
+
+app.get('/s/:token', (req, res) => {
+  const share = shares[req.params.token];
+  const reason = shareUnavailableReason(share);
+
+  if (reason) {
+    return res.status(share ? 410 : 404).send(renderError(reason));
+  }
+  if (share.passwordHash) {
+    return res.send(renderSharePassword(share.token, parseFilename(share.filename).originalName));
+  }
+  sendSharedFile(req, res, share);
+});
+
+app.post('/s/:token', (req, res) => {
+  const share = shares[req.params.token];
+  const reason = shareUnavailableReason(share);
+
+  if (reason) {
+    return res.status(share ? 410 : 404).send(renderError(reason));
+  }
+  if (share.passwordHash && !verifyPassword(String(req.body.password || ''), share.passwordHash)) {
+    logActivity('share-denied', parseFilename(share.filename).originalName, req, share.fileId);
+    return res.status(401).send(renderSharePassword(share.token, parseFilename(share.filename).originalName, 'Incorrect password.'));
+  }
+  sendSharedFile(req, res, share);
+});
+
+// Admin Panel (requires robust authentication in production)
+app.get('/admin', requirePermission('admin'), (req, res) => {
+  // Example data for admin panel
+  const usage = storageUsage();
+  const systemInfo = {
+    totalFiles: Object.keys(fileMetadata).length,
+    totalStorageUsed: formatBytes(usage.logical),
+    physicalStorageUsed: formatBytes(usage.physical),
+    storageSaved: formatBytes(usage.saved),
+    uniqueBlobs: Object.keys(blobs).length,
+    trashedFiles: Object.keys(trash).length,
+    trashStorageUsed: formatBytes(usage.trashed),
+    activeConnections: activeConnections,
+    maxFileSize: formatBytes(maxFileSize),
+    maxFilesPerUpload: maxFiles,
+    retentionPolicies: Object.values(retentionPolicies).filter(policy => policy.enabled).length,
+    trashRetention: `${trashRetentionDays} days`,
+    encryption: encryptionStatus(),
+    malwareScanner: malwareScanner ? malwareScanner.description : null,
+    pendingScans: Object.values(fileMetadata).filter(entry => scanHold(entry)).length
+  };
+  res.send(renderAdminPanel(systemInfo, fileMetadata, fileHistory, users, activeShares(), `${req.protocol}://${req.get('host')}`, req.user));
+});
+
+app.post('/admin/users', requirePermission('admin'), (req, res) => {
+  const { username, password, role } = req.body;
+
+  if (!username || !password || !/^[a-zA-Z0-9._@-]{1,64}$/.test(username)) {
+    return res.status(400).send(renderError('A username (letters, digits, . _ @ -) and a password are required.'));
+  }
+  if (!rolePermissions[role]) {
+    return res.status(400).send(renderError(`Unknown role: ${role}. Available roles: ${roles.join(', ')}`));
+  }
+  if (findUserByUsername(username)) {
+    return res.status(409).send(renderError(`A user named ${username} already exists.`));
+  }
+
+  createUser(username, password, role);
+  logActivity('user-create', `${username} (${role})`, req);
+  res.redirect('/admin');
+});
+
+app.post('/admin/users/:id/role', requirePermission('admin'), (req, res) => {
+  const user = users[req.params.id];
+  const { role } = req.body;
+
+  if (!user) {
+    return res.status(404).send(renderError('User not found.'));
+  }
+  if (!rolePermissions[role]) {
+    return res.status(400).send(renderError(`Unknown role: ${role}. Available roles: ${roles.join(', ')}`));
+  }
+  // Never leave the server without an administrator
+  const otherAdmins = Object.values(users).filter(u => u.role === 'admin' && u.id !== user.id);
+  if (user.role === 'admin' && role !== 'admin' && otherAdmins.length === 0) {
+    return res.status(400).send(renderError('Cannot remove the admin role from the last administrator.'));
+  }
+
+  saveUser({ ...user, role });
+  logActivity('role-change', `${user.username}: ${user.role} → ${role}`, req);
+  res.redirect('/admin');
+});
+
+function findQuarantinedFile(req, res) {
+  const entry = Object.hasOwn(quarantine, req.params.fileId) ? quarantine[req.params.fileId] : null;
+  if (!entry) {
+    res.status(404).send(renderError('File not found in the quarantine.'));
+    return null;
+  }
+  return entry;
+}
+
+app.post('/admin/quarantine/:fileId/release', requirePermission('admin'), (req, res) => {
+  const entry = findQuarantinedFile(req, res);
+  if (!entry) return;
+
+  releaseQuarantinedFile(entry.id, req.user);
+  logActivity('quarantine-release', `${entry.originalName} (${entry.scan.signature})`, req, entry.id);
+  res.redirect('/admin');
+});
+
+app.post('/admin/quarantine/:fileId/delete', requirePermission('admin'), (req, res) => {
+  const entry = findQuarantinedFile(req, res);
+  if (!entry) return;
+
+  purgeQuarantinedFile(entry.id);
+  logActivity('quarantine-delete', entry.originalName, req, entry.id);
+  res.redirect('/admin');
+});
+
+app.post('/admin/upload-rules', requirePermission('admin'), (req, res) => {
+  const folder = normalizeFolderPath(req.body.folder);
+  const allow = parseExtensionList(req.body.allow);
+  const deny = parseExtensionList(req.body.deny);
+
+  if (!folder || !folderExists(folder)) {
+    return res.status(400).send(renderError('Choose an existing folder. Uploads to the root follow the server-wide list of allowed types.'));
+  }
+  const unknown = [...allow, ...deny].filter(ext => !allowedExtensions.includes(ext) && !optInExtensions.includes(ext));
+  if (unknown.length > 0) {
+    return res.status(400).send(renderError(`Unknown file types: ${unknown.join(', ')}. Available types: ${[...allowedExtensions, ...optInExtensions].join(', ')}`));
+  }
+
+  setFolderUploadRules(folder, { allow, deny });
+  logActivity('upload-rules', allow.length || deny.length
+    ? `/${folder}: allow ${allow.join(', ') || 'all'}; deny ${deny.join(', ') || 'none'}`
+    : `/${folder}: removed`, req);
+  res.redirect('/admin');
+});
+
+app.get('/admin/retention', requirePermission('admin'), (req, res) => {
+  const report = evaluateRetention();
+  const heldFiles = Object.values(fileMetadata).filter(entry => entry.legalHold);
+  res.send(renderRetention(Object.values(retentionPolicies), report, heldFiles));
+});
+
+app.post('/admin/retention/policies', requirePermission('admin'), (req, res) => {
+  const name = String(req.body.name || '').trim();
+  const folder = normalizeFolderPath(req.body.folder);
+  const fileType = req.body.fileType || null;
+  const criterion = req.body.criterion;
+  const threshold = parseInt(req.body.threshold, 10);
+
+  if (!name || name.length > 100) {
+    return res.status(400).send(renderError('A policy name of up to 100 characters is required.'));
+  }
+  if (folder === null) {
+    return res.status(400).send(renderError('Invalid folder path.'));
+  }
+  if (fileType && !retentionFileTypes.includes(fileType)) {
+    return res.status(400).send(renderError(`Unknown file type: ${fileType}. Available types: ${retentionFileTypes.join(', ')}`));
+  }
+  if (!retentionCriteria[criterion]) {
+    return res.status(400).send(renderError(`Unknown criterion: ${criterion}. Available criteria: ${Object.keys(retentionCriteria).join(', ')}`));
+  }
+  if (!(threshold > 0)) {
+    return res.status(400).send(renderError('The threshold must be a positive whole number.'));
+  }
+
+  const policy = {
+    id: crypto.randomBytes(8).toString('hex'),
+    name,
+    folder: folder || null,
+    fileType,
+    criterion,
+    threshold,
+    enabled: req.body.enabled === 'on',
+    createdBy: req.user.id,
+    createdAt: new Date().toISOString()
+  };
+  saveRetentionPolicy(policy);
+  logActivity('retention-policy-create', `${policy.name} (${describeRetentionPolicy(policy)})`, req);
+  res.redirect('/admin/retention');
+});
+
+app.post('/admin/retention/policies/:id/toggle', requirePermission('admin'), (req, res) => {
+  const policy = retentionPolicies[req.params.id];
+  if (!policy) {
+    return res.status(404).send(renderError('Retention policy not found.'));
+  }
+
+  saveRetentionPolicy({ ...policy, enabled: !policy.enabled });
+  logActivity(policy.enabled ? 'retention-policy-disable' : 'retention-policy-enable', policy.name, req);
+  res.redirect('/admin/retention');
+});
+
+app.post('/admin/retention/policies/:id/delete', requirePermission('admin'), (req, res) => {
+  const policy = retentionPolicies[req.params.id];
+  if (!policy) {
+    return res.status(404).send(renderError('Retention policy not found.'));
+  }
+
+  removeRetentionPolicy(policy.id);
+  logActivity('retention-policy-delete', policy.name, req);
+  res.redirect('/admin/retention');
+});
+
+app.post('/admin/retention/run', requirePermission('admin'), (req, res) => {
+  runRetention(req);
+  res.redirect('/admin/retention');
+});
+
+// Places or lifts a legal hold; held files cannot be deleted, changed or removed by retention policies.
+// The file comes from the URL or, for the form on the retention page, from the "file" field.
+app.post(['/legal-hold', '/legal-hold/:filename'], requirePermission('admin'), (req, res) => {
+  const parsed = parseFilename(req.params.filename || String(req.body.file || ''));
+  if (!parsed || !fileMetadata[parsed.fileId]) {
+    return res.status(404).send(renderError('File not found or invalid filename.'));
+  }
+
+  const { fileId, originalName } = parsed;
+  if (req.body.hold === 'on') {
+    const reason = String(req.body.reason || '').trim().slice(0, 200);
+    updateFileMetadata(fileId, { legalHold: { reason, by: req.user.id, at: new Date().toISOString() } });
+    logActivity('legal-hold', reason ? `${originalName} (${reason})` : originalName, req, fileId);
+  } else {
+    updateFileMetadata(fileId, { legalHold: null });
+    logActivity('legal-hold-release', originalName, req, fileId);
+  }
+  res.redirect(req.body.returnTo ? safeRedirectTarget(req.body.returnTo) : '/admin/retention');
+});
+
+// Personal access tokens. Managing tokens needs a browser session, so a token cannot mint or revoke tokens.
+function requireSession(req, res, next) {
+  if (req.user && !req.user.token) {
+    return next();
+  }
+  res.status(403).send(renderError('API tokens can only be managed from a signed-in browser session.'));
+}
+
+// Admins see every token; other users only their own
+function visibleApiTokens(user) {
+  return Object.values(apiTokens)
+    .filter(token => canManageApiToken(user, token))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+app.get('/tokens', requireSession, (req, res) => {
+  res.send(renderApiTokens(visibleApiTokens(req.user), req.user));
+});
+
+app.post('/tokens', requireSession, (req, res) => {
+  const name = String(req.body.name || '').trim();
+  const scope = req.body.scope;
+  const expiresInDays = req.body.expiresInDays ? parseFloat(req.body.expiresInDays) : null;
+
+  if (!name || name.length > 64) {
+    return res.status(400).send(renderError('A token name of up to 64 characters is required.'));
+  }
+  if (!allowedTokenScopes(req.user).includes(scope)) {
+    return res.status(400).send(renderError(`Your role (${req.user.role}) cannot create tokens with the scope "${scope}". Available scopes: ${allowedTokenScopes(req.user).join(', ')}`));
+  }
+  if (expiresInDays !== null && !(expiresInDays > 0)) {
+    return res.status(400).send(renderError('The expiry must be a positive number of days (leave blank for no expiry).'));
+  }
+
+  const { token, rawToken } = createApiToken(req.user, { name, scope, expiresInDays });
+  logActivity('token-create', `${token.name} (${token.scope})`, req);
+  res.send(renderApiTokens(visibleApiTokens(req.user), req.user, rawToken));
+});
+
+app.post('/tokens/:id/revoke', requireSession, (req, res) => {
+  const token = Object.hasOwn(apiTokens, req.params.id) ? apiTokens[req.params.id] : null;
+
+  if (!token || token.revokedAt || !canManageApiToken(req.user, token)) {
+    return res.status(404).send(renderError('API token not found.'));
+  }
+
+  saveApiToken({ ...token, revokedAt: new Date().toISOString() });
+  logActivity('token-revoke', `${token.name} (${users[token.userId] ? users[token.userId].username : 'unknown'})`, req);
+  res.redirect('/tokens');
+});
+
+// Route to get file metadata (for API use or advanced UI)
+app.get('/api/file-metadata/:filename', requirePermission('files:read'), (req, res) => {
+  const parsed = parseFilename(req.params.filename);
+  if (!parsed) {
+    return res.status(400).json({ error: 'Invalid filename format' });
+  }
+  const fileId = parsed.fileId;
+  const metadata = fileMetadata[fileId];
+  if (metadata && canViewFile(req.user, metadata)) {
+    res.json(metadata);
+  } else {
+    res.status(404).json({ error: 'File metadata not found' });
+  }
+});
+
+// ======================
+// REST API (v1)
+// ======================
+// JSON counterpart of the HTML routes, mounted at /api/v1. Files are addressed by their id.
+// Every error response has the shape { error: { code, message } }; the OpenAPI document
+// describing the API is served at /api/v1/openapi.json.
+const api = express.Router();
+const apiMaxPageSize = 200;
+const apiSortFields = {
+  name: entry => entry.originalName.toLowerCase(),
+  size: entry => entry.size,
+  uploaded: entry => new Date(entry.uploaded).getTime(),
+  lastModified: entry => new Date(entry.lastModified || entry.uploaded).getTime(),
+  downloads: entry => entry.downloads || 0
+};
+
+const apiErrorResponse = description => ({
+  description,
+  content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } }
+});
+const apiJsonResponse = (description, schema) => ({
+  description,
+  content: { 'application/json': { schema: { $ref: `#/components/schemas/${schema}` } } }
+});
+const apiFileIdParameter = { name: 'id', in: 'path', required: true, schema: { type: 'string' }, description: 'File id' };
+const apiPagingParameters = [
+  { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+  { name: 'perPage', in: 'query', schema: { type: 'integer', minimum: 1, maximum: apiMaxPageSize, default: 50 } }
+];
+const apiPaging = {
+  page: { type: 'integer' },
+  perPage: { type: 'integer' },
+  total: { type: 'integer' },
+  totalPages: { type: 'integer' }
+};
+
+const openApiDocument = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Advanced File Server API',
+    version: '1.0.0',
+    description: 'Manage files, shares and activity history. Errors always use the Error schema.'
+  },
+  security: [{ sessionCookie: [] }, { bearerToken: [] }],
+  paths: {
+    '/files': {
+      get: {
+        summary: 'List files visible to the caller',
+        parameters: [
+          { name: 'folder', in: 'query', schema: { type: 'string' }, description: 'Only files in this folder ("" is the root). All folders when omitted.' },
+          { name: 'recursive', in: 'query', schema: { type: 'boolean' }, description: 'Include files in subfolders of folder' },
+          { name: 'type', in: 'query', schema: { type: 'string' } },
+          { name: 'visibility', in: 'query', schema: { type: 'string', enum: visibilities } },
+          { name: 'owner', in: 'query', schema: { type: 'string' }, description: 'Owner username' },
+          { name: 'tag', in: 'query', schema: { type: 'string' }, description: 'Only files with this tag' },
+          { name: 'q', in: 'query', schema: { type: 'string' }, description: 'Case-insensitive name search' },
+          { name: 'sort', in: 'query', schema: { type: 'string', enum: Object.keys(apiSortFields), default: 'uploaded' } },
+          { name: 'order', in: 'query', schema: { type: 'string', enum: ['asc', 'desc'] } },
+          ...apiPagingParameters
+        ],
+        responses: { 200: apiJsonResponse('A page of files', 'FileList'), 400: apiErrorResponse('Invalid filter or sort') }
+      },
+      post: {
+        summary: 'Upload files. A name that already exists in the folder becomes a new version of that file.',
+        requestBody: {
+          required: true,
+          content: {
+            'multipart/form-data': {
+              schema: {
+                type: 'object',
+                required: ['files'],
+                properties: {
+                  files: { type: 'array', items: { type: 'string', format: 'binary' }, maxItems: maxFiles },
+                  folder: { type: 'string' },
+                  visibility: { type: 'string', enum: visibilities, default: defaultVisibility }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          201: { description: 'Stored files', content: { 'application/json': { schema: { type: 'object', properties: { files: { type: 'array', items: { $ref: '#/components/schemas/File' } } } } } } },
+          400: apiErrorResponse('No files or invalid target'),
+          413: apiErrorResponse('File too large'),
+          415: apiErrorResponse('A file type is not allowed in the folder, or a file\'s content does not match its extension. No files are stored.')
+        }
+      }
+    },
+    '/files/{id}': {
+      parameters: [apiFileIdParameter],
+      get: {
+        summary: 'Get file metadata',
+        responses: { 200: apiJsonResponse('File metadata', 'File'), 404: apiErrorResponse('File not found') }
+      },
+      patch: {
+        summary: 'Rename, move or change the visibility or details of a file',
+        requestBody: {
+          required: true,
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  name: { type: 'string' },
+                  folder: { type: 'string' },
+                  visibility: { type: 'string', enum: visibilities },
+                  tags: { type: 'array', items: { type: 'string' }, maxItems: maxFileTags, description: 'Replaces all tags' },
+                  description: { type: 'string', maxLength: maxDescriptionLength },
+                  properties: {
+                    type: 'object',
+                    additionalProperties: { type: 'string', nullable: true },
+                    description: 'Merged into the existing properties; null removes a property'
+                  }
+                }
+              }
+            }
+          }
+        },
+        responses: {
+          200: apiJsonResponse('Updated file', 'File'),
+          400: apiErrorResponse('Invalid name, folder, visibility or details'),
+          403: apiErrorResponse('Not allowed'),
+          404: apiErrorResponse('File not found'),
+          415: apiErrorResponse('The target folder does not accept this file type, or a new extension does not match the content')
+        }
+      },
+      delete: {
+        summary: 'Move a file to the trash',
+        responses: { 204: { description: 'Moved to the trash' }, 404: apiErrorResponse('File not found'), 409: apiErrorResponse('File is under legal hold') }
+      }
+    },
+    '/files/{id}/content': {
+      parameters: [apiFileIdParameter],
+      get: {
+        summary: 'Download the file content',
+        responses: {
+          200: { description: 'File content', content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+          404: apiErrorResponse('File not found'),
+          423: apiErrorResponse('The content has not been found clean by the malware scanner yet')
+        }
+      },
+      put: {
+        summary: 'Replace the file content. The previous content is kept as a version.',
+        requestBody: {
+          required: true,
+          content: {
+            'application/octet-stream': { schema: { type: 'string', format: 'binary' } },
+            'text/plain': { schema: { type: 'string' } }
+          }
+        },
+        responses: {
+          200: apiJsonResponse('Updated file', 'File'),
+          404: apiErrorResponse('File not found'),
+          413: apiErrorResponse('Content too large'),
+          415: apiErrorResponse('JSON and form bodies are not accepted as content, or the content does not match the file extension')
+        }
+      }
+    },
+    '/files/{id}/shares': {
+      parameters: [apiFileIdParameter],
+      get: {
+        summary: 'List active share links for a file',
+        responses: { 200: { description: 'Active share links', content: { 'application/json': { schema: { type: 'object', properties: { shares: { type: 'array', items: { $ref: '#/components/schemas/Share' } } } } } } } }
+      },
+      post: {
+        summary: 'Create a share link',
+        requestBody: {
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                properties: {
+                  expiresInHours: { type: 'number', minimum: 0, exclusiveMinimum: true },
+                  maxDownloads: { type: 'integer', minimum: 1 },
+                  password: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        responses: { 201: apiJsonResponse('Created share link', 'Share'), 400: apiErrorResponse('Invalid limits'), 404: apiErrorResponse('File not found') }
+      }
+    },
+    '/shares/{token}': {
+      delete: {
+        summary: 'Revoke a share link',
+        parameters: [{ name: 'token', in: 'path', required: true, schema: { type: 'string' } }],
+        responses: { 204: { description: 'Revoked' }, 403: apiErrorResponse('Not allowed'), 404: apiErrorResponse('Share link not found') }
+      }
+    },
+    '/files/{id}/history': {
+      get: {
+        summary: 'Activity history of a file',
+        parameters: [apiFileIdParameter, ...apiPagingParameters],
+        responses: { 200: apiJsonResponse('A page of history entries', 'HistoryList'), 404: apiErrorResponse('File not found') }
+      }
+    },
+    '/history': {
+      get: {
+        summary: 'Activity history, newest first',
+        parameters: [
+          { name: 'action', in: 'query', schema: { type: 'string' } },
+          { name: 'fileId', in: 'query', schema: { type: 'string' } },
+          { name: 'username', in: 'query', schema: { type: 'string' } },
+          ...apiPagingParameters
+        ],
+        responses: { 200: apiJsonResponse('A page of history entries', 'HistoryList') }
+      }
+    },
+    '/search': {
+      get: {
+        summary: 'Full-text search over file names, tags and contents, best matches first',
+        parameters: [
+          { name: 'q', in: 'query', required: true, schema: { type: 'string' }, description: 'Every word must match; words also match longer words they start' },
+          ...apiPagingParameters
+        ],
+        responses: { 200: apiJsonResponse('A page of search results', 'SearchResults'), 400: apiErrorResponse('Missing query') }
+      }
+    }
+  },
+  components: {
+    securitySchemes: {
+      sessionCookie: { type: 'apiKey', in: 'cookie', name: 'fileserver.sid', description: 'Session cookie from POST /login' },
+      bearerToken: { type: 'http', scheme: 'bearer', description: 'Personal access token created at /tokens. Read-scoped tokens may only make GET requests.' }
+    },
+    schemas: {
+      Error: {
+        type: 'object',
+        required: ['error'],
+        properties: {
+          error: {
+            type: 'object',
+            required: ['code', 'message'],
+            properties: { code: { type: 'string' }, message: { type: 'string' } }
+          }
+        }
+      },
+      File: {
+        type: 'object',
+        properties: {
+          id: { type: 'string' },
+          name: { type: 'string' },
+          filename: { type: 'string', description: 'Name used by the HTML routes (/download/{filename})' },
+          folder: { type: 'string' },
+          type: { type: 'string' },
+          size: { type: 'integer' },
+          version: { type: 'integer' },
+          visibility: { type: 'string', enum: visibilities },
+          owner: { type: 'object', nullable: true, properties: { id: { type: 'string' }, username: { type: 'string' } } },
+          uploaded: { type: 'string', format: 'date-time' },
+          lastModified: { type: 'string', format: 'date-time' },
+          lastAccessed: { type: 'string', format: 'date-time', nullable: true },
+          downloads: { type: 'integer' },
+          legalHold: { type: 'boolean' },
+          tags: { type: 'array', items: { type: 'string' } },
+          description: { type: 'string' },
+          properties: { type: 'object', additionalProperties: { type: 'string' } },
+          scanStatus: { type: 'string', enum: ['unscanned', 'pending', 'clean', 'failed'], description: 'The content can only be downloaded when it is not pending or failed' },
+          links: { type: 'object', additionalProperties: { type: 'string' } }
+        }
+      },
+      FileList: {
+        type: 'object',
+        properties: { files: { type: 'array', items: { $ref: '#/components/schemas/File' } }, ...apiPaging }
+      },
+      Share: {
+        type: 'object',
+        properties: {
+          token: { type: 'string' },
+          url: { type: 'string' },
+          fileId: { type: 'string' },
+          createdBy: { type: 'string', nullable: true },
+          createdAt: { type: 'string', format: 'date-time' },
+          expiresAt: { type: 'string', format: 'date-time', nullable: true },
+          maxDownloads: { type: 'integer', nullable: true },
+          downloads: { type: 'integer' },
+          passwordProtected: { type: 'boolean' }
+        }
+      },
+      HistoryEntry: {
+        type: 'object',
+        properties: {
+          action: { type: 'string' },
+          filename: { type: 'string' },
+          fileId: { type: 'string' },
+          timestamp: { type: 'string', format: 'date-time' },
+          ip: { type: 'string' },
+          userAgent: { type: 'string' },
+          userId: { type: 'string' },
+          username: { type: 'string' },
+          tokenName: { type: 'string', nullable: true, description: 'Name of the API token used, if any' }
+        }
+      },
+      HistoryList: {
+        type: 'object',
+        properties: { history: { type: 'array', items: { $ref: '#/components/schemas/HistoryEntry' } }, ...apiPaging }
+      },
+      SearchResult: {
+        type: 'object',
+        properties: {
+          file: { $ref: '#/components/schemas/File' },
+          score: { type: 'number' },
+          nameHighlights: { $ref: '#/components/schemas/Highlights' },
+          snippet: {
+            type: 'object',
+            nullable: true,
+            description: 'Content around the first match; null when only the name or tags matched',
+            properties: { text: { type: 'string' }, highlights: { $ref: '#/components/schemas/Highlights' } }
+          }
+        }
+      },
+      Highlights: {
+        type: 'array',
+        description: 'Matched [start, end) character offsets',
+        items: { type: 'array', items: { type: 'integer' }, minItems: 2, maxItems: 2 }
+      },
+      SearchResults: {
+        type: 'object',
+        properties: { query: { type: 'string' }, results: { type: 'array', items: { $ref: '#/components/schemas/SearchResult' } }, ...apiPaging }
+      }
+    }
+  }
+};
+
+function sendApiError(res, status, code, message) {
+  res.status(status).json({ error: { code, message } });
+}
+
+function toApiFile(entry) {
+  return {
+    id: entry.id,
+    name: entry.originalName,
+    filename: storedFilename(entry),
+    folder: entry.folder || '',
+    type: entry.type,
+    size: entry.size,
+    version: entry.version || 1,
+    visibility: entry.visibility || 'team',
+    owner: entry.owner && users[entry.owner] ? { id: entry.owner, username: users[entry.owner].username } : null,
+    uploaded: entry.uploaded,
+    lastModified: entry.lastModified || entry.uploaded,
+    lastAccessed: entry.lastAccessed,
+    downloads: entry.downloads || 0,
+    legalHold: Boolean(entry.legalHold),
+    tags: entry.tags || [],
+    description: entry.description || '',
+    properties: entry.properties || {},
+    scanStatus: scanStatus(entry),
+    links: {
+      self: `/api/v1/files/${entry.id}`,
+      content: `/api/v1/files/${entry.id}/content`,
+      preview: `/preview/${storedFilename(entry)}`
+    }
+  };
+}
+
+function toApiShare(share, baseUrl) {
+  return {
+    token: share.token,
+    url: `${baseUrl}/s/${share.token}`,
+    fileId: share.fileId,
+    createdBy: users[share.createdBy] ? users[share.createdBy].username : null,
+    createdAt: share.createdAt,
+    expiresAt: share.expiresAt,
+    maxDownloads: share.maxDownloads,
+    downloads: share.downloads,
+    passwordProtected: Boolean(share.passwordHash)
+  };
+}
+
+// Reads ?page and ?perPage and returns one page of items with the paging fields
+function paginate(items, query) {
+  const page = Math.max(1, parseInt(query.page, 10) || 1);
+  const perPage = Math.min(apiMaxPageSize, Math.max(1, parseInt(query.perPage, 10) || 50));
+  return {
+    page,
+    perPage,
+    total: items.length,
+    totalPages: Math.ceil(items.length / perPage),
+    items: items.slice((page - 1) * perPage, page * perPage)
+  };
+}
+
+// Resolves :id to a file the user may see; sends a 404 and returns null otherwise
+function findApiFile(req, res) {
+  const entry = Object.hasOwn(fileMetadata, req.params.id) ? fileMetadata[req.params.id] : null;
+  if (!entry || !canViewFile(req.user, entry)) {
+    sendApiError(res, 404, 'not_found', 'File not found.');
+    return null;
+  }
+  return entry;
+}
+
+api.get('/openapi.json', (req, res) => {
+  res.json({ ...openApiDocument, servers: [{ url: `${req.protocol}://${req.get('host')}/api/v1` }] });
+});
+
+api.get('/files', requirePermission('files:read'), (req, res) => {
+  const { type, visibility, owner, tag, q } = req.query;
+  const folder = req.query.folder === undefined ? null : normalizeFolderPath(req.query.folder);
+  const recursive = req.query.recursive === 'true';
+  const sort = req.query.sort || 'uploaded';
+  const order = req.query.order || (sort === 'name' ? 'asc' : 'desc');
+
+  if (req.query.folder !== undefined && folder === null) {
+    return sendApiError(res, 400, 'invalid_folder', 'Invalid folder path.');
+  }
+  if (!apiSortFields[sort] || !['asc', 'desc'].includes(order)) {
+    return sendApiError(res, 400, 'invalid_sort', `Sort by one of ${Object.keys(apiSortFields).join(', ')} in asc or desc order.`);
+  }
+
+  const sortKey = apiSortFields[sort];
+  const direction = order === 'asc' ? 1 : -1;
+  const matching = Object.values(fileMetadata)
+    .filter(entry => canViewFile(req.user, entry))
+    .filter(entry => folder === null || (recursive ? folder === '' || isInFolder(entry.folder || '', folder) : (entry.folder || '') === folder))
+    .filter(entry => !type || entry.type === type)
+    .filter(entry => !visibility || (entry.visibility || 'team') === visibility)
+    .filter(entry => !owner || (users[entry.owner] && users[entry.owner].username === owner))
+    .filter(entry => !tag || (entry.tags || []).includes(String(tag).toLowerCase()))
+    .filter(entry => !q || entry.originalName.toLowerCase().includes(String(q).toLowerCase()))
+    .sort((a, b) => (sortKey(a) < sortKey(b) ? -1 : sortKey(a) > sortKey(b) ? 1 : 0) * direction);
+
+  const { items, ...paging } = paginate(matching, req.query);
+  res.json({ files: items.map(toApiFile), ...paging });
+});
+
+api.post('/files', requirePermission('files:upload'), upload.array('files', maxFiles), (req, res, next) => {
+  if (!req.files || req.files.length === 0) {
+    return sendApiError(res, 400, 'no_files', 'Send one or more files in the multipart "files" field.');
+  }
+
+  const visibility = req.body.visibility || defaultVisibility;
+  const folder = normalizeFolderPath(req.body.folder);
+
+  if (!visibilities.includes(visibility) || folder === null || !folderExists(folder)) {
+    req.files.forEach(file => fs.unlink(file.path, () => {}));
+    return sendApiError(res, 400, 'invalid_target', `The folder must exist and visibility must be one of: ${visibilities.join(', ')}.`);
+  }
+
+  const held = legalHoldUploadConflicts(req.files, folder, req.user);
+  if (held.length > 0) {
+    return sendApiError(res, 409, 'legal_hold', `No files were stored. ${held.join(' ')}`);
+  }
+
+  rejectedUploads(req.files, folder)
+    .then(async rejections => {
+      if (rejections.length > 0) {
+        return sendApiError(res, 415, 'file_type_not_allowed', `No files were stored. ${rejections.join(' ')}`);
+      }
+      const entries = await Promise.all(req.files.map(file => registerUploadedFile(file.filename, file.path, req, { visibility, folder })));
+      res.status(201).json({ files: entries.map(toApiFile) });
+    })
+    .catch(next);
+});
+
+api.get('/files/:id', requirePermission('files:read'), (req, res) => {
+  const entry = findApiFile(req, res);
+  if (!entry) return;
+  res.json(toApiFile(entry));
+});
+
+api.patch('/files/:id', async (req, res, next) => {
+  const entry = findApiFile(req, res);
+  if (!entry) return;
+
+  const { name, folder, visibility, tags, description, properties } = req.body || {};
+  const target = folder === undefined ? undefined : normalizeFolderPath(folder);
+  const detailsGiven = tags !== undefined || description !== undefined || properties !== undefined;
+
+  if ((name !== undefined || folder !== undefined) && !hasPermission(req.user, 'files:edit')) {
+    return sendApiError(res, 403, 'forbidden', `Your role (${req.user.role}) cannot rename or move files.`);
+  }
+  if (visibility !== undefined && !canManageFile(req.user, entry)) {
+    return sendApiError(res, 403, 'forbidden', 'Only the owner of a file or an administrator can change its visibility.');
+  }
+  const knownExtensions = [...allowedExtensions, ...optInExtensions];
+  if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.length > 255 || !knownExtensions.includes(fileExtension(name)))) {
+    return sendApiError(res, 400, 'invalid_name', `Names need an allowed extension (${knownExtensions.join(', ')}).`);
+  }
+  if (folder !== undefined && (target === null || !folderExists(target))) {
+    return sendApiError(res, 400, 'invalid_folder', 'The target folder does not exist.');
+  }
+  if (name !== undefined || folder !== undefined) {
+    const newName = name !== undefined ? name : entry.originalName;
+    let ruleViolation;
+    try {
+      ruleViolation = checkRenameName(entry, newName, target !== undefined ? target : entry.folder || '') || await checkRenamedContent(entry, newName);
+    } catch (e) {
+      return next(e);
+    }
+    if (ruleViolation) {
+      return sendApiError(res, 415, 'file_type_not_allowed', ruleViolation);
+    }
+  }
+  if (visibility !== undefined && !visibilities.includes(visibility)) {
+    return sendApiError(res, 400, 'invalid_visibility', `Use one of: ${visibilities.join(', ')}.`);
+  }
+  if (detailsGiven && !canEditFileDetails(req.user, entry)) {
+    return sendApiError(res, 403, 'forbidden', 'Only the owner of a file or an editor can change its details.');
+  }
+  // Properties are merged like a JSON merge patch, so clients can set or remove (null) single keys
+  const mergedProperties = properties && typeof properties === 'object' && !Array.isArray(properties)
+    ? Object.fromEntries(Object.entries({ ...entry.properties, ...properties }).filter(([, value]) => value !== null))
+    : properties;
+  const { details, error } = validateFileDetails({ tags, description, properties: mergedProperties });
+  if (error) {
+    return sendApiError(res, 400, 'invalid_details', error);
+  }
+
+  if (name !== undefined && sanitizeFilename(name) !== entry.originalName) {
+    const previousName = entry.originalName;
+    renameFile(entry.id, name);
+    logActivity('rename', `${previousName} → ${fileMetadata[entry.id].originalName}`, req, entry.id);
+  }
+  if (target !== undefined && target !== (entry.folder || '')) {
+    updateFileMetadata(entry.id, { folder: target });
+    logActivity('move', `${fileMetadata[entry.id].originalName} → /${target}`, req, entry.id);
+  }
+  if (visibility !== undefined && visibility !== (entry.visibility || 'team')) {
+    updateFileMetadata(entry.id, { visibility });
+    logActivity(`visibility-${visibility}`, fileMetadata[entry.id].originalName, req, entry.id);
+  }
+  if (detailsGiven) {
+    updateFileMetadata(entry.id, details);
+    logActivity('details', fileMetadata[entry.id].originalName, req, entry.id);
+  }
+  res.json(toApiFile(fileMetadata[entry.id]));
+});
+
+api.delete('/files/:id', requirePermission('files:delete'), (req, res) => {
+  const entry = findApiFile(req, res);
+  if (!entry) return;
+
+  if (entry.legalHold) {
+    return sendApiError(res, 409, 'legal_hold', `${entry.originalName} is under legal hold and cannot be deleted.`);
+  }
+
+  trashFile(entry.id, req.user);
+  logActivity('delete', entry.originalName, req, entry.id);
+  res.status(204).end();
+});
+
+api.get('/files/:id/content', requirePermission('files:read'), (req, res) => {
+  const entry = findApiFile(req, res);
+  if (!entry) return;
+  const hold = scanHold(entry);
+  if (hold) {
+    return sendApiError(res, 423, 'scan_pending', hold);
+  }
+
+  const onDownload = () => {
+    updateFileMetadata(entry.id, { downloads: (entry.downloads || 0) + 1, lastAccessed: new Date().toISOString() });
+    logActivity('download', entry.originalName, req, entry.id);
+  };
+  sendFileContent(req, res, entry, { name: entry.originalName, attachment: true, onDownload }).catch(err => {
+    console.error(`Download error for ${entry.originalName}:`, err);
+    if (!res.headersSent) {
+      sendApiError(res, 500, 'download_failed', `Could not download ${entry.originalName}.`);
+    }
+  });
+});
+
+// Replaces the content with the raw request body; the previous content is kept as a version.
+// JSON and form bodies are parsed by the app-wide middleware, so content must be sent with another type.
+api.put('/files/:id/content', requirePermission('files:edit'), express.raw({ type: () => true, limit: maxFileSize }), (req, res, next) => {
+  const entry = findApiFile(req, res);
+  if (!entry) return;
+
+  if (!Buffer.isBuffer(req.body)) {
+    if (req.is('json') || req.is('urlencoded')) {
+      return sendApiError(res, 415, 'unsupported_media_type', 'Send file content as application/octet-stream or text/plain.');
+    }
+    req.body = Buffer.alloc(0);
+  }
+  const held = legalHoldConflict(entry);
+  if (held) {
+    return sendApiError(res, 409, 'legal_hold', held);
+  }
+  const rejection = checkUploadContent(entry.originalName, req.body.subarray(0, sniffLength));
+  if (rejection) {
+    return sendApiError(res, 415, 'file_type_not_allowed', rejection);
+  }
+
+  storeBlobFromBuffer(req.body)
+    .then(blob => {
+      replaceFileContent(entry.id, blob, req.user, 'edit');
+      logActivity('edit', entry.originalName, req, entry.id);
+      res.json(toApiFile(fileMetadata[entry.id]));
+    })
+    .catch(next);
+});
+
+api.get('/files/:id/shares', requirePermission('files:share'), (req, res) => {
+  const entry = findApiFile(req, res);
+  if (!entry) return;
+
+  const baseUrl = `${req.protocol}://${req.get('host')}`;
+  const fileShares = activeShares(share => share.fileId === entry.id && canRevokeShare(req.user, share));
+  res.json({ shares: fileShares.map(share => toApiShare(share, baseUrl)) });
+});
+
+api.post('/files/:id/shares', requirePermission('files:share'), (req, res) => {
+  const entry = findApiFile(req, res);
+  if (!entry) return;
+
+  const { expiresInHours = null, maxDownloads = null, password = null } = req.body || {};
+  if ((expiresInHours !== null && !(Number(expiresInHours) > 0)) || (maxDownloads !== null && !(Number.isInteger(Number(maxDownloads)) && Number(maxDownloads) > 0))) {
+    return sendApiError(res, 400, 'invalid_share', 'expiresInHours and maxDownloads must be positive numbers when set.');
+  }
+
+  const share = createShare(storedFilename(entry), entry.id, req.user, {
+    expiresInHours: expiresInHours === null ? null : Number(expiresInHours),
+    maxDownloads: maxDownloads === null ? null : Number(maxDownloads),
+    password: password ? String(password) : null
+  });
+  logActivity('share', entry.originalName, req, entry.id);
+  res.status(201).json(toApiShare(share, `${req.protocol}://${req.get('host')}`));
+});
+
+api.delete('/shares/:token', (req, res) => {
+  const share = Object.hasOwn(shares, req.params.token) ? shares[req.params.token] : null;
+
+  if (!share || share.revokedAt) {
+    return sendApiError(res, 404, 'not_found', 'Share link not found.');
+  }
+  if (!canRevokeShare(req.user, share)) {
+    return sendApiError(res, 403, 'forbidden', 'Only the creator of a share link or an administrator can revoke it.');
+  }
+
+  saveShare({ ...share, revokedAt: new Date().toISOString() });
+  const parsed = parseFilename(share.filename);
+  logActivity('share-revoke', parsed ? parsed.originalName : share.filename, req, share.fileId);
+  res.status(204).end();
+});
+
+api.get('/files/:id/history', requirePermission('history:read'), (req, res) => {
+  const entry = findApiFile(req, res);
+  if (!entry) return;
+
+  const { items, ...paging } = paginate(fileHistory.filter(item => item.fileId === entry.id), req.query);
+  res.json({ history: items, ...paging });
+});
+
+api.get('/search', requirePermission('files:read'), (req, res) => {
+  const query = String(req.query.q || '').trim();
+  if (!query) {
+    return sendApiError(res, 400, 'missing_query', 'Pass the search words in the q parameter.');
+  }
+
+  const { items, ...paging } = paginate(searchFiles(query, req.user), req.query);
+  res.json({
+    query,
+    results: items.map(({ entry, score, nameHighlights, snippet }) => ({ file: toApiFile(entry), score: Number(score.toFixed(4)), nameHighlights, snippet })),
+    ...paging
+  });
+});
+
+api.get('/history', requirePermission('history:read'), (req, res) => {
+  const { action, fileId, username } = req.query;
+  const matching = fileHistory
+    .filter(item => !action || item.action === action)
+    .filter(item => !fileId || item.fileId === fileId)
+    .filter(item => !username || item.username === username);
+
+  const { items, ...paging } = paginate(matching, req.query);
+  res.json({ history: items, ...paging });
+});
+
+api.use((req, res) => {
+  sendApiError(res, 404, 'not_found', `No API route for ${req.method} ${req.originalUrl}.`);
+});
+
+app.use('/api/v1', api);
+
+// Registered on the app rather than the router so it also catches body parser errors raised before routing
+app.use('/api', (err, req, res, next) => {
+  if (err instanceof multer.MulterError) {
+    return sendApiError(res, err.code === 'LIMIT_FILE_SIZE' ? 413 : 400, err.code.toLowerCase(), err.message);
+  }
+  if (err.type === 'entity.parse.failed') {
+    return sendApiError(res, 400, 'invalid_json', 'The request body is not valid JSON.');
+  }
+  if (err.type === 'entity.too.large') {
+    return sendApiError(res, 413, 'payload_too_large', `Content is limited to ${formatBytes(maxFileSize)}.`);
+  }
+  if (err.code === 'UPLOAD_REJECTED') {
+    return sendApiError(res, 415, 'file_type_not_allowed', `No files were stored. ${err.message}`);
+  }
+  console.error('API error:', err);
+  sendApiError(res, 500, 'internal_error', 'The request could not be completed.');
+});
+
+app.get('/history', requirePermission('history:read'), (req, res) => {
+  res.send(renderHistory(fileHistory));
+});
+
+// ======================
+// WebDAV
+// ======================
+// WebDAV (class 1 and 2) under /dav so the store can be mounted as a network drive. DAV paths map
+// onto the virtual folders and file names, and every change goes through the same helpers,
+// permission checks and activity log as the HTTP routes.
+// - Clients authenticate with HTTP Basic: a local username and password, or an API token as the password.
+// - PROPFIND always returns all properties and answers "Depth: infinity" with one level.
+// - Locks are exclusive, kept in memory and only block writes from requests without the lock token.
+// - File names are sanitized like uploads, so characters outside [a-zA-Z0-9._-] become "_".
+const davMethods = ['OPTIONS', 'PROPFIND', 'GET', 'HEAD', 'PUT', 'DELETE', 'MKCOL', 'MOVE', 'COPY', 'LOCK', 'UNLOCK'];
+const davLockTimeout = 10 * 60; // Default and maximum lock timeout, in seconds
+const davLocks = new Map(); // davPath -> { token, userId, owner, depth, expiresAt }
+const davCredentialCacheTtl = 5 * 60 * 1000; // Skip the password hash for repeated requests with the same credentials
+const davCredentialCache = new Map(); // sha256(Authorization header) -> { userId, expiresAt }
+const dav = express.Router();
+
+function isDavRequest(req) {
+  return req.path === '/dav' || req.path.startsWith('/dav/');
+}
+
+function requestDavCredentials(res) {
+  res.set('WWW-Authenticate', 'Basic realm="File Server", charset="UTF-8"').status(401).end();
+}
+
+function authenticateDavBasic(req, res, next, authorization) {
+  const decoded = Buffer.from(authorization.slice(6).trim(), 'base64').toString('utf8');
+  const separator = decoded.indexOf(':');
+  const username = separator > 0 ? decoded.slice(0, separator) : '';
+  const password = decoded.slice(separator + 1);
+
+  if (password.startsWith('fst_')) {
+    return authenticateApiToken(req, res, next, password);
+  }
+
+  const cacheKey = crypto.createHash('sha256').update(authorization).digest('hex');
+  const cached = davCredentialCache.get(cacheKey);
+  let user = cached && cached.expiresAt > Date.now() ? users[cached.userId] : null;
+
+  if (!user) {
+    const candidate = username ? findUserByUsername(username) : null;
+    if (!candidate || !verifyPassword(password, candidate.passwordHash)) {
+      logActivity('login-failed', username, req);
+      return requestDavCredentials(res);
+    }
+    if (davCredentialCache.size > 1000) davCredentialCache.clear();
+    davCredentialCache.set(cacheKey, { userId: candidate.id, expiresAt: Date.now() + davCredentialCacheTtl });
+    user = candidate;
+  }
+
+  req.user = toRequestUser(user);
+  next();
+}
+
+// Decodes a URL path below /dav into a folder-style path ("" is the root), or null if it is invalid
+function parseDavPath(urlPath) {
+  try {
+    return normalizeFolderPath(urlPath.split('/').map(decodeURIComponent).join('/'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function davHref(davPath, isCollection) {
+  if (!davPath) return '/dav/';
+  return `/dav/${davPath.split('/').map(encodeURIComponent).join('/')}${isCollection ? '/' : ''}`;
+}
+
+// A DAV path is a collection (virtual folder), an existing file, or missing
+function resolveDavResource(davPath, user) {
+  if (folderExists(davPath)) {
+    return { type: 'collection', path: davPath };
+  }
+  const folder = parentFolder(davPath);
+  const name = davPath.slice(folder ? folder.length + 1 : 0);
+  const entry = findFileInFolder(folder, name, user);
+  return { type: entry ? 'file' : 'missing', path: davPath, folder, name, entry };
+}
+
+function activeDavLock(davPath) {
+  const lock = davLocks.get(davPath);
+  if (lock && lock.expiresAt <= Date.now()) {
+    davLocks.delete(davPath);
+    return null;
+  }
+  return lock || null;
+}
+
+// A lock on the path, on an ancestor locked with infinite depth, or on a descendant, held by another request
+function davLockConflict(req, davPath) {
+  const submitted = req.get('If') || '';
+  for (const lockedPath of [...davLocks.keys()]) {
+    const lock = activeDavLock(lockedPath);
+    if (!lock || submitted.includes(lock.token)) continue;
+    if (lockedPath === davPath ||
+      (lock.depth === 'infinity' && (lockedPath === '' || isInFolder(davPath, lockedPath))) ||
+      (davPath === '' || isInFolder(lockedPath, davPath))) {
+      return lock;
+    }
+  }
+  return null;
+}
+
+function davActiveLockXml(lock, davPath, isCollection) {
+  const remaining = Math.max(0, Math.round((lock.expiresAt - Date.now()) / 1000));
+  return '<D:activelock><D:locktype><D:write/></D:locktype><D:lockscope><D:exclusive/></D:lockscope>' +
+    `<D:depth>${lock.depth}</D:depth>${lock.owner ? `<D:owner>${escapeHtml(lock.owner)}</D:owner>` : ''}` +
+    `<D:timeout>Second-${remaining}</D:timeout><D:locktoken><D:href>${lock.token}</D:href></D:locktoken>` +
+    `<D:lockroot><D:href>${escapeHtml(davHref(davPath, isCollection))}</D:href></D:lockroot></D:activelock>`;
+}
+
+function davPropResponse(resource) {
+  const isCollection = resource.type === 'collection';
+  const lock = activeDavLock(resource.path);
+  let props = `<D:displayname>${escapeHtml(isCollection ? resource.path.split('/').pop() : resource.entry.originalName)}</D:displayname>` +
+    '<D:supportedlock><D:lockentry><D:lockscope><D:exclusive/></D:lockscope><D:locktype><D:write/></D:locktype></D:lockentry></D:supportedlock>' +
+    `<D:lockdiscovery>${lock ? davActiveLockXml(lock, resource.path, isCollection) : ''}</D:lockdiscovery>`;
+
+  if (isCollection) {
+    const created = folders[resource.path] ? folders[resource.path].createdAt : null;
+    props += '<D:resourcetype><D:collection/></D:resourcetype>';
+    if (created) {
+      props += `<D:creationdate>${created}</D:creationdate><D:getlastmodified>${new Date(created).toUTCString()}</D:getlastmodified>`;
     }
+  } else {
+    const { entry } = resource;
+    props += '<D:resourcetype/>' +
+      `<D:getcontentlength>${entry.size}</D:getcontentlength>` +
+      `<D:getcontenttype>${express.static.mime.lookup(entry.originalName)}</D:getcontenttype>` +
+      `<D:getetag>"${entry.blob || entry.id}"</D:getetag>` +
+      `<D:creationdate>${entry.uploaded}</D:creationdate>` +
+      `<D:getlastmodified>${new Date(entry.lastModified || entry.uploaded).toUTCString()}</D:getlastmodified>`;
+  }
+
+  return `<D:response><D:href>${escapeHtml(davHref(resource.path, isCollection))}</D:href>` +
+    `<D:propstat><D:prop>${props}</D:prop><D:status>HTTP/1.1 200 OK</D:status></D:propstat></D:response>`;
+}
+
+function parseDavDestination(req) {
+  try {
+    const url = new URL(req.get('Destination'), `${req.protocol}://${req.get('host')}`);
+    return url.pathname === '/dav' || url.pathname.startsWith('/dav/') ? parseDavPath(url.pathname.slice(4)) : null;
   } catch (e) {
-    console.error('Preview error:', e);
-    res.status(500).send(renderError(`Error generating preview for ${originalName}.`));
+    return null;
   }
-});
+}
 
-app.get('/download/:filename', (req, res) => {
-  const filePath = path.join(uploadDir, req.params.filename);
-  const parsed = parseFilename(req.params.filename);
+// Deletes a file (to the trash) or a collection with everything in it. Returns an HTTP status on failure.
+function deleteDavResource(resource, req) {
+  if (!hasPermission(req.user, 'files:delete')) return 403;
+  if (davLockConflict(req, resource.path)) return 423;
 
-  if (!parsed || !fs.existsSync(filePath)) {
-    return res.status(404).send(renderError('File not found or invalid filename.'));
+  if (resource.type === 'file') {
+    if (resource.entry.legalHold) return 403;
+    trashFile(resource.entry.id, req.user);
+    logActivity('delete', resource.entry.originalName, req, resource.entry.id);
+    return null;
   }
 
-  const { fileId, originalName } = parsed;
+  // Only delete a collection if every file in it can be seen and deleted by this user
+  if (!resource.path) return 403;
+  const contents = filesInFolder(resource.path, true);
+  if (contents.some(entry => !canViewFile(req.user, entry) || entry.legalHold)) return 403;
+
+  contents.forEach(entry => {
+    trashFile(entry.id, req.user);
+    logActivity('delete', entry.originalName, req, entry.id);
+  });
+  Object.keys(folders)
+    .filter(folderPath => isInFolder(folderPath, resource.path))
+    .sort((a, b) => b.length - a.length)
+    .forEach(folderPath => deleteFolder(folderPath));
+  logActivity('folder-delete', resource.path, req);
+  return null;
+}
 
-  updateFileMetadata(fileId, { downloads: (fileMetadata[fileId].downloads || 0) + 1, lastAccessed: new Date().toISOString() });
-  logActivity('download', originalName, req, fileId);
+// Copies a file as a new file owned by the copier; the content blob is shared, not duplicated
+function copyDavFile(entry, folder, name, req) {
+  const copy = addFileEntry(generateStoredFilename(name), { hash: entry.blob, size: entry.size }, req.user, {
+    visibility: entry.visibility || defaultVisibility,
+    folder
+  });
+  logActivity('copy', `${entry.originalName} → /${folder ? `${folder}/` : ''}${copy.originalName}`, req, copy.id);
+  return copy;
+}
 
-  res.download(filePath, originalName, (err) => {
-    if (err) {
-      console.error(`Download error for ${originalName}:`, err);
-      // Check if headers have already been sent before sending a new response
-      if (!res.headersSent) {
-        res.status(500).send(renderError(`Could not download file ${originalName}.`));
+const davHandlers = {
+  OPTIONS: (req, res) => {
+    res.set({ DAV: '1, 2', Allow: davMethods.join(', '), 'MS-Author-Via': 'DAV' }).status(200).end();
+  },
+
+  PROPFIND: (req, res, resource) => {
+    if (resource.type === 'missing') return res.status(404).end();
+
+    const responses = [davPropResponse(resource)];
+    if (resource.type === 'collection' && req.get('Depth') !== '0') {
+      listSubfolders(resource.path).forEach(folderPath => responses.push(davPropResponse({ type: 'collection', path: folderPath })));
+      const names = new Set();
+      filesInFolder(resource.path)
+        .filter(entry => canViewFile(req.user, entry))
+        .sort((a, b) => new Date(b.uploaded) - new Date(a.uploaded))
+        .filter(entry => !names.has(entry.originalName) && names.add(entry.originalName))
+        .forEach(entry => responses.push(davPropResponse({
+          type: 'file',
+          path: resource.path ? `${resource.path}/${entry.originalName}` : entry.originalName,
+          entry
+        })));
+    }
+
+    res.status(207).type('application/xml; charset=utf-8')
+      .send(`<?xml version="1.0" encoding="utf-8"?>\n<D:multistatus xmlns:D="DAV:">${responses.join('')}</D:multistatus>`);
+  },
+
+  GET: (req, res, resource) => {
+    if (resource.type === 'collection') return res.redirect(folderUrl(resource.path));
+    if (resource.type === 'missing') return res.status(404).end();
+
+    const { entry } = resource;
+    const hold = scanHold(entry);
+    if (hold) return res.status(423).type('txt').send(hold);
+    const onDownload = () => {
+      updateFileMetadata(entry.id, { downloads: (entry.downloads || 0) + 1, lastAccessed: new Date().toISOString() });
+      logActivity('download', entry.originalName, req, entry.id);
+    };
+    // Browsers reach /dav with the session cookie, so pages and scripts must not render here either
+    sendFileContent(req, res, entry, { name: entry.originalName, attachment: !canServeInline(entry.originalName), onDownload }).catch(err => {
+      console.error('WebDAV download error:', err);
+      if (!res.headersSent) res.status(500).end();
+    });
+  },
+
+  PUT: (req, res, resource) => {
+    if (!hasPermission(req.user, 'files:upload')) return res.status(403).end();
+    if (resource.type === 'collection') return res.status(405).end();
+    if (!folderExists(resource.folder)) return res.status(409).end();
+    const rejection = checkUploadName(resource.name, resource.folder);
+    if (rejection) return res.status(415).type('txt').send(`Upload rejected: ${rejection}`);
+    if (resource.entry && !canManageFile(req.user, resource.entry) && !hasPermission(req.user, 'files:edit')) return res.status(403).end();
+    const held = legalHoldConflict(findUploadTarget(resource.folder, resource.name, req.user));
+    if (held) return res.status(403).type('txt').send(held);
+    if (davLockConflict(req, resource.path)) return res.status(423).end();
+
+    const filename = generateStoredFilename(resource.name);
+    const tempPath = path.join(incomingDir, filename);
+    let received = 0;
+    let tooLarge = false;
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > maxFileSize) {
+          tooLarge = true;
+          return callback(new Error('File exceeds the maximum file size'));
+        }
+        callback(null, chunk);
+      }
+    });
+
+    pipeline(req, limiter, fs.createWriteStream(tempPath), (err) => {
+      if (err) {
+        fs.rm(tempPath, { force: true }, () => {});
+        if (!tooLarge) console.error('WebDAV upload error:', err);
+        return res.status(tooLarge ? 413 : 500).end();
       }
+
+      // registerUploadedFile turns a PUT to an existing name into a new version of that file
+      const visibility = resource.entry ? resource.entry.visibility : defaultVisibility;
+      validateUpload(resource.name, tempPath, resource.folder)
+        .then(async rejection => {
+          if (rejection) {
+            fs.rm(tempPath, { force: true }, () => {});
+            return res.status(415).type('txt').send(`Upload rejected: ${rejection}`);
+          }
+          await registerUploadedFile(filename, tempPath, req, { visibility, folder: resource.folder });
+          res.status(resource.entry ? 204 : 201).end();
+        })
+        .catch(e => {
+          console.error('WebDAV upload error:', e);
+          res.status(500).end();
+        });
+    });
+  },
+
+  DELETE: (req, res, resource) => {
+    if (resource.type === 'missing') return res.status(404).end();
+    const failure = deleteDavResource(resource, req);
+    res.status(failure || 204).end();
+  },
+
+  MKCOL: (req, res, resource) => {
+    if (!hasPermission(req.user, 'files:upload')) return res.status(403).end();
+    if (resource.type !== 'missing') return res.status(405).end();
+    if (!folderExists(resource.folder)) return res.status(409).end();
+    if (Number(req.get('Content-Length')) > 0) return res.status(415).end();
+
+    createFolder(resource.path, req.user);
+    logActivity('folder-create', resource.path, req);
+    res.status(201).end();
+  },
+
+  MOVE: (req, res, resource) => davTransfer(req, res, resource, 'MOVE'),
+  COPY: (req, res, resource) => davTransfer(req, res, resource, 'COPY'),
+
+  LOCK: async (req, res, resource) => {
+    if (!hasPermission(req.user, 'files:upload')) return res.status(403).end();
+
+    const body = await readRequestBody(req).catch(() => null);
+    if (body === null) return res.status(413).end();
+
+    const requested = /Second-(\d+)/i.exec(req.get('Timeout') || '');
+    const timeout = Math.min(davLockTimeout, requested ? parseInt(requested[1], 10) : davLockTimeout);
+    const isCollection = resource.type === 'collection';
+    const existing = activeDavLock(resource.path);
+
+    // A LOCK without a body refreshes a lock the client already holds
+    if (!body.trim()) {
+      if (!existing || !(req.get('If') || '').includes(existing.token)) return res.status(412).end();
+      existing.expiresAt = Date.now() + timeout * 1000;
+      return res.status(200).type('application/xml; charset=utf-8')
+        .send(`<?xml version="1.0" encoding="utf-8"?>\n<D:prop xmlns:D="DAV:"><D:lockdiscovery>${davActiveLockXml(existing, resource.path, isCollection)}</D:lockdiscovery></D:prop>`);
     }
-  });
-});
 
-app.get('/edit/:filename', (req, res) => {
-  const filePath = path.join(uploadDir, req.params.filename);
-  const parsed = parseFilename(req.params.filename);
+    if (davLockConflict(req, resource.path)) return res.status(423).end();
 
-  if (!parsed || !fs.existsSync(filePath)) {
-    return res.status(404).send(renderError('File not found or invalid filename.'));
-  }
+    const ownerMatch = /<(?:\w+:)?owner[^>]*>([\s\S]*?)<\/(?:\w+:)?owner>/i.exec(body);
+    const lock = {
+      token: `opaquelocktoken:${crypto.randomUUID()}`,
+      userId: req.user.id,
+      owner: ownerMatch ? ownerMatch[1].replace(/<[^>]*>/g, '').trim() : req.user.username,
+      depth: req.get('Depth') === '0' ? '0' : 'infinity',
+      expiresAt: Date.now() + timeout * 1000
+    };
+    davLocks.set(resource.path, lock);
 
-  const { fileId, originalName } = parsed;
-  const fileType = getFileType(req.params.filename);
+    res.status(200).set('Lock-Token', `<${lock.token}>`).type('application/xml; charset=utf-8')
+      .send(`<?xml version="1.0" encoding="utf-8"?>\n<D:prop xmlns:D="DAV:"><D:lockdiscovery>${davActiveLockXml(lock, resource.path, isCollection)}</D:lockdiscovery></D:prop>`);
+  },
 
-  if (fileType !== 'text' && fileType !== 'code') {
-    return res.status(400).send(renderError(`Editing is only supported for text and code files. This is a ${fileType} file.`));
+  UNLOCK: (req, res, resource) => {
+    const lock = activeDavLock(resource.path);
+    const token = (req.get('Lock-Token') || '').replace(/^<|>$/g, '');
+
+    if (!lock || lock.token !== token) return res.status(409).end();
+    if (lock.userId !== req.user.id && !hasPermission(req.user, 'admin')) return res.status(403).end();
+
+    davLocks.delete(resource.path);
+    res.status(204).end();
   }
+};
+davHandlers.HEAD = davHandlers.GET;
 
-  try {
-    const content = fs.readFileSync(filePath, 'utf-8');
-    updateFileMetadata(fileId, { lastAccessed: new Date().toISOString() });
-    res.send(renderFileEditor(req.params.filename, originalName, content));
-  } catch (e) {
-    console.error('Error reading file for edit:', e);
-    res.status(500).send(renderError(`Error reading file ${originalName} for editing.`));
+// MOVE renames or moves a file or collection; COPY duplicates it. Both honour the Overwrite header.
+async function davTransfer(req, res, resource, method) {
+  const destination = parseDavDestination(req);
+  if (resource.type === 'missing') return res.status(404).end();
+  if (destination === null || !resource.path) return res.status(400).end();
+  if (destination === resource.path || isInFolder(destination, resource.path)) return res.status(403).end();
+  if (!hasPermission(req.user, method === 'MOVE' ? 'files:edit' : 'files:upload')) return res.status(403).end();
+
+  const target = resolveDavResource(destination, req.user);
+  const destinationFolder = parentFolder(destination);
+  const destinationName = destination.slice(destinationFolder ? destinationFolder.length + 1 : 0);
+  if (!folderExists(destinationFolder)) return res.status(409).end();
+  if (resource.type === 'file') {
+    const rejection = checkRenameName(resource.entry, destinationName, destinationFolder);
+    if (rejection) return res.status(415).type('txt').send(`Upload rejected: ${rejection}`);
+    const mismatch = await checkRenamedContent(resource.entry, destinationName);
+    if (mismatch) return res.status(403).type('txt').send(`Rename rejected: ${mismatch}`);
   }
-});
+  if ((method === 'MOVE' && davLockConflict(req, resource.path)) || davLockConflict(req, destination)) return res.status(423).end();
 
-app.post('/save/:filename', (req, res) => {
-  const filePath = path.join(uploadDir, req.params.filename);
-  const parsed = parseFilename(req.params.filename);
+  // A destination that differs only before sanitizing is the source file itself, not something to overwrite
+  const overwritten = target.type !== 'missing' && !(target.entry && resource.entry && target.entry.id === resource.entry.id);
+  if (overwritten) {
+    if (req.get('Overwrite') === 'F') return res.status(412).end();
+    const failure = deleteDavResource(target, req);
+    if (failure) return res.status(failure).end();
+  }
 
-  if (!parsed || !fs.existsSync(filePath)) {
-    return res.status(404).send(renderError('File not found or invalid filename.'));
+  if (resource.type === 'file' && method === 'MOVE') {
+    const { entry } = resource;
+    if (destinationFolder !== (entry.folder || '')) {
+      updateFileMetadata(entry.id, { folder: destinationFolder });
+      logActivity('move', `${entry.originalName} → /${destinationFolder}`, req, entry.id);
+    }
+    if (sanitizeFilename(destinationName) !== entry.originalName) {
+      renameFile(entry.id, destinationName);
+      logActivity('rename', `${entry.originalName} → ${fileMetadata[entry.id].originalName}`, req, entry.id);
+    }
+  } else if (resource.type === 'file') {
+    copyDavFile(resource.entry, destinationFolder, destinationName, req);
+  } else if (method === 'MOVE') {
+    renameFolder(resource.path, destination);
+    logActivity('folder-rename', `${resource.path} → ${destination}`, req);
+  } else {
+    // Copy the folder tree, then (unless Depth: 0) the files the user can see
+    Object.keys(folders)
+      .filter(folderPath => req.get('Depth') === '0' ? folderPath === resource.path : isInFolder(folderPath, resource.path))
+      .forEach(folderPath => createFolder(destination + folderPath.slice(resource.path.length), req.user));
+    if (req.get('Depth') !== '0') {
+      filesInFolder(resource.path, true)
+        .filter(entry => canViewFile(req.user, entry))
+        .forEach(entry => copyDavFile(entry, destination + (entry.folder || '').slice(resource.path.length), entry.originalName, req));
+    }
+    logActivity('folder-copy', `${resource.path} → ${destination}`, req);
   }
 
-  const { fileId, originalName } = parsed;
-  const fileType = getFileType(req.params.filename);
+  res.status(overwritten ? 204 : 201).end();
+}
 
-  if (fileType !== 'text' && fileType !== 'code') {
-    return res.status(400).send(renderError(`Saving is only supported for text and code files. This is a ${fileType} file.`));
+dav.use(requirePermission('files:read'), (req, res, next) => {
+  const handler = davHandlers[req.method];
+  if (!handler) {
+    return res.status(405).set('Allow', davMethods.join(', ')).end();
   }
 
-  try {
-    fs.writeFileSync(filePath, req.body.content);
-    const stats = fs.statSync(filePath); // Get updated file size and modification time
-    updateFileMetadata(fileId, { size: stats.size, lastModified: new Date().toISOString(), lastAccessed: new Date().toISOString() });
-    logActivity('edit', originalName, req, fileId);
-    res.redirect('/');
-  } catch (e) {
-    console.error('Error saving file:', e);
-    res.status(500).send(renderError(`Error saving changes to ${originalName}.`));
+  const davPath = parseDavPath(req.path);
+  if (davPath === null) {
+    return res.status(400).end();
   }
+
+  Promise.resolve(handler(req, res, resolveDavResource(davPath, req.user))).catch(next);
 });
 
-app.post('/delete/:filename', (req, res) => {
-  const filePath = path.join(uploadDir, req.params.filename);
-  const parsed = parseFilename(req.params.filename);
+app.use('/dav', dav);
 
-  if (!parsed || !fs.existsSync(filePath)) {
-    return res.status(404).send(renderError('File not found or invalid filename.'));
+// ======================
+// S3-Compatible API
+// ======================
+// A subset of the Amazon S3 REST API under /s3 (path-style: /s3/<bucket>/<key>) so S3 tools and SDKs
+// can use the store. Buckets are the top-level folders and an object key is the path below the bucket,
+// so the key "reports/q1.pdf" in bucket "team" is the file q1.pdf in the folder team/reports.
+// - Requests are signed with AWS Signature Version 4 (header or presigned URL) using the keys in
+//   S3_ACCESS_KEYS. Each key acts as a local user, with that user's role and file visibility.
+// - Supported: ListBuckets, HeadBucket, GetBucketLocation, ListObjects(V2), GetObject (with a single Range),
+//   HeadObject, PutObject, DeleteObject and multipart uploads (create, upload part, complete, abort).
+// - ETags are the SHA-256 of the content (the blob hash), not MD5.
+// - Object names are sanitized like uploads, so characters outside [a-zA-Z0-9._-] become "_".
+//   Writing a key that ends in "/" creates that folder.
+const s3Namespace = 'http://s3.amazonaws.com/doc/2006-03-01/';
+const s3MaxClockSkew = 15 * 60 * 1000; // Header-signed requests must be signed within 15 minutes of the server time
+const s3MaxPresignedExpiry = 7 * 24 * 60 * 60; // Presigned URLs may be valid for up to 7 days (in seconds)
+const s3MaxKeys = 1000; // Page size cap for object listings
+const s3MaxParts = 10000;
+const s3MultipartDir = path.join(dataDir, 's3-multipart'); // Parts of unfinished multipart uploads, one directory per upload
+const s3 = express.Router();
+
+if (!fs.existsSync(s3MultipartDir)) {
+  fs.mkdirSync(s3MultipartDir, { recursive: true });
+}
+
+function isS3Request(req) {
+  return req.path === '/s3' || req.path.startsWith('/s3/');
+}
+
+// An error carrying the S3 status and error code to send
+function s3Failure(status, code, message) {
+  return Object.assign(new Error(message), { s3: { status, code } });
+}
+
+function sendS3Error(res, status, code, message) {
+  res.status(status).type('application/xml').send('<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<Error><Code>${code}</Code><Message>${escapeHtml(message)}</Message><RequestId>${res.get('x-amz-request-id')}</RequestId></Error>`);
+}
+
+function sendS3Failure(res, err) {
+  if (!err.s3) {
+    console.error('S3 API error:', err);
+    return sendS3Error(res, 500, 'InternalError', 'We encountered an internal error. Please try again.');
   }
+  sendS3Error(res, err.s3.status, err.s3.code, err.message);
+}
 
-  const { fileId, originalName } = parsed;
+function sendS3Xml(res, root, body) {
+  res.status(200).type('application/xml')
+    .send(`<?xml version="1.0" encoding="UTF-8"?>\n<${root} xmlns="${s3Namespace}">${body}</${root}>`);
+}
+
+// RFC 3986 encoding as used by Signature Version 4 (encodeURIComponent leaves !'()* alone)
+function s3UriEncode(value, keepSlashes = false) {
+  const encoded = encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return keepSlashes ? encoded.replace(/%2F/g, '/') : encoded;
+}
 
+function safeDecodeURIComponent(value) {
   try {
-    fs.unlinkSync(filePath);
-    delete fileMetadata[fileId]; // Remove from in-memory metadata
-    logActivity('delete', originalName, req, fileId);
-    res.redirect('/');
+    return decodeURIComponent(value);
   } catch (e) {
-    console.error('Error deleting file:', e);
-    res.status(500).send(renderError(`Error deleting file ${originalName}.`));
+    return value;
   }
-});
+}
 
-app.post('/delete-multiple', (req, res) => {
-  const filesToDelete = Array.isArray(req.body.files) ? req.body.files : [];
-  let deletedCount = 0;
-  let errorCount = 0;
+// The raw query string as [name, value] pairs; S3 sub-resources such as "?uploads" have an empty value
+function s3QueryPairs(req) {
+  const queryString = req.originalUrl.includes('?') ? req.originalUrl.slice(req.originalUrl.indexOf('?') + 1) : '';
+  return queryString.split('&').filter(Boolean).map(pair => {
+    const separator = pair.indexOf('=');
+    return separator === -1
+      ? [safeDecodeURIComponent(pair), '']
+      : [safeDecodeURIComponent(pair.slice(0, separator)), safeDecodeURIComponent(pair.slice(separator + 1))];
+  });
+}
 
-  filesToDelete.forEach(filename => {
-    const filePath = path.join(uploadDir, filename);
-    const parsed = parseFilename(filename);
+function s3SigningKey(secretAccessKey, date, region) {
+  return [date, region, 's3', 'aws4_request']
+    .reduce((key, part) => crypto.createHmac('sha256', key).update(part).digest(), `AWS4${secretAccessKey}`);
+}
 
-    if (parsed && fs.existsSync(filePath)) {
-      const { fileId, originalName } = parsed;
+// The Signature Version 4 canonical request, hashed into the string to sign
+function s3StringToSign(req, { signedHeaders, payloadHash, amzDate, scope }) {
+  const rawPath = req.originalUrl.split('?')[0];
+  const canonicalUri = rawPath.split('/').map(segment => s3UriEncode(safeDecodeURIComponent(segment))).join('/');
+  const canonicalQuery = s3QueryPairs(req)
+    .filter(([name]) => name !== 'X-Amz-Signature')
+    .map(([name, value]) => [s3UriEncode(name), s3UriEncode(value)])
+    .sort((a, b) => (a[0] === b[0] ? (a[1] < b[1] ? -1 : 1) : (a[0] < b[0] ? -1 : 1)))
+    .map(([name, value]) => `${name}=${value}`)
+    .join('&');
+  const canonicalHeaders = signedHeaders
+    .map(name => `${name}:${String(req.headers[name] === undefined ? '' : req.headers[name]).trim().replace(/\s+/g, ' ')}\n`)
+    .join('');
+  const canonicalRequest = [req.method, canonicalUri, canonicalQuery, canonicalHeaders, signedHeaders.join(';'), payloadHash].join('\n');
+  return ['AWS4-HMAC-SHA256', amzDate, scope, crypto.createHash('sha256').update(canonicalRequest).digest('hex')].join('\n');
+}
+
+// Verifies the Signature Version 4 signature from the Authorization header or a presigned URL's query
+function authenticateS3(req, res, next) {
+  res.set('x-amz-request-id', crypto.randomBytes(8).toString('hex').toUpperCase());
+
+  const authorization = req.get('authorization') || '';
+  const query = Object.fromEntries(s3QueryPairs(req));
+  let signature;
+  if (authorization.startsWith('AWS4-HMAC-SHA256 ')) {
+    const fields = Object.fromEntries(authorization.slice(17).split(',').map(field => {
+      const separator = field.indexOf('=');
+      return [field.slice(0, separator).trim(), field.slice(separator + 1).trim()];
+    }));
+    signature = {
+      credential: fields.Credential,
+      signedHeaders: fields.SignedHeaders,
+      signature: fields.Signature,
+      amzDate: req.get('x-amz-date'),
+      payloadHash: req.get('x-amz-content-sha256')
+    };
+    if (!signature.payloadHash) {
+      return sendS3Error(res, 400, 'InvalidRequest', 'Missing required header for this request: x-amz-content-sha256.');
+    }
+  } else if (query['X-Amz-Algorithm'] === 'AWS4-HMAC-SHA256') {
+    signature = {
+      credential: query['X-Amz-Credential'],
+      signedHeaders: query['X-Amz-SignedHeaders'],
+      signature: query['X-Amz-Signature'],
+      amzDate: query['X-Amz-Date'],
+      payloadHash: 'UNSIGNED-PAYLOAD',
+      expires: parseInt(query['X-Amz-Expires'], 10)
+    };
+  } else if (authorization || query['X-Amz-Algorithm'] || query.Signature) {
+    return sendS3Error(res, 400, 'InvalidArgument', 'Only AWS Signature Version 4 (AWS4-HMAC-SHA256) is supported.');
+  } else {
+    return sendS3Error(res, 403, 'AccessDenied', 'Anonymous access is not allowed. Sign requests with an access key.');
+  }
+
+  const [accessKeyId, date, region, service, terminator] = String(signature.credential || '').split('/');
+  const key = s3AccessKeys.get(accessKeyId);
+  if (!key) {
+    return sendS3Error(res, 403, 'InvalidAccessKeyId', 'The access key ID you provided does not exist in our records.');
+  }
+
+  const signedHeaders = String(signature.signedHeaders || '').split(';');
+  const amzDate = String(signature.amzDate || '');
+  if (!signature.signature || !signedHeaders.includes('host') || service !== 's3' || terminator !== 'aws4_request' ||
+    !/^\d{8}T\d{6}Z$/.test(amzDate) || amzDate.slice(0, 8) !== date) {
+    return sendS3Error(res, 400, 'AuthorizationHeaderMalformed', 'The authorization information is malformed.');
+  }
+
+  const signedAt = Date.parse(amzDate.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'));
+  if (signature.expires !== undefined) {
+    if (!(signature.expires > 0 && signature.expires <= s3MaxPresignedExpiry)) {
+      return sendS3Error(res, 400, 'AuthorizationQueryParametersError', `X-Amz-Expires must be between 1 and ${s3MaxPresignedExpiry} seconds.`);
+    }
+    if (Date.now() > signedAt + signature.expires * 1000 || signedAt > Date.now() + s3MaxClockSkew) {
+      return sendS3Error(res, 403, 'AccessDenied', 'Request has expired.');
+    }
+  } else if (Math.abs(Date.now() - signedAt) > s3MaxClockSkew) {
+    return sendS3Error(res, 403, 'RequestTimeTooSkewed', 'The difference between the request time and the server time is too large.');
+  }
+
+  const scope = `${date}/${region}/s3/aws4_request`;
+  const signingKey = s3SigningKey(key.secretAccessKey, date, region);
+  const stringToSign = s3StringToSign(req, { signedHeaders, payloadHash: signature.payloadHash, amzDate, scope });
+  const expected = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  if (signature.signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature.signature), Buffer.from(expected))) {
+    return sendS3Error(res, 403, 'SignatureDoesNotMatch', 'The request signature we calculated does not match the signature you provided.');
+  }
+
+  const user = findUserByUsername(key.username);
+  if (!user) {
+    return sendS3Error(res, 403, 'InvalidAccessKeyId', 'The access key ID you provided does not exist in our records.');
+  }
+
+  req.user = toRequestUser(user);
+  // Kept for payloads that are signed chunk by chunk (aws-chunked)
+  req.s3Signature = { payloadHash: signature.payloadHash, amzDate, scope, signingKey, seed: signature.signature };
+  next();
+}
+
+// Decodes an aws-chunked body ("<hex size>[;chunk-signature=<sig>]\r\n<data>\r\n ... 0...\r\n<trailers>").
+// For signed streaming payloads every chunk signature is checked against the one before it.
+function createAwsChunkedDecoder({ payloadHash, amzDate, scope, signingKey, seed }) {
+  const signed = payloadHash.startsWith('STREAMING-AWS4-HMAC-SHA256-PAYLOAD');
+  let previousSignature = seed;
+  let buffered = Buffer.alloc(0);
+  let chunk = null; // { remaining, signature, hash } of the chunk being read
+  let finished = false;
+
+  const verifyChunk = () => {
+    if (!signed) return;
+    const stringToSign = ['AWS4-HMAC-SHA256-PAYLOAD', amzDate, scope, previousSignature, emptyPayloadHash, chunk.hash.digest('hex')].join('\n');
+    const expected = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+    if (chunk.signature !== expected) {
+      throw s3Failure(403, 'SignatureDoesNotMatch', 'The chunk signature we calculated does not match the signature you provided.');
+    }
+    previousSignature = expected;
+  };
+
+  return new Transform({
+    transform(data, encoding, callback) {
+      buffered = buffered.length ? Buffer.concat([buffered, data]) : data;
       try {
-        fs.unlinkSync(filePath);
-        delete fileMetadata[fileId];
-        logActivity('delete', originalName, req, fileId);
-        deletedCount++;
-      } catch (e) {
-        console.error(`Error deleting file ${filename}:`, e);
-        errorCount++;
+        while (!finished && buffered.length) {
+          if (!chunk) {
+            const lineEnd = buffered.indexOf('\r\n');
+            if (lineEnd === -1) {
+              if (buffered.length > 1024) throw s3Failure(400, 'InvalidRequest', 'Invalid aws-chunked chunk header.');
+              break;
+            }
+            const [size, ...extensions] = buffered.toString('latin1', 0, lineEnd).split(';');
+            const chunkSignature = (extensions.find(extension => extension.startsWith('chunk-signature=')) || '').slice(16);
+            if (!/^[0-9a-f]+$/i.test(size)) throw s3Failure(400, 'InvalidRequest', 'Invalid aws-chunked chunk size.');
+            chunk = { remaining: parseInt(size, 16), signature: chunkSignature, hash: crypto.createHash('sha256') };
+            buffered = buffered.subarray(lineEnd + 2);
+            if (chunk.remaining === 0) {
+              // Trailing headers (checksums) may follow the final chunk; they are not used
+              verifyChunk();
+              finished = true;
+            }
+          } else if (chunk.remaining > 0) {
+            const part = buffered.subarray(0, chunk.remaining);
+            chunk.hash.update(part);
+            chunk.remaining -= part.length;
+            buffered = buffered.subarray(part.length);
+            this.push(part);
+          } else {
+            if (buffered.length < 2) break;
+            if (buffered[0] !== 0x0d || buffered[1] !== 0x0a) throw s3Failure(400, 'InvalidRequest', 'Invalid aws-chunked chunk terminator.');
+            buffered = buffered.subarray(2);
+            verifyChunk();
+            chunk = null;
+          }
+        }
+      } catch (err) {
+        return callback(err);
       }
-    } else {
-      console.warn(`Attempted to delete non-existent or malformed file: ${filename}`);
-      errorCount++;
+      callback();
+    },
+    flush(callback) {
+      callback(finished ? null : s3Failure(400, 'IncompleteBody', 'The request body ended before the final chunk.'));
+    }
+  });
+}
+
+// Streams the request payload to destination, checking its size limit, x-amz-content-sha256 and Content-MD5.
+// Resolves with { size, hash }; on failure the partial file is removed.
+function receiveS3Payload(req, destination, limit) {
+  const { payloadHash } = req.s3Signature;
+  const chunked = payloadHash.startsWith('STREAMING-');
+  const declaredSize = parseInt(req.get(chunked ? 'x-amz-decoded-content-length' : 'content-length'), 10);
+  if (declaredSize > limit) {
+    return Promise.reject(s3Failure(400, 'EntityTooLarge', `Your proposed upload exceeds the maximum allowed size of ${formatBytes(limit)}.`));
+  }
+
+  const contentHash = crypto.createHash('sha256');
+  const contentMd5 = req.get('content-md5') ? crypto.createHash('md5') : null;
+  let received = 0;
+  const meter = new Transform({
+    transform(data, encoding, callback) {
+      received += data.length;
+      if (received > limit) {
+        return callback(s3Failure(400, 'EntityTooLarge', `Your proposed upload exceeds the maximum allowed size of ${formatBytes(limit)}.`));
+      }
+      contentHash.update(data);
+      if (contentMd5) contentMd5.update(data);
+      callback(null, data);
     }
   });
+  const stages = chunked
+    ? [req, createAwsChunkedDecoder(req.s3Signature), meter, fs.createWriteStream(destination)]
+    : [req, meter, fs.createWriteStream(destination)];
+
+  return new Promise((resolve, reject) => {
+    pipeline(...stages, err => {
+      const hash = err ? null : contentHash.digest('hex');
+      let failure = err;
+      if (!failure && /^[0-9a-f]{64}$/i.test(payloadHash) && payloadHash.toLowerCase() !== hash) {
+        failure = s3Failure(400, 'XAmzContentSHA256Mismatch', 'The provided x-amz-content-sha256 header does not match what was computed.');
+      } else if (!failure && contentMd5 && contentMd5.digest('base64') !== req.get('content-md5')) {
+        failure = s3Failure(400, 'BadDigest', 'The Content-MD5 you specified did not match what we received.');
+      } else if (!failure && chunked && !Number.isNaN(declaredSize) && declaredSize !== received) {
+        failure = s3Failure(400, 'IncompleteBody', 'You did not provide the number of bytes specified by x-amz-decoded-content-length.');
+      }
+
+      if (failure) {
+        fs.rm(destination, { force: true }, () => {});
+        return reject(failure);
+      }
+      resolve({ size: received, hash });
+    });
+  });
+}
+
+function toS3Bucket(name) {
+  return name && !name.includes('/') && folders[name] ? name : null;
+}
+
+// Resolves a key within a bucket to its folder, sanitized file name and the existing file (if any)
+function resolveS3Object(bucket, key, user) {
+  const objectPath = normalizeFolderPath(`${bucket}/${key}`);
+  if (objectPath === null || objectPath === bucket) return null;
+  const folder = parentFolder(objectPath);
+  const name = objectPath.slice(folder.length + 1);
+  const entry = key.endsWith('/') ? null : findFileInFolder(folder, name, user);
+  return { bucket, key, path: objectPath, folder, name, entry };
+}
+
+function s3ObjectKey(entry, bucket) {
+  const folder = (entry.folder || '').slice(bucket.length + 1);
+  return folder ? `${folder}/${entry.originalName}` : entry.originalName;
+}
+
+function setS3ObjectHeaders(res, entry) {
+  res.type(entry.originalName);
+  res.set({
+    ETag: `"${entry.blob || entry.id}"`,
+    'Last-Modified': new Date(entry.lastModified || entry.uploaded).toUTCString(),
+    'Accept-Ranges': 'bytes'
+  });
+}
+
+// Checks that the user may create or replace the object, before any bytes are received
+function checkS3Write(req, object) {
+  if (!hasPermission(req.user, 'files:upload')) {
+    return s3Failure(403, 'AccessDenied', `Your role (${req.user.role}) does not allow uploads.`);
+  }
+  const rejection = checkUploadName(object.name, object.folder);
+  if (rejection) {
+    return s3Failure(400, 'InvalidArgument', `Upload rejected: ${rejection}`);
+  }
+  if (object.entry && !canManageFile(req.user, object.entry) && !hasPermission(req.user, 'files:edit')) {
+    return s3Failure(403, 'AccessDenied', `You may not replace ${object.entry.originalName}.`);
+  }
+  const held = legalHoldConflict(findUploadTarget(object.folder, object.name, req.user));
+  if (held) {
+    return s3Failure(403, 'AccessDenied', held);
+  }
+  return null;
+}
+
+// Adds the received file under the object's folder (creating it if needed). An existing name gets a new version.
+async function storeS3Object(req, object, filename, tempPath) {
+  const rejection = await validateUpload(object.name, tempPath, object.folder);
+  if (rejection) {
+    fs.rm(tempPath, { force: true }, () => {});
+    throw s3Failure(400, 'InvalidArgument', `Upload rejected: ${rejection}`);
+  }
+  if (!folderExists(object.folder)) {
+    createFolder(object.folder, req.user);
+    logActivity('folder-create', object.folder, req);
+  }
+  const visibility = object.entry ? object.entry.visibility : defaultVisibility;
+  return registerUploadedFile(filename, tempPath, req, { visibility, folder: object.folder });
+}
+
+function multipartPartPath(uploadId, partNumber) {
+  return path.join(s3MultipartDir, uploadId, String(partNumber));
+}
+
+function saveMultipartUpload(upload) {
+  multipartUploads[upload.id] = upload;
+  store.set('multipartUploads', upload.id, upload);
+}
+
+function discardMultipartUpload(uploadId) {
+  fs.rm(path.join(s3MultipartDir, uploadId), { recursive: true, force: true }, () => {});
+  delete multipartUploads[uploadId];
+  store.remove('multipartUploads', uploadId);
+}
+
+function findMultipartUpload(req, object) {
+  const upload = Object.prototype.hasOwnProperty.call(multipartUploads, req.query.uploadId) ? multipartUploads[req.query.uploadId] : null;
+  if (!upload || upload.owner !== req.user.id || upload.bucket !== object.bucket || upload.key !== object.key) {
+    throw s3Failure(404, 'NoSuchUpload', 'The specified multipart upload does not exist.');
+  }
+  return upload;
+}
+
+// Discard multipart uploads that have not received a part within the resumable upload TTL
+setInterval(() => {
+  const cutoff = Date.now() - resumableUploadTtl;
+  Object.values(multipartUploads)
+    .filter(upload => new Date(upload.updatedAt).getTime() < cutoff)
+    .forEach(upload => {
+      console.log(`Discarding abandoned multipart upload ${upload.id} (${upload.bucket}/${upload.key})`);
+      discardMultipartUpload(upload.id);
+    });
+}, 60 * 60 * 1000).unref();
+
+function listS3Buckets(req, res) {
+  const buckets = listSubfolders('')
+    .map(name => `<Bucket><Name>${escapeHtml(name)}</Name><CreationDate>${folders[name].createdAt}</CreationDate></Bucket>`)
+    .join('');
+  sendS3Xml(res, 'ListAllMyBucketsResult',
+    `<Owner><ID>${req.user.id}</ID><DisplayName>${escapeHtml(req.user.username)}</DisplayName></Owner><Buckets>${buckets}</Buckets>`);
+}
+
+// ListObjectsV2 (list-type=2) and the original ListObjects. Empty subfolders are listed as common prefixes.
+function listS3Objects(req, res, bucket) {
+  const v2 = req.query['list-type'] === '2';
+  const prefix = String(req.query.prefix || '');
+  const delimiter = String(req.query.delimiter || '');
+  const requestedMaxKeys = parseInt(req.query['max-keys'], 10);
+  const maxKeys = Number.isNaN(requestedMaxKeys) ? s3MaxKeys : Math.min(s3MaxKeys, Math.max(0, requestedMaxKeys));
+  const urlEncoded = req.query['encoding-type'] === 'url';
+  const encodeKey = key => escapeHtml(urlEncoded ? s3UriEncode(key, true) : key);
+  let marker = String((v2 ? req.query['start-after'] : req.query.marker) || '');
+  if (v2 && req.query['continuation-token']) {
+    marker = Buffer.from(String(req.query['continuation-token']), 'base64url').toString('utf8');
+  }
+
+  // One key per name: the newest visible file, like the dashboard
+  const items = [];
+  const seen = new Set();
+  filesInFolder(bucket, true)
+    .filter(entry => canViewFile(req.user, entry))
+    .sort((a, b) => new Date(b.uploaded) - new Date(a.uploaded))
+    .forEach(entry => {
+      const key = s3ObjectKey(entry, bucket);
+      if (!seen.has(key)) {
+        seen.add(key);
+        items.push({ key, entry });
+      }
+    });
+  if (delimiter) {
+    Object.keys(folders)
+      .filter(folderPath => folderPath !== bucket && isInFolder(folderPath, bucket))
+      .forEach(folderPath => items.push({ key: `${folderPath.slice(bucket.length + 1)}/` }));
+  }
+  items.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+  const contents = [];
+  const commonPrefixes = [];
+  let truncated = false;
+  let lastKey = null;
+  for (const item of items) {
+    if (item.key <= marker || !item.key.startsWith(prefix)) continue;
+    const cut = delimiter ? item.key.indexOf(delimiter, prefix.length) : -1;
+    const commonPrefix = cut === -1 ? null : item.key.slice(0, cut + delimiter.length);
+    if (commonPrefix ? commonPrefix <= marker || commonPrefix === commonPrefixes[commonPrefixes.length - 1] : !item.entry) continue;
+    if (contents.length + commonPrefixes.length >= maxKeys) {
+      truncated = true;
+      break;
+    }
+    if (commonPrefix) {
+      commonPrefixes.push(commonPrefix);
+    } else {
+      contents.push(item);
+    }
+    lastKey = commonPrefix || item.key;
+  }
+
+  let body = `<Name>${escapeHtml(bucket)}</Name><Prefix>${encodeKey(prefix)}</Prefix>` +
+    (delimiter ? `<Delimiter>${encodeKey(delimiter)}</Delimiter>` : '') +
+    `<MaxKeys>${maxKeys}</MaxKeys><IsTruncated>${truncated}</IsTruncated>` +
+    (urlEncoded ? '<EncodingType>url</EncodingType>' : '');
+  if (v2) {
+    body += `<KeyCount>${contents.length + commonPrefixes.length}</KeyCount>` +
+      (req.query['continuation-token'] ? `<ContinuationToken>${escapeHtml(req.query['continuation-token'])}</ContinuationToken>` : '') +
+      (req.query['start-after'] ? `<StartAfter>${encodeKey(req.query['start-after'])}</StartAfter>` : '') +
+      (truncated ? `<NextContinuationToken>${Buffer.from(lastKey).toString('base64url')}</NextContinuationToken>` : '');
+  } else {
+    body += `<Marker>${encodeKey(marker)}</Marker>` + (truncated ? `<NextMarker>${encodeKey(lastKey)}</NextMarker>` : '');
+  }
+  body += contents.map(({ key, entry }) => `<Contents><Key>${encodeKey(key)}</Key>` +
+    `<LastModified>${new Date(entry.lastModified || entry.uploaded).toISOString()}</LastModified>` +
+    `<ETag>"${entry.blob || entry.id}"</ETag><Size>${entry.size}</Size><StorageClass>STANDARD</StorageClass></Contents>`).join('');
+  body += commonPrefixes.map(commonPrefix => `<CommonPrefixes><Prefix>${encodeKey(commonPrefix)}</Prefix></CommonPrefixes>`).join('');
+
+  sendS3Xml(res, 'ListBucketResult', body);
+}
+
+const s3BucketHandlers = {
+  GET: (req, res, bucket) => {
+    if (req.query.location !== undefined) {
+      // An empty location constraint means the default region (us-east-1); any region is accepted in signatures
+      return sendS3Xml(res, 'LocationConstraint', '');
+    }
+    listS3Objects(req, res, bucket);
+  },
+  HEAD: (req, res) => res.status(200).end()
+};
+
+const s3ObjectHandlers = {
+  // GetObject and HeadObject. Like the other download routes, ranges after the first byte are not counted.
+  GET: async (req, res, object) => {
+    const { entry } = object;
+    if (!entry) throw s3Failure(404, 'NoSuchKey', 'The specified key does not exist.');
+    const hold = scanHold(entry);
+    if (hold) throw s3Failure(403, 'InvalidObjectState', hold);
+
+    const range = parseByteRange(req.get('Range'), entry.size);
+    if (range === false) {
+      res.set('Content-Range', `bytes */${entry.size}`);
+      throw s3Failure(416, 'InvalidRange', 'The requested range is not satisfiable.');
+    }
+    if (req.method === 'GET' && (!range || range.start === 0)) {
+      updateFileMetadata(entry.id, { downloads: (entry.downloads || 0) + 1, lastAccessed: new Date().toISOString() });
+      logActivity('download', entry.originalName, req, entry.id);
+    }
+
+    const { start, end } = range || { start: 0, end: entry.size - 1 };
+    const stream = req.method === 'HEAD' || entry.size === 0 ? null : await openContentStream(entry, { start, end });
+    setS3ObjectHeaders(res, entry);
+    res.status(range ? 206 : 200).set('Content-Length', String(end - start + 1));
+    if (range) res.set('Content-Range', `bytes ${start}-${end}/${entry.size}`);
+    if (!stream) return res.end();
+
+    pipeline(stream, res, err => {
+      if (err && err.code !== 'ERR_STREAM_PREMATURE_CLOSE') console.error('S3 download error:', err);
+    });
+  },
+
+  // PutObject and UploadPart
+  PUT: async (req, res, object) => {
+    if (req.query.uploadId !== undefined) return uploadS3Part(req, res, object);
+    if (req.get('x-amz-copy-source')) throw s3Failure(501, 'NotImplemented', 'CopyObject is not supported.');
+
+    if (object.key.endsWith('/')) {
+      if (!hasPermission(req.user, 'files:upload')) throw s3Failure(403, 'AccessDenied', `Your role (${req.user.role}) does not allow uploads.`);
+      if (parseInt(req.get(req.s3Signature.payloadHash.startsWith('STREAMING-') ? 'x-amz-decoded-content-length' : 'content-length'), 10) > 0) {
+        throw s3Failure(400, 'InvalidArgument', 'A folder key ("/" at the end) cannot have content.');
+      }
+      req.resume();
+      if (!folderExists(object.path)) {
+        createFolder(object.path, req.user);
+        logActivity('folder-create', object.path, req);
+      }
+      return res.status(200).set('ETag', `"${emptyPayloadHash}"`).end();
+    }
+
+    const denied = checkS3Write(req, object);
+    if (denied) throw denied;
+
+    const filename = generateStoredFilename(object.name);
+    const tempPath = path.join(incomingDir, filename);
+    await receiveS3Payload(req, tempPath, maxFileSize);
+    const entry = await storeS3Object(req, object, filename, tempPath);
+    res.status(200).set('ETag', `"${entry.blob}"`).end();
+  },
+
+  // DeleteObject (to the trash) and AbortMultipartUpload. Deleting a missing key succeeds, as in S3.
+  DELETE: (req, res, object) => {
+    if (req.query.uploadId !== undefined) {
+      discardMultipartUpload(findMultipartUpload(req, object).id);
+      return res.status(204).end();
+    }
+    if (!hasPermission(req.user, 'files:delete')) throw s3Failure(403, 'AccessDenied', `Your role (${req.user.role}) does not allow deleting files.`);
+
+    const { entry } = object;
+    if (entry) {
+      if (entry.legalHold) throw s3Failure(403, 'AccessDenied', `${entry.originalName} is under legal hold and cannot be deleted.`);
+      trashFile(entry.id, req.user);
+      logActivity('delete', entry.originalName, req, entry.id);
+    }
+    res.status(204).end();
+  },
+
+  // CreateMultipartUpload (?uploads) and CompleteMultipartUpload (?uploadId=)
+  POST: async (req, res, object) => {
+    if (req.query.uploads !== undefined) {
+      const denied = checkS3Write(req, object);
+      if (denied) throw denied;
+      const now = new Date().toISOString();
+      const upload = {
+        id: crypto.randomBytes(16).toString('hex'),
+        bucket: object.bucket,
+        key: object.key,
+        folder: object.folder,
+        name: object.name,
+        owner: req.user.id,
+        parts: {},
+        createdAt: now,
+        updatedAt: now
+      };
+      saveMultipartUpload(upload);
+      return sendS3Xml(res, 'InitiateMultipartUploadResult',
+        `<Bucket>${escapeHtml(object.bucket)}</Bucket><Key>${escapeHtml(object.key)}</Key><UploadId>${upload.id}</UploadId>`);
+    }
+    if (req.query.uploadId !== undefined) return completeS3Upload(req, res, object);
+    throw s3Failure(501, 'NotImplemented', 'This POST operation is not supported.');
+  }
+};
+s3ObjectHandlers.HEAD = s3ObjectHandlers.GET;
 
-  if (errorCount > 0) {
-    res.status(500).send(renderError(`Successfully deleted ${deletedCount} files, but encountered errors with ${errorCount} files.`));
-  } else {
-    res.redirect('/');
+async function uploadS3Part(req, res, object) {
+  const upload = findMultipartUpload(req, object);
+  const partNumber = Number(req.query.partNumber);
+  if (!Number.isInteger(partNumber) || partNumber < 1 || partNumber > s3MaxParts) {
+    throw s3Failure(400, 'InvalidArgument', `Part number must be an integer between 1 and ${s3MaxParts}.`);
   }
-});
 
-// Route for file sharing (generates a temporary, shareable link)
-// This is a basic example; for production, implement token-based access, expiry, etc.
-app.get('/share/:filename', (req, res) => {
-  const filePath = path.join(uploadDir, req.params.filename);
-  const parsed = parseFilename(req.params.filename);
+  // Written under a temporary name so a retried part never mixes with the one it replaces
+  const partPath = multipartPartPath(upload.id, partNumber);
+  const tempPath = `${partPath}.${crypto.randomBytes(4).toString('hex')}`;
+  fs.mkdirSync(path.dirname(partPath), { recursive: true });
+  const { size, hash } = await receiveS3Payload(req, tempPath, maxResumableFileSize);
+  if (!multipartUploads[upload.id]) {
+    fs.rm(tempPath, { force: true }, () => {});
+    throw s3Failure(404, 'NoSuchUpload', 'The specified multipart upload does not exist.');
+  }
+  fs.renameSync(tempPath, partPath);
 
-  if (!parsed || !fs.existsSync(filePath)) {
-    return res.status(404).send(renderError('File not found for sharing.'));
+  const current = multipartUploads[upload.id];
+  saveMultipartUpload({ ...current, parts: { ...current.parts, [partNumber]: { etag: hash, size } }, updatedAt: new Date().toISOString() });
+  res.status(200).set('ETag', `"${hash}"`).end();
+}
+
+// Joins the listed parts, in order, into the file; parts that are not listed are discarded
+async function completeS3Upload(req, res, object) {
+  const upload = findMultipartUpload(req, object);
+  const body = await readRequestBody(req, 1024 * 1024).catch(() => null);
+  if (body === null) throw s3Failure(400, 'MalformedXML', 'The XML you provided was too large.');
+
+  const parts = [...body.matchAll(/<Part>([\s\S]*?)<\/Part>/g)].map(([, part]) => ({
+    partNumber: Number((/<PartNumber>\s*(\d+)\s*<\/PartNumber>/.exec(part) || [])[1]),
+    etag: ((/<ETag>([\s\S]*?)<\/ETag>/.exec(part) || [])[1] || '').replace(/&quot;|"/g, '').trim()
+  }));
+  if (!parts.length) throw s3Failure(400, 'MalformedXML', 'The XML you provided did not list any parts.');
+  parts.forEach((part, index) => {
+    const stored = upload.parts[part.partNumber];
+    if (!stored || stored.etag !== part.etag) {
+      throw s3Failure(400, 'InvalidPart', `Part ${part.partNumber || '?'} was not uploaded or its ETag does not match.`);
+    }
+    if (index > 0 && part.partNumber <= parts[index - 1].partNumber) {
+      throw s3Failure(400, 'InvalidPartOrder', 'The list of parts was not in ascending order.');
+    }
+  });
+  if (parts.reduce((total, part) => total + upload.parts[part.partNumber].size, 0) > maxResumableFileSize) {
+    throw s3Failure(400, 'EntityTooLarge', `The object exceeds the maximum allowed size of ${formatBytes(maxResumableFileSize)}.`);
   }
+  // The object may have been created by someone else since the upload started
+  const denied = checkS3Write(req, object);
+  if (denied) throw denied;
 
-  const { fileId, originalName } = parsed;
-  // In a real application, you'd generate a unique, short-lived token here
-  // For simplicity, we'll just redirect to download, implying public access
-  // For true sharing, you'd likely have a dedicated route like /s/:token
-  logActivity('share', originalName, req, fileId);
-  res.send(renderShareLink(req.params.filename, originalName));
-});
+  const filename = generateStoredFilename(object.name);
+  const tempPath = path.join(incomingDir, filename);
+  const output = fs.createWriteStream(tempPath);
+  try {
+    for (const part of parts) {
+      await new Promise((resolve, reject) => {
+        const input = fs.createReadStream(multipartPartPath(upload.id, part.partNumber));
+        input.on('error', reject).on('end', resolve);
+        input.pipe(output, { end: false });
+      });
+    }
+    await new Promise((resolve, reject) => output.on('error', reject).end(resolve));
+  } catch (e) {
+    output.destroy();
+    fs.rm(tempPath, { force: true }, () => {});
+    throw e;
+  }
 
-// Admin Panel (requires robust authentication in production)
-app.get('/admin', authenticate, (req, res) => {
-  // Example data for admin panel
-  const systemInfo = {
-    totalFiles: Object.keys(fileMetadata).length,
-    totalStorageUsed: formatBytes(Object.values(fileMetadata).reduce((sum, f) => sum + f.size, 0)),
-    activeConnections: activeConnections,
-    maxFileSize: formatBytes(maxFileSize),
-    maxFilesPerUpload: maxFiles,
-    retentionPolicy: `${retentionDays} days`
-  };
-  res.send(renderAdminPanel(systemInfo, fileMetadata, fileHistory));
-});
+  discardMultipartUpload(upload.id);
+  const entry = await storeS3Object(req, object, filename, tempPath);
+  sendS3Xml(res, 'CompleteMultipartUploadResult',
+    `<Location>${escapeHtml(`${req.protocol}://${req.get('host')}/s3/${s3UriEncode(object.bucket)}/${s3UriEncode(object.key, true)}`)}</Location>` +
+    `<Bucket>${escapeHtml(object.bucket)}</Bucket><Key>${escapeHtml(object.key)}</Key><ETag>"${entry.blob}"</ETag>`);
+}
 
-// Route to get file metadata (for API use or advanced UI)
-app.get('/api/file-metadata/:filename', (req, res) => {
-  const parsed = parseFilename(req.params.filename);
-  if (!parsed) {
-    return res.status(400).json({ error: 'Invalid filename format' });
+s3.use((req, res) => {
+  if (!hasPermission(req.user, 'files:read')) {
+    return sendS3Error(res, 403, 'AccessDenied', `Your role (${req.user.role}) does not allow this action.`);
   }
-  const fileId = parsed.fileId;
-  const metadata = fileMetadata[fileId];
-  if (metadata) {
-    res.json(metadata);
+
+  const [rawBucket, ...rawKey] = req.path.slice(1).split('/');
+  const bucketName = safeDecodeURIComponent(rawBucket);
+  const key = safeDecodeURIComponent(rawKey.join('/'));
+
+  let work;
+  if (!bucketName) {
+    work = () => {
+      if (req.method !== 'GET') throw s3Failure(405, 'MethodNotAllowed', 'The specified method is not allowed against this resource.');
+      listS3Buckets(req, res);
+    };
+  } else if (!key) {
+    work = () => {
+      const bucket = toS3Bucket(bucketName);
+      const handler = s3BucketHandlers[req.method];
+      if (!handler) throw s3Failure(501, 'NotImplemented', `${req.method} on a bucket is not supported.`);
+      if (!bucket) throw s3Failure(404, 'NoSuchBucket', 'The specified bucket does not exist.');
+      return handler(req, res, bucket);
+    };
   } else {
-    res.status(404).json({ error: 'File metadata not found' });
+    work = () => {
+      const bucket = toS3Bucket(bucketName);
+      const handler = s3ObjectHandlers[req.method];
+      if (!handler) throw s3Failure(405, 'MethodNotAllowed', 'The specified method is not allowed against this resource.');
+      if (!bucket) throw s3Failure(404, 'NoSuchBucket', 'The specified bucket does not exist.');
+
+      const object = resolveS3Object(bucket, key, req.user);
+      if (!object) throw s3Failure(400, 'InvalidArgument', 'The object key is not valid.');
+      return handler(req, res, object);
+    };
   }
-});
 
-app.get('/history', (req, res) => {
-  res.send(renderHistory(fileHistory));
+  Promise.resolve().then(work).catch(err => sendS3Failure(res, err));
 });
 
+app.use('/s3', s3);
+
 // ======================
 // Rendering Functions (HTML Templates)
 // Tailwind CSS is used for styling. Font Awesome for icons.
 // ======================
 
-function renderDashboard(files) {
+// Shown next to files whose content is held back by the malware scanner
+function renderScanBadge(status) {
+  if (status === 'pending') {
+    return '<span class="ml-2 px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-800" title="Downloads are available once the file is found clean"><i class="fas fa-spinner fa-spin mr-1"></i>Scanning</span>';
+  }
+  if (status === 'failed') {
+    return '<span class="ml-2 px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-800" title="The malware scan will be retried"><i class="fas fa-exclamation-triangle mr-1"></i>Scan failed</span>';
+  }
+  return '';
+}
+
+// Grid view of the dashboard: folders, then a card per file with its thumbnail, or its icon when there is none
+function renderFileGrid(files, subfolders, emptyMessage) {
+  return `
+          <label class="flex items-center text-sm text-gray-600 mb-3">
+            <input type="checkbox" id="select-all" class="rounded text-blue-600 focus:ring-blue-500 mr-2"> Select all
+          </label>
+          <div id="file-list" class="grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-4 xl:grid-cols-5 gap-4">
+            ${subfolders.map(folder => `
+            <a href="${folder.url}" class="block border border-gray-200 rounded-lg p-4 text-center hover:bg-gray-50 transition-colors duration-100">
+              <i class="fas fa-folder text-yellow-500 text-5xl mb-3"></i>
+              <p class="file-name text-gray-800 font-medium truncate">${escapeHtml(folder.name)}</p>
+              <p class="text-xs text-gray-500">${folder.fileCount} ${folder.fileCount === 1 ? 'file' : 'files'}</p>
+            </a>
+            `).join('')}
+            ${files.map(file => `
+            <div class="relative border border-gray-200 rounded-lg overflow-hidden hover:shadow-md transition-shadow duration-100">
+              <input type="checkbox" class="file-checkbox absolute top-2 left-2 rounded text-blue-600 focus:ring-blue-500" value="${file.id}">
+              <a href="${file.previewUrl}" class="flex h-36 items-center justify-center bg-gray-100">
+                ${file.thumbnailUrl
+                  ? `<img src="${file.thumbnailUrl}" alt="${escapeHtml(file.name)}" loading="lazy" class="max-h-full max-w-full object-contain">`
+                  : `<i class="${file.icon} text-5xl text-gray-400"></i>`}
+              </a>
+              <div class="p-3">
+                <p class="file-name text-sm text-gray-800 font-medium truncate" title="${escapeHtml(file.name)}">${escapeHtml(file.name)}</p>
+                ${renderScanBadge(file.scanStatus)}
+                <div class="flex justify-between items-center mt-1">
+                  <span class="text-xs text-gray-500">${file.size}</span>
+                  <a href="${file.downloadUrl}" class="text-green-600 hover:text-green-800" title="Download"><i class="fas fa-download"></i></a>
+                </div>
+              </div>
+            </div>
+            `).join('')}
+          </div>
+          ${files.length === 0 && subfolders.length === 0 ? `
+          <div class="py-16 text-center text-gray-500">
+            <i class="fas fa-inbox text-5xl text-gray-300 mb-4"></i>
+            <p class="text-lg">${emptyMessage}</p>
+          </div>
+          ` : ''}`;
+}
+
+function renderDashboard(files, user, currentFolder, subfolders, { tagFilter = null, tags = [], view = 'list' } = {}) {
+  const canUpload = hasPermission(user, 'files:upload');
+  const canEdit = hasPermission(user, 'files:edit');
+  const canDelete = hasPermission(user, 'files:delete');
+  const canHold = hasPermission(user, 'admin');
+  const canShare = hasPermission(user, 'files:share');
+  const breadcrumbs = currentFolder ? currentFolder.split('/').map((name, index, segments) => ({
+    name,
+    url: folderUrl(segments.slice(0, index + 1).join('/'))
+  })) : [];
+  const allFolders = ['', ...Object.keys(folders).sort((a, b) => a.localeCompare(b))];
+  const viewUrl = nextView => {
+    const params = new URLSearchParams({ view: nextView });
+    if (currentFolder) params.set('folder', currentFolder);
+    if (tagFilter) params.set('tag', tagFilter);
+    return `/?${params}`;
+  };
+  const emptyMessage = currentFolder ? 'This folder is empty.' : 'No files uploaded yet. Start by uploading some files!';
+  const uploadRules = uploadRulesFor(currentFolder);
+  const acceptedExtensions = (uploadRules.allow || allowedExtensions).filter(ext => !uploadRules.deny.includes(ext));
+
   return `
   <!DOCTYPE html>
   <html lang="en">
@@ -549,101 +6475,64 @@ function renderDashboard(files) {
         background-color: #f7fafc; /* gray-50 */
       }
     </style>
-    <script>
-      document.addEventListener('DOMContentLoaded', () => {
-        // Bulk delete functionality
-        document.getElementById('delete-selected').addEventListener('click', () => {
-          const selectedFiles = Array.from(document.querySelectorAll('.file-checkbox:checked'))
-            .map(checkbox => checkbox.value);
-
-          if (selectedFiles.length === 0) {
-            alert('Please select files to delete');
-            return;
-          }
-
-          if (confirm('Are you sure you want to delete ' + selectedFiles.length + ' selected files? This action cannot be undone.')) {
-            fetch('/delete-multiple', {
-              method: 'POST',
-              headers: {
-                'Content-Type': 'application/json'
-              },
-              body: JSON.stringify({ files: selectedFiles })
-            }).then(response => {
-              if (response.ok) {
-                window.location.reload();
-              } else {
-                response.text().then(text => alert('Failed to delete files: ' + text));
-              }
-            }).catch(error => alert('Network error: ' + error.message));
-          }
-        });
-
-        // Select all checkbox
-        document.getElementById('select-all').addEventListener('change', (e) => {
-          document.querySelectorAll('.file-checkbox').forEach(checkbox => {
-            checkbox.checked = e.target.checked;
-          });
-        });
-
-        // Search functionality
-        document.getElementById('search-input').addEventListener('input', (e) => {
-          const searchTerm = e.target.value.toLowerCase();
-          document.querySelectorAll('#file-list tr').forEach(row => {
-            const fileName = row.querySelector('.file-name').textContent.toLowerCase();
-            row.style.display = fileName.includes(searchTerm) ? '' : 'none';
-          });
-        });
-
-        // Drag and Drop for Upload Area
-        const dropArea = document.getElementById('drop-area');
-        const fileInput = document.getElementById('file-input');
-
-        dropArea.addEventListener('dragover', (e) => {
-          e.preventDefault();
-          e.stopPropagation();
-          dropArea.classList.add('border-blue-500', 'bg-blue-50');
-        });
-
-        dropArea.addEventListener('dragleave', (e) => {
-          e.preventDefault();
-          e.stopPropagation();
-          dropArea.classList.remove('border-blue-500', 'bg-blue-50');
-        });
-
-        dropArea.addEventListener('drop', (e) => {
-          e.preventDefault();
-          e.stopPropagation();
-          dropArea.classList.remove('border-blue-500', 'bg-blue-50');
-
-          if (e.dataTransfer.files && e.dataTransfer.files.length > 0) {
-            fileInput.files = e.dataTransfer.files;
-            // Optionally, submit the form automatically or indicate files are ready
-            // document.getElementById('upload-form').submit();
-            alert('Files ready for upload. Click "Upload Files" to proceed.');
-          }
-        });
-      });
-    </script>
+    <script src="/assets/app.js"></script>
+    <script src="/assets/dashboard.js"></script>
   </head>
   <body class="bg-gray-100">
     <div class="container mx-auto px-4 py-8">
+      <div class="flex justify-end items-center mb-2 text-gray-700">
+        <i class="fas fa-user-circle mr-2 text-blue-500"></i>
+        <span class="mr-4">Signed in as <strong>${escapeHtml(user.username)}</strong> (${user.role})</span>
+        <form action="/logout" method="POST">
+          <button type="submit" class="text-sm bg-gray-200 hover:bg-gray-300 text-gray-800 px-3 py-1 rounded-lg transition-colors duration-200">
+            <i class="fas fa-sign-out-alt mr-1"></i> Sign out
+          </button>
+        </form>
+      </div>
       <h1 class="text-4xl font-extrabold text-center mb-8 text-gray-800">🚀 Advanced File Server</h1>
 
       <div class="grid grid-cols-1 md:grid-cols-4 gap-8">
         <div class="md:col-span-1 bg-white rounded-xl shadow-lg p-6">
+          ${canUpload ? `
           <h2 class="text-2xl font-semibold mb-6 text-gray-700">Upload Files</h2>
-          <form id="upload-form" action="/upload" method="POST" enctype="multipart/form-data" class="flex flex-col space-y-4">
+          <form id="upload-form" action="/upload" method="POST" enctype="multipart/form-data" class="flex flex-col space-y-4" data-resumable-threshold="${resumableThreshold}">
+            <input type="hidden" name="folder" value="${escapeHtml(currentFolder)}">
             <div id="drop-area" class="border-2 border-dashed border-gray-300 rounded-lg p-8 text-center cursor-pointer transition-all duration-200 hover:border-blue-500 hover:bg-blue-50"
-                 onclick="document.getElementById('file-input').click()">
+                 data-click-target="file-input">
               <i class="fas fa-cloud-upload-alt text-5xl text-gray-400 mb-3"></i>
               <p class="text-gray-600 font-medium">Drag & Drop files here, or Click to Browse</p>
               <p class="text-sm text-gray-500 mt-2">Max ${maxFiles} files, ${formatBytes(maxFileSize)} each</p>
-              <input type="file" id="file-input" name="files" multiple class="hidden" accept="${allowedFileTypes.source.replace(/\|/g, ',.')}">
+              <p class="text-xs text-gray-400 mt-1">Files over ${formatBytes(resumableThreshold)} upload in resumable chunks (up to ${formatBytes(maxResumableFileSize)})</p>
+              ${uploadRules.allow || uploadRules.deny.length ? `
+              <p class="text-xs text-gray-500 mt-1">This folder accepts ${acceptedExtensions.map(ext => `.${ext}`).join(', ')} files</p>
+              ` : ''}
+              <input type="file" id="file-input" name="files" multiple class="hidden" accept="${acceptedExtensions.map(ext => `.${ext}`).join(',')}">
             </div>
+            <label class="flex items-center justify-between text-gray-700 font-medium">
+              <span><i class="fas fa-eye-slash mr-2 text-gray-500"></i>Visible to</span>
+              <select name="visibility" class="border border-gray-300 rounded-lg px-2 py-1">
+                <option value="private" ${defaultVisibility === 'private' ? 'selected' : ''}>Only me</option>
+                <option value="team" ${defaultVisibility === 'team' ? 'selected' : ''}>My team</option>
+                <option value="public" ${defaultVisibility === 'public' ? 'selected' : ''}>Anyone with the link</option>
+              </select>
+            </label>
             <button type="submit" class="bg-blue-600 hover:bg-blue-700 text-white px-6 py-3 rounded-lg text-lg font-semibold transition-colors duration-200 flex items-center justify-center">
               <i class="fas fa-upload mr-3"></i> Upload Files
             </button>
+            <p id="upload-progress" class="text-sm font-medium text-blue-700"></p>
+            <p class="text-sm text-gray-500"><i class="fas fa-folder mr-1"></i> Uploading into /${escapeHtml(currentFolder)}</p>
+          </form>
+
+          <form action="/folders" method="POST" class="flex mt-6 space-x-2">
+            <input type="hidden" name="parent" value="${escapeHtml(currentFolder)}">
+            <input type="text" name="name" placeholder="New folder name" required class="flex-grow min-w-0 p-2 border border-gray-300 rounded-lg">
+            <button type="submit" class="bg-yellow-500 hover:bg-yellow-600 text-white px-3 py-2 rounded-lg transition-colors duration-200" title="Create folder">
+              <i class="fas fa-folder-plus"></i>
+            </button>
           </form>
+          ` : `
+          <p class="text-gray-500"><i class="fas fa-lock mr-2"></i>Your role (${user.role}) can view and download files but not upload.</p>
+          `}
 
           <div class="mt-10 border-t pt-8 border-gray-200">
             <h2 class="text-2xl font-semibold mb-5 text-gray-700">Server Status</h2>
@@ -673,12 +6562,24 @@ function renderDashboard(files) {
                   <p class="text-sm text-gray-600">${fileHistory.length} actions logged</p>
                 </div>
               </div>
+              ${hasPermission(user, 'history:read') ? `
               <a href="/history" class="block mt-6 text-blue-600 hover:text-blue-800 flex items-center text-md font-medium transition-colors duration-200">
                 <i class="fas fa-list-alt mr-2"></i> View Full Activity Log
               </a>
+              ` : ''}
+              ${canDelete ? `
+              <a href="/trash" class="block mt-4 text-red-600 hover:text-red-800 flex items-center text-md font-medium transition-colors duration-200">
+                <i class="fas fa-trash-restore mr-2"></i> Trash
+              </a>
+              ` : ''}
+              <a href="/tokens" class="block mt-4 text-yellow-600 hover:text-yellow-800 flex items-center text-md font-medium transition-colors duration-200">
+                <i class="fas fa-key mr-2"></i> API Tokens
+              </a>
+              ${hasPermission(user, 'admin') ? `
               <a href="/admin" class="block mt-4 text-purple-600 hover:text-purple-800 flex items-center text-md font-medium transition-colors duration-200">
                 <i class="fas fa-user-cog mr-2"></i> Admin Panel
               </a>
+              ` : ''}
             </div>
           </div>
         </div>
@@ -687,24 +6588,78 @@ function renderDashboard(files) {
           <div class="flex flex-col md:flex-row md:items-center md:justify-between mb-8">
             <h2 class="text-2xl font-semibold mb-4 md:mb-0 text-gray-700">File Manager</h2>
             <div class="flex flex-col md:flex-row space-y-3 md:space-y-0 md:space-x-3 w-full md:w-auto">
-              <div class="relative w-full md:w-auto">
+              <form action="/search" method="GET" class="relative w-full md:w-auto">
                 <input
                   type="text"
                   id="search-input"
-                  placeholder="Search files by name..."
+                  name="q"
+                  placeholder="Filter by name, Enter to search all files..."
                   class="pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 w-full"
                 >
                 <i class="fas fa-search absolute left-3 top-3 text-gray-400"></i>
+              </form>
+              ${canEdit ? `
+              <div class="flex space-x-2">
+                <select id="move-target" class="border border-gray-300 rounded-lg px-2 py-2">
+                  ${allFolders.map(folderPath => `<option value="${escapeHtml(folderPath)}">/${escapeHtml(folderPath)}</option>`).join('')}
+                </select>
+                <button
+                  id="move-selected"
+                  class="bg-yellow-500 hover:bg-yellow-600 text-white px-4 py-2 rounded-lg flex items-center justify-center transition-colors duration-200"
+                >
+                  <i class="fas fa-folder-open mr-2"></i> Move Selected
+                </button>
               </div>
+              ` : ''}
+              <button
+                id="download-selected"
+                class="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg flex items-center justify-center transition-colors duration-200"
+              >
+                <i class="fas fa-file-archive mr-2"></i> Download Selected
+              </button>
+              ${canDelete ? `
               <button
                 id="delete-selected"
                 class="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg flex items-center justify-center transition-colors duration-200"
               >
                 <i class="fas fa-trash mr-2"></i> Delete Selected
               </button>
+              ` : ''}
             </div>
           </div>
 
+          ${tags.length > 0 ? `
+          <form action="/" method="GET" class="flex items-center space-x-2 mb-4 text-sm">
+            <label for="tag-filter" class="text-gray-600"><i class="fas fa-tags mr-1"></i> Tag:</label>
+            <select id="tag-filter" name="tag" class="border border-gray-300 rounded-lg px-2 py-1">
+              <option value="">All files</option>
+              ${tags.map(({ tag, count }) => `<option value="${escapeHtml(tag)}" ${tag === tagFilter ? 'selected' : ''}>${escapeHtml(tag)} (${count})</option>`).join('')}
+            </select>
+            <button type="submit" class="text-blue-600 hover:text-blue-800 font-medium">Filter</button>
+          </form>
+          ` : ''}
+
+          ${tagFilter ? `
+          <div class="flex items-center text-gray-700 mb-4">
+            Files tagged <span class="mx-2 px-2 py-1 text-xs font-semibold rounded-full bg-blue-100 text-blue-800">${escapeHtml(tagFilter)}</span> in all folders
+            <a href="${folderUrl(currentFolder)}" class="ml-3 text-blue-600 hover:text-blue-800 text-sm"><i class="fas fa-times mr-1"></i>Clear</a>
+          </div>
+          ` : `
+          <nav class="flex items-center flex-wrap text-gray-700 mb-4" aria-label="Breadcrumb">
+            <a href="/" class="text-blue-600 hover:text-blue-800 font-medium"><i class="fas fa-home mr-1"></i> Home</a>
+            ${breadcrumbs.map(crumb => `
+            <i class="fas fa-chevron-right text-gray-400 text-xs mx-2"></i>
+            <a href="${crumb.url}" class="text-blue-600 hover:text-blue-800 font-medium">${escapeHtml(crumb.name)}</a>
+            `).join('')}
+          </nav>
+          `}
+
+          <div class="flex justify-end space-x-1 mb-3">
+            <a href="${viewUrl('list')}" class="px-3 py-1 rounded-lg ${view === 'list' ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}" title="List view"><i class="fas fa-list"></i></a>
+            <a href="${viewUrl('grid')}" class="px-3 py-1 rounded-lg ${view === 'grid' ? 'bg-blue-500 text-white' : 'bg-gray-200 text-gray-700 hover:bg-gray-300'}" title="Grid view"><i class="fas fa-th-large"></i></a>
+          </div>
+
+          ${view === 'grid' ? renderFileGrid(files, subfolders, emptyMessage) : `
           <div class="overflow-x-auto rounded-lg border border-gray-200">
             <table class="min-w-full divide-y divide-gray-200">
               <thead class="bg-gray-50">
@@ -717,11 +6672,45 @@ function renderDashboard(files) {
                   <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Size</th>
                   <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Uploaded</th>
                   <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Downloads</th>
+                  <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Owner / Visibility</th>
                   <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
                 </tr>
               </thead>
               <tbody id="file-list" class="bg-white divide-y divide-gray-200">
-                ${files.length > 0 ? files.map(file => `
+                ${subfolders.map(folder => `
+                <tr class="hover:bg-gray-50 transition-colors duration-100">
+                  <td class="px-6 py-4"></td>
+                  <td class="px-6 py-4 whitespace-nowrap">
+                    <a href="${folder.url}" class="flex items-center">
+                      <i class="fas fa-folder text-yellow-500 mr-3 text-lg"></i>
+                      <span class="file-name text-gray-800 font-medium">${escapeHtml(folder.name)}</span>
+                    </a>
+                  </td>
+                  <td class="px-6 py-4 whitespace-nowrap">
+                    <span class="px-2 py-1 text-xs font-semibold rounded-full bg-yellow-100 text-yellow-800">Folder</span>
+                  </td>
+                  <td class="px-6 py-4 whitespace-nowrap text-gray-700" colspan="4">${folder.fileCount} ${folder.fileCount === 1 ? 'file' : 'files'}</td>
+                  <td class="px-6 py-4 whitespace-nowrap">
+                    <div class="flex space-x-3">
+                      <a href="/download-zip?folder=${encodeURIComponent(folder.path)}" class="text-blue-600 hover:text-blue-800" title="Download folder as ZIP"><i class="fas fa-file-archive text-lg"></i></a>
+                      ${canEdit ? `
+                      <form action="/folders/rename" method="POST" class="flex items-center space-x-1">
+                        <input type="hidden" name="path" value="${escapeHtml(folder.path)}">
+                        <input type="text" name="name" placeholder="Rename" required class="w-24 text-sm p-1 border border-gray-300 rounded">
+                        <button type="submit" class="text-yellow-600 hover:text-yellow-800" title="Rename folder"><i class="fas fa-i-cursor"></i></button>
+                      </form>
+                      ` : ''}
+                      ${canDelete ? `
+                      <form action="/folders/delete" method="POST">
+                        <input type="hidden" name="path" value="${escapeHtml(folder.path)}">
+                        <button type="submit" class="text-red-600 hover:text-red-800" title="Delete empty folder"><i class="fas fa-trash text-lg"></i></button>
+                      </form>
+                      ` : ''}
+                    </div>
+                  </td>
+                </tr>
+                `).join('')}
+                ${files.length > 0 || subfolders.length > 0 ? files.map(file => `
                 <tr class="hover:bg-gray-50 transition-colors duration-100">
                   <td class="px-6 py-4 whitespace-nowrap">
                     <input type="checkbox" class="file-checkbox rounded text-blue-600 focus:ring-blue-500" value="${file.id}">
@@ -730,7 +6719,15 @@ function renderDashboard(files) {
                     <div class="flex items-center">
                       <i class="${file.icon} text-blue-500 mr-3 text-lg"></i>
                       <span class="file-name text-gray-800 font-medium">${file.name}</span>
+                      ${renderScanBadge(file.scanStatus)}
+                      ${file.legalHold ? `<i class="fas fa-gavel text-red-500 ml-2" title="Legal hold${file.legalHold.reason ? `: ${escapeHtml(file.legalHold.reason)}` : ''}"></i>` : ''}
+                    </div>
+                    ${tagFilter && file.folder ? `<p class="text-xs text-gray-500 mt-1">/${escapeHtml(file.folder)}</p>` : ''}
+                    ${file.tags.length > 0 ? `
+                    <div class="flex flex-wrap gap-1 mt-1">
+                      ${file.tags.map(tag => `<a href="/?tag=${encodeURIComponent(tag)}" class="px-2 py-0.5 text-xs rounded-full bg-blue-100 text-blue-800 hover:bg-blue-200">${escapeHtml(tag)}</a>`).join('')}
                     </div>
+                    ` : ''}
                   </td>
                   <td class="px-6 py-4 whitespace-nowrap">
                     <span class="px-2 py-1 text-xs font-semibold rounded-full bg-gray-100 text-gray-800">
@@ -740,6 +6737,19 @@ function renderDashboard(files) {
                   <td class="px-6 py-4 whitespace-nowrap text-gray-700">${file.size}</td>
                   <td class="px-6 py-4 whitespace-nowrap text-gray-700" title="Last Modified: ${file.lastModified}">${file.uploaded}</td>
                   <td class="px-6 py-4 whitespace-nowrap text-gray-700">${file.downloads}</td>
+                  <td class="px-6 py-4 whitespace-nowrap text-gray-700">
+                    <p class="text-sm">${escapeHtml(file.owner)}</p>
+                    ${file.canManage ? `
+                    <form action="/visibility/${file.id}" method="POST" class="flex items-center space-x-1 mt-1">
+                      <select name="visibility" class="text-xs border border-gray-300 rounded px-1 py-0.5">
+                        ${visibilities.map(v => `<option value="${v}" ${v === file.visibility ? 'selected' : ''}>${v}</option>`).join('')}
+                      </select>
+                      <button type="submit" class="text-xs text-blue-600 hover:text-blue-800" title="Change visibility"><i class="fas fa-check"></i></button>
+                    </form>
+                    ` : `
+                    <span class="px-2 py-1 text-xs font-semibold rounded-full ${file.visibility === 'public' ? 'bg-orange-100 text-orange-800' : file.visibility === 'private' ? 'bg-gray-200 text-gray-800' : 'bg-green-100 text-green-800'}">${file.visibility}</span>
+                    `}
+                  </td>
                   <td class="px-6 py-4 whitespace-nowrap">
                     <div class="flex space-x-4">
                       <a href="${file.previewUrl}" class="text-blue-600 hover:text-blue-800 transition-colors duration-200" title="Preview">
@@ -748,54 +6758,109 @@ function renderDashboard(files) {
                       <a href="${file.downloadUrl}" class="text-green-600 hover:text-green-800 transition-colors duration-200" title="Download">
                         <i class="fas fa-download text-lg"></i>
                       </a>
-                      ${file.editUrl ? `
+                      ${file.editUrl && canEdit ? `
                       <a href="${file.editUrl}" class="text-yellow-600 hover:text-yellow-800 transition-colors duration-200" title="Edit">
                         <i class="fas fa-edit text-lg"></i>
                       </a>
                       ` : `
-                      <span class="text-gray-400 cursor-not-allowed" title="Editing not available for this file type">
+                      <span class="text-gray-400 cursor-not-allowed" title="${file.editUrl ? 'Your role cannot edit files' : 'Editing not available for this file type'}">
                         <i class="fas fa-edit text-lg"></i>
                       </span>
                       `}
+                      <a href="/versions/${file.id}" class="text-indigo-600 hover:text-indigo-800 transition-colors duration-200" title="Versions${file.version > 1 ? ` (v${file.version})` : ''}">
+                        <i class="fas fa-code-branch text-lg"></i>
+                      </a>
+                      ${canShare ? `
                       <a href="/share/${file.id}" class="text-purple-600 hover:text-purple-800 transition-colors duration-200" title="Share">
                         <i class="fas fa-share-alt text-lg"></i>
                       </a>
-                      <button onclick="if(confirm('Are you absolutely sure you want to delete \'${file.name}\'? This cannot be undone.')) window.location.href='/delete/${file.id}'"
-                        class="text-red-600 hover:text-red-800 transition-colors duration-200" title="Delete">
-                        <i class="fas fa-trash text-lg"></i>
-                      </button>
+                      ` : ''}
+                      ${canHold ? `
+                      <form action="/legal-hold/${file.id}" method="POST" class="inline">
+                        <input type="hidden" name="hold" value="${file.legalHold ? 'off' : 'on'}">
+                        <input type="hidden" name="returnTo" value="${escapeHtml(folderUrl(currentFolder))}">
+                        <button type="submit" class="${file.legalHold ? 'text-red-600 hover:text-red-800' : 'text-gray-500 hover:text-gray-700'} transition-colors duration-200" title="${file.legalHold ? 'Release legal hold' : 'Place legal hold'}">
+                          <i class="fas fa-gavel text-lg"></i>
+                        </button>
+                      </form>
+                      ` : ''}
+                      ${canDelete && !file.legalHold ? `
+                      <form action="/delete/${file.id}" method="POST" class="delete-file inline"
+                        data-confirm="${escapeHtml(`Are you absolutely sure you want to delete "${file.name}"? It will be moved to the trash.`)}">
+                        <button type="submit" class="text-red-600 hover:text-red-800 transition-colors duration-200" title="Delete">
+                          <i class="fas fa-trash text-lg"></i>
+                        </button>
+                      </form>
+                      ` : ''}
                     </div>
                   </td>
                 </tr>
                 `).join('') : `
                 <tr>
-                  <td colspan="7" class="px-6 py-16 text-center text-gray-500">
+                  <td colspan="8" class="px-6 py-16 text-center text-gray-500">
                     <i class="fas fa-inbox text-5xl text-gray-300 mb-4"></i>
-                    <p class="text-lg">No files uploaded yet. Start by uploading some files!</p>
+                    <p class="text-lg">${emptyMessage}</p>
                   </td>
                 </tr>
                 `}
               </tbody>
             </table>
           </div>
+          `}
         </div>
       </div>
     </div>
-    <script>
-      // Update active connections dynamically (simple polling example)
-      // In a real-time system, consider WebSockets
-      // setInterval(async () => {
-      //   const response = await fetch('/api/status'); // A new endpoint to provide server status
-      //   const data = await response.json();
-      //   document.getElementById('active-connections').textContent = data.activeConnections;
-      // }, 5000); // Every 5 seconds
-    </script>
   </body>
   </html>
   `;
 }
 
-function renderImagePreview(filename, originalName) {
+// Tags, description and properties shown under every preview, with the form to change them
+function renderFileDetails(filename, entry, canEdit) {
+  const tags = entry.tags || [];
+  const properties = Object.entries(entry.properties || {});
+
+  return `
+      <div class="bg-white rounded-xl shadow-lg p-6 mt-8">
+        <h2 class="text-xl font-semibold mb-4 text-gray-700 flex items-center">
+          <i class="fas fa-tags mr-2 text-blue-500"></i> Details
+        </h2>
+        <div class="flex flex-wrap gap-2 mb-4">
+          ${tags.length > 0 ? tags.map(tag => `
+          <a href="/?tag=${encodeURIComponent(tag)}" class="px-2 py-1 text-xs font-semibold rounded-full bg-blue-100 text-blue-800 hover:bg-blue-200">${escapeHtml(tag)}</a>
+          `).join('') : '<span class="text-sm text-gray-500">No tags.</span>'}
+        </div>
+        ${entry.description ? `<p class="text-gray-700 mb-4 whitespace-pre-line">${escapeHtml(entry.description)}</p>` : ''}
+        ${properties.length > 0 ? `
+        <dl class="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2 text-sm mb-4">
+          ${properties.map(([key, value]) => `
+          <div class="flex"><dt class="font-medium text-gray-600 mr-2">${escapeHtml(key)}:</dt><dd class="text-gray-800 break-all">${escapeHtml(value)}</dd></div>
+          `).join('')}
+        </dl>
+        ` : ''}
+        ${canEdit ? `
+        <details class="border-t border-gray-200 pt-4">
+          <summary class="cursor-pointer text-blue-600 hover:text-blue-800 font-medium">Edit details</summary>
+          <form action="/details/${filename}" method="POST" class="space-y-3 mt-4">
+            <label class="block text-sm font-medium text-gray-700">Tags <span class="text-gray-400 font-normal">(comma-separated)</span>
+              <input type="text" name="tags" value="${escapeHtml(tags.join(', '))}" class="mt-1 w-full p-2 border border-gray-300 rounded-lg">
+            </label>
+            <label class="block text-sm font-medium text-gray-700">Description
+              <textarea name="description" rows="3" maxlength="${maxDescriptionLength}" class="mt-1 w-full p-2 border border-gray-300 rounded-lg">${escapeHtml(entry.description || '')}</textarea>
+            </label>
+            <label class="block text-sm font-medium text-gray-700">Properties <span class="text-gray-400 font-normal">(one "key: value" per line)</span>
+              <textarea name="properties" rows="4" class="mt-1 w-full p-2 border border-gray-300 rounded-lg font-mono text-sm">${escapeHtml(properties.map(([key, value]) => `${key}: ${value}`).join('\n'))}</textarea>
+            </label>
+            <button type="submit" class="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg transition-colors duration-200">
+              <i class="fas fa-save mr-1"></i> Save Details
+            </button>
+          </form>
+        </details>
+        ` : ''}
+      </div>`;
+}
+
+function renderImagePreview(filename, originalName, details = '', hasThumbnail = false) {
   return `
   <!DOCTYPE html>
   <html lang="en">
@@ -824,15 +6889,22 @@ function renderImagePreview(filename, originalName) {
       </div>
 
       <div class="bg-white rounded-xl shadow-lg p-6 flex justify-center items-center overflow-hidden" style="min-height: 70vh;">
-        <img src="/download/${filename}" alt="${originalName}" class="max-w-full max-h-full object-contain border border-gray-200 rounded-lg">
+        ${hasThumbnail ? `
+        <a href="/stream/${filename}" title="Open the original image">
+          <img src="/thumb/${filename}?size=large" alt="${originalName}" class="max-w-full max-h-full object-contain border border-gray-200 rounded-lg">
+        </a>
+        ` : `
+        <img src="/stream/${filename}" alt="${originalName}" class="max-w-full max-h-full object-contain border border-gray-200 rounded-lg">
+        `}
       </div>
+      ${details}
     </div>
   </body>
   </html>
   `;
 }
 
-function renderPDFPreview(filename, originalName) {
+function renderPDFPreview(filename, originalName, details = '') {
   return `
   <!DOCTYPE html>
   <html lang="en">
@@ -862,18 +6934,19 @@ function renderPDFPreview(filename, originalName) {
 
       <div class="bg-white rounded-xl shadow-lg overflow-hidden" style="min-height: 80vh;">
         <iframe
-          src="/download/${filename}"
+          src="/stream/${filename}"
           class="w-full h-full border-none"
           title="PDF Viewer for ${originalName}"
         ></iframe>
       </div>
+      ${details}
     </div>
   </body>
   </html>
   `;
 }
 
-function renderTextViewer(filename, originalName, content) {
+function renderTextViewer(filename, originalName, content, canEdit, details = '') {
   return `
   <!DOCTYPE html>
   <html lang="en">
@@ -913,9 +6986,11 @@ function renderTextViewer(filename, originalName, content) {
           <a href="/download/${filename}" class="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg flex items-center transition-colors duration-200">
             <i class="fas fa-download mr-1"></i> Download
           </a>
+          ${canEdit ? `
           <a href="/edit/${filename}" class="bg-yellow-500 hover:bg-yellow-600 text-white px-4 py-2 rounded-lg flex items-center transition-colors duration-200">
             <i class="fas fa-edit mr-1"></i> Edit
           </a>
+          ` : ''}
           <a href="/" class="bg-gray-300 hover:bg-gray-400 text-gray-800 px-4 py-2 rounded-lg flex items-center transition-colors duration-200">
             <i class="fas fa-arrow-left mr-1"></i> Back
           </a>
@@ -925,13 +7000,14 @@ function renderTextViewer(filename, originalName, content) {
       <div class="bg-white rounded-xl shadow-lg overflow-hidden">
         <pre class="p-6 font-mono text-sm leading-relaxed text-gray-800 bg-gray-50 border border-gray-200 rounded-lg overflow-auto" style="max-height: 80vh;">${escapeHtml(content)}</pre>
       </div>
+      ${details}
     </div>
   </body>
   </html>
   `;
 }
 
-function renderAudioPlayer(filename, originalName) {
+function renderAudioPlayer(filename, originalName, details = '') {
   return `
   <!DOCTYPE html>
   <html lang="en">
@@ -963,17 +7039,18 @@ function renderAudioPlayer(filename, originalName) {
         <i class="fas fa-music text-6xl text-gray-400 mb-6"></i>
         <p class="text-xl font-medium text-gray-700 mb-4">${originalName}</p>
         <audio controls class="w-full max-w-lg">
-          <source src="/download/${filename}" type="audio/${path.extname(filename).slice(1)}">
+          <source src="/stream/${filename}" type="audio/${path.extname(filename).slice(1)}">
           Your browser does not support the audio element.
         </audio>
       </div>
+      ${details}
     </div>
   </body>
   </html>
   `;
 }
 
-function renderVideoPlayer(filename, originalName) {
+function renderVideoPlayer(filename, originalName, details = '', hasPoster = false) {
   return `
   <!DOCTYPE html>
   <html lang="en">
@@ -1003,11 +7080,12 @@ function renderVideoPlayer(filename, originalName) {
 
       <div class="bg-white rounded-xl shadow-lg p-6 flex flex-col items-center justify-center">
         <p class="text-xl font-medium text-gray-700 mb-4">${originalName}</p>
-        <video controls class="w-full max-w-3xl border border-gray-200 rounded-lg">
-          <source src="/download/${filename}" type="video/${path.extname(filename).slice(1)}">
+        <video controls preload="metadata" ${hasPoster ? `poster="/thumb/${filename}?size=large"` : ''} class="w-full max-w-3xl border border-gray-200 rounded-lg">
+          <source src="/stream/${filename}" type="video/${path.extname(filename).slice(1)}">
           Your browser does not support the video element.
         </video>
       </div>
+      ${details}
     </div>
   </body>
   </html>
@@ -1050,6 +7128,9 @@ function renderFileEditor(filename, originalName, content) {
           <a href="/preview/${filename}" class="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg flex items-center transition-colors duration-200">
             <i class="fas fa-eye mr-1"></i> Preview
           </a>
+          <a href="/versions/${filename}" class="bg-indigo-500 hover:bg-indigo-600 text-white px-4 py-2 rounded-lg flex items-center transition-colors duration-200">
+            <i class="fas fa-code-branch mr-1"></i> Versions
+          </a>
           <a href="/" class="bg-gray-300 hover:bg-gray-400 text-gray-800 px-4 py-2 rounded-lg flex items-center transition-colors duration-200">
             <i class="fas fa-arrow-left mr-1"></i> Back to Dashboard
           </a>
@@ -1078,7 +7159,7 @@ function renderFileEditor(filename, originalName, content) {
   `;
 }
 
-function renderDefaultPreview(filename, originalName, size, fileType) {
+function renderDefaultPreview(filename, originalName, size, fileType, details = '') {
   return `
   <!DOCTYPE html>
   <html lang="en">
@@ -1093,26 +7174,341 @@ function renderDefaultPreview(filename, originalName, size, fileType) {
     <div class="container mx-auto px-4 py-8 flex-grow">
       <div class="flex justify-between items-center mb-6">
         <h1 class="text-3xl font-bold text-gray-800">
-          <i class="${getFileIcon(fileType)} text-blue-500 mr-2"></i>
-          ${originalName}
+          <i class="${getFileIcon(fileType)} text-blue-500 mr-2"></i>
+          ${originalName}
+        </h1>
+        <div class="flex space-x-3">
+          <a href="/download/${filename}" class="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg flex items-center transition-colors duration-200">
+            <i class="fas fa-download mr-1"></i> Download
+          </a>
+          <a href="/" class="bg-gray-300 hover:bg-gray-400 text-gray-800 px-4 py-2 rounded-lg flex items-center transition-colors duration-200">
+            <i class="fas fa-arrow-left mr-1"></i> Back
+          </a>
+        </div>
+      </div>
+
+      <div class="bg-white rounded-xl shadow-lg p-8 text-center">
+        <i class="${getFileIcon(fileType)} text-7xl text-gray-400 mb-6"></i>
+        <h2 class="text-2xl font-medium text-gray-800 mb-3">${originalName}</h2>
+        <p class="text-gray-600 mb-6">${formatBytes(size)} • ${path.extname(filename).toUpperCase().slice(1) || 'Unknown Type'}</p>
+        <p class="text-gray-500 text-lg">
+          Preview is not available for this file type. You can download it to view.
+        </p>
+      </div>
+      ${details}
+    </div>
+  </body>
+  </html>
+  `;
+}
+
+function renderVersions(filename, originalName, versions, canDiff, user) {
+  const canRestore = hasPermission(user, 'files:edit');
+  const authorName = userId => escapeHtml(users[userId] ? users[userId].username : 'unknown');
+
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Versions: ${escapeHtml(originalName)}</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+    <script src="/assets/app.js"></script>
+    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
+  </head>
+  <body class="bg-gray-100 flex flex-col min-h-screen">
+    <div class="container mx-auto px-4 py-8 flex-grow">
+      <div class="flex justify-between items-center mb-6">
+        <h1 class="text-3xl font-bold text-gray-800">
+          <i class="fas fa-code-branch text-indigo-500 mr-2"></i>
+          Versions: ${escapeHtml(originalName)}
+        </h1>
+        <a href="/" class="bg-gray-300 hover:bg-gray-400 text-gray-800 px-4 py-2 rounded-lg flex items-center transition-colors duration-200">
+          <i class="fas fa-arrow-left mr-1"></i> Back
+        </a>
+      </div>
+
+      <form action="/versions/${filename}/diff" method="GET" class="bg-white rounded-xl shadow-lg p-6">
+        <div class="overflow-x-auto rounded-lg border border-gray-200">
+          <table class="min-w-full divide-y divide-gray-200">
+            <thead class="bg-gray-50">
+              <tr>
+                ${canDiff ? `
+                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">From</th>
+                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">To</th>
+                ` : ''}
+                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Version</th>
+                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Size</th>
+                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Saved</th>
+                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">By</th>
+                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Change</th>
+                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"></th>
+              </tr>
+            </thead>
+            <tbody class="bg-white divide-y divide-gray-200">
+              ${versions.map((version, index) => `
+              <tr class="hover:bg-gray-50 ${version.current ? 'bg-indigo-50' : ''}">
+                ${canDiff ? `
+                <td class="px-4 py-3"><input type="radio" name="from" value="${version.version}" ${index === 1 ? 'checked' : ''}></td>
+                <td class="px-4 py-3"><input type="radio" name="to" value="${version.version}" ${index === 0 ? 'checked' : ''}></td>
+                ` : ''}
+                <td class="px-4 py-3 font-medium text-gray-800">
+                  v${version.version}
+                  ${version.current ? '<span class="ml-2 px-2 py-0.5 text-xs rounded-full bg-indigo-100 text-indigo-800">current</span>' : ''}
+                </td>
+                <td class="px-4 py-3 text-gray-700">${formatBytes(version.size)}</td>
+                <td class="px-4 py-3 text-gray-700">${new Date(version.savedAt).toLocaleString()}</td>
+                <td class="px-4 py-3 text-gray-700">${authorName(version.savedBy)}</td>
+                <td class="px-4 py-3 text-gray-700 capitalize">${escapeHtml(version.action)}</td>
+                <td class="px-4 py-3">
+                  <div class="flex items-center space-x-4">
+                    <a href="/versions/${filename}/${version.version}/download" class="text-green-600 hover:text-green-800 text-sm font-medium">
+                      <i class="fas fa-download mr-1"></i>Download
+                    </a>
+                    ${canRestore && !version.current ? `
+                    <button type="submit" formaction="/versions/${filename}/${version.version}/restore" formmethod="POST"
+                      data-confirm="Restore version ${version.version}? The current content is kept as a version."
+                      class="text-indigo-600 hover:text-indigo-800 text-sm font-medium">
+                      <i class="fas fa-undo mr-1"></i>Restore
+                    </button>
+                    ` : ''}
+                  </div>
+                </td>
+              </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+        ${canDiff && versions.length > 1 ? `
+        <div class="mt-4 flex justify-end">
+          <button type="submit" class="bg-indigo-600 hover:bg-indigo-700 text-white px-5 py-2 rounded-lg font-semibold transition-colors duration-200">
+            <i class="fas fa-exchange-alt mr-2"></i> Compare Selected
+          </button>
+        </div>
+        ` : ''}
+      </form>
+    </div>
+  </body>
+  </html>
+  `;
+}
+
+function renderVersionDiff(filename, originalName, from, to, ops) {
+  // Long runs of unchanged lines are collapsed to a few lines of context around each change
+  const context = 3;
+  const rows = [];
+  let skipped = 0;
+  ops.forEach((op, index) => {
+    const nearChange = ops.slice(Math.max(0, index - context), index + context + 1).some(o => o.type !== 'equal');
+    if (op.type === 'equal' && !nearChange) {
+      skipped++;
+      return;
+    }
+    if (skipped) {
+      rows.push(`<tr><td class="px-4 py-1 text-gray-400 bg-gray-50 italic">… ${skipped} unchanged line${skipped === 1 ? '' : 's'} …</td></tr>`);
+      skipped = 0;
+    }
+    const style = op.type === 'add' ? 'bg-green-50 text-green-800' : op.type === 'remove' ? 'bg-red-50 text-red-800' : 'text-gray-700';
+    const marker = op.type === 'add' ? '+' : op.type === 'remove' ? '-' : ' ';
+    rows.push(`<tr><td class="px-4 py-0.5 whitespace-pre ${style}">${marker} ${escapeHtml(op.text)}</td></tr>`);
+  });
+  if (skipped) {
+    rows.push(`<tr><td class="px-4 py-1 text-gray-400 bg-gray-50 italic">… ${skipped} unchanged line${skipped === 1 ? '' : 's'} …</td></tr>`);
+  }
+
+  const added = ops.filter(op => op.type === 'add').length;
+  const removed = ops.filter(op => op.type === 'remove').length;
+
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Compare v${from.version} → v${to.version}: ${escapeHtml(originalName)}</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
+  </head>
+  <body class="bg-gray-100 flex flex-col min-h-screen">
+    <div class="container mx-auto px-4 py-8 flex-grow">
+      <div class="flex justify-between items-center mb-6">
+        <h1 class="text-3xl font-bold text-gray-800">
+          <i class="fas fa-exchange-alt text-indigo-500 mr-2"></i>
+          ${escapeHtml(originalName)}: v${from.version} → v${to.version}
+        </h1>
+        <a href="/versions/${filename}" class="bg-gray-300 hover:bg-gray-400 text-gray-800 px-4 py-2 rounded-lg flex items-center transition-colors duration-200">
+          <i class="fas fa-arrow-left mr-1"></i> Back to Versions
+        </a>
+      </div>
+
+      <div class="bg-white rounded-xl shadow-lg p-6">
+        <p class="mb-4 text-sm">
+          <span class="text-green-700 font-semibold">+${added}</span>
+          <span class="text-red-700 font-semibold ml-2">-${removed}</span>
+        </p>
+        ${added || removed ? `
+        <div class="overflow-x-auto rounded-lg border border-gray-200">
+          <table class="min-w-full font-mono text-sm">
+            <tbody>${rows.join('')}</tbody>
+          </table>
+        </div>
+        ` : '<p class="text-gray-500">These versions are identical.</p>'}
+      </div>
+    </div>
+  </body>
+  </html>
+  `;
+}
+
+function renderTrash(trashedFiles) {
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Trash</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+    <script src="/assets/app.js"></script>
+    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
+  </head>
+  <body class="bg-gray-100 flex flex-col min-h-screen">
+    <div class="container mx-auto px-4 py-8 flex-grow">
+      <div class="flex justify-between items-center mb-6">
+        <h1 class="text-3xl font-bold text-gray-800">
+          <i class="fas fa-trash-restore text-red-500 mr-2"></i>
+          Trash
+        </h1>
+        <div class="flex space-x-3">
+          ${trashedFiles.length > 0 ? `
+          <form action="/trash/empty" method="POST" data-confirm="Permanently delete all ${trashedFiles.length} files in the trash? This cannot be undone.">
+            <button type="submit" class="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg flex items-center transition-colors duration-200">
+              <i class="fas fa-dumpster mr-1"></i> Empty Trash
+            </button>
+          </form>
+          ` : ''}
+          <a href="/" class="bg-gray-300 hover:bg-gray-400 text-gray-800 px-4 py-2 rounded-lg flex items-center transition-colors duration-200">
+            <i class="fas fa-arrow-left mr-1"></i> Back to Dashboard
+          </a>
+        </div>
+      </div>
+
+      <div class="bg-white rounded-xl shadow-lg p-6">
+        <p class="text-sm text-gray-500 mb-4">Files are permanently deleted ${trashRetentionDays} days after they were moved to the trash.</p>
+        ${trashedFiles.length === 0 ? '<p class="text-gray-500">The trash is empty.</p>' : `
+        <div class="overflow-x-auto rounded-lg border border-gray-200">
+          <table class="min-w-full divide-y divide-gray-200">
+            <thead class="bg-gray-50">
+              <tr>
+                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Folder</th>
+                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Size</th>
+                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Deleted</th>
+                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Deleted By</th>
+                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Purged</th>
+                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"></th>
+              </tr>
+            </thead>
+            <tbody class="bg-white divide-y divide-gray-200">
+              ${trashedFiles.map(entry => `
+              <tr class="hover:bg-gray-50">
+                <td class="px-4 py-3 text-gray-800 truncate" style="max-width: 240px;">
+                  <i class="${getFileIcon(entry.type)} mr-2"></i>${escapeHtml(entry.originalName)}
+                </td>
+                <td class="px-4 py-3 text-gray-700">/${escapeHtml(entry.folder || '')}</td>
+                <td class="px-4 py-3 text-gray-700">${formatBytes(entry.size)}</td>
+                <td class="px-4 py-3 text-gray-700">${new Date(entry.deletedAt).toLocaleString()}</td>
+                <td class="px-4 py-3 text-gray-700">${escapeHtml(users[entry.deletedBy] ? users[entry.deletedBy].username : 'unknown')}</td>
+                <td class="px-4 py-3 text-gray-700">${new Date(new Date(entry.deletedAt).getTime() + trashRetentionDays * 24 * 60 * 60 * 1000).toLocaleDateString()}</td>
+                <td class="px-4 py-3">
+                  <div class="flex items-center space-x-4">
+                    <form action="/trash/${entry.id}/restore" method="POST">
+                      <button type="submit" class="text-green-600 hover:text-green-800 text-sm font-medium"><i class="fas fa-undo mr-1"></i>Restore</button>
+                    </form>
+                    <form action="/trash/${entry.id}/purge" method="POST" data-confirm="Permanently delete this file? This cannot be undone.">
+                      <button type="submit" class="text-red-600 hover:text-red-800 text-sm font-medium"><i class="fas fa-times mr-1"></i>Delete Forever</button>
+                    </form>
+                  </div>
+                </td>
+              </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+        `}
+      </div>
+    </div>
+  </body>
+  </html>
+  `;
+}
+
+// Escapes text and wraps the highlighted [start, end) ranges in <mark>
+function renderHighlighted(text, ranges) {
+  let html = '';
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    html += `${escapeHtml(text.slice(position, start))}<mark class="bg-yellow-200 rounded px-0.5">${escapeHtml(text.slice(start, end))}</mark>`;
+    position = end;
+  });
+  return html + escapeHtml(text.slice(position));
+}
+
+function renderSearch(query, results) {
+  const pageUrl = page => `/search?q=${encodeURIComponent(query)}&page=${page}`;
+
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Search${query ? `: ${escapeHtml(query)}` : ''}</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
+  </head>
+  <body class="bg-gray-100 flex flex-col min-h-screen">
+    <div class="container mx-auto px-4 py-8 flex-grow">
+      <div class="flex justify-between items-center mb-6">
+        <h1 class="text-3xl font-bold text-gray-800">
+          <i class="fas fa-search text-blue-500 mr-2"></i>
+          Search
         </h1>
-        <div class="flex space-x-3">
-          <a href="/download/${filename}" class="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg flex items-center transition-colors duration-200">
-            <i class="fas fa-download mr-1"></i> Download
-          </a>
-          <a href="/" class="bg-gray-300 hover:bg-gray-400 text-gray-800 px-4 py-2 rounded-lg flex items-center transition-colors duration-200">
-            <i class="fas fa-arrow-left mr-1"></i> Back
-          </a>
-        </div>
+        <a href="/" class="bg-gray-300 hover:bg-gray-400 text-gray-800 px-4 py-2 rounded-lg flex items-center transition-colors duration-200">
+          <i class="fas fa-arrow-left mr-1"></i> Back to Dashboard
+        </a>
       </div>
 
-      <div class="bg-white rounded-xl shadow-lg p-8 text-center">
-        <i class="${getFileIcon(fileType)} text-7xl text-gray-400 mb-6"></i>
-        <h2 class="text-2xl font-medium text-gray-800 mb-3">${originalName}</h2>
-        <p class="text-gray-600 mb-6">${formatBytes(size)} • ${path.extname(filename).toUpperCase().slice(1) || 'Unknown Type'}</p>
-        <p class="text-gray-500 text-lg">
-          Preview is not available for this file type. You can download it to view.
-        </p>
+      <div class="bg-white rounded-xl shadow-lg p-6">
+        <form action="/search" method="GET" class="flex space-x-2 mb-6">
+          <input type="text" name="q" value="${escapeHtml(query)}" placeholder="Search names, tags and file contents..." autofocus
+            class="flex-grow px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500">
+          <button type="submit" class="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg transition-colors duration-200">
+            <i class="fas fa-search mr-1"></i> Search
+          </button>
+        </form>
+        ${!results ? '<p class="text-gray-500">Enter words to search for. Every word must appear in the name, tags or contents of a file.</p>' : results.total === 0 ? `<p class="text-gray-500">No files match "${escapeHtml(query)}".</p>` : `
+        <p class="text-sm text-gray-500 mb-4">${results.total} ${results.total === 1 ? 'file matches' : 'files match'}</p>
+        <ul class="divide-y divide-gray-200">
+          ${results.items.map(({ entry, nameHighlights, snippet }) => `
+          <li class="py-4">
+            <a href="/preview/${storedFilename(entry)}" class="text-lg text-blue-600 hover:text-blue-800 font-medium">
+              <i class="${getFileIcon(entry.type)} mr-2"></i>${renderHighlighted(entry.originalName, nameHighlights)}
+            </a>
+            <div class="text-xs text-gray-500 mt-1">/${escapeHtml(entry.folder || '')} · ${formatBytes(entry.size)} · ${new Date(entry.lastModified || entry.uploaded).toLocaleString()}</div>
+            ${snippet ? `<p class="text-sm text-gray-700 mt-2 break-words">${renderHighlighted(snippet.text, snippet.highlights)}</p>` : ''}
+          </li>
+          `).join('')}
+        </ul>
+        ${results.totalPages > 1 ? `
+        <div class="flex justify-between items-center mt-6 text-sm">
+          ${results.page > 1 ? `<a href="${pageUrl(results.page - 1)}" class="text-blue-600 hover:text-blue-800"><i class="fas fa-chevron-left mr-1"></i>Previous</a>` : '<span></span>'}
+          <span class="text-gray-500">Page ${results.page} of ${results.totalPages}</span>
+          ${results.page < results.totalPages ? `<a href="${pageUrl(results.page + 1)}" class="text-blue-600 hover:text-blue-800">Next<i class="fas fa-chevron-right ml-1"></i></a>` : '<span></span>'}
+        </div>
+        ` : ''}
+        `}
       </div>
     </div>
   </body>
@@ -1120,8 +7516,8 @@ function renderDefaultPreview(filename, originalName, size, fileType) {
   `;
 }
 
-function renderShareLink(filename, originalName) {
-  const shareableLink = `${req.protocol}://${req.get('host')}/download/${filename}`; // Or a dedicated /s/:token route
+function renderShareLink(filename, originalName, fileShares, baseUrl, user, createdToken = null) {
+  const shareUrl = token => `${baseUrl}/s/${token}`;
 
   return `
   <!DOCTYPE html>
@@ -1129,8 +7525,9 @@ function renderShareLink(filename, originalName) {
   <head>
     <meta charset="UTF-8">
     <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Share File: ${originalName}</title>
+    <title>Share File: ${escapeHtml(originalName)}</title>
     <script src="https://cdn.tailwindcss.com"></script>
+    <script src="/assets/app.js"></script>
     <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
   </head>
   <body class="bg-gray-100 flex flex-col min-h-screen">
@@ -1138,37 +7535,144 @@ function renderShareLink(filename, originalName) {
       <div class="flex justify-between items-center mb-6">
         <h1 class="text-3xl font-bold text-gray-800">
           <i class="fas fa-share-alt text-purple-500 mr-2"></i>
-          Share: ${originalName}
+          Share: ${escapeHtml(originalName)}
         </h1>
         <a href="/" class="bg-gray-300 hover:bg-gray-400 text-gray-800 px-4 py-2 rounded-lg flex items-center transition-colors duration-200">
           <i class="fas fa-arrow-left mr-1"></i> Back
         </a>
       </div>
 
-      <div class="bg-white rounded-xl shadow-lg p-8 text-center">
+      ${createdToken ? `
+      <div class="bg-white rounded-xl shadow-lg p-8 text-center mb-8">
         <p class="text-gray-700 text-lg mb-4">
-          Share this link to allow others to download <strong>${originalName}</strong>:
+          Share this link to allow others to download <strong>${escapeHtml(originalName)}</strong>:
         </p>
         <div class="flex items-center justify-center space-x-3 mb-6">
-          <input type="text" id="shareLink" value="${shareableLink}" readonly
+          <input type="text" id="shareLink" value="${shareUrl(createdToken)}" readonly
                  class="w-full max-w-xl p-3 border border-gray-300 rounded-lg bg-gray-50 font-mono text-blue-700">
-          <button onclick="copyShareLink()" class="bg-blue-600 hover:bg-blue-700 text-white px-5 py-3 rounded-lg font-semibold transition-colors duration-200">
+          <button type="button" data-copy="shareLink" class="bg-blue-600 hover:bg-blue-700 text-white px-5 py-3 rounded-lg font-semibold transition-colors duration-200">
             <i class="fas fa-copy mr-2"></i> Copy
           </button>
         </div>
         <p class="text-sm text-gray-500">
-          Note: This link provides direct download access. For more secure sharing, consider implementing expiring links or password protection.
+          Anyone with this link can download the file until it expires, reaches its download limit or is revoked.
         </p>
       </div>
+      ` : ''}
+
+      <div class="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        <form action="/share/${filename}" method="POST" class="bg-white rounded-xl shadow-lg p-6 flex flex-col space-y-4">
+          <h2 class="text-xl font-semibold text-gray-700 flex items-center">
+            <i class="fas fa-link mr-2 text-purple-500"></i> Create Share Link
+          </h2>
+          <label class="flex flex-col text-gray-700 font-medium">
+            Expires after (hours)
+            <input type="number" name="expiresInHours" min="0.1" step="any" placeholder="Never" class="mt-1 p-2 border border-gray-300 rounded-lg">
+          </label>
+          <label class="flex flex-col text-gray-700 font-medium">
+            Maximum downloads
+            <input type="number" name="maxDownloads" min="1" step="1" placeholder="Unlimited" class="mt-1 p-2 border border-gray-300 rounded-lg">
+          </label>
+          <label class="flex flex-col text-gray-700 font-medium">
+            Password (optional)
+            <input type="password" name="password" autocomplete="new-password" class="mt-1 p-2 border border-gray-300 rounded-lg">
+          </label>
+          <button type="submit" class="bg-purple-600 hover:bg-purple-700 text-white px-5 py-2 rounded-lg font-semibold transition-colors duration-200">
+            <i class="fas fa-plus mr-2"></i> Create Link
+          </button>
+        </form>
+
+        <div class="lg:col-span-2 bg-white rounded-xl shadow-lg p-6">
+          <h2 class="text-xl font-semibold mb-4 text-gray-700 flex items-center">
+            <i class="fas fa-list mr-2 text-purple-500"></i> Active Share Links
+          </h2>
+          ${renderShareTable(fileShares, baseUrl, user, `/share/${filename}`)}
+        </div>
+      </div>
+    </div>
+  </body>
+  </html>
+  `;
+}
+
+// Table of share links with revoke buttons, used on the share page and in the admin panel
+function renderShareTable(shareList, baseUrl, user, returnTo) {
+  if (shareList.length === 0) {
+    return '<p class="text-gray-500">No active share links.</p>';
+  }
+
+  return `
+  <div class="overflow-x-auto rounded-lg border border-gray-200">
+    <table class="min-w-full divide-y divide-gray-200">
+      <thead class="bg-gray-50">
+        <tr>
+          <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Link</th>
+          <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">File</th>
+          <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Created By</th>
+          <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expires</th>
+          <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Downloads</th>
+          <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"></th>
+        </tr>
+      </thead>
+      <tbody class="bg-white divide-y divide-gray-200">
+        ${shareList.map(share => `
+        <tr class="hover:bg-gray-50">
+          <td class="px-4 py-3 font-mono text-xs text-blue-700 truncate" style="max-width: 220px;">
+            ${share.passwordHash ? '<i class="fas fa-lock text-gray-500 mr-1" title="Password protected"></i>' : ''}${baseUrl}/s/${share.token}
+          </td>
+          <td class="px-4 py-3 text-gray-800 truncate" style="max-width: 200px;">${escapeHtml((parseFilename(share.filename) || { originalName: share.filename }).originalName)}</td>
+          <td class="px-4 py-3 text-gray-700">${escapeHtml(users[share.createdBy] ? users[share.createdBy].username : 'unknown')}</td>
+          <td class="px-4 py-3 text-gray-700">${share.expiresAt ? new Date(share.expiresAt).toLocaleString() : 'Never'}</td>
+          <td class="px-4 py-3 text-gray-700">${share.downloads}${share.maxDownloads ? ` / ${share.maxDownloads}` : ''}</td>
+          <td class="px-4 py-3">
+            ${canRevokeShare(user, share) ? `
+            <form action="/shares/${share.token}/revoke" method="POST">
+              <input type="hidden" name="returnTo" value="${escapeHtml(returnTo)}">
+              <button type="submit" class="text-red-600 hover:text-red-800 text-sm font-medium"><i class="fas fa-ban mr-1"></i>Revoke</button>
+            </form>
+            ` : ''}
+          </td>
+        </tr>
+        `).join('')}
+      </tbody>
+    </table>
+  </div>
+  `;
+}
+
+function renderSharePassword(token, originalName, error = null) {
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Protected File: ${escapeHtml(originalName)}</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
+  </head>
+  <body class="bg-gray-100 flex items-center justify-center min-h-screen">
+    <div class="container mx-auto px-4 py-8">
+      <div class="bg-white rounded-xl shadow-lg p-8 max-w-md mx-auto">
+        <h1 class="text-2xl font-bold text-gray-800 mb-2 text-center">
+          <i class="fas fa-lock text-purple-500 mr-2"></i>
+          Password Required
+        </h1>
+        <p class="text-gray-600 text-center mb-6">Enter the password to download <strong>${escapeHtml(originalName)}</strong>.</p>
+        ${error ? `
+        <div class="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 rounded-lg mb-6" role="alert">
+          <i class="fas fa-exclamation-triangle mr-2"></i> ${escapeHtml(error)}
+        </div>
+        ` : ''}
+        <form action="/s/${token}" method="POST" class="flex flex-col space-y-4">
+          <input type="password" name="password" required autofocus
+                 class="p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-purple-500">
+          <button type="submit" class="bg-purple-600 hover:bg-purple-700 text-white px-6 py-3 rounded-lg text-lg font-semibold transition-colors duration-200 flex items-center justify-center">
+            <i class="fas fa-download mr-3"></i> Download
+          </button>
+        </form>
+      </div>
     </div>
-    <script>
-      function copyShareLink() {
-        const shareLinkInput = document.getElementById('shareLink');
-        shareLinkInput.select();
-        document.execCommand('copy');
-        alert('Share link copied to clipboard!');
-      }
-    </script>
   </body>
   </html>
   `;
@@ -1204,6 +7708,7 @@ function renderHistory(history) {
               <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Action</th>
               <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">File</th>
               <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Time</th>
+              <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
               <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">IP Address</th>
               <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User Agent</th>
             </tr>
@@ -1231,12 +7736,16 @@ function renderHistory(history) {
               </td>
               <td class="px-6 py-4 text-gray-800">${escapeHtml(entry.filename)}</td>
               <td class="px-6 py-4 text-gray-700">${new Date(entry.timestamp).toLocaleString()}</td>
+              <td class="px-6 py-4 text-gray-700">
+                ${escapeHtml(entry.username || 'guest')}
+                ${entry.tokenName ? `<span class="ml-1 px-2 py-0.5 text-xs rounded-full bg-yellow-100 text-yellow-800" title="API token"><i class="fas fa-key mr-1"></i>${escapeHtml(entry.tokenName)}</span>` : ''}
+              </td>
               <td class="px-6 py-4 text-gray-700">${escapeHtml(entry.ip)}</td>
               <td class="px-6 py-4 text-gray-700 text-sm">${escapeHtml(entry.userAgent)}</td>
             </tr>
             `).join('') : `
             <tr>
-              <td colspan="5" class="px-6 py-12 text-center text-gray-500">
+              <td colspan="6" class="px-6 py-12 text-center text-gray-500">
                 <i class="fas fa-clipboard-list text-5xl text-gray-300 mb-4"></i>
                 <p class="text-lg">No activity recorded yet.</p>
               </td>
@@ -1251,7 +7760,7 @@ function renderHistory(history) {
   `;
 }
 
-function renderAdminPanel(systemInfo, fileMetadata, fileHistory) {
+function renderAdminPanel(systemInfo, fileMetadata, fileHistory, users, shareList, baseUrl, user) {
     const files = Object.values(fileMetadata);
     const recentHistory = fileHistory.slice(0, 10); // Show top 10 recent activities
     const popularFiles = files.sort((a, b) => b.downloads - a.downloads).slice(0, 5);
@@ -1259,6 +7768,9 @@ function renderAdminPanel(systemInfo, fileMetadata, fileHistory) {
         acc[file.type] = (acc[file.type] || 0) + 1;
         return acc;
     }, {});
+    const tags = tagUsage(files);
+    const quarantined = Object.values(quarantine).sort((a, b) => new Date(b.quarantinedAt) - new Date(a.quarantinedAt));
+    const ruledFolders = Object.values(folders).filter(folder => folder.uploadRules).sort((a, b) => a.path.localeCompare(b.path));
     const fileTypeBreakdown = Object.entries(fileTypes).map(([type, count]) => `
         <li class="flex justify-between items-center text-gray-700">
             <span><i class="${getFileIcon(type)} mr-2 text-blue-500"></i> ${type.charAt(0).toUpperCase() + type.slice(1)}</span>
@@ -1274,6 +7786,7 @@ function renderAdminPanel(systemInfo, fileMetadata, fileHistory) {
         <meta name="viewport" content="width=device-width, initial-scale=1.0">
         <title>Admin Panel</title>
         <script src="https://cdn.tailwindcss.com"></script>
+        <script src="/assets/app.js"></script>
         <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
     </head>
     <body class="bg-gray-100 flex flex-col min-h-screen">
@@ -1283,9 +7796,14 @@ function renderAdminPanel(systemInfo, fileMetadata, fileHistory) {
                     <i class="fas fa-user-cog text-indigo-500 mr-2"></i>
                     Admin Panel
                 </h1>
-                <a href="/" class="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg flex items-center transition-colors duration-200">
-                    <i class="fas fa-arrow-left mr-1"></i> Back to Dashboard
-                </a>
+                <div class="flex space-x-3">
+                    <a href="/tokens" class="bg-yellow-500 hover:bg-yellow-600 text-white px-4 py-2 rounded-lg flex items-center transition-colors duration-200">
+                        <i class="fas fa-key mr-1"></i> API Tokens
+                    </a>
+                    <a href="/" class="bg-blue-500 hover:bg-blue-600 text-white px-4 py-2 rounded-lg flex items-center transition-colors duration-200">
+                        <i class="fas fa-arrow-left mr-1"></i> Back to Dashboard
+                    </a>
+                </div>
             </div>
 
             <div class="grid grid-cols-1 lg:grid-cols-3 gap-8 mb-8">
@@ -1295,11 +7813,20 @@ function renderAdminPanel(systemInfo, fileMetadata, fileHistory) {
                     </h2>
                     <ul class="space-y-3 text-gray-700">
                         <li class="flex justify-between"><span>Total Files:</span> <span class="font-medium">${systemInfo.totalFiles}</span></li>
-                        <li class="flex justify-between"><span>Total Storage Used:</span> <span class="font-medium">${systemInfo.totalStorageUsed}</span></li>
+                        <li class="flex justify-between"><span>Total Storage Used (logical):</span> <span class="font-medium">${systemInfo.totalStorageUsed}</span></li>
+                        <li class="flex justify-between"><span>Physical Storage Used:</span> <span class="font-medium">${systemInfo.physicalStorageUsed} in ${systemInfo.uniqueBlobs} blobs</span></li>
+                        <li class="flex justify-between"><span>In Trash:</span> <span class="font-medium">${systemInfo.trashedFiles} files (${systemInfo.trashStorageUsed})</span></li>
+                        <li class="flex justify-between"><span>Saved by Deduplication:</span> <span class="font-medium text-green-700">${systemInfo.storageSaved}</span></li>
                         <li class="flex justify-between"><span>Active Connections:</span> <span class="font-medium">${systemInfo.activeConnections}</span></li>
                         <li class="flex justify-between"><span>Max File Size:</span> <span class="font-medium">${systemInfo.maxFileSize}</span></li>
                         <li class="flex justify-between"><span>Max Files per Upload:</span> <span class="font-medium">${systemInfo.maxFilesPerUpload}</span></li>
-                        <li class="flex justify-between"><span>File Retention Policy:</span> <span class="font-medium">${systemInfo.retentionPolicy}</span></li>
+                        <li class="flex justify-between"><span>Retention Policies:</span> <a href="/admin/retention" class="font-medium text-indigo-600 hover:text-indigo-800">${systemInfo.retentionPolicies} enabled</a></li>
+                        <li class="flex justify-between"><span>Trash Retention:</span> <span class="font-medium">${systemInfo.trashRetention}</span></li>
+                        <li class="flex justify-between"><span>Encryption at Rest:</span> <span class="font-medium ${systemInfo.encryption.enabled ? 'text-green-700' : 'text-gray-500'}">${systemInfo.encryption.enabled ? `On (key ${systemInfo.encryption.keyId})` : 'Off'}</span></li>
+                        <li class="flex justify-between"><span>Encrypted Blobs:</span> <span class="font-medium">${systemInfo.encryption.encrypted} of ${systemInfo.uniqueBlobs}</span></li>
+                        <li class="flex justify-between"><span>Malware Scanning:</span> <span class="font-medium ${systemInfo.malwareScanner ? 'text-green-700' : 'text-gray-500'}">${systemInfo.malwareScanner ? escapeHtml(systemInfo.malwareScanner) : 'Off'}</span></li>
+                        ${systemInfo.pendingScans ? `<li class="flex justify-between text-yellow-700"><span>Awaiting a Clean Scan:</span> <span class="font-medium">${systemInfo.pendingScans} files</span></li>` : ''}
+                        ${systemInfo.encryption.staleKeys ? `<li class="flex justify-between text-yellow-700"><span>Wrapped by an Old Key:</span> <span class="font-medium" title="Run npm run rotate-keys with the server stopped">${systemInfo.encryption.staleKeys} blobs</span></li>` : ''}
                     </ul>
                 </div>
 
@@ -1373,12 +7900,544 @@ function renderAdminPanel(systemInfo, fileMetadata, fileHistory) {
                     </table>
                 </div>
             </div>
+
+            <div class="bg-white rounded-xl shadow-lg p-6 mt-8">
+                <h2 class="text-xl font-semibold mb-4 text-gray-700 flex items-center">
+                    <i class="fas fa-biohazard mr-2 text-red-500"></i> Quarantine
+                </h2>
+                ${quarantined.length > 0 ? `
+                <div class="overflow-x-auto rounded-lg border border-gray-200">
+                    <table class="min-w-full divide-y divide-gray-200">
+                        <thead class="bg-gray-50">
+                            <tr>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">File</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Signature</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Owner</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Detected</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody class="bg-white divide-y divide-gray-200">
+                            ${quarantined.map(entry => `
+                                <tr class="hover:bg-gray-50">
+                                    <td class="px-6 py-4 text-gray-800 font-medium">
+                                        ${escapeHtml(entry.originalName)}
+                                        <p class="text-xs text-gray-500">/${escapeHtml(entry.folder || '')} · ${formatBytes(entry.size)}</p>
+                                    </td>
+                                    <td class="px-6 py-4 text-red-700 font-mono text-sm">${escapeHtml(entry.scan.signature || 'Unknown')}</td>
+                                    <td class="px-6 py-4 text-gray-700">${entry.owner && users[entry.owner] ? escapeHtml(users[entry.owner].username) : 'Unknown'}</td>
+                                    <td class="px-6 py-4 text-gray-700">${new Date(entry.quarantinedAt).toLocaleString()}</td>
+                                    <td class="px-6 py-4">
+                                        <div class="flex space-x-2">
+                                            <form action="/admin/quarantine/${entry.id}/release" method="POST" data-confirm="Release this file? It will be downloadable again although the scanner flagged it.">
+                                                <button type="submit" class="text-sm bg-gray-200 hover:bg-gray-300 text-gray-800 px-3 py-1 rounded-lg transition-colors duration-200">Release</button>
+                                            </form>
+                                            <form action="/admin/quarantine/${entry.id}/delete" method="POST">
+                                                <button type="submit" class="text-sm bg-red-500 hover:bg-red-600 text-white px-3 py-1 rounded-lg transition-colors duration-200">Delete</button>
+                                            </form>
+                                        </div>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                ` : `<p class="text-gray-500">${systemInfo.malwareScanner ? 'No infected files have been found.' : 'Malware scanning is off (set MALWARE_SCANNER to enable it).'}</p>`}
+            </div>
+
+            <div class="bg-white rounded-xl shadow-lg p-6 mt-8">
+                <h2 class="text-xl font-semibold mb-4 text-gray-700 flex items-center">
+                    <i class="fas fa-tags mr-2 text-blue-500"></i> Tag Usage
+                </h2>
+                <div class="flex flex-wrap gap-2">
+                    ${tags.length > 0 ? tags.map(({ tag, count }) => `
+                        <a href="/?tag=${encodeURIComponent(tag)}" class="px-3 py-1 bg-blue-100 text-blue-800 rounded-full text-sm hover:bg-blue-200">
+                            ${escapeHtml(tag)} <span class="font-semibold">${count}</span>
+                        </a>
+                    `).join('') : '<p class="text-gray-500">No files are tagged.</p>'}
+                </div>
+            </div>
+
+            <div class="bg-white rounded-xl shadow-lg p-6 mt-8">
+                <h2 class="text-xl font-semibold mb-4 text-gray-700 flex items-center">
+                    <i class="fas fa-filter mr-2 text-red-500"></i> Upload Rules
+                </h2>
+                <p class="text-sm text-gray-600 mb-4">
+                    Every upload must be one of ${allowedExtensions.map(ext => `.${ext}`).join(', ')} and its content must match its extension.
+                    ${optInExtensions.map(ext => `.${ext}`).join(' and ')} files are only accepted in folders whose allow list names them.
+                    Folders can narrow this: denied types apply to the folder and its subfolders, and the nearest folder with an allow list accepts only those types.
+                </p>
+                ${ruledFolders.length > 0 ? `
+                <div class="overflow-x-auto rounded-lg border border-gray-200 mb-6">
+                    <table class="min-w-full divide-y divide-gray-200">
+                        <thead class="bg-gray-50">
+                            <tr>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Folder</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Allowed</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Denied</th>
+                            </tr>
+                        </thead>
+                        <tbody class="bg-white divide-y divide-gray-200">
+                            ${ruledFolders.map(folder => `
+                                <tr class="hover:bg-gray-50">
+                                    <td class="px-6 py-4 text-gray-800 font-medium"><a href="${folderUrl(folder.path)}" class="hover:text-blue-600">/${escapeHtml(folder.path)}</a></td>
+                                    <td class="px-6 py-4 text-gray-700">${folder.uploadRules.allow.join(', ') || 'All types'}</td>
+                                    <td class="px-6 py-4 text-gray-700">${folder.uploadRules.deny.join(', ') || 'None'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                ` : '<p class="text-gray-500 mb-6">No folder has upload rules.</p>'}
+                ${Object.keys(folders).length > 0 ? `
+                <form action="/admin/upload-rules" method="POST" class="flex flex-col md:flex-row md:items-center space-y-3 md:space-y-0 md:space-x-3">
+                    <select name="folder" class="p-2 border border-gray-300 rounded-lg">
+                        ${Object.keys(folders).sort((a, b) => a.localeCompare(b)).map(folderPath => `<option value="${escapeHtml(folderPath)}">/${escapeHtml(folderPath)}</option>`).join('')}
+                    </select>
+                    <input type="text" name="allow" placeholder="Allow only, e.g. pdf, docx" class="p-2 border border-gray-300 rounded-lg">
+                    <input type="text" name="deny" placeholder="Deny, e.g. html, js" class="p-2 border border-gray-300 rounded-lg">
+                    <button type="submit" class="bg-red-500 hover:bg-red-600 text-white px-4 py-2 rounded-lg transition-colors duration-200">Save Rules</button>
+                </form>
+                <p class="text-xs text-gray-500 mt-2">Saving replaces the folder's rules; leave both fields empty to remove them.</p>
+                ` : ''}
+            </div>
+
+            <div class="bg-white rounded-xl shadow-lg p-6 mt-8">
+                <h2 class="text-xl font-semibold mb-4 text-gray-700 flex items-center">
+                    <i class="fas fa-share-alt mr-2 text-purple-500"></i> Active Share Links
+                </h2>
+                ${renderShareTable(shareList, baseUrl, user, '/admin')}
+            </div>
+
+            <div class="bg-white rounded-xl shadow-lg p-6 mt-8">
+                <h2 class="text-xl font-semibold mb-4 text-gray-700 flex items-center">
+                    <i class="fas fa-users mr-2 text-indigo-500"></i> Users &amp; Roles
+                </h2>
+                <div class="overflow-x-auto rounded-lg border border-gray-200 mb-6">
+                    <table class="min-w-full divide-y divide-gray-200">
+                        <thead class="bg-gray-50">
+                            <tr>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">User</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sign-in</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Login</th>
+                                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Role</th>
+                            </tr>
+                        </thead>
+                        <tbody class="bg-white divide-y divide-gray-200">
+                            ${Object.values(users).map(user => `
+                                <tr class="hover:bg-gray-50">
+                                    <td class="px-6 py-4 text-gray-800 font-medium">${escapeHtml(user.username)}</td>
+                                    <td class="px-6 py-4 text-gray-700">${user.oidcSubject ? 'Identity provider' : 'Password'}</td>
+                                    <td class="px-6 py-4 text-gray-700">${user.lastLogin ? new Date(user.lastLogin).toLocaleString() : 'Never'}</td>
+                                    <td class="px-6 py-4">
+                                        <form action="/admin/users/${user.id}/role" method="POST" class="flex items-center space-x-2">
+                                            <select name="role" class="border border-gray-300 rounded-lg px-2 py-1">
+                                                ${roles.map(role => `<option value="${role}" ${role === user.role ? 'selected' : ''}>${role}</option>`).join('')}
+                                            </select>
+                                            <button type="submit" class="text-sm bg-indigo-500 hover:bg-indigo-600 text-white px-3 py-1 rounded-lg transition-colors duration-200">Save</button>
+                                        </form>
+                                    </td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <form action="/admin/users" method="POST" class="flex flex-col md:flex-row md:items-center space-y-3 md:space-y-0 md:space-x-3">
+                    <input type="text" name="username" placeholder="Username" required class="p-2 border border-gray-300 rounded-lg">
+                    <input type="password" name="password" placeholder="Password" required autocomplete="new-password" class="p-2 border border-gray-300 rounded-lg">
+                    <select name="role" class="p-2 border border-gray-300 rounded-lg">
+                        ${roles.map(role => `<option value="${role}">${role}</option>`).join('')}
+                    </select>
+                    <button type="submit" class="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-lg flex items-center justify-center transition-colors duration-200">
+                        <i class="fas fa-user-plus mr-2"></i> Add User
+                    </button>
+                </form>
+            </div>
         </div>
     </body>
     </html>
     `;
 }
 
+function renderRetention(policies, report, heldFiles) {
+  const fileRows = (items, showPolicy) => items.map(({ entry, policy }) => `
+    <tr class="hover:bg-gray-50">
+      <td class="px-4 py-3 text-gray-800 truncate" style="max-width: 240px;">${escapeHtml(entry.originalName)}</td>
+      <td class="px-4 py-3 text-gray-700">/${escapeHtml(entry.folder || '')}</td>
+      <td class="px-4 py-3 text-gray-700">${formatBytes(entry.size)}</td>
+      <td class="px-4 py-3 text-gray-700">${new Date(entry.uploaded).toLocaleDateString()}</td>
+      <td class="px-4 py-3 text-gray-700">${entry.lastAccessed ? new Date(entry.lastAccessed).toLocaleDateString() : 'Never'}</td>
+      <td class="px-4 py-3 text-gray-700">${entry.downloads || 0}</td>
+      <td class="px-4 py-3 text-gray-700">${showPolicy ? escapeHtml(policy.name) : escapeHtml((entry.legalHold && entry.legalHold.reason) || '')}</td>
+    </tr>
+  `).join('');
+  const fileTable = (items, lastColumn, showPolicy) => `
+    <div class="overflow-x-auto rounded-lg border border-gray-200">
+      <table class="min-w-full divide-y divide-gray-200">
+        <thead class="bg-gray-50">
+          <tr>
+            ${['Name', 'Folder', 'Size', 'Uploaded', 'Last Access', 'Downloads', lastColumn].map(heading => `
+            <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">${heading}</th>
+            `).join('')}
+          </tr>
+        </thead>
+        <tbody class="bg-white divide-y divide-gray-200">${fileRows(items, showPolicy)}</tbody>
+      </table>
+    </div>
+  `;
+
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Retention Policies</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+    <script src="/assets/app.js"></script>
+    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
+  </head>
+  <body class="bg-gray-100 flex flex-col min-h-screen">
+    <div class="container mx-auto px-4 py-8 flex-grow">
+      <div class="flex justify-between items-center mb-6">
+        <h1 class="text-3xl font-bold text-gray-800">
+          <i class="fas fa-hourglass-half text-indigo-500 mr-2"></i>
+          Retention Policies
+        </h1>
+        <a href="/admin" class="bg-gray-300 hover:bg-gray-400 text-gray-800 px-4 py-2 rounded-lg flex items-center transition-colors duration-200">
+          <i class="fas fa-arrow-left mr-1"></i> Back to Admin Panel
+        </a>
+      </div>
+
+      <div class="grid grid-cols-1 lg:grid-cols-3 gap-8 mb-8">
+        <form action="/admin/retention/policies" method="POST" class="bg-white rounded-xl shadow-lg p-6 flex flex-col space-y-4">
+          <h2 class="text-xl font-semibold text-gray-700 flex items-center">
+            <i class="fas fa-plus mr-2 text-indigo-500"></i> Add Policy
+          </h2>
+          <label class="flex flex-col text-gray-700 font-medium">
+            Name
+            <input type="text" name="name" required maxlength="100" class="mt-1 p-2 border border-gray-300 rounded-lg">
+          </label>
+          <label class="flex flex-col text-gray-700 font-medium">
+            Folder (includes subfolders)
+            <input type="text" name="folder" placeholder="All folders" class="mt-1 p-2 border border-gray-300 rounded-lg">
+          </label>
+          <label class="flex flex-col text-gray-700 font-medium">
+            File type
+            <select name="fileType" class="mt-1 p-2 border border-gray-300 rounded-lg">
+              <option value="">All types</option>
+              ${retentionFileTypes.map(type => `<option value="${type}">${type}</option>`).join('')}
+            </select>
+          </label>
+          <label class="flex flex-col text-gray-700 font-medium">
+            Remove files after
+            <div class="flex space-x-2 mt-1">
+              <input type="number" name="threshold" min="1" step="1" required class="w-24 p-2 border border-gray-300 rounded-lg">
+              <select name="criterion" class="flex-grow p-2 border border-gray-300 rounded-lg">
+                ${Object.entries(retentionCriteria).map(([key, criterion]) => `<option value="${key}">${criterion.label}</option>`).join('')}
+              </select>
+            </div>
+          </label>
+          <label class="flex items-center text-gray-700">
+            <input type="checkbox" name="enabled" class="mr-2 rounded"> Enable now (otherwise review the dry run first)
+          </label>
+          <button type="submit" class="bg-indigo-600 hover:bg-indigo-700 text-white px-5 py-2 rounded-lg font-semibold transition-colors duration-200">
+            <i class="fas fa-save mr-2"></i> Add Policy
+          </button>
+        </form>
+
+        <div class="lg:col-span-2 bg-white rounded-xl shadow-lg p-6">
+          <h2 class="text-xl font-semibold mb-4 text-gray-700 flex items-center">
+            <i class="fas fa-list mr-2 text-indigo-500"></i> Policies
+          </h2>
+          <p class="text-sm text-gray-500 mb-4">
+            Enabled policies run every ${retentionRunInterval / (60 * 60 * 1000)} hours. Matching files are moved to the trash and
+            purged ${trashRetentionDays} days later; files under legal hold are never removed.
+          </p>
+          ${policies.length === 0 ? '<p class="text-gray-500">No retention policies. Files are kept until deleted by hand.</p>' : `
+          <div class="overflow-x-auto rounded-lg border border-gray-200">
+            <table class="min-w-full divide-y divide-gray-200">
+              <thead class="bg-gray-50">
+                <tr>
+                  <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                  <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Rule</th>
+                  <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"></th>
+                </tr>
+              </thead>
+              <tbody class="bg-white divide-y divide-gray-200">
+                ${policies.map(policy => `
+                <tr class="hover:bg-gray-50">
+                  <td class="px-4 py-3 text-gray-800 font-medium">${escapeHtml(policy.name)}</td>
+                  <td class="px-4 py-3 text-gray-700">${escapeHtml(describeRetentionPolicy(policy))}</td>
+                  <td class="px-4 py-3">
+                    <span class="px-2 py-1 text-xs font-semibold rounded-full ${policy.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-800'}">${policy.enabled ? 'enabled' : 'disabled'}</span>
+                  </td>
+                  <td class="px-4 py-3">
+                    <div class="flex items-center space-x-4">
+                      <form action="/admin/retention/policies/${policy.id}/toggle" method="POST">
+                        <button type="submit" class="text-indigo-600 hover:text-indigo-800 text-sm font-medium">${policy.enabled ? 'Disable' : 'Enable'}</button>
+                      </form>
+                      <form action="/admin/retention/policies/${policy.id}/delete" method="POST" data-confirm="Delete this policy?">
+                        <button type="submit" class="text-red-600 hover:text-red-800 text-sm font-medium">Delete</button>
+                      </form>
+                    </div>
+                  </td>
+                </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+          `}
+        </div>
+      </div>
+
+      <div class="bg-white rounded-xl shadow-lg p-6 mb-8">
+        <div class="flex justify-between items-center mb-4">
+          <h2 class="text-xl font-semibold text-gray-700 flex items-center">
+            <i class="fas fa-vial mr-2 text-orange-500"></i> Dry Run: ${report.candidates.length} file(s) would be removed
+          </h2>
+          ${report.candidates.length > 0 ? `
+          <form action="/admin/retention/run" method="POST" data-confirm="Move ${report.candidates.length} file(s) to the trash now?">
+            <button type="submit" class="bg-orange-500 hover:bg-orange-600 text-white px-4 py-2 rounded-lg flex items-center transition-colors duration-200">
+              <i class="fas fa-play mr-1"></i> Run Now
+            </button>
+          </form>
+          ` : ''}
+        </div>
+        ${report.candidates.length > 0 ? fileTable(report.candidates, 'Policy', true) : '<p class="text-gray-500">No files match the enabled policies.</p>'}
+      </div>
+
+      <div class="bg-white rounded-xl shadow-lg p-6">
+        <h2 class="text-xl font-semibold mb-4 text-gray-700 flex items-center">
+          <i class="fas fa-gavel mr-2 text-red-500"></i> Legal Holds
+        </h2>
+        ${report.held.length > 0 ? `<p class="text-sm text-gray-600 mb-4">${report.held.length} held file(s) match a policy and are exempt from removal.</p>` : ''}
+        ${heldFiles.length === 0 ? '<p class="text-gray-500 mb-6">No files are under legal hold.</p>' : `
+        <div class="overflow-x-auto rounded-lg border border-gray-200 mb-6">
+          <table class="min-w-full divide-y divide-gray-200">
+            <thead class="bg-gray-50">
+              <tr>
+                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">File</th>
+                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Reason</th>
+                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Placed By</th>
+                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Since</th>
+                <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"></th>
+              </tr>
+            </thead>
+            <tbody class="bg-white divide-y divide-gray-200">
+              ${heldFiles.map(entry => `
+              <tr class="hover:bg-gray-50">
+                <td class="px-4 py-3 text-gray-800">${escapeHtml(entry.originalName)}</td>
+                <td class="px-4 py-3 text-gray-700">${escapeHtml(entry.legalHold.reason || '')}</td>
+                <td class="px-4 py-3 text-gray-700">${escapeHtml(users[entry.legalHold.by] ? users[entry.legalHold.by].username : 'unknown')}</td>
+                <td class="px-4 py-3 text-gray-700">${new Date(entry.legalHold.at).toLocaleString()}</td>
+                <td class="px-4 py-3">
+                  <form action="/legal-hold/${storedFilename(entry)}" method="POST">
+                    <input type="hidden" name="hold" value="off">
+                    <button type="submit" class="text-red-600 hover:text-red-800 text-sm font-medium"><i class="fas fa-unlock mr-1"></i>Release</button>
+                  </form>
+                </td>
+              </tr>
+              `).join('')}
+            </tbody>
+          </table>
+        </div>
+        `}
+        <form action="/legal-hold" method="POST" class="flex flex-col md:flex-row md:items-center space-y-3 md:space-y-0 md:space-x-3">
+          <select name="file" required class="p-2 border border-gray-300 rounded-lg">
+            ${Object.values(fileMetadata).filter(entry => !entry.legalHold).map(entry => `
+            <option value="${escapeHtml(storedFilename(entry))}">/${escapeHtml(entry.folder ? `${entry.folder}/` : '')}${escapeHtml(entry.originalName)}</option>
+            `).join('')}
+          </select>
+          <input type="hidden" name="hold" value="on">
+          <input type="text" name="reason" maxlength="200" placeholder="Reason (e.g. case number)" class="flex-grow p-2 border border-gray-300 rounded-lg">
+          <button type="submit" class="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg flex items-center justify-center transition-colors duration-200">
+            <i class="fas fa-gavel mr-2"></i> Place Hold
+          </button>
+        </form>
+      </div>
+    </div>
+  </body>
+  </html>
+  `;
+}
+
+function renderApiTokens(tokenList, user, createdToken = null) {
+  const showOwner = hasPermission(user, 'admin');
+  const tokenStatus = token => {
+    if (token.revokedAt) return '<span class="px-2 py-1 text-xs font-semibold rounded-full bg-red-100 text-red-800">revoked</span>';
+    if (!isApiTokenActive(token)) return '<span class="px-2 py-1 text-xs font-semibold rounded-full bg-gray-200 text-gray-800">expired</span>';
+    return '<span class="px-2 py-1 text-xs font-semibold rounded-full bg-green-100 text-green-800">active</span>';
+  };
+
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>API Tokens</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+    <script src="/assets/app.js"></script>
+    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
+  </head>
+  <body class="bg-gray-100 flex flex-col min-h-screen">
+    <div class="container mx-auto px-4 py-8 flex-grow">
+      <div class="flex justify-between items-center mb-6">
+        <h1 class="text-3xl font-bold text-gray-800">
+          <i class="fas fa-key text-yellow-500 mr-2"></i>
+          API Tokens
+        </h1>
+        <div class="flex space-x-3">
+          ${showOwner ? `
+          <a href="/admin" class="bg-purple-500 hover:bg-purple-600 text-white px-4 py-2 rounded-lg flex items-center transition-colors duration-200">
+            <i class="fas fa-user-cog mr-1"></i> Admin Panel
+          </a>
+          ` : ''}
+          <a href="/" class="bg-gray-300 hover:bg-gray-400 text-gray-800 px-4 py-2 rounded-lg flex items-center transition-colors duration-200">
+            <i class="fas fa-arrow-left mr-1"></i> Back to Dashboard
+          </a>
+        </div>
+      </div>
+
+      ${createdToken ? `
+      <div class="bg-white rounded-xl shadow-lg p-8 text-center mb-8">
+        <p class="text-gray-700 text-lg mb-4">Copy your new token now. It will not be shown again.</p>
+        <input type="text" value="${createdToken}" readonly data-select-on-click
+               class="w-full max-w-2xl p-3 border border-gray-300 rounded-lg bg-gray-50 font-mono text-blue-700">
+        <p class="text-sm text-gray-500 mt-4">
+          Send it as <code class="bg-gray-100 px-1 rounded">Authorization: Bearer &lt;token&gt;</code>, e.g. with
+          <code class="bg-gray-100 px-1 rounded">curl -H "Authorization: Bearer &lt;token&gt;" -F files=@build.zip &lt;host&gt;/api/v1/files</code>
+        </p>
+      </div>
+      ` : ''}
+
+      <div class="grid grid-cols-1 lg:grid-cols-3 gap-8">
+        <form action="/tokens" method="POST" class="bg-white rounded-xl shadow-lg p-6 flex flex-col space-y-4">
+          <h2 class="text-xl font-semibold text-gray-700 flex items-center">
+            <i class="fas fa-plus mr-2 text-yellow-500"></i> Create Token
+          </h2>
+          <label class="flex flex-col text-gray-700 font-medium">
+            Name
+            <input type="text" name="name" required maxlength="64" placeholder="e.g. ci-artifacts" class="mt-1 p-2 border border-gray-300 rounded-lg">
+          </label>
+          <label class="flex flex-col text-gray-700 font-medium">
+            Scope
+            <select name="scope" class="mt-1 p-2 border border-gray-300 rounded-lg">
+              ${allowedTokenScopes(user).map(scope => `<option value="${scope}">${scope}: ${tokenScopes[scope].label}</option>`).join('')}
+            </select>
+          </label>
+          <label class="flex flex-col text-gray-700 font-medium">
+            Expires after (days)
+            <input type="number" name="expiresInDays" min="1" step="any" value="90" placeholder="Never" class="mt-1 p-2 border border-gray-300 rounded-lg">
+          </label>
+          <button type="submit" class="bg-yellow-500 hover:bg-yellow-600 text-white px-5 py-2 rounded-lg font-semibold transition-colors duration-200">
+            <i class="fas fa-key mr-2"></i> Create Token
+          </button>
+        </form>
+
+        <div class="lg:col-span-2 bg-white rounded-xl shadow-lg p-6">
+          <h2 class="text-xl font-semibold mb-4 text-gray-700 flex items-center">
+            <i class="fas fa-list mr-2 text-yellow-500"></i> ${showOwner ? 'All Tokens' : 'Your Tokens'}
+          </h2>
+          ${tokenList.length === 0 ? '<p class="text-gray-500">No API tokens yet.</p>' : `
+          <div class="overflow-x-auto rounded-lg border border-gray-200">
+            <table class="min-w-full divide-y divide-gray-200">
+              <thead class="bg-gray-50">
+                <tr>
+                  <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Name</th>
+                  ${showOwner ? '<th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Owner</th>' : ''}
+                  <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Scope</th>
+                  <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expires</th>
+                  <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Last Used</th>
+                  <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th class="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"></th>
+                </tr>
+              </thead>
+              <tbody class="bg-white divide-y divide-gray-200">
+                ${tokenList.map(token => `
+                <tr class="hover:bg-gray-50">
+                  <td class="px-4 py-3 text-gray-800 font-medium">${escapeHtml(token.name)}</td>
+                  ${showOwner ? `<td class="px-4 py-3 text-gray-700">${escapeHtml(users[token.userId] ? users[token.userId].username : 'unknown')}</td>` : ''}
+                  <td class="px-4 py-3 text-gray-700">${token.scope}</td>
+                  <td class="px-4 py-3 text-gray-700">${token.expiresAt ? new Date(token.expiresAt).toLocaleString() : 'Never'}</td>
+                  <td class="px-4 py-3 text-gray-700">${token.lastUsedAt ? new Date(token.lastUsedAt).toLocaleString() : 'Never'}</td>
+                  <td class="px-4 py-3">${tokenStatus(token)}</td>
+                  <td class="px-4 py-3">
+                    ${!token.revokedAt ? `
+                    <form action="/tokens/${token.id}/revoke" method="POST" data-confirm="Revoke this token? Scripts using it will stop working.">
+                      <button type="submit" class="text-red-600 hover:text-red-800 text-sm font-medium"><i class="fas fa-ban mr-1"></i>Revoke</button>
+                    </form>
+                    ` : ''}
+                  </td>
+                </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          </div>
+          `}
+        </div>
+      </div>
+    </div>
+  </body>
+  </html>
+  `;
+}
+
+function renderLogin(next, error = null) {
+  return `
+  <!DOCTYPE html>
+  <html lang="en">
+  <head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Sign In</title>
+    <script src="https://cdn.tailwindcss.com"></script>
+    <link rel="stylesheet" href="https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css">
+  </head>
+  <body class="bg-gray-100 flex items-center justify-center min-h-screen">
+    <div class="container mx-auto px-4 py-8">
+      <div class="bg-white rounded-xl shadow-lg p-8 max-w-md mx-auto">
+        <h1 class="text-3xl font-bold text-gray-800 mb-6 text-center">
+          <i class="fas fa-lock text-blue-500 mr-2"></i>
+          Sign In
+        </h1>
+        ${error ? `
+        <div class="bg-red-100 border-l-4 border-red-500 text-red-700 p-4 rounded-lg mb-6" role="alert">
+          <i class="fas fa-exclamation-triangle mr-2"></i> ${escapeHtml(error)}
+        </div>
+        ` : ''}
+        <form action="/login" method="POST" class="flex flex-col space-y-4">
+          <input type="hidden" name="next" value="${escapeHtml(next)}">
+          <label class="flex flex-col text-gray-700 font-medium">
+            Username
+            <input type="text" name="username" required autofocus autocomplete="username"
+                   class="mt-1 p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500">
+          </label>
+          <label class="flex flex-col text-gray-700 font-medium">
+            Password
+            <input type="password" name="password" required autocomplete="current-password"
+                   class="mt-1 p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500">
+          </label>
+          <button type="submit" class="bg-blue-600 hover:bg-blue-700 text-white px-6 py-3 rounded-lg text-lg font-semibold transition-colors duration-200 flex items-center justify-center">
+            <i class="fas fa-sign-in-alt mr-3"></i> Sign In
+          </button>
+        </form>
+        ${oidcEnabled ? `
+        <div class="mt-6 border-t pt-6 border-gray-200">
+          <a href="/login/oidc?next=${encodeURIComponent(next)}" class="w-full bg-gray-800 hover:bg-gray-900 text-white px-6 py-3 rounded-lg text-lg font-semibold transition-colors duration-200 flex items-center justify-center">
+            <i class="fas fa-building mr-3"></i> Sign in with corporate account
+          </a>
+        </div>
+        ` : ''}
+      </div>
+    </div>
+  </body>
+  </html>
+  `;
+}
+
 function renderError(message) {
   return `
   <!DOCTYPE html>
@@ -1427,32 +8486,58 @@ function escapeHtml(text) {
 }
 
 
-// Start server
-const server = app.listen(PORT, '0.0.0.0', () => {
-  console.log(`
+// Start server when run directly; tests require the module and drive `app` without listening
+if (require.main === module) {
+  // `node index.js rotate-keys` re-wraps all data keys with the current ENCRYPTION_KEY and exits.
+  // Run it with the server stopped: the data store has a single writer.
+  if (process.argv[2] === 'rotate-keys') {
+    if (!currentEncryptionKeyId) {
+      console.error('Set ENCRYPTION_KEY to the new master key (and ENCRYPTION_OLD_KEYS to the previous ones) before rotating.');
+      process.exit(1);
+    }
+    const { rewrapped, failed } = rotateEncryptionKeys();
+    flushStore();
+    console.log(`Re-wrapped ${rewrapped} data keys with key ${currentEncryptionKeyId}${failed ? `; ${failed} failed (see above)` : ''}.`);
+    process.exit(failed ? 1 : 0);
+  }
+
+  const server = app.listen(PORT, '0.0.0.0', () => {
+    console.log(`
   ⚡️ Advanced File Server
   ========================
   🚀 Server running on port ${PORT}
   🔗 Access at: http://localhost:${PORT}/
-  📁 File storage: ${path.join(__dirname, uploadDir)}
+  📁 File storage: ${blobStorage.description}
+  💾 Data store: ${persistenceDriver === 'memory' ? 'in-memory (not persisted)' : path.resolve(dataDir)}
+  🪣 S3 API: ${s3AccessKeys.size ? `/s3 (${s3AccessKeys.size} access key${s3AccessKeys.size === 1 ? '' : 's'})` : 'disabled (set S3_ACCESS_KEYS)'}
+  🛡️  Malware scanning: ${malwareScanner ? malwareScanner.description : 'disabled (set MALWARE_SCANNER)'}
+  🖼️  Thumbnails: images${thumbnailTools.pdf.available ? ', PDFs' : ''}${thumbnailTools.video.available ? ', videos' : ''}${!thumbnailTools.pdf.available || !thumbnailTools.video.available ? ` (install ${[!thumbnailTools.pdf.available && 'pdftoppm', !thumbnailTools.video.available && 'ffmpeg'].filter(Boolean).join(' and ')} for more)` : ''}
   `);
-});
+    buildSearchIndex().then(count => console.log(`  🔎 Search index ready: ${count} files`));
+    // Scans interrupted by a restart are started again
+    Object.keys(fileMetadata).filter(fileId => scanHold(fileMetadata[fileId])).forEach(queueScan);
+    Object.values(fileMetadata).forEach(queueThumbnails);
+  });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-    console.log('SIGTERM signal received: closing HTTP server');
-    server.close(() => {
-        console.log('HTTP server closed.');
-        // Optionally, save in-memory data to a persistent store here
-        process.exit(0);
-    });
-});
+  // Graceful shutdown
+  process.on('SIGTERM', () => {
+      console.log('SIGTERM signal received: closing HTTP server');
+      server.close(() => {
+          console.log('HTTP server closed.');
+          flushStore();
+          process.exit(0);
+      });
+  });
 
-process.on('SIGINT', () => {
-    console.log('SIGINT signal received: closing HTTP server');
-    server.close(() => {
-        console.log('HTTP server closed.');
-        // Optionally, save in-memory data to a persistent store here
-        process.exit(0);
-    });
-});
+  process.on('SIGINT', () => {
+      console.log('SIGINT signal received: closing HTTP server');
+      server.close(() => {
+          console.log('HTTP server closed.');
+          flushStore();
+          process.exit(0);
+      });
+  });
+}
+
+module.exports = app;
+module.exports.createS3StorageDriver = createS3StorageDriver; // Tested on its own against a stub S3 server
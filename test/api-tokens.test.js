@@ -0,0 +1,84 @@
+const request = require('supertest');
+const { loadApp, signIn, createUser } = require('./helpers');
+
+describe('API tokens', () => {
+  let app;
+  let cleanup;
+  let agent;
+
+  beforeAll(async () => {
+    ({ app, cleanup } = loadApp());
+    agent = await signIn(app);
+  });
+
+  afterAll(() => cleanup());
+
+  // Creates a token on the tokens page and returns the raw token, which is only shown in that response
+  async function createToken(owner, name, scope, expiresInDays = '') {
+    const page = (await owner.post('/tokens').type('form').send({ name, scope, expiresInDays }).expect(200)).text;
+    const rawToken = /fst_[a-f0-9]{16}_[A-Za-z0-9_-]+/.exec(page)[0];
+    return { rawToken, id: rawToken.split('_')[1] };
+  }
+
+  const withToken = (method, url, rawToken) => request(app)[method](url).set('Authorization', `Bearer ${rawToken}`);
+  const uploadWith = rawToken => withToken('post', '/api/v1/files', rawToken)
+    .attach('files', Buffer.from('artifact'), { filename: 'build.txt', contentType: 'text/plain' });
+
+  test('a read token can list files but not change them', async () => {
+    const { rawToken } = await createToken(agent, 'reader', 'read');
+
+    await withToken('get', '/api/v1/files', rawToken).expect(200);
+    const res = await uploadWith(rawToken).expect(403);
+    expect(res.body.error.code).toBe('insufficient_scope');
+  });
+
+  test('a write token can upload, and the upload is recorded with the token name', async () => {
+    const { rawToken } = await createToken(agent, 'ci-pipeline', 'write');
+
+    const file = (await uploadWith(rawToken).expect(201)).body.files[0];
+    const history = await agent.get('/api/v1/history').query({ action: 'upload', fileId: file.id }).expect(200);
+    expect(history.body.history[0]).toMatchObject({ username: 'admin', tokenName: 'ci-pipeline' });
+
+    // The admin scope is not part of a write token, even for an admin account
+    await withToken('get', '/admin', rawToken).expect(403);
+  });
+
+  test('tokens never grant more than the role of their owner', async () => {
+    const uploader = await createUser(agent, app, 'token-uploader', 'uploader');
+    await uploader.post('/tokens').type('form').send({ name: 'too-much', scope: 'admin' }).expect(400);
+
+    const { rawToken } = await createToken(uploader, 'uploads', 'write');
+    const file = (await uploadWith(rawToken).expect(201)).body.files[0];
+    // Write tokens carry the delete permission, but the uploader role does not
+    await withToken('delete', `/api/v1/files/${file.id}`, rawToken).expect(403);
+
+    const viewer = await createUser(agent, app, 'token-viewer', 'viewer');
+    await viewer.post('/tokens').type('form').send({ name: 'uploads', scope: 'write' }).expect(400);
+  });
+
+  test('revoked, expired and unknown tokens are refused', async () => {
+    const revoked = await createToken(agent, 'revoked', 'read');
+    await agent.post(`/tokens/${revoked.id}/revoke`).expect(302).expect('Location', '/tokens');
+    expect((await withToken('get', '/api/v1/files', revoked.rawToken).expect(401)).body.error.code).toBe('invalid_token');
+
+    const expiring = await createToken(agent, 'short-lived', 'read', '0.000001'); // About 86 ms
+    await new Promise(resolve => setTimeout(resolve, 150));
+    await withToken('get', '/api/v1/files', expiring.rawToken).expect(401);
+
+    await withToken('get', '/api/v1/files', `fst_${'0'.repeat(16)}_not-a-real-token`).expect(401);
+    await agent.post('/tokens').type('form').send({ name: 'never', scope: 'read', expiresInDays: '-1' }).expect(400);
+  });
+
+  test('only the owner or an admin can see and revoke a token', async () => {
+    const editor = await createUser(agent, app, 'token-editor', 'editor');
+    const other = await createUser(agent, app, 'token-other', 'editor');
+    const { id } = await createToken(editor, 'editor-token', 'read');
+
+    expect((await other.get('/tokens').expect(200)).text).not.toContain('editor-token');
+    await other.post(`/tokens/${id}/revoke`).expect(404);
+
+    expect((await agent.get('/tokens').expect(200)).text).toContain('editor-token');
+    await agent.post(`/tokens/${id}/revoke`).expect(302);
+    await editor.post(`/tokens/${id}/revoke`).expect(404);
+  });
+});
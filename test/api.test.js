@@ -0,0 +1,116 @@
+const request = require('supertest');
+const { loadApp, signIn, uploadFile, createUser } = require('./helpers');
+
+describe('REST API', () => {
+  let app;
+  let cleanup;
+  let agent;
+
+  beforeAll(async () => {
+    ({ app, cleanup } = loadApp());
+    agent = await signIn(app);
+    await agent.post('/folders').type('form').send({ parent: '', name: 'reports' }).expect(302);
+  });
+
+  afterAll(() => cleanup());
+
+  test('lists files with paging, sorting and filters', async () => {
+    await uploadFile(agent, 'list-b.txt', 'bb');
+    await uploadFile(agent, 'list-a.txt', 'a');
+    await uploadFile(agent, 'list-c.txt', 'ccc', { folder: 'reports' });
+
+    const byName = await agent.get('/api/v1/files').query({ q: 'list-', sort: 'name', perPage: 2 }).expect(200);
+    expect(byName.body.files.map(file => file.name)).toEqual(['list-a.txt', 'list-b.txt']);
+    expect(byName.body).toMatchObject({ page: 1, perPage: 2, total: 3, totalPages: 2 });
+
+    const secondPage = await agent.get('/api/v1/files').query({ q: 'list-', sort: 'name', perPage: 2, page: 2 }).expect(200);
+    expect(secondPage.body.files.map(file => file.name)).toEqual(['list-c.txt']);
+
+    const bySize = await agent.get('/api/v1/files').query({ q: 'list-', sort: 'size', order: 'desc' }).expect(200);
+    expect(bySize.body.files.map(file => file.size)).toEqual([3, 2, 1]);
+
+    const inFolder = await agent.get('/api/v1/files').query({ folder: 'reports' }).expect(200);
+    expect(inFolder.body.files.map(file => file.name)).toEqual(['list-c.txt']);
+  });
+
+  test('rejects an unknown sort field or folder with a JSON error', async () => {
+    const res = await agent.get('/api/v1/files').query({ sort: 'colour' }).expect(400);
+    expect(res.body.error.code).toBe('invalid_sort');
+    expect((await agent.get('/api/v1/files').query({ folder: '../etc' }).expect(400)).body.error.code).toBe('invalid_folder');
+  });
+
+  test('uploads, downloads, renames, moves, edits and deletes a file', async () => {
+    const file = await uploadFile(agent, 'draft.txt', 'draft');
+    expect(file).toMatchObject({ name: 'draft.txt', folder: '', size: 5, version: 1 });
+
+    const download = await agent.get(file.links.content).expect(200);
+    expect(download.text).toBe('draft');
+    expect(download.headers['content-disposition']).toContain('attachment');
+
+    const renamed = await agent.patch(`/api/v1/files/${file.id}`).send({ name: 'final.txt', folder: 'reports' }).expect(200);
+    expect(renamed.body).toMatchObject({ id: file.id, name: 'final.txt', folder: 'reports' });
+
+    const edited = await agent.put(`/api/v1/files/${file.id}/content`).set('Content-Type', 'text/plain').send('final').expect(200);
+    expect(edited.body.version).toBe(2);
+    expect((await agent.get(`/api/v1/files/${file.id}/content`).expect(200)).text).toBe('final');
+
+    await agent.delete(`/api/v1/files/${file.id}`).expect(204);
+    expect((await agent.get(`/api/v1/files/${file.id}`).expect(404)).body.error.code).toBe('not_found');
+  });
+
+  test('validates uploads and changes', async () => {
+    expect((await agent.post('/api/v1/files').expect(400)).body.error.code).toBe('no_files');
+    const missingFolder = agent.post('/api/v1/files').field('folder', 'missing')
+      .attach('files', Buffer.from('x'), { filename: 'x.txt', contentType: 'text/plain' });
+    expect((await missingFolder.expect(400)).body.error.code).toBe('invalid_target');
+
+    const file = await uploadFile(agent, 'checked.txt', 'checked');
+    expect((await agent.patch(`/api/v1/files/${file.id}`).send({ name: 'checked.exe' }).expect(400)).body.error.code).toBe('invalid_name');
+    expect((await agent.patch(`/api/v1/files/${file.id}`).send({ folder: 'missing' }).expect(400)).body.error.code).toBe('invalid_folder');
+    expect((await agent.patch(`/api/v1/files/${file.id}`).send({ visibility: 'everyone' }).expect(400)).body.error.code).toBe('invalid_visibility');
+    await agent.put(`/api/v1/files/${file.id}/content`).send({ content: 'json' }).expect(415);
+  });
+
+  test('creates, lists and revokes share links', async () => {
+    const file = await uploadFile(agent, 'shared.txt', 'shared');
+    const share = (await agent.post(`/api/v1/files/${file.id}/shares`).send({ maxDownloads: 2 }).expect(201)).body;
+    expect(share).toMatchObject({ fileId: file.id, maxDownloads: 2, downloads: 0, passwordProtected: false });
+    expect(share.url).toMatch(new RegExp(`/s/${share.token}$`));
+
+    const listed = await agent.get(`/api/v1/files/${file.id}/shares`).expect(200);
+    expect(listed.body.shares.map(item => item.token)).toEqual([share.token]);
+
+    await agent.post(`/api/v1/files/${file.id}/shares`).send({ expiresInHours: -1 }).expect(400);
+    await agent.delete(`/api/v1/shares/${share.token}`).expect(204);
+    await agent.delete(`/api/v1/shares/${share.token}`).expect(404);
+    expect((await agent.get(`/api/v1/files/${file.id}/shares`).expect(200)).body.shares).toEqual([]);
+  });
+
+  test('reports the history of a file and of the server', async () => {
+    const file = await uploadFile(agent, 'logged.txt', 'logged');
+    await agent.patch(`/api/v1/files/${file.id}`).send({ name: 'logged-renamed.txt' }).expect(200);
+
+    const fileHistory = await agent.get(`/api/v1/files/${file.id}/history`).expect(200);
+    expect(fileHistory.body.history.map(item => item.action)).toEqual(['rename', 'upload']);
+
+    const renames = await agent.get('/api/v1/history').query({ action: 'rename', fileId: file.id }).expect(200);
+    expect(renames.body.history).toHaveLength(1);
+    expect(renames.body.history[0]).toMatchObject({ filename: 'logged.txt → logged-renamed.txt', username: 'admin' });
+  });
+
+  test('answers with JSON errors for unknown routes, missing sign-in and missing permissions', async () => {
+    expect((await agent.get('/api/v1/nothing-here').expect(404)).body.error.code).toBe('not_found');
+    expect((await request(app).get('/api/v1/files').expect(401)).body.error.code).toBe('unauthorized');
+
+    const viewer = await createUser(agent, app, 'api-viewer', 'viewer');
+    const res = await viewer.post('/api/v1/files').attach('files', Buffer.from('x'), { filename: 'x.txt', contentType: 'text/plain' }).expect(403);
+    expect(res.body.error.code).toBe('forbidden');
+  });
+
+  test('serves an OpenAPI document for the API', async () => {
+    const res = await agent.get('/api/v1/openapi.json').expect(200);
+    expect(res.body.openapi).toMatch(/^3\./);
+    expect(res.body.servers[0].url).toMatch(/\/api\/v1$/);
+    expect(Object.keys(res.body.paths)).toEqual(expect.arrayContaining(['/files', '/files/{id}', '/files/{id}/content']));
+  });
+});
@@ -0,0 +1,76 @@
+const request = require('supertest');
+const { admin, loadApp } = require('./helpers');
+
+describe('Password sign-in', () => {
+  let app;
+  let cleanup;
+
+  beforeAll(() => {
+    ({ app, cleanup } = loadApp());
+  });
+
+  afterAll(() => cleanup());
+
+  const login = (credentials, next) => request(app).post('/login').type('form').send({ ...credentials, ...(next === undefined ? {} : { next }) });
+
+  test('pages need a session and redirect to the login page', async () => {
+    await request(app).get('/').expect(302).expect('Location', /^\/login/);
+    await request(app).get('/ping').expect(200);
+  });
+
+  test('wrong credentials are refused', async () => {
+    await login({ username: admin.username, password: 'wrong' }).expect(401);
+    await login({ username: 'nobody', password: admin.password }).expect(401);
+  });
+
+  test('a session is started and ended', async () => {
+    const agent = request.agent(app);
+    await agent.post('/login').type('form').send(admin).expect(302).expect('Location', '/');
+    await agent.get('/').expect(200);
+
+    await agent.post('/logout').expect(302).expect('Location', '/login');
+    await agent.get('/').expect(302);
+  });
+
+  test('returns to a path on this site after login', async () => {
+    await login(admin, '/trash').expect(302).expect('Location', '/trash');
+    await login(admin, '/?folder=reports#top').expect(302).expect('Location', '/?folder=reports#top');
+  });
+
+  test.each([
+    ['a protocol-relative URL', '//evil.example'],
+    ['a backslash that browsers read as a slash', '/\\evil.example'],
+    ['a backslash later in the path', '/./\\evil.example'],
+    ['a tab that browsers drop', '/\t/evil.example'],
+    ['an absolute URL', 'https://evil.example/'],
+    ['a relative path', 'evil.example']
+  ])('does not redirect to %s after login', async (description, next) => {
+    await login(admin, next).expect(302).expect('Location', '/');
+  });
+});
+
+describe('Initial account', () => {
+  const cleanups = [];
+  afterAll(() => cleanups.forEach(cleanup => cleanup()));
+
+  function start(env) {
+    const { app, cleanup } = loadApp(env);
+    cleanups.push(cleanup);
+    return app;
+  }
+  const canSignIn = async (app, username, password) =>
+    (await request(app).post('/login').type('form').send({ username, password })).status === 302;
+
+  test('is seeded from ADMIN_USERNAME even when the OS sets USERNAME', async () => {
+    const app = start({ ADMIN_USERNAME: 'owner', ADMIN_PASSWORD: 'owner-password', USERNAME: 'os-login' });
+
+    expect(await canSignIn(app, 'owner', 'owner-password')).toBe(true);
+    expect(await canSignIn(app, 'os-login', 'owner-password')).toBe(false);
+  });
+
+  test('falls back to USERNAME and PASSWORD', async () => {
+    const app = start({ ADMIN_USERNAME: '', ADMIN_PASSWORD: '', USERNAME: 'legacy', PASSWORD: 'legacy-password' });
+
+    expect(await canSignIn(app, 'legacy', 'legacy-password')).toBe(true);
+  });
+});
@@ -0,0 +1,70 @@
+const vm = require('vm');
+const { loadApp, signIn, uploadFile } = require('./helpers');
+
+describe('Client scripts and the Content-Security-Policy', () => {
+  let cleanup;
+  let agent;
+  let file;
+
+  beforeAll(async () => {
+    let app;
+    ({ app, cleanup } = loadApp());
+    agent = await signIn(app);
+    file = await uploadFile(agent, 'notes.txt', 'first');
+    await agent.put(`/api/v1/files/${file.id}/content`).set('Content-Type', 'text/plain').send('second').expect(200);
+    const trashed = await uploadFile(agent, 'old.txt', 'old');
+    await agent.delete(`/api/v1/files/${trashed.id}`).expect(204);
+  });
+
+  afterAll(() => cleanup());
+
+  // Everything the CSP would block: <script> blocks without a src, and on* event handler attributes
+  function inlineScripts(html) {
+    return [
+      ...[...html.matchAll(/<script(?![^>]*\ssrc=)[^>]*>/g)].map(match => match[0]),
+      ...[...html.matchAll(/<[^>]+\son[a-z]+\s*=/gi)].map(match => match[0])
+    ];
+  }
+
+  test('the policy only allows scripts from this origin and the CDNs', async () => {
+    const res = await agent.get('/').expect(200);
+    const scriptSrc = /script-src ([^;]+)/.exec(res.headers['content-security-policy'])[1];
+    expect(scriptSrc.split(' ')).toEqual(["'self'", 'https://cdn.tailwindcss.com', 'https://cdnjs.cloudflare.com']);
+  });
+
+  test('pages load their behaviour from /assets instead of inline scripts', async () => {
+    const pages = [
+      (await agent.get('/').expect(200)).text,
+      (await agent.get('/').query({ view: 'grid' }).expect(200)).text,
+      (await agent.get(`/versions/${file.filename}`).expect(200)).text,
+      (await agent.get('/trash').expect(200)).text,
+      (await agent.post(`/share/${file.filename}`).type('form').send({}).expect(200)).text,
+      (await agent.get('/admin').expect(200)).text,
+      (await agent.get('/admin/retention').expect(200)).text,
+      (await agent.post('/tokens').type('form').send({ name: 'ci', scope: 'read' }).expect(200)).text
+    ];
+
+    pages.forEach(html => expect(inlineScripts(html)).toEqual([]));
+    expect(pages[0]).toContain('<script src="/assets/dashboard.js"></script>');
+    pages.forEach(html => expect(html).toContain('<script src="/assets/app.js"></script>'));
+  });
+
+  test('serves the scripts as JavaScript that parses', async () => {
+    for (const name of ['app.js', 'dashboard.js']) {
+      const res = await agent.get(`/assets/${name}`).expect(200).expect('Content-Type', /javascript/);
+      expect(() => new vm.Script(res.text, { filename: name })).not.toThrow();
+    }
+    await agent.get('/assets/missing.js').expect(404);
+    await agent.get('/assets/toString').expect(404);
+  });
+
+  test('confirmation texts and the upload threshold are passed in data attributes', async () => {
+    const dashboard = (await agent.get('/').query({ view: 'list' }).expect(200)).text;
+    expect(dashboard).toMatch(/<form id="upload-form"[^>]* data-resumable-threshold="\d+"/);
+    expect(dashboard).toContain('data-click-target="file-input"');
+    expect(dashboard).toMatch(/<form action="\/delete\/[^"]+" method="POST"[^>]* data-confirm="[^"]*notes\.txt/);
+
+    const trash = (await agent.get('/trash').expect(200)).text;
+    expect(trash).toMatch(/<form action="\/trash\/[0-9a-f]+\/purge" method="POST" data-confirm=/);
+  });
+});
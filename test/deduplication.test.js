@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { loadApp, signIn, uploadFile } = require('./helpers');
+
+const sha256 = content => crypto.createHash('sha256').update(content).digest('hex');
+
+describe('Content-addressed deduplication', () => {
+  let cleanup;
+  let dir;
+  let agent;
+
+  beforeAll(async () => {
+    let app;
+    ({ app, dir, cleanup } = loadApp());
+    agent = await signIn(app);
+  });
+
+  afterAll(() => cleanup());
+
+  // Whether the blob store holds the content, which is stored under its hash
+  function isStored(content) {
+    const blobDir = path.join(dir, 'uploads', 'blobs');
+    return fs.readdirSync(blobDir, { recursive: true }).some(name => path.basename(name) === sha256(content));
+  }
+
+  // Blobs are removed from disk in the background once the purge response has been sent
+  async function isRemoved(content) {
+    for (let attempt = 0; attempt < 50 && isStored(content); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return !isStored(content);
+  }
+
+  const trashAndPurge = async file => {
+    await agent.delete(`/api/v1/files/${file.id}`).expect(204);
+    await agent.post(`/trash/${file.id}/purge`).expect(302);
+  };
+
+  test('identical uploads share one blob, which is kept until the last file is purged', async () => {
+    const first = await uploadFile(agent, 'first.txt', 'shared bytes');
+    const second = await uploadFile(agent, 'second.txt', 'shared bytes');
+    expect(isStored('shared bytes')).toBe(true);
+
+    const history = (await agent.get('/history').expect(200)).text;
+    expect(history).toContain('Upload-dedup');
+
+    await trashAndPurge(first);
+    expect(isStored('shared bytes')).toBe(true);
+    expect((await agent.get(`/download/${second.filename}`).expect(200)).text).toBe('shared bytes');
+
+    await trashAndPurge(second);
+    expect(await isRemoved('shared bytes')).toBe(true);
+  });
+
+  test('a file in the trash still holds its blob', async () => {
+    const file = await uploadFile(agent, 'trashed.txt', 'trashed bytes');
+    await agent.delete(`/api/v1/files/${file.id}`).expect(204);
+    expect(isStored('trashed bytes')).toBe(true);
+
+    await agent.post(`/trash/${file.id}/restore`).expect(302);
+    expect((await agent.get(`/download/${file.filename}`).expect(200)).text).toBe('trashed bytes');
+  });
+
+  test('older versions keep their blobs until the file is purged', async () => {
+    const file = await uploadFile(agent, 'versioned.txt', 'version one');
+    await agent.put(`/api/v1/files/${file.id}/content`).set('Content-Type', 'text/plain').send('version two').expect(200);
+    expect(isStored('version one')).toBe(true);
+    expect(isStored('version two')).toBe(true);
+
+    // Another file with the old content shares the version's blob
+    const copy = await uploadFile(agent, 'copy.txt', 'version one');
+    await trashAndPurge(file);
+    expect(isStored('version one')).toBe(true);
+    expect(await isRemoved('version two')).toBe(true);
+
+    await trashAndPurge(copy);
+    expect(await isRemoved('version one')).toBe(true);
+  });
+
+  test('the admin panel reports the space saved', async () => {
+    await uploadFile(agent, 'big-a.txt', 'x'.repeat(4096));
+    await uploadFile(agent, 'big-b.txt', 'x'.repeat(4096));
+
+    const page = (await agent.get('/admin').expect(200)).text;
+    expect(page).toMatch(/Saved by Deduplication:<\/span> <span[^>]*>4 KB<\/span>/);
+  });
+});
@@ -0,0 +1,91 @@
+const { loadApp, signIn, uploadFile } = require('./helpers');
+
+describe('Byte ranges and conditional downloads', () => {
+  let cleanup;
+  let agent;
+  let file;
+
+  beforeAll(async () => {
+    let app;
+    ({ app, cleanup } = loadApp());
+    agent = await signIn(app);
+    file = await uploadFile(agent, 'digits.txt', '0123456789');
+  });
+
+  afterAll(() => cleanup());
+
+  const download = () => agent.get(`/download/${file.filename}`);
+  const downloads = async () => (await agent.get(`/api/v1/files/${file.id}`).expect(200)).body.downloads;
+
+  test('sends the whole file with validators and Accept-Ranges', async () => {
+    const res = await download().expect(200);
+    expect(res.text).toBe('0123456789');
+    expect(res.headers['accept-ranges']).toBe('bytes');
+    expect(res.headers['content-length']).toBe('10');
+    expect(res.headers.etag).toMatch(/^"[0-9a-f]{64}"$/);
+    expect(res.headers['last-modified']).toBeTruthy();
+  });
+
+  test('answers a single range with 206 and Content-Range', async () => {
+    const res = await download().set('Range', 'bytes=2-5').expect(206);
+    expect(res.text).toBe('2345');
+    expect(res.headers['content-range']).toBe('bytes 2-5/10');
+    expect(res.headers['content-length']).toBe('4');
+
+    const open = await download().set('Range', 'bytes=7-').expect(206);
+    expect(open.text).toBe('789');
+    const suffix = await download().set('Range', 'bytes=-3').expect(206);
+    expect(suffix.text).toBe('789');
+    expect(suffix.headers['content-range']).toBe('bytes 7-9/10');
+  });
+
+  test('answers several ranges as multipart/byteranges', async () => {
+    const res = await download().set('Range', 'bytes=0-1, 8-9').buffer(true).parse((stream, callback) => {
+      let text = '';
+      stream.on('data', chunk => { text += chunk; });
+      stream.on('end', () => callback(null, text));
+    }).expect(206);
+
+    const boundary = /^multipart\/byteranges; boundary=(\w+)$/.exec(res.headers['content-type'])[1];
+    expect(res.body).toContain('Content-Range: bytes 0-1/10\r\n\r\n01');
+    expect(res.body).toContain('Content-Range: bytes 8-9/10\r\n\r\n89');
+    expect(res.body.endsWith(`--${boundary}--\r\n`)).toBe(true);
+    expect(Buffer.byteLength(res.body)).toBe(Number(res.headers['content-length']));
+  });
+
+  test('answers a range beyond the end with 416', async () => {
+    const res = await download().set('Range', 'bytes=10-20').expect(416);
+    expect(res.headers['content-range']).toBe('bytes */10');
+  });
+
+  test('ignores a malformed Range header and sends everything', async () => {
+    expect((await download().set('Range', 'bytes=5-2').expect(200)).text).toBe('0123456789');
+    expect((await download().set('Range', 'lines=1-2').expect(200)).text).toBe('0123456789');
+  });
+
+  test('honours If-Range only while the validator still matches', async () => {
+    const { headers } = await download().expect(200);
+
+    const sameEtag = await download().set({ Range: 'bytes=0-3', 'If-Range': headers.etag }).expect(206);
+    expect(sameEtag.text).toBe('0123');
+    await download().set({ Range: 'bytes=0-3', 'If-Range': headers['last-modified'] }).expect(206);
+
+    const staleEtag = await download().set({ Range: 'bytes=0-3', 'If-Range': '"an-older-version"' }).expect(200);
+    expect(staleEtag.text).toBe('0123456789');
+    await download().set({ Range: 'bytes=0-3', 'If-Range': new Date(0).toUTCString() }).expect(200);
+  });
+
+  test('answers If-None-Match with 304', async () => {
+    const { headers } = await download().expect(200);
+    await download().set('If-None-Match', headers.etag).expect(304);
+    await download().set('If-None-Match', '"something-else"').expect(200);
+  });
+
+  test('counts a download once, not for each follow-up range', async () => {
+    const before = await downloads();
+    await download().set('Range', 'bytes=0-4').expect(206);
+    await download().set('Range', 'bytes=5-9').expect(206);
+    await agent.head(`/download/${file.filename}`).expect(200);
+    expect(await downloads()).toBe(before + 1);
+  });
+});
@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const { loadApp, signIn, uploadFile } = require('./helpers');
+
+const newKey = () => crypto.randomBytes(32).toString('base64');
+// The rotate-keys CLI starts a fresh Node process, which can take seconds on a cold start
+const cliTimeout = 30000;
+
+// Every stored blob below the app's working directory
+function storedBlobs(dir) {
+  const blobDir = path.join(dir, 'uploads', 'blobs');
+  return fs.readdirSync(blobDir, { recursive: true })
+    .map(name => path.join(blobDir, name))
+    .filter(file => fs.statSync(file).isFile())
+    .map(file => fs.readFileSync(file));
+}
+
+describe('Encryption at rest', () => {
+  const cleanups = [];
+  afterAll(() => cleanups.forEach(cleanup => cleanup()));
+
+  function start(env, dir) {
+    const loaded = loadApp(env, dir);
+    cleanups.push(loaded.cleanup);
+    return loaded;
+  }
+
+  test('stores only ciphertext and serves the plaintext, also in ranges', async () => {
+    const { app, dir } = start({ ENCRYPTION_KEY: newKey() });
+    const agent = await signIn(app);
+    const content = 'confidential '.repeat(10000); // Several encryption segments
+
+    const file = await uploadFile(agent, 'secret.txt', content);
+
+    expect(storedBlobs(dir).some(blob => blob.includes('confidential'))).toBe(false);
+    expect((await agent.get(`/download/${file.filename}`).expect(200)).text).toBe(content);
+    const range = await agent.get(`/download/${file.filename}`).set('Range', 'bytes=65530-65545').expect(206);
+    expect(range.text).toBe(content.slice(65530, 65546));
+  });
+
+  test('identical content uploaded at the same time shares one counted blob', async () => {
+    const { app, dir } = start({ ENCRYPTION_KEY: newKey() });
+    const agent = await signIn(app);
+    const content = Buffer.from('the same bytes twice');
+
+    const res = await agent.post('/api/v1/files')
+      .attach('files', content, { filename: 'first.txt', contentType: 'text/plain' })
+      .attach('files', content, { filename: 'second.txt', contentType: 'text/plain' })
+      .expect(201);
+    const [first, second] = res.body.files;
+    expect(storedBlobs(dir)).toHaveLength(1);
+
+    // Purging one copy must leave the content for the other
+    await agent.post(`/delete/${first.filename}`).expect(302);
+    await agent.post(`/trash/${first.id}/purge`).expect(302);
+    expect((await agent.get(`/download/${second.filename}`).expect(200)).text).toBe('the same bytes twice');
+
+    await agent.post(`/delete/${second.filename}`).expect(302);
+    await agent.post(`/trash/${second.id}/purge`).expect(302);
+    expect(storedBlobs(dir)).toHaveLength(0);
+  });
+
+  test('rotate-keys re-wraps the data keys so the old key can be retired', async () => {
+    const oldKey = newKey();
+    const rotatedKey = newKey();
+    const { app, dir } = start({ PERSISTENCE_DRIVER: 'journal', ENCRYPTION_KEY: oldKey });
+    const file = await uploadFile(await signIn(app), 'rotate.txt', 'rotate me');
+
+    const rotation = spawnSync(process.execPath, [path.join(__dirname, '..', 'index.js'), 'rotate-keys'], {
+      cwd: dir,
+      env: { ...process.env, PERSISTENCE_DRIVER: 'journal', ENCRYPTION_KEY: rotatedKey, ENCRYPTION_OLD_KEYS: oldKey },
+      encoding: 'utf-8',
+      timeout: cliTimeout
+    });
+    expect(rotation.status).toBe(0);
+    expect(rotation.stdout).toContain('Re-wrapped 1 data keys');
+
+    // Restarted with only the new key, the file is still readable
+    const restarted = start({ PERSISTENCE_DRIVER: 'journal', ENCRYPTION_KEY: rotatedKey }, dir);
+    const agent = await signIn(restarted.app);
+    expect((await agent.get(`/download/${file.filename}`).expect(200)).text).toBe('rotate me');
+  }, cliTimeout);
+
+  test('rotate-keys refuses to run without a new key', () => {
+    const { dir } = start({});
+    const rotation = spawnSync(process.execPath, [path.join(__dirname, '..', 'index.js'), 'rotate-keys'], {
+      cwd: dir,
+      env: { ...process.env, PERSISTENCE_DRIVER: 'memory', ENCRYPTION_KEY: '' },
+      encoding: 'utf-8',
+      timeout: cliTimeout
+    });
+    expect(rotation.status).toBe(1);
+    expect(rotation.stderr).toContain('Set ENCRYPTION_KEY');
+  }, cliTimeout);
+});
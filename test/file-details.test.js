@@ -0,0 +1,84 @@
+const { loadApp, signIn, uploadFile, createUser } = require('./helpers');
+
+describe('Tags, descriptions and properties', () => {
+  let app;
+  let cleanup;
+  let agent;
+
+  beforeAll(async () => {
+    ({ app, cleanup } = loadApp());
+    agent = await signIn(app);
+    await agent.post('/folders').type('form').send({ parent: '', name: 'archive' }).expect(302);
+  });
+
+  afterAll(() => cleanup());
+
+  const patch = (file, body, as = agent) => as.patch(`/api/v1/files/${file.id}`).send(body);
+  const saveDetails = (file, form, as = agent) => as.post(`/details/${file.filename}`).type('form').send(form);
+  const dashboardNames = async query => [...(await agent.get('/').query({ view: 'list', ...query }).expect(200)).text
+    .matchAll(/<span class="file-name text-gray-800 font-medium">([^<]+)<\/span>/g)].map(match => match[1]);
+
+  test('the API sets tags, a description and properties, and merges property changes', async () => {
+    const file = await uploadFile(agent, 'contract.txt', 'terms');
+
+    const res = await patch(file, { tags: [' Legal ', 'legal', 'Q3  Review'], description: ' Signed copy ', properties: { client: 'Acme', year: 2024 } }).expect(200);
+    expect(res.body).toMatchObject({ tags: ['legal', 'q3 review'], description: 'Signed copy', properties: { client: 'Acme', year: '2024' } });
+
+    // Properties are merged; null removes a key
+    const merged = await patch(file, { properties: { year: null, status: 'final' } }).expect(200);
+    expect(merged.body.properties).toEqual({ client: 'Acme', status: 'final' });
+  });
+
+  test('rejects invalid details', async () => {
+    const file = await uploadFile(agent, 'checked.txt', 'checked');
+    const invalid = async body => (await patch(file, body).expect(400)).body.error.code;
+
+    expect(await invalid({ tags: 'not-a-list' })).toBe('invalid_details');
+    expect(await invalid({ tags: ['a,b'] })).toBe('invalid_details');
+    expect(await invalid({ tags: Array.from({ length: 21 }, (_, i) => `tag${i}`) })).toBe('invalid_details');
+    expect(await invalid({ description: 'x'.repeat(2001) })).toBe('invalid_details');
+    expect(await invalid({ properties: { 'bad key': 'value' } })).toBe('invalid_details');
+    expect(await invalid({ properties: { nested: { a: 1 } } })).toBe('invalid_details');
+  });
+
+  test('the preview page shows the details and saves the edit form', async () => {
+    const file = await uploadFile(agent, 'spec.txt', 'spec');
+
+    await saveDetails(file, { tags: 'Draft, <script>', description: 'First <b>draft</b>', properties: 'owner: Dana\nreviewed: no' })
+      .expect(302).expect('Location', `/preview/${file.filename}`);
+    const details = (await agent.get(`/api/v1/files/${file.id}`).expect(200)).body;
+    expect(details).toMatchObject({ tags: ['draft', '<script>'], description: 'First <b>draft</b>', properties: { owner: 'Dana', reviewed: 'no' } });
+
+    const page = (await agent.get(`/preview/${file.filename}`).expect(200)).text;
+    expect(page).toContain('First &lt;b&gt;draft&lt;/b&gt;');
+    expect(page).toContain('>&lt;script&gt;</a>');
+    expect(page).toMatch(/<dt[^>]*>owner:<\/dt><dd[^>]*>Dana<\/dd>/);
+
+    await saveDetails(file, { tags: '', properties: 'no separator' }).expect(400);
+  });
+
+  test('only the owner or an editor may change the details', async () => {
+    const file = await uploadFile(agent, 'team.txt', 'team', { visibility: 'team' });
+    const uploader = await createUser(agent, app, 'details-uploader', 'uploader');
+    const editor = await createUser(agent, app, 'details-editor', 'editor');
+
+    await patch(file, { tags: ['mine'] }, uploader).expect(403);
+    await saveDetails(file, { tags: 'mine' }, uploader).expect(403);
+    await patch(file, { tags: ['reviewed'] }, editor).expect(200);
+  });
+
+  test('the dashboard filters by tag across folders and the admin panel counts tag usage', async () => {
+    const first = await uploadFile(agent, 'invoice-1.txt', 'one');
+    const second = await uploadFile(agent, 'invoice-2.txt', 'two', { folder: 'archive' });
+    await uploadFile(agent, 'untagged.txt', 'three');
+    await patch(first, { tags: ['invoice', 'paid'] }).expect(200);
+    await patch(second, { tags: ['invoice'] }).expect(200);
+
+    expect((await dashboardNames({ tag: 'Invoice' })).sort()).toEqual(['invoice-1.txt', 'invoice-2.txt']);
+    expect(await dashboardNames({ tag: 'paid' })).toEqual(['invoice-1.txt']);
+
+    const admin = (await agent.get('/admin').expect(200)).text;
+    expect(admin).toMatch(/invoice <span class="font-semibold">2<\/span>/);
+    expect(admin).toMatch(/paid <span class="font-semibold">1<\/span>/);
+  });
+});
@@ -0,0 +1,82 @@
+const { loadApp, signIn, uploadFile } = require('./helpers');
+
+describe('Folders', () => {
+  let app;
+  let cleanup;
+  let agent;
+
+  beforeAll(async () => {
+    ({ app, cleanup } = loadApp());
+    agent = await signIn(app);
+  });
+
+  afterAll(() => cleanup());
+
+  const createFolder = (name, parent = '') => agent.post('/folders').type('form').send({ parent, name });
+  const renameFolder = (folderPath, name) => agent.post('/folders/rename').type('form').send({ path: folderPath, name });
+  const filesIn = async folder => (await agent.get('/api/v1/files').query({ folder }).expect(200)).body.files.map(file => file.name);
+
+  test('creates nested folders and refuses duplicates or missing parents', async () => {
+    await createFolder('projects').expect(302).expect('Location', '/');
+    await createFolder('alpha', 'projects').expect(302);
+    await createFolder('projects').expect(409);
+    await createFolder('child', 'no-such-folder').expect(400);
+    await createFolder('..').expect(400);
+
+    await agent.get('/').query({ folder: 'projects/alpha' }).expect(200);
+  });
+
+  test('renaming a folder carries its subfolders and files along', async () => {
+    await createFolder('drafts').expect(302);
+    await createFolder('2024', 'drafts').expect(302);
+    await uploadFile(agent, 'plan.txt', 'plan', { folder: 'drafts/2024' });
+
+    await renameFolder('drafts', 'published').expect(302);
+
+    await agent.get('/').query({ folder: 'drafts' }).expect(404);
+    await agent.get('/').query({ folder: 'published/2024' }).expect(200);
+    expect(await filesIn('published/2024')).toEqual(['plan.txt']);
+  });
+
+  test('renaming a folder to its current name leaves it in place', async () => {
+    await createFolder('team').expect(302);
+    await uploadFile(agent, 'roster.txt', 'roster', { folder: 'team' });
+
+    await renameFolder('team', 'team').expect(302).expect('Location', '/');
+
+    await agent.get('/').query({ folder: 'team' }).expect(200);
+    expect(await filesIn('team')).toEqual(['roster.txt']);
+  });
+
+  test('renaming onto an existing folder is refused', async () => {
+    await createFolder('one').expect(302);
+    await createFolder('two').expect(302);
+
+    await renameFolder('one', 'two').expect(409);
+    await renameFolder('missing', 'three').expect(404);
+    await renameFolder('one', 'a/b').expect(400);
+  });
+
+  test('moves files into another folder', async () => {
+    await createFolder('inbox').expect(302);
+    await createFolder('archive').expect(302);
+    const file = await uploadFile(agent, 'letter.txt', 'letter', { folder: 'inbox' });
+
+    await agent.post('/move').type('form').send({ files: file.filename, folder: 'archive' })
+      .expect(302).expect('Location', '/?folder=archive');
+    expect(await filesIn('inbox')).toEqual([]);
+    expect(await filesIn('archive')).toEqual(['letter.txt']);
+
+    await agent.post('/move').type('form').send({ files: file.filename, folder: 'no-such-folder' }).expect(400);
+  });
+
+  test('only empty folders can be deleted', async () => {
+    await createFolder('full').expect(302);
+    await uploadFile(agent, 'keep.txt', 'keep', { folder: 'full' });
+    await createFolder('empty').expect(302);
+
+    await agent.post('/folders/delete').type('form').send({ path: 'full' }).expect(400);
+    await agent.post('/folders/delete').type('form').send({ path: 'empty' }).expect(302);
+    await agent.get('/').query({ folder: 'empty' }).expect(404);
+  });
+});
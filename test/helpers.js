@@ -0,0 +1,87 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+const admin = { username: 'admin', password: 'admin-password' };
+// An S3 access key for the admin account; pass `S3_ACCESS_KEYS: s3AdminKey.setting` to loadApp to enable it
+const s3AdminKey = { accessKeyId: 'AKIDADMIN', secretAccessKey: 'admin-s3-secret', region: 'us-east-1' };
+s3AdminKey.setting = `${s3AdminKey.accessKeyId}:${s3AdminKey.secretAccessKey}:${admin.username}`;
+const originalDir = process.cwd();
+
+// Loads the app in a fresh working directory, so uploads and data never leak between test files. Pass the `dir` of
+// an earlier app to start it again on the same data. Configuration is read when index.js loads, so `env` must
+// already hold everything the test needs.
+function loadApp(env = {}, dir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-server-test-'))) {
+  process.chdir(dir);
+  const originalEnv = { ...process.env };
+  Object.assign(process.env, {
+    PERSISTENCE_DRIVER: 'memory',
+    SESSION_SECRET: 'test-session-secret',
+    ADMIN_USERNAME: admin.username,
+    ADMIN_PASSWORD: admin.password
+  }, env);
+
+  // Each call gets its own copy of the module, so one test file can start several differently configured apps
+  let app;
+  jest.isolateModules(() => {
+    app = require('..');
+  });
+  process.env = originalEnv;
+  const cleanup = () => {
+    process.chdir(originalDir);
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+  return { app, dir, cleanup };
+}
+
+// Returns a supertest agent that carries the session cookie of a password sign-in
+async function signIn(app, credentials = admin) {
+  const agent = request.agent(app);
+  await agent.post('/login').type('form').send(credentials).expect(302);
+  return agent;
+}
+
+// Uploads through the API and returns the stored file as the API describes it
+async function uploadFile(agent, name, content, fields = {}, contentType = 'text/plain') {
+  const upload = agent.post('/api/v1/files');
+  Object.entries(fields).forEach(([field, value]) => upload.field(field, value));
+  const res = await upload.attach('files', Buffer.from(content), { filename: name, contentType }).expect(201);
+  return res.body.files[0];
+}
+
+// Creates an account through the admin page and returns an agent signed in as it
+async function createUser(adminAgent, app, username, role) {
+  const credentials = { username, password: `${username}-password` };
+  await adminAgent.post('/admin/users').type('form').send({ ...credentials, role }).expect(302);
+  return signIn(app, credentials);
+}
+
+// Sends a request to the S3 API signed with Signature Version 4 in the Authorization header, as S3 clients do.
+// `url` is the path with an already encoded query string.
+function s3Request(app, method, url, body = '', key = s3AdminKey) {
+  const host = 's3.test';
+  const amzDate = new Date().toISOString().replace(/[-:]|\.\d{3}/g, '');
+  const scope = `${amzDate.slice(0, 8)}/${key.region}/s3/aws4_request`;
+  const payloadHash = crypto.createHash('sha256').update(body).digest('hex');
+  const [pathname, query = ''] = url.split('?');
+  const canonicalQuery = query.split('&').filter(Boolean).map(pair => (pair.includes('=') ? pair : `${pair}=`)).sort().join('&');
+  const canonicalHeaders = `host:${host}\nx-amz-content-sha256:${payloadHash}\nx-amz-date:${amzDate}\n`;
+  const signedHeaders = 'host;x-amz-content-sha256;x-amz-date';
+  const canonicalRequest = [method, pathname, canonicalQuery, canonicalHeaders, signedHeaders, payloadHash].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, crypto.createHash('sha256').update(canonicalRequest).digest('hex')].join('\n');
+  const signingKey = [amzDate.slice(0, 8), key.region, 's3', 'aws4_request']
+    .reduce((hmacKey, part) => crypto.createHmac('sha256', hmacKey).update(part).digest(), `AWS4${key.secretAccessKey}`);
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+  const req = request(app)[method.toLowerCase()](url).set({
+    Host: host,
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': payloadHash,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${key.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  });
+  return body ? req.set('Content-Type', 'application/octet-stream').send(body) : req;
+}
+
+module.exports = { admin, s3AdminKey, loadApp, signIn, uploadFile, createUser, s3Request };
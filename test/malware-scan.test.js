@@ -0,0 +1,107 @@
+const { loadApp, signIn } = require('./helpers');
+
+// The EICAR test string, which the fake scanner (like every real one) reports as infected
+const eicar = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!$H+H*';
+
+describe('Malware scanning', () => {
+  let app;
+  let cleanup;
+  let agent;
+
+  // Scans take a moment, so the tests can see a file while it is still pending
+  beforeAll(async () => {
+    ({ app, cleanup } = loadApp({ MALWARE_SCANNER: 'fake', FAKE_SCANNER_DELAY_MS: '300' }));
+    agent = await signIn(app);
+  });
+
+  afterAll(() => cleanup());
+
+  async function uploadText(name, content) {
+    const res = await agent.post('/api/v1/files').attach('files', Buffer.from(content), { filename: name, contentType: 'text/plain' }).expect(201);
+    return res.body.files[0];
+  }
+
+  // Polls the API until the file reaches the expected scan status (or has left the file list, for null)
+  async function waitForScan(fileId, status) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const res = await agent.get(`/api/v1/files/${fileId}`);
+      if (status === null ? res.status === 404 : res.body.scanStatus === status) return;
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    throw new Error(`File ${fileId} did not reach scan status ${status}`);
+  }
+
+  test('holds a file back while it is scanned and serves it once it is clean', async () => {
+    const file = await uploadText('report.txt', 'quarterly numbers');
+    expect(file.scanStatus).toBe('pending');
+
+    await agent.get(`/preview/${file.filename}`).expect(423);
+    await agent.get(`/download/${file.filename}`).expect(423);
+    await agent.get(`/stream/${file.filename}`).expect(423);
+    await agent.get(`/versions/${file.filename}/1/download`).expect(423);
+    await agent.get(`/versions/${file.filename}/diff`).query({ from: 1, to: 1 }).expect(423);
+    const content = await agent.get(`/api/v1/files/${file.id}/content`).expect(423);
+    expect(content.body.error.code).toBe('scan_pending');
+
+    await waitForScan(file.id, 'clean');
+
+    await agent.get(`/preview/${file.filename}`).expect(200);
+    expect((await agent.get(`/download/${file.filename}`).expect(200)).text).toBe('quarterly numbers');
+    await agent.get(`/stream/${file.filename}`).expect(200);
+    expect((await agent.get(`/versions/${file.filename}/1/download`).expect(200)).text).toBe('quarterly numbers');
+    await agent.get(`/versions/${file.filename}/diff`).query({ from: 1, to: 1 }).expect(200);
+    await agent.get(`/api/v1/files/${file.id}/content`).expect(200);
+  });
+
+  test('quarantines an infected file and lists it for admins', async () => {
+    const file = await uploadText('invoice.txt', `see attachment ${eicar}`);
+    expect(file.scanStatus).toBe('pending');
+    await agent.get(`/download/${file.filename}`).expect(423);
+    await agent.get(`/versions/${file.filename}/1/download`).expect(423);
+
+    await waitForScan(file.id, null);
+
+    await agent.get(`/download/${file.filename}`).expect(404);
+    await agent.get(`/stream/${file.filename}`).expect(404);
+    const files = (await agent.get('/api/v1/files').expect(200)).body.files;
+    expect(files.map(entry => entry.id)).not.toContain(file.id);
+
+    const adminPage = (await agent.get('/admin').expect(200)).text;
+    expect(adminPage).toContain('invoice.txt');
+    expect(adminPage).toContain('Eicar-Test-Signature');
+    expect(adminPage).toContain(`/admin/quarantine/${file.id}/release`);
+  });
+
+  test('an admin can release a quarantined file, which is then served as clean', async () => {
+    const file = await uploadText('false-positive.txt', eicar);
+    await waitForScan(file.id, null);
+
+    await agent.post(`/admin/quarantine/${file.id}/release`).expect(302).expect('Location', '/admin');
+
+    expect((await agent.get(`/api/v1/files/${file.id}`).expect(200)).body.scanStatus).toBe('clean');
+    expect((await agent.get(`/download/${file.filename}`).expect(200)).text).toBe(eicar);
+    expect((await agent.get('/admin').expect(200)).text).not.toContain(`/admin/quarantine/${file.id}/release`);
+  });
+
+  test('an admin can delete a quarantined file for good', async () => {
+    const file = await uploadText('malware.txt', eicar);
+    await waitForScan(file.id, null);
+
+    await agent.post(`/admin/quarantine/${file.id}/delete`).expect(302);
+    expect((await agent.get('/admin').expect(200)).text).not.toContain(`/admin/quarantine/${file.id}/`);
+    await agent.post(`/admin/quarantine/${file.id}/release`).expect(404);
+  });
+
+  test('only admins may release or delete quarantined files', async () => {
+    await agent.post('/admin/users').type('form').send({ username: 'editor', password: 'editor-password', role: 'editor' }).expect(302);
+    const editor = await signIn(app, { username: 'editor', password: 'editor-password' });
+
+    const res = await editor.post('/api/v1/files').attach('files', Buffer.from(eicar), { filename: 'editor.txt', contentType: 'text/plain' }).expect(201);
+    const file = res.body.files[0];
+    await waitForScan(file.id, null);
+
+    await editor.post(`/admin/quarantine/${file.id}/release`).expect(403);
+    await editor.post(`/admin/quarantine/${file.id}/delete`).expect(403);
+    expect((await agent.get('/admin').expect(200)).text).toContain(`/admin/quarantine/${file.id}/release`);
+  });
+});
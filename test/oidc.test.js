@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const http = require('http');
+const request = require('supertest');
+const { loadApp, signIn } = require('./helpers');
+
+// A minimal OpenID provider: discovery, JWKS and a token endpoint that checks the PKCE verifier.
+// Tests play the user's part by calling `authorize`, which returns the code the provider would redirect with.
+// `forgeNextWith` makes the next ID token an HS256 token signed with the given secret, as an attacker would.
+function createMockIssuer() {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const codes = new Map(); // code -> { codeChallenge, claims }
+  const tokenRequests = [];
+  let issuer;
+  let forgerySecret = null;
+
+  const base64Url = value => Buffer.from(value).toString('base64url');
+  const signIdToken = claims => {
+    const secret = forgerySecret;
+    forgerySecret = null;
+    const header = secret ? { alg: 'HS256', typ: 'JWT' } : { alg: 'RS256', typ: 'JWT', kid: 'test-key' };
+    const signedData = `${base64Url(JSON.stringify(header))}.${base64Url(JSON.stringify(claims))}`;
+    const signature = secret
+      ? crypto.createHmac('sha256', secret).update(signedData).digest()
+      : crypto.sign('sha256', Buffer.from(signedData), privateKey);
+    return `${signedData}.${signature.toString('base64url')}`;
+  };
+  const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer((req, res) => {
+    if (req.url === '/.well-known/openid-configuration') {
+      return sendJson(res, 200, {
+        issuer,
+        authorization_endpoint: `${issuer}/authorize`,
+        token_endpoint: `${issuer}/token`,
+        jwks_uri: `${issuer}/jwks`
+      });
+    }
+    if (req.url === '/jwks') {
+      return sendJson(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', alg: 'RS256', use: 'sig' }] });
+    }
+    if (req.url === '/token' && req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        const params = new URLSearchParams(body);
+        tokenRequests.push(params);
+        const grant = codes.get(params.get('code'));
+        codes.delete(params.get('code'));
+        if (!grant) return sendJson(res, 400, { error: 'invalid_grant' });
+
+        const challenge = crypto.createHash('sha256').update(params.get('code_verifier') || '').digest('base64url');
+        if (challenge !== grant.codeChallenge) return sendJson(res, 400, { error: 'invalid_grant', error_description: 'PKCE verification failed' });
+
+        sendJson(res, 200, { access_token: 'access-token', token_type: 'Bearer', id_token: signIdToken(grant.claims) });
+      });
+      return;
+    }
+    res.writeHead(404);
+    res.end();
+  });
+
+  return {
+    server,
+    tokenRequests,
+    get url() { return issuer; },
+    async start() {
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      issuer = `http://127.0.0.1:${server.address().port}`;
+    },
+    stop: () => new Promise(resolve => server.close(resolve)),
+    forgeNextWith: secret => { forgerySecret = secret; },
+    // Issues a code for the authorization request; `claims` override the defaults of a valid ID token
+    authorize(authorizationUrl, claims = {}, codeChallenge = authorizationUrl.searchParams.get('code_challenge')) {
+      const code = crypto.randomBytes(16).toString('hex');
+      const now = Math.floor(Date.now() / 1000);
+      codes.set(code, {
+        codeChallenge,
+        claims: { iss: issuer, aud: 'file-server', sub: 'user-1', nonce: authorizationUrl.searchParams.get('nonce'), iat: now, exp: now + 300, ...claims }
+      });
+      return code;
+    }
+  };
+}
+
+describe('OpenID Connect sign-in', () => {
+  const issuer = createMockIssuer();
+  let app;
+  let cleanup;
+
+  beforeAll(async () => {
+    await issuer.start();
+    ({ app, cleanup } = loadApp({
+      OIDC_ISSUER: issuer.url,
+      CLIENT_ID: 'file-server',
+      CLIENT_SECRET: 'client-secret',
+      REDIRECT_URI: 'http://files.test/auth/callback'
+    }));
+  });
+
+  afterAll(async () => {
+    await issuer.stop();
+    cleanup();
+  });
+
+  // Starts a sign-in and returns the agent holding the pending state together with the provider URL it was sent to
+  async function startSignIn() {
+    const agent = request.agent(app);
+    const res = await agent.get('/login/oidc').expect(302);
+    return { agent, authorizationUrl: new URL(res.headers.location) };
+  }
+
+  async function adminPageText() {
+    const adminAgent = await signIn(app);
+    const res = await adminAgent.get('/admin').expect(200);
+    return res.text;
+  }
+
+  test('redirects to the provider with state, nonce and an S256 PKCE challenge', async () => {
+    const { authorizationUrl } = await startSignIn();
+
+    expect(authorizationUrl.origin + authorizationUrl.pathname).toBe(`${issuer.url}/authorize`);
+    expect(authorizationUrl.searchParams.get('client_id')).toBe('file-server');
+    expect(authorizationUrl.searchParams.get('redirect_uri')).toBe('http://files.test/auth/callback');
+    expect(authorizationUrl.searchParams.get('state')).toBeTruthy();
+    expect(authorizationUrl.searchParams.get('nonce')).toBeTruthy();
+    expect(authorizationUrl.searchParams.get('code_challenge_method')).toBe('S256');
+  });
+
+  test('rejects a callback whose state does not match the pending sign-in', async () => {
+    const { agent, authorizationUrl } = await startSignIn();
+    const code = issuer.authorize(authorizationUrl);
+    const tokenRequestCount = issuer.tokenRequests.length;
+
+    await agent.get('/auth/callback').query({ code, state: 'forged-state' }).expect(400);
+    expect(issuer.tokenRequests.length).toBe(tokenRequestCount);
+
+    // The state is single-use, so the genuine callback fails afterwards as well
+    await agent.get('/auth/callback').query({ code, state: authorizationUrl.searchParams.get('state') }).expect(400);
+  });
+
+  test('rejects a callback without a pending sign-in', async () => {
+    await request(app).get('/auth/callback').query({ code: 'code', state: 'state' }).expect(400);
+  });
+
+  test('rejects an ID token whose nonce does not match', async () => {
+    const { agent, authorizationUrl } = await startSignIn();
+    const code = issuer.authorize(authorizationUrl, { nonce: 'replayed-nonce' });
+
+    await agent.get('/auth/callback').query({ code, state: authorizationUrl.searchParams.get('state') }).expect(401);
+    await agent.get('/').expect(302).expect('Location', /\/login/);
+  });
+
+  test('rejects an ID token signed with the client secret when the provider only announces RS256', async () => {
+    const { agent, authorizationUrl } = await startSignIn();
+    const code = issuer.authorize(authorizationUrl, { sub: 'forged-subject' });
+    issuer.forgeNextWith('client-secret');
+
+    await agent.get('/auth/callback').query({ code, state: authorizationUrl.searchParams.get('state') }).expect(401);
+    await agent.get('/').expect(302).expect('Location', /\/login/);
+  });
+
+  test('sends the PKCE verifier that matches the challenge', async () => {
+    const { agent, authorizationUrl } = await startSignIn();
+    const code = issuer.authorize(authorizationUrl, { sub: 'pkce-user' });
+
+    await agent.get('/auth/callback').query({ code, state: authorizationUrl.searchParams.get('state') }).expect(302);
+
+    const tokenRequest = issuer.tokenRequests[issuer.tokenRequests.length - 1];
+    const verifier = tokenRequest.get('code_verifier');
+    expect(verifier).toMatch(/^[A-Za-z0-9_-]{43,128}$/);
+    expect(crypto.createHash('sha256').update(verifier).digest('base64url')).toBe(authorizationUrl.searchParams.get('code_challenge'));
+  });
+
+  test('fails when the provider rejects the PKCE verifier', async () => {
+    const { agent, authorizationUrl } = await startSignIn();
+    const code = issuer.authorize(authorizationUrl, {}, 'challenge-for-another-verifier');
+
+    await agent.get('/auth/callback').query({ code, state: authorizationUrl.searchParams.get('state') }).expect(401);
+    await agent.get('/').expect(302);
+  });
+
+  test('maps the provider subject to one local user', async () => {
+    const first = await startSignIn();
+    const firstCode = issuer.authorize(first.authorizationUrl, { sub: 'alice-subject', preferred_username: 'alice' });
+    await first.agent.get('/auth/callback').query({ code: firstCode, state: first.authorizationUrl.searchParams.get('state') })
+      .expect(302).expect('Location', '/');
+    await first.agent.get('/').expect(200);
+
+    // Same subject with a changed username signs in to the same account
+    const again = await startSignIn();
+    const againCode = issuer.authorize(again.authorizationUrl, { sub: 'alice-subject', preferred_username: 'alice.renamed' });
+    await again.agent.get('/auth/callback').query({ code: againCode, state: again.authorizationUrl.searchParams.get('state') }).expect(302);
+
+    // A different subject claiming the same username gets its own account
+    const other = await startSignIn();
+    const otherCode = issuer.authorize(other.authorizationUrl, { sub: 'mallory-subject', preferred_username: 'alice' });
+    await other.agent.get('/auth/callback').query({ code: otherCode, state: other.authorizationUrl.searchParams.get('state') }).expect(302);
+
+    const adminPage = await adminPageText();
+    expect(adminPage).toContain('>alice<');
+    expect(adminPage).toContain('>alice-2<');
+    expect(adminPage).not.toContain('alice.renamed');
+  });
+
+  test('new provider accounts get the viewer role', async () => {
+    const { agent, authorizationUrl } = await startSignIn();
+    const code = issuer.authorize(authorizationUrl, { sub: 'viewer-subject' });
+    await agent.get('/auth/callback').query({ code, state: authorizationUrl.searchParams.get('state') }).expect(302);
+
+    await agent.get('/admin').expect(403);
+  });
+});
@@ -0,0 +1,98 @@
+const request = require('supertest');
+const { loadApp, signIn, uploadFile, createUser } = require('./helpers');
+
+describe('Roles and permissions', () => {
+  let app;
+  let cleanup;
+  let adminAgent;
+  const agents = {};
+
+  beforeAll(async () => {
+    ({ app, cleanup } = loadApp());
+    adminAgent = await signIn(app);
+    for (const role of ['viewer', 'uploader', 'editor']) {
+      agents[role] = await createUser(adminAgent, app, role, role);
+    }
+    agents.admin = adminAgent;
+  });
+
+  afterAll(() => cleanup());
+
+  // Team files can be seen by every role, so only the role decides what may be done with them
+  const teamFile = (name = 'team.txt') => uploadFile(adminAgent, name, 'team content', { visibility: 'team' });
+  const upload = role => agents[role].post('/upload').attach('files', Buffer.from('x'), { filename: `${role}.txt`, contentType: 'text/plain' });
+
+  test('signed-out visitors are sent to the login page, API clients get 401', async () => {
+    await request(app).get('/').expect(302).expect('Location', /^\/login/);
+    await request(app).get('/admin').expect(302).expect('Location', /^\/login/);
+    await request(app).get('/api/v1/files').expect(401);
+  });
+
+  test('every role can browse and download team files', async () => {
+    const file = await teamFile();
+    for (const role of ['viewer', 'uploader', 'editor', 'admin']) {
+      await agents[role].get('/').expect(200);
+      expect((await agents[role].get(`/download/${file.filename}`).expect(200)).text).toBe('team content');
+    }
+  });
+
+  test('uploading needs the uploader role or above', async () => {
+    await upload('viewer').expect(403);
+    await upload('uploader').expect(302);
+    await upload('editor').expect(302);
+  });
+
+  test('editing and restoring versions need the editor role or above', async () => {
+    const file = await teamFile('editable.txt');
+    for (const role of ['viewer', 'uploader']) {
+      await agents[role].get(`/edit/${file.filename}`).expect(403);
+      await agents[role].post(`/save/${file.filename}`).type('form').send({ content: role }).expect(403);
+    }
+    await agents.editor.post(`/save/${file.filename}`).type('form').send({ content: 'edited' }).expect(302);
+    await agents.viewer.post(`/versions/${file.filename}/1/restore`).expect(403);
+    await agents.editor.post(`/versions/${file.filename}/1/restore`).expect(302);
+  });
+
+  test('deleting needs the editor role or above', async () => {
+    const file = await teamFile('deletable.txt');
+    for (const role of ['viewer', 'uploader']) {
+      await agents[role].post(`/delete/${file.filename}`).expect(403);
+      await agents[role].post('/delete-multiple').send({ files: [file.filename] }).expect(403);
+    }
+    await agents.editor.post(`/delete/${file.filename}`).expect(302);
+  });
+
+  test('the activity history needs the editor role, the admin panel the admin role', async () => {
+    for (const role of ['viewer', 'uploader']) await agents[role].get('/history').expect(403);
+    await agents.editor.get('/history').expect(200);
+
+    for (const role of ['viewer', 'uploader', 'editor']) await agents[role].get('/admin').expect(403);
+    await adminAgent.get('/admin').expect(200);
+  });
+
+  test('only admins can create accounts or change roles', async () => {
+    await agents.editor.post('/admin/users').type('form').send({ username: 'sneaky', password: 'sneaky-password', role: 'admin' }).expect(403);
+    // The permission is checked before the account is looked up
+    await agents.editor.post('/admin/users/any-user/role').type('form').send({ role: 'admin' }).expect(403);
+    await adminAgent.post('/admin/users/no-such-user/role').type('form').send({ role: 'admin' }).expect(404);
+  });
+
+  test('the dashboard only shows the actions the role may use', async () => {
+    await teamFile('listed.txt');
+    const viewerPage = (await agents.viewer.get('/').query({ view: 'list' }).expect(200)).text;
+    expect(viewerPage).not.toContain('id="upload-form"');
+    expect(viewerPage).not.toContain('id="delete-selected"');
+    expect(viewerPage).not.toContain('action="/delete/');
+    expect(viewerPage).not.toContain('href="/admin"');
+
+    const uploaderPage = (await agents.uploader.get('/').query({ view: 'list' }).expect(200)).text;
+    expect(uploaderPage).toContain('id="upload-form"');
+    expect(uploaderPage).not.toContain('action="/delete/');
+
+    const editorPage = (await agents.editor.get('/').query({ view: 'list' }).expect(200)).text;
+    expect(editorPage).toContain('id="delete-selected"');
+    expect(editorPage).toContain('action="/delete/');
+    expect(editorPage).not.toContain('href="/admin"');
+    expect((await adminAgent.get('/').expect(200)).text).toContain('href="/admin"');
+  });
+});
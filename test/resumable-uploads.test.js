@@ -0,0 +1,85 @@
+const { loadApp, signIn, createUser } = require('./helpers');
+
+describe('Resumable uploads', () => {
+  let app;
+  let cleanup;
+  let agent;
+
+  beforeAll(async () => {
+    ({ app, cleanup } = loadApp());
+    agent = await signIn(app);
+  });
+
+  afterAll(() => cleanup());
+
+  const start = (name, size, fields = {}) => agent.post('/upload/resumable').send({ name, size, folder: '', ...fields });
+  const sendChunk = (id, offset, chunk) => agent.patch(`/upload/resumable/${id}`)
+    .set({ 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': String(offset) })
+    .send(Buffer.from(chunk));
+
+  test('stores a file sent in chunks once it is finalized', async () => {
+    const started = await start('large.txt', 10).expect(201);
+    expect(started.body).toMatchObject({ name: 'large.txt', size: 10, offset: 0 });
+    const { id } = started.body;
+
+    await sendChunk(id, 0, 'hello').expect(204).expect('Upload-Offset', '5');
+    // Early finalizing is refused and reports how much has arrived
+    const early = await agent.post(`/upload/resumable/${id}/finalize`).expect(409);
+    expect(early.body.offset).toBe(5);
+
+    await sendChunk(id, 5, 'world').expect(204).expect('Upload-Offset', '10');
+    const finalized = await agent.post(`/upload/resumable/${id}/finalize`).expect(201);
+    expect((await agent.get(finalized.body.downloadUrl).expect(200)).text).toBe('helloworld');
+
+    await agent.get(`/upload/resumable/${id}`).expect(404);
+  });
+
+  test('reports the received offset so an interrupted upload can resume', async () => {
+    const { id } = (await start('resume.txt', 6).expect(201)).body;
+    await sendChunk(id, 0, 'abc').expect(204);
+
+    const status = await agent.get(`/upload/resumable/${id}`).expect(200);
+    expect(status.body.offset).toBe(3);
+    expect(status.headers['upload-offset']).toBe('3');
+
+    // A chunk for the wrong offset is refused with the real one
+    const stale = await sendChunk(id, 0, 'abc').expect(409);
+    expect(stale.headers['upload-offset']).toBe('3');
+
+    await sendChunk(id, 3, 'def').expect(204);
+    await agent.post(`/upload/resumable/${id}/finalize`).expect(201);
+  });
+
+  test('refuses a chunk beyond the declared size and keeps the data received before it', async () => {
+    const { id } = (await start('bounded.txt', 4).expect(201)).body;
+    await sendChunk(id, 0, 'ab').expect(204);
+
+    const res = await sendChunk(id, 2, 'cdef').expect(413);
+    expect(res.body.offset).toBe(2);
+    expect((await agent.get(`/upload/resumable/${id}`).expect(200)).body.offset).toBe(2);
+  });
+
+  test('validates the upload before it starts', async () => {
+    await start('', 10).expect(400);
+    await start('empty.txt', 0).expect(400);
+    await start('nowhere.txt', 10, { folder: 'missing' }).expect(400);
+    await start('program.exe', 10).expect(415);
+  });
+
+  test('can be discarded, and only its owner may continue it', async () => {
+    const { id } = (await start('private.txt', 4).expect(201)).body;
+    const other = await createUser(agent, app, 'other-uploader', 'uploader');
+
+    await other.get(`/upload/resumable/${id}`).expect(404);
+    await other.patch(`/upload/resumable/${id}`)
+      .set({ 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': '0' }).send(Buffer.from('nope')).expect(404);
+
+    await agent.delete(`/upload/resumable/${id}`).expect(204);
+    await agent.get(`/upload/resumable/${id}`).expect(404);
+  });
+
+  test('viewers cannot start one', async () => {
+    const viewer = await createUser(agent, app, 'viewer', 'viewer');
+    await viewer.post('/upload/resumable').send({ name: 'viewer.txt', size: 4, folder: '' }).expect(403);
+  });
+});
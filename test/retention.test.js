@@ -0,0 +1,137 @@
+const request = require('supertest');
+const { admin, s3AdminKey, loadApp, signIn, uploadFile, s3Request } = require('./helpers');
+
+describe('Retention policies and legal holds', () => {
+  let app;
+  let cleanup;
+  let agent;
+
+  beforeAll(async () => {
+    ({ app, cleanup } = loadApp({ S3_ACCESS_KEYS: s3AdminKey.setting }));
+    agent = await signIn(app);
+  });
+
+  afterAll(() => cleanup());
+
+  const hold = (file, on = true) => agent.post(`/legal-hold/${file.filename}`).type('form')
+    .send({ hold: on ? 'on' : 'off', reason: 'litigation' }).expect(302);
+  const fileExists = async file => (await agent.get(`/api/v1/files/${file.id}`)).status === 200;
+  const content = async file => (await agent.get(`/api/v1/files/${file.id}/content`).expect(200)).text;
+
+  describe('legal hold', () => {
+    let file;
+
+    beforeAll(async () => {
+      file = await uploadFile(agent, 'evidence.txt', 'original');
+      await hold(file);
+    });
+
+    test('is shown on the file', async () => {
+      expect((await agent.get(`/api/v1/files/${file.id}`).expect(200)).body.legalHold).toBe(true);
+    });
+
+    test('blocks deleting the file', async () => {
+      await agent.post(`/delete/${file.filename}`).expect(403);
+      await agent.delete(`/api/v1/files/${file.id}`).expect(409);
+      await request(app).delete('/dav/evidence.txt').auth(admin.username, admin.password).expect(403);
+      expect(await fileExists(file)).toBe(true);
+    });
+
+    test('blocks saving and replacing the content', async () => {
+      await agent.post(`/save/${file.filename}`).type('form').send({ content: 'edited' }).expect(403);
+      const res = await agent.put(`/api/v1/files/${file.id}/content`).set('Content-Type', 'text/plain').send('replaced').expect(409);
+      expect(res.body.error.code).toBe('legal_hold');
+      expect(await content(file)).toBe('original');
+    });
+
+    test('blocks uploading a new version under the same name', async () => {
+      const res = await agent.post('/api/v1/files').attach('files', Buffer.from('re-uploaded'), { filename: 'evidence.txt', contentType: 'text/plain' }).expect(409);
+      expect(res.body.error.code).toBe('legal_hold');
+      await agent.post('/upload').attach('files', Buffer.from('re-uploaded'), { filename: 'evidence.txt', contentType: 'text/plain' }).expect(403);
+
+      const started = await agent.post('/upload/resumable').send({ name: 'evidence.txt', size: 3, folder: '' }).expect(201);
+      await agent.patch(`/upload/resumable/${started.body.id}`)
+        .set({ 'Content-Type': 'application/offset+octet-stream', 'Upload-Offset': '0' }).send(Buffer.from('new')).expect(204);
+      await agent.post(`/upload/resumable/${started.body.id}/finalize`).expect(409);
+
+      await request(app).put('/dav/evidence.txt').auth(admin.username, admin.password).set('Content-Type', 'text/plain').send('via webdav').expect(403);
+
+      expect(await content(file)).toBe('original');
+      expect((await agent.get(`/api/v1/files/${file.id}`).expect(200)).body.version).toBe(1);
+    });
+
+    test('blocks restoring an older version', async () => {
+      const versioned = await uploadFile(agent, 'contract.txt', 'first');
+      await agent.put(`/api/v1/files/${versioned.id}/content`).set('Content-Type', 'text/plain').send('second').expect(200);
+      await hold(versioned);
+
+      await agent.post(`/versions/${versioned.filename}/1/restore`).expect(403);
+      expect(await content(versioned)).toBe('second');
+    });
+
+    test('blocks S3 PutObject over the file', async () => {
+      // Buckets are the top-level folders
+      await agent.post('/folders').type('form').send({ name: 'legal', parent: '' }).expect(302);
+      await s3Request(app, 'PUT', '/s3/legal/memo.txt', 'memo').expect(200);
+      const memo = (await agent.get('/api/v1/files').query({ folder: 'legal' }).expect(200)).body.files.find(entry => entry.name === 'memo.txt');
+      await hold(memo);
+
+      const res = await s3Request(app, 'PUT', '/s3/legal/memo.txt', 'overwritten').expect(403);
+      expect(res.text).toContain('<Code>AccessDenied</Code>');
+      expect(await content(memo)).toBe('memo');
+    });
+
+    test('once released, the file can be changed and deleted again', async () => {
+      const released = await uploadFile(agent, 'released.txt', 'draft');
+      await hold(released);
+      await hold(released, false);
+
+      await agent.put(`/api/v1/files/${released.id}/content`).set('Content-Type', 'text/plain').send('final').expect(200);
+      expect(await content(released)).toBe('final');
+      await agent.delete(`/api/v1/files/${released.id}`).expect(204);
+    });
+
+    test('only admins may place a hold', async () => {
+      await agent.post('/admin/users').type('form').send({ username: 'editor', password: 'editor-password', role: 'editor' }).expect(302);
+      const editor = await signIn(app, { username: 'editor', password: 'editor-password' });
+      const editorFile = await uploadFile(editor, 'editor.txt', 'mine');
+
+      await editor.post(`/legal-hold/${editorFile.filename}`).type('form').send({ hold: 'on' }).expect(403);
+      expect((await editor.get(`/api/v1/files/${editorFile.id}`).expect(200)).body.legalHold).toBe(false);
+    });
+  });
+
+  describe('retention policies', () => {
+    const createPolicy = fields => agent.post('/admin/retention/policies').type('form').send(fields).expect(302);
+
+    test('a disabled policy removes nothing, an enabled one moves matching files to the trash', async () => {
+      await agent.post('/folders').type('form').send({ name: 'reports', parent: '' }).expect(302);
+      const report = await uploadFile(agent, 'report.txt', 'q1', { folder: 'reports' });
+      const kept = await uploadFile(agent, 'kept.txt', 'outside the folder');
+      const heldReport = await uploadFile(agent, 'held-report.txt', 'q2', { folder: 'reports' });
+      await hold(heldReport);
+      // Each file matches the policy once it has been downloaded
+      for (const file of [report, kept, heldReport]) await agent.get(`/download/${file.filename}`).expect(200);
+
+      await createPolicy({ name: 'Downloaded reports', folder: 'reports', criterion: 'downloads', threshold: '1' });
+      await agent.post('/admin/retention/run').expect(302);
+      expect(await fileExists(report)).toBe(true);
+
+      const page = (await agent.get('/admin/retention').expect(200)).text;
+      const policyId = /\/admin\/retention\/policies\/([0-9a-f]+)\/toggle/.exec(page)[1];
+      await agent.post(`/admin/retention/policies/${policyId}/toggle`).expect(302);
+      await agent.post('/admin/retention/run').expect(302);
+
+      expect(await fileExists(report)).toBe(false);
+      expect(await fileExists(kept)).toBe(true);
+      expect(await fileExists(heldReport)).toBe(true);
+      expect((await agent.get('/trash').expect(200)).text).toContain('report.txt');
+    });
+
+    test('rejects an invalid policy', async () => {
+      await agent.post('/admin/retention/policies').type('form').send({ name: 'Bad', criterion: 'size', threshold: '1' }).expect(400);
+      await agent.post('/admin/retention/policies').type('form').send({ name: 'Bad', criterion: 'uploaded', threshold: '0' }).expect(400);
+      await agent.post('/admin/retention/policies').type('form').send({ name: '', criterion: 'uploaded', threshold: '5' }).expect(400);
+    });
+  });
+});
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const request = require('supertest');
+const { admin, s3AdminKey, loadApp, signIn, uploadFile, createUser, s3Request } = require('./helpers');
+
+const viewerKey = { accessKeyId: 'AKIDVIEWER', secretAccessKey: 'viewer-s3-secret', region: 'us-east-1' };
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const toAmzDate = date => date.toISOString().replace(/[-:]|\.\d{3}/g, '');
+
+// Builds a presigned GET URL the way the AWS SDKs do: the signature covers the path, the query and the host header
+function presignedUrl(pathname, { expires = 300, signedAt = new Date(), key = s3AdminKey } = {}) {
+  const amzDate = toAmzDate(signedAt);
+  const scope = `${amzDate.slice(0, 8)}/${key.region}/s3/aws4_request`;
+  const query = {
+    'X-Amz-Algorithm': 'AWS4-HMAC-SHA256',
+    'X-Amz-Credential': `${key.accessKeyId}/${scope}`,
+    'X-Amz-Date': amzDate,
+    'X-Amz-Expires': String(expires),
+    'X-Amz-SignedHeaders': 'host'
+  };
+  const canonicalQuery = Object.keys(query).sort().map(name => `${name}=${encodeURIComponent(query[name])}`).join('&');
+  const canonicalRequest = ['GET', pathname, canonicalQuery, 'host:s3.test\n', 'host', 'UNSIGNED-PAYLOAD'].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = [amzDate.slice(0, 8), key.region, 's3', 'aws4_request'].reduce(hmac, `AWS4${key.secretAccessKey}`);
+  return `${pathname}?${canonicalQuery}&X-Amz-Signature=${hmac(signingKey, stringToSign).toString('hex')}`;
+}
+
+describe('S3-compatible API', () => {
+  let app;
+  let cleanup;
+  let agent;
+
+  beforeAll(async () => {
+    const viewerSetting = `${viewerKey.accessKeyId}:${viewerKey.secretAccessKey}:s3-viewer`;
+    ({ app, cleanup } = loadApp({ S3_ACCESS_KEYS: `${s3AdminKey.setting},${viewerSetting}` }));
+    agent = await signIn(app);
+    await agent.post('/folders').type('form').send({ parent: '', name: 'team' }).expect(302);
+    await createUser(agent, app, 's3-viewer', 'viewer');
+  });
+
+  afterAll(() => cleanup());
+
+  const xmlValues = (xml, tag) => [...xml.matchAll(new RegExp(`<${tag}>([^<]*)</${tag}>`, 'g'))].map(match => match[1]);
+
+  test('puts, gets, heads and deletes an object in a bucket', async () => {
+    const put = await s3Request(app, 'PUT', '/s3/team/reports/q1.txt', 'quarterly numbers').expect(200);
+    expect(put.headers.etag).toBe(`"${sha256('quarterly numbers')}"`);
+
+    // The object is an ordinary file in the bucket's folder
+    const files = (await agent.get('/api/v1/files').query({ folder: 'team/reports' }).expect(200)).body.files;
+    expect(files.map(file => file.name)).toEqual(['q1.txt']);
+
+    expect((await s3Request(app, 'GET', '/s3/team/reports/q1.txt').expect(200)).text).toBe('quarterly numbers');
+    const head = await s3Request(app, 'HEAD', '/s3/team/reports/q1.txt').expect(200);
+    expect(head.headers['content-length']).toBe('17');
+
+    await s3Request(app, 'DELETE', '/s3/team/reports/q1.txt').expect(204);
+    const missing = await s3Request(app, 'GET', '/s3/team/reports/q1.txt').expect(404);
+    expect(xmlValues(missing.text, 'Code')).toEqual(['NoSuchKey']);
+  });
+
+  test('answers a Range request with the requested bytes, or 416 if it cannot be satisfied', async () => {
+    await s3Request(app, 'PUT', '/s3/team/range.txt', '0123456789').expect(200);
+
+    const partial = await s3Request(app, 'GET', '/s3/team/range.txt').set('Range', 'bytes=2-5').expect(206);
+    expect(partial.text).toBe('2345');
+    expect(partial.headers['content-range']).toBe('bytes 2-5/10');
+
+    const unsatisfiable = await s3Request(app, 'GET', '/s3/team/range.txt').set('Range', 'bytes=20-30').expect(416);
+    expect(unsatisfiable.headers['content-range']).toBe('bytes */10');
+    expect(xmlValues(unsatisfiable.text, 'Code')).toEqual(['InvalidRange']);
+  });
+
+  test('lists buckets and objects, with prefixes, delimiters and continuation tokens', async () => {
+    await agent.post('/folders').type('form').send({ parent: '', name: 'listing' }).expect(302);
+    for (const key of ['a.txt', 'b.txt', 'docs/c.txt']) {
+      await s3Request(app, 'PUT', `/s3/listing/${key}`, key).expect(200);
+    }
+
+    const buckets = await s3Request(app, 'GET', '/s3/').expect(200);
+    expect(xmlValues(buckets.text, 'Name')).toEqual(expect.arrayContaining(['team', 'listing']));
+
+    const all = await s3Request(app, 'GET', '/s3/listing?list-type=2').expect(200);
+    expect(xmlValues(all.text, 'Key')).toEqual(['a.txt', 'b.txt', 'docs/c.txt']);
+
+    const topLevel = await s3Request(app, 'GET', '/s3/listing?delimiter=%2F&list-type=2').expect(200);
+    expect(xmlValues(topLevel.text, 'Key')).toEqual(['a.txt', 'b.txt']);
+    expect(xmlValues(topLevel.text, 'Prefix')).toEqual(['', 'docs/']);
+
+    const firstPage = await s3Request(app, 'GET', '/s3/listing?list-type=2&max-keys=2').expect(200);
+    expect(xmlValues(firstPage.text, 'Key')).toEqual(['a.txt', 'b.txt']);
+    expect(xmlValues(firstPage.text, 'IsTruncated')).toEqual(['true']);
+    const [token] = xmlValues(firstPage.text, 'NextContinuationToken');
+    const secondPage = await s3Request(app, 'GET', `/s3/listing?continuation-token=${token}&list-type=2&max-keys=2`).expect(200);
+    expect(xmlValues(secondPage.text, 'Key')).toEqual(['docs/c.txt']);
+
+    const missing = await s3Request(app, 'GET', '/s3/no-such-bucket?list-type=2').expect(404);
+    expect(xmlValues(missing.text, 'Code')).toEqual(['NoSuchBucket']);
+  });
+
+  test('joins the parts of a multipart upload in order when it is completed', async () => {
+    const created = await s3Request(app, 'POST', '/s3/team/big.txt?uploads').expect(200);
+    const [uploadId] = xmlValues(created.text, 'UploadId');
+
+    const first = await s3Request(app, 'PUT', `/s3/team/big.txt?partNumber=1&uploadId=${uploadId}`, 'first part, ').expect(200);
+    const second = await s3Request(app, 'PUT', `/s3/team/big.txt?partNumber=2&uploadId=${uploadId}`, 'second part').expect(200);
+    const parts = [first, second].map((res, index) => `<Part><PartNumber>${index + 1}</PartNumber><ETag>${res.headers.etag}</ETag></Part>`);
+
+    const wrongOrder = `<CompleteMultipartUpload>${parts[1]}${parts[0]}</CompleteMultipartUpload>`;
+    expect(xmlValues((await s3Request(app, 'POST', `/s3/team/big.txt?uploadId=${uploadId}`, wrongOrder).expect(400)).text, 'Code')).toEqual(['InvalidPartOrder']);
+
+    await s3Request(app, 'POST', `/s3/team/big.txt?uploadId=${uploadId}`, `<CompleteMultipartUpload>${parts.join('')}</CompleteMultipartUpload>`).expect(200);
+    expect((await s3Request(app, 'GET', '/s3/team/big.txt').expect(200)).text).toBe('first part, second part');
+    await s3Request(app, 'PUT', `/s3/team/big.txt?partNumber=3&uploadId=${uploadId}`, 'late').expect(404);
+  });
+
+  test('an aborted multipart upload cannot be continued', async () => {
+    const created = await s3Request(app, 'POST', '/s3/team/aborted.txt?uploads').expect(200);
+    const [uploadId] = xmlValues(created.text, 'UploadId');
+    await s3Request(app, 'PUT', `/s3/team/aborted.txt?partNumber=1&uploadId=${uploadId}`, 'part').expect(200);
+
+    await s3Request(app, 'DELETE', `/s3/team/aborted.txt?uploadId=${uploadId}`).expect(204);
+    const res = await s3Request(app, 'PUT', `/s3/team/aborted.txt?partNumber=2&uploadId=${uploadId}`, 'part').expect(404);
+    expect(xmlValues(res.text, 'Code')).toEqual(['NoSuchUpload']);
+    await s3Request(app, 'GET', '/s3/team/aborted.txt').expect(404);
+  });
+
+  test('refuses anonymous requests, unknown keys and wrong signatures', async () => {
+    const anonymous = await request(app).get('/s3/team/range.txt').expect(403);
+    expect(xmlValues(anonymous.text, 'Code')).toEqual(['AccessDenied']);
+
+    const unknown = await s3Request(app, 'GET', '/s3/team/range.txt', '', { ...s3AdminKey, accessKeyId: 'AKIDUNKNOWN' }).expect(403);
+    expect(xmlValues(unknown.text, 'Code')).toEqual(['InvalidAccessKeyId']);
+
+    const forged = await s3Request(app, 'GET', '/s3/team/range.txt', '', { ...s3AdminKey, secretAccessKey: 'guessed' }).expect(403);
+    expect(xmlValues(forged.text, 'Code')).toEqual(['SignatureDoesNotMatch']);
+  });
+
+  test('serves presigned URLs until they expire', async () => {
+    await s3Request(app, 'PUT', '/s3/team/presigned.txt', 'presigned content').expect(200);
+
+    const url = presignedUrl('/s3/team/presigned.txt');
+    expect((await request(app).get(url).set('Host', 's3.test').expect(200)).text).toBe('presigned content');
+
+    // Another object cannot be fetched with the same signature
+    await request(app).get(url.replace('presigned.txt', 'range.txt')).set('Host', 's3.test').expect(403);
+
+    const expired = presignedUrl('/s3/team/presigned.txt', { expires: 60, signedAt: new Date(Date.now() - 2 * 60 * 60 * 1000) });
+    const res = await request(app).get(expired).set('Host', 's3.test').expect(403);
+    expect(xmlValues(res.text, 'Message')).toEqual(['Request has expired.']);
+
+    const tooLong = presignedUrl('/s3/team/presigned.txt', { expires: 8 * 24 * 60 * 60 });
+    await request(app).get(tooLong).set('Host', 's3.test').expect(400);
+  });
+
+  test('a key acts with the role and file visibility of its user', async () => {
+    await uploadFile(agent, 'team.txt', 'team content', { folder: 'team', visibility: 'team' });
+    expect((await s3Request(app, 'GET', '/s3/team/team.txt', '', viewerKey).expect(200)).text).toBe('team content');
+    // Objects written over S3 get the default visibility, so they are private to the admin
+    await s3Request(app, 'GET', '/s3/team/range.txt', '', viewerKey).expect(404);
+
+    const put = await s3Request(app, 'PUT', '/s3/team/viewer.txt', 'viewer', viewerKey).expect(403);
+    expect(xmlValues(put.text, 'Code')).toEqual(['AccessDenied']);
+    await s3Request(app, 'DELETE', '/s3/team/team.txt', '', viewerKey).expect(403);
+
+    // The history names the user the key belongs to
+    const history = (await agent.get('/api/v1/history').query({ action: 'upload', username: admin.username }).expect(200)).body.history;
+    expect(history.map(item => item.filename)).toContain('range.txt');
+  });
+});
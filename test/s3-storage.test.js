@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { loadApp } = require('./helpers');
+
+const credentials = { accessKeyId: 'AKIDTEST', secretAccessKey: 'test-secret-key', region: 'eu-central-1' };
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// Recomputes the Signature Version 4 signature of a request the way S3 does
+function expectedSignature(req, signedHeaderNames, amzDate) {
+  const canonicalHeaders = signedHeaderNames.map(name => `${name}:${String(req.headers[name]).trim()}\n`).join('');
+  const canonicalRequest = [req.method, req.url.split('?')[0], '', canonicalHeaders, signedHeaderNames.join(';'), req.headers['x-amz-content-sha256']].join('\n');
+  const scope = `${amzDate.slice(0, 8)}/${credentials.region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = [amzDate.slice(0, 8), credentials.region, 's3', 'aws4_request'].reduce(hmac, `AWS4${credentials.secretAccessKey}`);
+  return hmac(signingKey, stringToSign).toString('hex');
+}
+
+// An in-memory S3 bucket that checks every signature and payload hash, and can be told to fail the next request
+function createStubS3() {
+  const objects = new Map(); // request path -> Buffer
+  const requests = [];
+  let nextFailure = null;
+
+  const sendError = (res, status, code) => {
+    res.writeHead(status, { 'Content-Type': 'application/xml' });
+    res.end(code ? `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${code}</Message></Error>` : '');
+  };
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks);
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+      const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/.exec(req.headers.authorization || '');
+      if (!match || match[1] !== credentials.accessKeyId) return sendError(res, 403, 'InvalidAccessKeyId');
+      if (match[5] !== expectedSignature(req, match[4].split(';'), req.headers['x-amz-date'])) return sendError(res, 403, 'SignatureDoesNotMatch');
+      if (req.headers['x-amz-content-sha256'] !== sha256(body)) return sendError(res, 400, 'XAmzContentSHA256Mismatch');
+
+      if (nextFailure) {
+        const { status, code } = nextFailure;
+        nextFailure = null;
+        return sendError(res, status, code);
+      }
+
+      const stored = objects.get(req.url);
+      if (req.method === 'PUT') {
+        objects.set(req.url, body);
+        res.writeHead(200, { ETag: `"${sha256(body)}"` });
+        return res.end();
+      }
+      if (req.method === 'DELETE') {
+        objects.delete(req.url);
+        res.writeHead(204);
+        return res.end();
+      }
+      if (!stored) return req.method === 'HEAD' ? sendError(res, 404) : sendError(res, 404, 'NoSuchKey');
+
+      const range = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range || '');
+      if (range) {
+        const content = stored.subarray(Number(range[1]), Number(range[2]) + 1);
+        res.writeHead(206, { 'Content-Length': content.length, 'Content-Range': `bytes ${range[1]}-${range[2]}/${stored.length}` });
+        return res.end(req.method === 'HEAD' ? undefined : content);
+      }
+      res.writeHead(200, { 'Content-Length': stored.length });
+      res.end(req.method === 'HEAD' ? undefined : stored);
+    });
+  });
+
+  return {
+    objects,
+    requests,
+    failNext: (status, code) => { nextFailure = { status, code }; },
+    async start() {
+      await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+      return `http://127.0.0.1:${server.address().port}`;
+    },
+    stop: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+async function readAll(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+describe('S3 storage driver', () => {
+  const s3 = createStubS3();
+  const key = sha256('a blob key');
+  let createDriver;
+  let storage;
+  let dir;
+  let cleanup;
+
+  beforeAll(async () => {
+    const endpoint = await s3.start();
+    let app;
+    ({ app, dir, cleanup } = loadApp());
+    // A path on the endpoint is kept in front of the bucket, as with S3-compatible servers behind a proxy
+    createDriver = (overrides = {}) => app.createS3StorageDriver({ endpoint: `${endpoint}/storage/`, bucket: 'files', prefix: 'blobs/', ...credentials, ...overrides });
+    storage = createDriver();
+  });
+
+  afterAll(async () => {
+    await s3.stop();
+    cleanup();
+  });
+
+  test('signs requests with Signature Version 4 and the payload hash', async () => {
+    await storage.putBuffer(key, Buffer.from('hello world'));
+
+    const { method, url, headers } = s3.requests[s3.requests.length - 1];
+    expect(method).toBe('PUT');
+    expect(url).toBe(`/storage/files/blobs/${key.slice(0, 2)}/${key}`);
+    expect(headers['x-amz-content-sha256']).toBe(sha256('hello world'));
+    expect(headers['x-amz-date']).toMatch(/^\d{8}T\d{6}Z$/);
+    expect(headers.authorization).toMatch(new RegExp(
+      `^AWS4-HMAC-SHA256 Credential=AKIDTEST/${headers['x-amz-date'].slice(0, 8)}/eu-central-1/s3/aws4_request, ` +
+      'SignedHeaders=host;x-amz-content-sha256;x-amz-date, Signature=[0-9a-f]{64}$'
+    ));
+    expect(s3.objects.get(url).toString()).toBe('hello world');
+  });
+
+  test('rejects a request signed with the wrong secret', async () => {
+    const wrongSecret = createDriver({ secretAccessKey: 'not-the-secret' });
+    await expect(wrongSecret.putBuffer(key, Buffer.from('x'))).rejects.toMatchObject({ code: 'SignatureDoesNotMatch' });
+  });
+
+  test('uploads a local file and removes it afterwards', async () => {
+    const source = path.join(dir, 'upload.bin');
+    const content = crypto.randomBytes(100 * 1024);
+    fs.writeFileSync(source, content);
+    const fileKey = sha256(content);
+
+    expect(await storage.has(fileKey)).toBe(false);
+    await storage.putFile(fileKey, source);
+
+    expect(fs.existsSync(source)).toBe(false);
+    expect(await storage.has(fileKey)).toBe(true);
+    expect(Buffer.compare(await readAll(await storage.openReadStream(fileKey)), content)).toBe(0);
+  });
+
+  test('reads a whole object or an inclusive byte range', async () => {
+    const rangeKey = sha256('range');
+    await storage.putBuffer(rangeKey, Buffer.from('0123456789'));
+
+    expect((await readAll(await storage.openReadStream(rangeKey))).toString()).toBe('0123456789');
+    expect((await readAll(await storage.openReadStream(rangeKey, { start: 2, end: 5 }))).toString()).toBe('2345');
+    expect(s3.requests[s3.requests.length - 1].headers.range).toBe('bytes=2-5');
+  });
+
+  test('deletes objects, and deleting a missing object succeeds', async () => {
+    const deleteKey = sha256('delete me');
+    await storage.putBuffer(deleteKey, Buffer.from('temporary'));
+
+    await storage.remove(deleteKey);
+    expect(await storage.has(deleteKey)).toBe(false);
+    await expect(storage.remove(deleteKey)).resolves.toBeUndefined();
+
+    s3.failNext(404, 'NoSuchKey');
+    await expect(storage.remove(deleteKey)).resolves.toBeUndefined();
+  });
+
+  test('maps S3 errors to errors with the S3 code, and a missing object to ENOENT', async () => {
+    await expect(storage.openReadStream(sha256('missing'))).rejects.toMatchObject({ code: 'ENOENT' });
+
+    s3.failNext(403, 'AccessDenied');
+    await expect(storage.openReadStream(key)).rejects.toMatchObject({ code: 'AccessDenied', message: expect.stringContaining('GET') });
+
+    s3.failNext(503, 'SlowDown');
+    await expect(storage.putBuffer(key, Buffer.from('again'))).rejects.toMatchObject({ code: 'SlowDown' });
+
+    s3.failNext(500);
+    await expect(storage.remove(key)).rejects.toMatchObject({ code: 'HTTP 500' });
+
+    s3.failNext(500);
+    await expect(storage.has(key)).rejects.toThrow('HTTP 500');
+  });
+});
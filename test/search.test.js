@@ -0,0 +1,101 @@
+const zlib = require('zlib');
+const { loadApp, signIn, uploadFile, createUser } = require('./helpers');
+
+// A one-page PDF whose content stream shows `text`, Flate-compressed like most generated PDFs
+function pdfWithText(text) {
+  const content = zlib.deflateSync(Buffer.from(`BT /F1 12 Tf 72 720 Td (${text}) Tj ET`));
+  return Buffer.concat([
+    Buffer.from(`%PDF-1.4\n4 0 obj\n<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+    content,
+    Buffer.from('\nendstream\nendobj\n%%EOF\n', 'latin1')
+  ]);
+}
+
+describe('Full-text search', () => {
+  let app;
+  let cleanup;
+  let agent;
+
+  beforeAll(async () => {
+    ({ app, cleanup } = loadApp());
+    agent = await signIn(app);
+  });
+
+  afterAll(() => cleanup());
+
+  // Files are indexed in the background, so a search is repeated until it returns the expected number of results
+  async function search(q, expectedCount, searcher = agent) {
+    let body;
+    for (let attempt = 0; attempt < 50; attempt++) {
+      body = (await searcher.get('/api/v1/search').query({ q }).expect(200)).body;
+      if (body.results.length === expectedCount) break;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return body;
+  }
+  const resultNames = body => body.results.map(result => result.file.name);
+
+  test('finds files by name, tags and content, ranking name matches first', async () => {
+    await uploadFile(agent, 'budget.txt', 'Nothing about the topic.');
+    await uploadFile(agent, 'notes.md', 'The budget for next year is tight.');
+    const tagged = await uploadFile(agent, 'plan.csv', 'a,b');
+    await agent.patch(`/api/v1/files/${tagged.id}`).send({ tags: ['Budget'] }).expect(200);
+
+    const body = await search('budget', 3);
+    expect(resultNames(body)).toEqual(['budget.txt', 'plan.csv', 'notes.md']);
+    expect(body.results[0].nameHighlights).toEqual([[0, 6]]);
+  });
+
+  test('returns a snippet around the first match with the matched words marked', async () => {
+    await uploadFile(agent, 'minutes.txt', `${'Opening remarks. '.repeat(20)}We agreed to migrate the database in spring. ${'Closing. '.repeat(20)}`);
+
+    const [result] = (await search('migrate database', 1)).results;
+    expect(result.snippet.text).toMatch(/^….*We agreed to migrate the database in spring\..*…$/);
+    const marked = result.snippet.highlights.map(([start, end]) => result.snippet.text.slice(start, end));
+    expect(marked).toEqual(['migrate', 'database']);
+  });
+
+  test('matches every word of the query, and word prefixes', async () => {
+    await uploadFile(agent, 'alpha.txt', 'kubernetes cluster upgrade');
+    await uploadFile(agent, 'beta.txt', 'kubernetes dashboard');
+
+    expect(resultNames(await search('kubernetes upgrade', 1))).toEqual(['alpha.txt']);
+    expect(resultNames(await search('kuber', 2)).sort()).toEqual(['alpha.txt', 'beta.txt']);
+    expect((await agent.get('/api/v1/search').expect(400)).body.error.code).toBe('missing_query');
+  });
+
+  test('indexes the text of PDFs', async () => {
+    await uploadFile(agent, 'report.pdf', pdfWithText('Quarterly revenue grew strongly'), {}, 'application/pdf');
+    expect(resultNames(await search('revenue', 1))).toEqual(['report.pdf']);
+  });
+
+  test('follows saves and deletions', async () => {
+    const file = await uploadFile(agent, 'draft.txt', 'first version mentions giraffes');
+    await search('giraffes', 1);
+
+    await agent.post(`/save/${file.filename}`).type('form').send({ content: 'now it mentions zebras' }).expect(302);
+    expect(resultNames(await search('zebras', 1))).toEqual(['draft.txt']);
+    expect((await search('giraffes', 0)).results).toEqual([]);
+
+    await agent.delete(`/api/v1/files/${file.id}`).expect(204);
+    expect((await search('zebras', 0)).results).toEqual([]);
+  });
+
+  test('only returns files the user may see', async () => {
+    await uploadFile(agent, 'secret.txt', 'confidential merger details', { visibility: 'private' });
+    await uploadFile(agent, 'memo.txt', 'public merger announcement', { visibility: 'team' });
+    const viewer = await createUser(agent, app, 'search-viewer', 'viewer');
+
+    await search('merger', 2);
+    expect(resultNames(await search('merger', 1, viewer))).toEqual(['memo.txt']);
+  });
+
+  test('renders the results page with escaped, highlighted snippets', async () => {
+    await uploadFile(agent, 'markup.txt', 'a <b>tagline</b> for the launch');
+    await search('tagline', 1);
+
+    const page = (await agent.get('/search').query({ q: 'tagline' }).expect(200)).text;
+    expect(page).toContain('&lt;b&gt;<mark class="bg-yellow-200 rounded px-0.5">tagline</mark>&lt;/b&gt;');
+    expect(page).toContain('markup.txt');
+  });
+});
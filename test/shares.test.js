@@ -0,0 +1,100 @@
+const request = require('supertest');
+const { loadApp, signIn, uploadFile, createUser } = require('./helpers');
+
+describe('Share links', () => {
+  let app;
+  let cleanup;
+  let adminAgent;
+  let uploader;
+  let file;
+
+  beforeAll(async () => {
+    ({ app, cleanup } = loadApp());
+    adminAgent = await signIn(app);
+    uploader = await createUser(adminAgent, app, 'uploader', 'uploader');
+    file = await uploadFile(adminAgent, 'report.txt', 'shared content', { visibility: 'team' });
+  });
+
+  afterAll(() => cleanup());
+
+  const createShare = (agent, options = {}) => agent.post(`/api/v1/files/${file.id}/shares`).send(options).expect(201).then(res => res.body);
+
+  test('anyone with the link can download the file, and each download is counted', async () => {
+    const share = await createShare(adminAgent);
+
+    expect((await request(app).get(`/s/${share.token}`).expect(200)).text).toBe('shared content');
+    await request(app).get('/s/no-such-token').expect(404);
+
+    const listed = (await adminAgent.get(`/api/v1/files/${file.id}/shares`).expect(200)).body.shares;
+    expect(listed.find(entry => entry.token === share.token).downloads).toBe(1);
+  });
+
+  test('a link stops working after its download limit', async () => {
+    const share = await createShare(adminAgent, { maxDownloads: 2 });
+
+    await request(app).get(`/s/${share.token}`).expect(200);
+    await request(app).get(`/s/${share.token}`).expect(200);
+    expect((await request(app).get(`/s/${share.token}`).expect(410)).text).toContain('download limit');
+  });
+
+  test('a link stops working once it has expired', async () => {
+    const share = await createShare(adminAgent, { expiresInHours: 0.0001 });
+    await request(app).get(`/s/${share.token}`).expect(200);
+
+    await new Promise(resolve => setTimeout(resolve, 500));
+    expect((await request(app).get(`/s/${share.token}`).expect(410)).text).toContain('expired');
+  });
+
+  test('a password-protected link asks for the password before downloading', async () => {
+    const share = await createShare(adminAgent, { password: 'open sesame' });
+    expect(share.passwordProtected).toBe(true);
+
+    const prompt = await request(app).get(`/s/${share.token}`).expect(200);
+    expect(prompt.headers['content-type']).toMatch(/html/);
+    expect(prompt.text).not.toContain('shared content');
+
+    await request(app).post(`/s/${share.token}`).type('form').send({ password: 'wrong' }).expect(401);
+    const res = await request(app).post(`/s/${share.token}`).type('form').send({ password: 'open sesame' }).expect(200);
+    expect(res.text).toBe('shared content');
+  });
+
+  test('a revoked link stops working, and only its creator or an admin may revoke it', async () => {
+    const share = await createShare(uploader);
+    const other = await createUser(adminAgent, app, 'other-uploader', 'uploader');
+
+    await other.post(`/shares/${share.token}/revoke`).expect(403);
+    await other.delete(`/api/v1/shares/${share.token}`).expect(403);
+    await request(app).get(`/s/${share.token}`).expect(200);
+
+    await uploader.post(`/shares/${share.token}/revoke`).type('form').send({ returnTo: `/share/${file.filename}` })
+      .expect(302).expect('Location', `/share/${file.filename}`);
+    expect((await request(app).get(`/s/${share.token}`).expect(410)).text).toContain('revoked');
+    await uploader.post(`/shares/${share.token}/revoke`).expect(404);
+
+    const revokedByAdmin = await createShare(uploader);
+    await adminAgent.delete(`/api/v1/shares/${revokedByAdmin.token}`).expect(204);
+    await request(app).get(`/s/${revokedByAdmin.token}`).expect(410);
+  });
+
+  test('the share page and API list only the caller\'s own links, and every link for admins', async () => {
+    const adminShare = await createShare(adminAgent);
+    const uploaderShare = await createShare(uploader);
+
+    const ownPage = (await uploader.get(`/share/${file.filename}`).expect(200)).text;
+    expect(ownPage).toContain(`/s/${uploaderShare.token}`);
+    expect(ownPage).not.toContain(`/s/${adminShare.token}`);
+    const ownList = (await uploader.get(`/api/v1/files/${file.id}/shares`).expect(200)).body.shares.map(share => share.token);
+    expect(ownList).toContain(uploaderShare.token);
+    expect(ownList).not.toContain(adminShare.token);
+
+    const adminPage = (await adminAgent.get(`/share/${file.filename}`).expect(200)).text;
+    expect(adminPage).toContain(`/s/${uploaderShare.token}`);
+    expect(adminPage).toContain(`/s/${adminShare.token}`);
+  });
+
+  test('viewers cannot create share links', async () => {
+    const viewer = await createUser(adminAgent, app, 'viewer', 'viewer');
+    await viewer.post(`/share/${file.filename}`).type('form').send({}).expect(403);
+    await viewer.post(`/api/v1/files/${file.id}/shares`).send({}).expect(403);
+  });
+});
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { loadApp, signIn, uploadFile, createUser } = require('./helpers');
+
+// A solid-colour PNG of the given size
+const png = (width, height) => sharp({ create: { width, height, channels: 3, background: '#3366cc' } }).png().toBuffer();
+
+describe('Thumbnails', () => {
+  const cleanups = [];
+  afterAll(() => cleanups.forEach(cleanup => cleanup()));
+
+  function start(env = {}) {
+    const loaded = loadApp(env);
+    cleanups.push(loaded.cleanup);
+    return loaded;
+  }
+
+  let app;
+  let dir;
+  let agent;
+
+  beforeAll(async () => {
+    ({ app, dir } = start());
+    agent = await signIn(app);
+  });
+
+  const thumbnailFiles = () => fs.readdirSync(path.join(dir, 'uploads', 'thumbnails'));
+
+  test('are made of images in two WebP sizes, never larger than the original', async () => {
+    const file = await uploadFile(agent, 'photo.png', await png(800, 400), {}, 'image/png');
+
+    const small = await agent.get(`/thumb/${file.filename}`).expect(200).expect('Content-Type', 'image/webp');
+    expect(await sharp(small.body).metadata()).toMatchObject({ format: 'webp', width: 320, height: 160 });
+
+    const large = await agent.get(`/thumb/${file.filename}`).query({ size: 'large' }).expect(200);
+    expect(await sharp(large.body).metadata()).toMatchObject({ width: 800, height: 400 });
+  });
+
+  test('can be cached by browsers by their content hash', async () => {
+    const file = await uploadFile(agent, 'cached.png', await png(64, 64), {}, 'image/png');
+
+    const res = await agent.get(`/thumb/${file.filename}`).expect(200);
+    expect(res.headers['cache-control']).toBe('private, max-age=86400');
+    await agent.get(`/thumb/${file.filename}`).set('If-None-Match', res.headers.etag).expect(304);
+  });
+
+  test('are shown in the grid view, where other files get an icon', async () => {
+    const image = await uploadFile(agent, 'grid.png', await png(32, 32), {}, 'image/png');
+    const text = await uploadFile(agent, 'grid.txt', 'text');
+
+    const page = (await agent.get('/').query({ view: 'grid' }).expect(200)).text;
+    expect(page).toContain(`<img src="/thumb/${image.filename}"`);
+    expect(page).not.toContain(`/thumb/${text.filename}`);
+    await agent.get(`/thumb/${text.filename}`).expect(404);
+  });
+
+  test('are only served to users who may see the file', async () => {
+    const file = await uploadFile(agent, 'private.png', await png(32, 32), { visibility: 'private' }, 'image/png');
+    const viewer = await createUser(agent, app, 'thumb-viewer', 'viewer');
+
+    await viewer.get(`/thumb/${file.filename}`).expect(404);
+  });
+
+  test('are removed with the content they were made from', async () => {
+    const image = await png(48, 48);
+    const hash = crypto.createHash('sha256').update(image).digest('hex');
+    const file = await uploadFile(agent, 'removed.png', image, {}, 'image/png');
+    await agent.get(`/thumb/${file.filename}`).expect(200);
+    expect(thumbnailFiles()).toEqual(expect.arrayContaining([`${hash}-small.webp`, `${hash}-large.webp`]));
+
+    await agent.delete(`/api/v1/files/${file.id}`).expect(204);
+    await agent.post(`/trash/${file.id}/purge`).expect(302);
+    // The files are removed in the background
+    for (let attempt = 0; attempt < 50 && thumbnailFiles().some(name => name.startsWith(hash)); attempt++) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    expect(thumbnailFiles().filter(name => name.startsWith(hash))).toEqual([]);
+  });
+
+  test('are sealed when encryption at rest is on', async () => {
+    const encrypted = start({ ENCRYPTION_KEY: crypto.randomBytes(32).toString('base64') });
+    const encryptedAgent = await signIn(encrypted.app);
+    const file = await uploadFile(encryptedAgent, 'sealed.png', await png(40, 40), {}, 'image/png');
+
+    const res = await encryptedAgent.get(`/thumb/${file.filename}`).expect(200);
+    expect(await sharp(res.body).metadata()).toMatchObject({ format: 'webp', width: 40 });
+
+    const thumbnailDir = path.join(encrypted.dir, 'uploads', 'thumbnails');
+    const stored = fs.readdirSync(thumbnailDir).map(name => fs.readFileSync(path.join(thumbnailDir, name)));
+    expect(stored).toHaveLength(2);
+    stored.forEach(data => expect(data.subarray(0, 4).toString('latin1')).not.toBe('RIFF'));
+  });
+});
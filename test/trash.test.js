@@ -0,0 +1,75 @@
+const { loadApp, signIn, uploadFile, createUser } = require('./helpers');
+
+describe('Delete and trash', () => {
+  let app;
+  let cleanup;
+  let agent;
+
+  beforeAll(async () => {
+    ({ app, cleanup } = loadApp());
+    agent = await signIn(app);
+  });
+
+  afterAll(() => cleanup());
+
+  const trashPage = async (as = agent) => (await as.get('/trash').expect(200)).text;
+
+  test('the dashboard deletes a file with a POST form', async () => {
+    const file = await uploadFile(agent, 'dashboard.txt', 'dashboard');
+
+    const dashboard = (await agent.get('/').expect(200)).text;
+    expect(dashboard).toContain(`<form action="/delete/${file.filename}" method="POST"`);
+
+    await agent.post(`/delete/${file.filename}`).expect(302);
+    await agent.get(`/api/v1/files/${file.id}`).expect(404);
+    expect(await trashPage()).toContain('dashboard.txt');
+  });
+
+  test('the confirmation text is escaped into an attribute', async () => {
+    const file = await uploadFile(agent, 'quote.txt', 'quote');
+    const dashboard = (await agent.get('/').expect(200)).text;
+    expect(dashboard).toContain(`data-confirm="Are you absolutely sure you want to delete &quot;${file.name}&quot;? It will be moved to the trash."`);
+  });
+
+  test('restores a trashed file with its content', async () => {
+    const file = await uploadFile(agent, 'restore-me.txt', 'keep this');
+    await agent.post(`/delete/${file.filename}`).expect(302);
+
+    await agent.post(`/trash/${file.id}/restore`).expect(302).expect('Location', '/trash');
+
+    expect((await agent.get(`/download/${file.filename}`).expect(200)).text).toBe('keep this');
+    expect(await trashPage()).not.toContain('restore-me.txt');
+  });
+
+  test('purges a single file or empties the whole trash', async () => {
+    const first = await uploadFile(agent, 'purge-one.txt', 'one');
+    const second = await uploadFile(agent, 'purge-two.txt', 'two');
+    await agent.post('/delete-multiple').send({ files: [first.filename, second.filename] }).expect(302);
+
+    await agent.post(`/trash/${first.id}/purge`).expect(302);
+    expect(await trashPage()).not.toContain('purge-one.txt');
+    await agent.post(`/trash/${first.id}/restore`).expect(404);
+
+    await agent.post('/trash/empty').expect(302);
+    expect(await trashPage()).not.toContain('purge-two.txt');
+    await agent.post(`/trash/${second.id}/restore`).expect(404);
+  });
+
+  test('files under legal hold cannot be deleted', async () => {
+    const file = await uploadFile(agent, 'evidence.txt', 'evidence');
+    await agent.post(`/legal-hold/${file.filename}`).type('form').send({ hold: 'on' }).expect(302);
+
+    await agent.post(`/delete/${file.filename}`).expect(403);
+    expect((await agent.get('/').expect(200)).text).not.toContain(`action="/delete/${file.filename}"`);
+  });
+
+  test("other users' trashed files stay hidden", async () => {
+    const editor = await createUser(agent, app, 'trash-editor', 'editor');
+    const file = await uploadFile(agent, 'admin-only.txt', 'admin');
+    await agent.post(`/delete/${file.filename}`).expect(302);
+
+    expect(await trashPage(editor)).not.toContain('admin-only.txt');
+    await editor.post(`/trash/${file.id}/restore`).expect(404);
+    await editor.post(`/trash/${file.id}/purge`).expect(404);
+  });
+});
@@ -0,0 +1,105 @@
+const { loadApp, signIn, uploadFile, createUser } = require('./helpers');
+
+const pdf = '%PDF-1.4\n%%EOF\n';
+const executable = Buffer.concat([Buffer.from('MZ'), Buffer.alloc(62)]);
+
+describe('Upload validation', () => {
+  let app;
+  let cleanup;
+  let agent;
+
+  beforeAll(async () => {
+    ({ app, cleanup } = loadApp());
+    agent = await signIn(app);
+    for (const [parent, name] of [['', 'contracts'], ['contracts', '2024'], ['', 'notes'], ['notes', 'old'], ['', 'site']]) {
+      await agent.post('/folders').type('form').send({ parent, name }).expect(302);
+    }
+    await setRules('contracts', 'pdf, .DOCX', '').expect(302);
+    await setRules('notes', '', 'md').expect(302);
+    await setRules('site', 'html, css', '').expect(302);
+  });
+
+  afterAll(() => cleanup());
+
+  function setRules(folder, allow, deny, as = agent) {
+    return as.post('/admin/upload-rules').type('form').send({ folder, allow, deny });
+  }
+
+  // Uploads through the API and returns the rejection reason, or null if the file was stored
+  async function rejection(name, content, fields = {}, contentType = 'text/plain') {
+    const upload = agent.post('/api/v1/files');
+    Object.entries(fields).forEach(([field, value]) => upload.field(field, value));
+    const res = await upload.attach('files', Buffer.from(content), { filename: name, contentType });
+    if (res.status === 201) return null;
+    expect(res.status).toBe(415);
+    expect(res.body.error.code).toBe('file_type_not_allowed');
+    return res.body.error.message;
+  }
+
+  test('refuses content that does not match the extension, whatever MIME type the client claims', async () => {
+    expect(await rejection('invoice.pdf', executable, {}, 'application/pdf')).toContain('the content is an executable program, which does not match the .pdf extension');
+    expect(await rejection('notes.txt', '<!DOCTYPE html><html><script>alert(1)</script></html>')).toContain('the content is an HTML page');
+    expect(await rejection('data.json', Buffer.from([0x00, 0x01, 0x02]), {}, 'application/json')).toContain('the content is binary data');
+    expect(await rejection('picture.png', 'just text', {}, 'image/png')).toContain('the content is text');
+
+    expect(await rejection('real.pdf', pdf, {}, 'application/pdf')).toBeNull();
+    expect(await rejection('readme.md', '# Title')).toBeNull();
+  });
+
+  test('refuses unknown extensions, and pages and scripts outside folders that allow them', async () => {
+    expect(await rejection('tool.exe', executable, {}, 'application/octet-stream')).toContain('.exe files are not allowed');
+    expect(await rejection('evil.html', '<html></html>', {}, 'text/html')).toContain('.html files are only accepted in folders whose upload rules allow them');
+    expect(await rejection('index.html', '<html></html>', { folder: 'site' }, 'text/html')).toBeNull();
+  });
+
+  test('a rejected file stops the whole batch', async () => {
+    const res = await agent.post('/api/v1/files')
+      .attach('files', Buffer.from('fine'), { filename: 'batch-ok.txt', contentType: 'text/plain' })
+      .attach('files', executable, { filename: 'batch-bad.pdf', contentType: 'application/pdf' })
+      .expect(415);
+    expect(res.body.error.message).toMatch(/^No files were stored\. batch-bad\.pdf:/);
+    expect((await agent.get('/api/v1/files').query({ q: 'batch-' }).expect(200)).body.files).toEqual([]);
+  });
+
+  test('the upload form explains a rejection on an error page', async () => {
+    const res = await agent.post('/upload')
+      .attach('files', executable, { filename: 'disguised.pdf', contentType: 'application/pdf' })
+      .expect(415);
+    expect(res.text).toContain('disguised.pdf: the content is an executable program');
+  });
+
+  test('folder allow lists limit uploads to the folder and its subfolders', async () => {
+    expect(await rejection('draft.txt', 'draft', { folder: 'contracts' })).toContain('/contracts only accepts .pdf, .docx files');
+    expect(await rejection('draft.txt', 'draft', { folder: 'contracts/2024' })).toContain('/contracts only accepts .pdf, .docx files');
+    expect(await rejection('signed.pdf', pdf, { folder: 'contracts/2024' }, 'application/pdf')).toBeNull();
+  });
+
+  test('folder deny lists apply to the folder and its subfolders', async () => {
+    expect(await rejection('todo.md', '# Todo', { folder: 'notes/old' })).toContain('.md files may not be uploaded to /notes/old');
+    expect(await rejection('todo.txt', 'todo', { folder: 'notes/old' })).toBeNull();
+  });
+
+  test('renames, moves and content changes are held to the same rules', async () => {
+    const file = await uploadFile(agent, 'summary.txt', 'plain text');
+
+    const renamed = await agent.patch(`/api/v1/files/${file.id}`).send({ name: 'summary.pdf' }).expect(415);
+    expect(renamed.body.error.message).toContain('the content is text, which does not match the .pdf extension');
+    await agent.patch(`/api/v1/files/${file.id}`).send({ folder: 'contracts' }).expect(415);
+
+    const replaced = await agent.put(`/api/v1/files/${file.id}/content`).set('Content-Type', 'application/octet-stream').send(executable).expect(415);
+    expect(replaced.body.error.code).toBe('file_type_not_allowed');
+    expect((await agent.get(`/api/v1/files/${file.id}/content`).expect(200)).text).toBe('plain text');
+  });
+
+  test('only admins set folder rules, and only for known types', async () => {
+    await setRules('notes', 'pdf', 'exe').expect(400);
+    await setRules('', 'pdf', '').expect(400);
+
+    const editor = await createUser(agent, app, 'rules-editor', 'editor');
+    await setRules('notes', '', '', editor).expect(403);
+
+    const admin = (await agent.get('/admin').expect(200)).text;
+    expect(admin).toContain('/contracts');
+    expect(admin).toContain('pdf, docx');
+  });
+});
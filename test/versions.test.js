@@ -0,0 +1,84 @@
+const { loadApp, signIn, uploadFile } = require('./helpers');
+
+describe('File versions', () => {
+  let cleanup;
+  let agent;
+
+  beforeAll(async () => {
+    let app;
+    ({ app, cleanup } = loadApp());
+    agent = await signIn(app);
+  });
+
+  afterAll(() => cleanup());
+
+  const save = (file, content) => agent.post(`/save/${file.filename}`).type('form').send({ content }).expect(302);
+  const download = async url => (await agent.get(url).expect(200)).text;
+
+  test('saving and re-uploading keep the previous content as a version', async () => {
+    const file = await uploadFile(agent, 'notes.txt', 'first draft');
+    await save(file, 'second draft');
+    await uploadFile(agent, 'notes.txt', 'third draft');
+
+    const page = (await agent.get(`/versions/${file.filename}`).expect(200)).text;
+    expect(page).toMatch(/v3\s*<span[^>]*>current<\/span>/);
+    expect(await download(`/versions/${file.filename}/1/download`)).toBe('first draft');
+    expect(await download(`/versions/${file.filename}/2/download`)).toBe('second draft');
+    expect(await download(`/download/${file.filename}`)).toBe('third draft');
+
+    const res = await agent.get(`/versions/${file.filename}/1/download`).expect(200);
+    expect(res.headers['content-disposition']).toContain('notes.v1.txt');
+    await agent.get(`/versions/${file.filename}/9/download`).expect(404);
+  });
+
+  test('restoring adds the old content as a new version and is logged', async () => {
+    const file = await uploadFile(agent, 'restore.txt', 'original');
+    await save(file, 'bad edit');
+
+    await agent.post(`/versions/${file.filename}/1/restore`).expect(302).expect('Location', `/versions/${file.filename}`);
+    expect(await download(`/download/${file.filename}`)).toBe('original');
+    // The bad edit is still there, so the restore can be undone
+    expect(await download(`/versions/${file.filename}/2/download`)).toBe('bad edit');
+    expect(await download(`/versions/${file.filename}/3/download`)).toBe('original');
+
+    // The current version cannot be restored
+    await agent.post(`/versions/${file.filename}/3/restore`).expect(404);
+
+    const history = (await agent.get('/history').expect(200)).text;
+    expect(history).toContain('restore.txt (v1)');
+  });
+
+  test('shows a line diff between two versions of a text file', async () => {
+    const file = await uploadFile(agent, 'diff.txt', 'alpha\nbeta\ngamma\n');
+    await save(file, 'alpha\nBETA\ngamma\ndelta\n');
+
+    const page = (await agent.get(`/versions/${file.filename}/diff`).query({ from: 1, to: 2 }).expect(200)).text;
+    expect(page).toContain('v1 → v2');
+    expect(page).toContain('+2');
+    expect(page).toContain('-1');
+    expect(page).toContain('- beta');
+    expect(page).toContain('+ BETA');
+    expect(page).toContain('+ delta');
+
+    const same = (await agent.get(`/versions/${file.filename}/diff`).query({ from: 2, to: 2 }).expect(200)).text;
+    expect(same).toContain('These versions are identical.');
+
+    await agent.get(`/versions/${file.filename}/diff`).query({ from: 1, to: 7 }).expect(404);
+  });
+
+  test('escapes the content shown in a diff', async () => {
+    const file = await uploadFile(agent, 'markup.txt', 'plain\n');
+    await save(file, '<script>alert(1)</script>\n');
+
+    const page = (await agent.get(`/versions/${file.filename}/diff`).query({ from: 1, to: 2 }).expect(200)).text;
+    expect(page).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(page).not.toContain('<script>alert(1)</script>');
+  });
+
+  test('only text and code files can be compared', async () => {
+    const file = await uploadFile(agent, 'report.pdf', '%PDF-1.4\n', {}, 'application/pdf');
+    const page = (await agent.get(`/versions/${file.filename}`).expect(200)).text;
+    expect(page).not.toContain('name="from"');
+    await agent.get(`/versions/${file.filename}/diff`).query({ from: 1, to: 1 }).expect(400);
+  });
+});
@@ -0,0 +1,153 @@
+const request = require('supertest');
+const { admin, loadApp, signIn } = require('./helpers');
+
+const viewer = { username: 'viewer', password: 'viewer-password' };
+
+describe('WebDAV', () => {
+  let app;
+  let cleanup;
+
+  // Every request authenticates with HTTP Basic, like a mounted network drive
+  const as = (user, method, davPath) => request(app)[method](davPath).auth(user.username, user.password);
+  const put = (davPath, content, headers = {}) => as(admin, 'put', davPath).set({ 'Content-Type': 'text/plain', ...headers }).send(content);
+  // Multistatus bodies are application/xml, which supertest does not buffer as text by itself
+  const textParser = (res, callback) => {
+    let text = '';
+    res.on('data', chunk => { text += chunk; });
+    res.on('end', () => callback(null, text));
+  };
+  const propfind = (user, davPath, depth) => as(user, 'propfind', davPath).set('Depth', depth).buffer(true).parse(textParser);
+  const hrefs = xml => [...xml.matchAll(/<D:href>([^<]*)<\/D:href>/g)].map(match => match[1]);
+
+  beforeAll(async () => {
+    ({ app, cleanup } = loadApp());
+    const adminAgent = await signIn(app);
+    await adminAgent.post('/admin/users').type('form').send({ ...viewer, role: 'viewer' }).expect(302);
+  });
+
+  afterAll(() => cleanup());
+
+  test('asks for credentials', async () => {
+    const res = await request(app).propfind('/dav/').expect(401);
+    expect(res.headers['www-authenticate']).toMatch(/^Basic/);
+    await request(app).propfind('/dav/').auth(admin.username, 'wrong-password').expect(401);
+  });
+
+  test('PUT stores a file, GET returns it and a second PUT replaces it', async () => {
+    await put('/dav/notes.txt', 'first draft').expect(201);
+    expect((await as(admin, 'get', '/dav/notes.txt').expect(200)).text).toBe('first draft');
+
+    await put('/dav/notes.txt', 'second draft').expect(204);
+    expect((await as(admin, 'get', '/dav/notes.txt').expect(200)).text).toBe('second draft');
+
+    await as(admin, 'get', '/dav/missing.txt').expect(404);
+    await put('/dav/no-such-folder/notes.txt', 'orphan').expect(409);
+  });
+
+  test('PROPFIND with Depth 0 describes only the resource itself', async () => {
+    await put('/dav/depth.txt', 'depth').expect(201);
+
+    const collection = await propfind(admin, '/dav/', '0').expect(207);
+    expect(hrefs(collection.body)).toEqual(['/dav/']);
+    expect(collection.body).toContain('<D:collection/>');
+
+    const file = await propfind(admin, '/dav/depth.txt', '0').expect(207);
+    expect(hrefs(file.body)).toEqual(['/dav/depth.txt']);
+    expect(file.body).toContain('<D:getcontentlength>5</D:getcontentlength>');
+
+    await propfind(admin, '/dav/missing.txt', '0').expect(404);
+  });
+
+  test('PROPFIND with Depth 1 lists folders and files one level down', async () => {
+    await as(admin, 'mkcol', '/dav/listing').expect(201);
+    await as(admin, 'mkcol', '/dav/listing/nested').expect(201);
+    await put('/dav/listing/a.txt', 'a').expect(201);
+    await put('/dav/listing/nested/deep.txt', 'deep').expect(201);
+
+    const res = await propfind(admin, '/dav/listing/', '1').expect(207);
+    expect(hrefs(res.body).sort()).toEqual(['/dav/listing/', '/dav/listing/a.txt', '/dav/listing/nested/']);
+  });
+
+  test('MKCOL creates folders only below existing ones', async () => {
+    await as(admin, 'mkcol', '/dav/projects').expect(201);
+    await as(admin, 'mkcol', '/dav/projects').expect(405);
+    await as(admin, 'mkcol', '/dav/missing/child').expect(409);
+    await propfind(admin, '/dav/projects/', '0').expect(207);
+  });
+
+  test('MOVE renames a file and honours Overwrite', async () => {
+    await put('/dav/draft.txt', 'draft').expect(201);
+    await put('/dav/final.txt', 'final').expect(201);
+
+    await as(admin, 'move', '/dav/draft.txt').set({ Destination: '/dav/final.txt', Overwrite: 'F' }).expect(412);
+    expect((await as(admin, 'get', '/dav/final.txt')).text).toBe('final');
+
+    await as(admin, 'move', '/dav/draft.txt').set({ Destination: '/dav/final.txt', Overwrite: 'T' }).expect(204);
+    expect((await as(admin, 'get', '/dav/final.txt')).text).toBe('draft');
+    await as(admin, 'get', '/dav/draft.txt').expect(404);
+
+    await as(admin, 'mkcol', '/dav/archive').expect(201);
+    await as(admin, 'move', '/dav/final.txt').set('Destination', '/dav/archive/final.txt').expect(201);
+    expect((await as(admin, 'get', '/dav/archive/final.txt')).text).toBe('draft');
+    await as(admin, 'get', '/dav/final.txt').expect(404);
+  });
+
+  test('COPY duplicates a file and honours Overwrite', async () => {
+    await put('/dav/original.txt', 'original').expect(201);
+    await put('/dav/existing.txt', 'existing').expect(201);
+
+    await as(admin, 'copy', '/dav/original.txt').set('Destination', '/dav/copy.txt').expect(201);
+    expect((await as(admin, 'get', '/dav/copy.txt')).text).toBe('original');
+    expect((await as(admin, 'get', '/dav/original.txt')).text).toBe('original');
+
+    await as(admin, 'copy', '/dav/original.txt').set({ Destination: '/dav/existing.txt', Overwrite: 'F' }).expect(412);
+    expect((await as(admin, 'get', '/dav/existing.txt')).text).toBe('existing');
+
+    await as(admin, 'copy', '/dav/original.txt').set('Destination', '/dav/existing.txt').expect(204);
+    expect((await as(admin, 'get', '/dav/existing.txt')).text).toBe('original');
+  });
+
+  test('a lock blocks writes that do not submit its token until it is released', async () => {
+    await put('/dav/locked.txt', 'v1').expect(201);
+
+    const locked = await as(admin, 'lock', '/dav/locked.txt')
+      .set({ 'Content-Type': 'application/xml', Timeout: 'Second-60' })
+      .send('<?xml version="1.0"?><D:lockinfo xmlns:D="DAV:"><D:lockscope><D:exclusive/></D:lockscope><D:locktype><D:write/></D:locktype><D:owner>tests</D:owner></D:lockinfo>')
+      .expect(200);
+    const token = locked.headers['lock-token'].replace(/^<|>$/g, '');
+    expect(token).toMatch(/^opaquelocktoken:/);
+
+    await put('/dav/locked.txt', 'v2').expect(423);
+    await as(admin, 'delete', '/dav/locked.txt').expect(423);
+    await as(admin, 'move', '/dav/locked.txt').set('Destination', '/dav/moved.txt').expect(423);
+    await put('/dav/locked.txt', 'v2', { If: `(<${token}>)` }).expect(204);
+
+    await as(admin, 'unlock', '/dav/locked.txt').set('Lock-Token', '<opaquelocktoken:not-the-token>').expect(409);
+    await as(admin, 'unlock', '/dav/locked.txt').set('Lock-Token', `<${token}>`).expect(204);
+
+    await put('/dav/locked.txt', 'v3').expect(204);
+    expect((await as(admin, 'get', '/dav/locked.txt')).text).toBe('v3');
+  });
+
+  test('a viewer can read but not change anything', async () => {
+    await put('/dav/shared.txt', 'shared').expect(201);
+    // Files are private by default; share this one with every signed-in user
+    const adminAgent = await signIn(app);
+    const fileId = (await adminAgent.get('/api/v1/files').query({ q: 'shared.txt' }).expect(200)).body.files
+      .find(file => file.name === 'shared.txt').id;
+    await adminAgent.patch(`/api/v1/files/${fileId}`).send({ visibility: 'team' }).expect(200);
+
+    expect(hrefs((await propfind(viewer, '/dav/', '1').expect(207)).body)).toContain('/dav/shared.txt');
+    expect((await as(viewer, 'get', '/dav/shared.txt').expect(200)).text).toBe('shared');
+
+    await as(viewer, 'put', '/dav/viewer.txt').set('Content-Type', 'text/plain').send('nope').expect(403);
+    await as(viewer, 'put', '/dav/shared.txt').set('Content-Type', 'text/plain').send('nope').expect(403);
+    await as(viewer, 'mkcol', '/dav/viewer-folder').expect(403);
+    await as(viewer, 'delete', '/dav/shared.txt').expect(403);
+    await as(viewer, 'move', '/dav/shared.txt').set('Destination', '/dav/renamed.txt').expect(403);
+    await as(viewer, 'copy', '/dav/shared.txt').set('Destination', '/dav/copied.txt').expect(403);
+    await as(viewer, 'lock', '/dav/shared.txt').set('Content-Type', 'application/xml').send('<D:lockinfo xmlns:D="DAV:"/>').expect(403);
+
+    expect((await as(admin, 'get', '/dav/shared.txt')).text).toBe('shared');
+  });
+});
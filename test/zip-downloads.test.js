@@ -0,0 +1,106 @@
+const zlib = require('zlib');
+const { loadApp, signIn, uploadFile, createUser } = require('./helpers');
+
+// Reads the entries of a ZIP from its central directory: { name: content } in archive order
+function readZip(archive) {
+  const end = archive.length - 22;
+  expect(archive.readUInt32LE(end)).toBe(0x06054b50);
+  const count = archive.readUInt16LE(end + 10);
+  let position = archive.readUInt32LE(end + 16);
+
+  const entries = {};
+  for (let i = 0; i < count; i++) {
+    expect(archive.readUInt32LE(position)).toBe(0x02014b50);
+    const compressedSize = archive.readUInt32LE(position + 20);
+    const size = archive.readUInt32LE(position + 24);
+    const nameLength = archive.readUInt16LE(position + 28);
+    const offset = archive.readUInt32LE(position + 42);
+    const name = archive.toString('utf8', position + 46, position + 46 + nameLength);
+
+    const dataStart = offset + 30 + archive.readUInt16LE(offset + 26) + archive.readUInt16LE(offset + 28);
+    const content = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize));
+    expect(content.length).toBe(size);
+    entries[name] = content.toString();
+    position += 46 + nameLength;
+  }
+  return entries;
+}
+
+// Collects a binary response body
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+describe('ZIP downloads', () => {
+  let app;
+  let cleanup;
+  let agent;
+
+  beforeAll(async () => {
+    ({ app, cleanup } = loadApp());
+    agent = await signIn(app);
+    await agent.post('/folders').type('form').send({ parent: '', name: 'project' }).expect(302);
+    await agent.post('/folders').type('form').send({ parent: 'project', name: 'docs' }).expect(302);
+  });
+
+  afterAll(() => cleanup());
+
+  const downloadSelected = filenames => agent.post('/download-zip').type('form')
+    .send(filenames.map(filename => `files=${encodeURIComponent(filename)}`).join('&'));
+
+  test('archives the selected files under their original names', async () => {
+    const first = await uploadFile(agent, 'readme.txt', 'read me');
+    const second = await uploadFile(agent, 'notes.md', '# Notes');
+
+    const res = await downloadSelected([first.filename, second.filename]).buffer(true).parse(binary).expect(200);
+    expect(res.headers['content-type']).toBe('application/zip');
+    expect(res.headers['content-disposition']).toBe('attachment; filename="files.zip"');
+    expect(readZip(res.body)).toEqual({ 'readme.txt': 'read me', 'notes.md': '# Notes' });
+  });
+
+  test('numbers files that would have the same name in the archive', async () => {
+    const first = await uploadFile(agent, 'report.txt', 'one', { folder: 'project' });
+    const second = await uploadFile(agent, 'report.txt', 'two', { folder: 'project/docs' });
+    const third = await uploadFile(agent, 'REPORT.txt', 'three');
+
+    const res = await downloadSelected([first.filename, second.filename, third.filename]).buffer(true).parse(binary).expect(200);
+    expect(readZip(res.body)).toEqual({ 'report.txt': 'one', 'report (2).txt': 'two', 'REPORT (3).txt': 'three' });
+  });
+
+  test('archives a folder with its subfolders', async () => {
+    await uploadFile(agent, 'plan.txt', 'plan', { folder: 'project' });
+
+    const res = await agent.get('/download-zip').query({ folder: 'project' }).buffer(true).parse(binary).expect(200);
+    expect(res.headers['content-disposition']).toBe('attachment; filename="project.zip"');
+    expect(readZip(res.body)).toEqual({ 'plan.txt': 'plan', 'report.txt': 'one', 'docs/report.txt': 'two' });
+
+    await agent.get('/download-zip').query({ folder: 'missing' }).expect(404);
+    await agent.get('/download-zip').query({ folder: '../outside' }).expect(400);
+  });
+
+  test('logs a download for every file in the archive', async () => {
+    const first = await uploadFile(agent, 'counted-a.txt', 'a');
+    const second = await uploadFile(agent, 'counted-b.txt', 'b');
+    await downloadSelected([first.filename, second.filename]).buffer(true).parse(binary).expect(200);
+
+    for (const file of [first, second]) {
+      expect((await agent.get(`/api/v1/files/${file.id}`).expect(200)).body.downloads).toBe(1);
+      const history = await agent.get('/api/v1/history').query({ action: 'download', fileId: file.id }).expect(200);
+      expect(history.body.history).toHaveLength(1);
+    }
+  });
+
+  test('leaves out files the user cannot see', async () => {
+    const hidden = await uploadFile(agent, 'private.txt', 'private', { visibility: 'private' });
+    const shared = await uploadFile(agent, 'shared.txt', 'shared', { visibility: 'team' });
+    const viewer = await createUser(agent, app, 'zip-viewer', 'viewer');
+
+    const res = await viewer.post('/download-zip').type('form')
+      .send(`files=${hidden.filename}&files=${shared.filename}`).buffer(true).parse(binary).expect(200);
+    expect(readZip(res.body)).toEqual({ 'shared.txt': 'shared' });
+
+    await viewer.post('/download-zip').type('form').send(`files=${hidden.filename}`).expect(404);
+  });
+});